@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @notice ERC-20 token anyone can mint, standing in for an event prize token on local chains.
+ * @dev Only deployed on local chains, to test listings paid in a token. The decimals are set at deployment so
+ *      amounts of tokens with fewer decimals than ETH can be tested too.
+ */
+contract MockERC20 is ERC20 {
+    // State Variables
+    uint8 private immutable _decimals;
+
+    // Constructor
+
+    /**
+     * @notice Creates the token.
+     * @param name_ The token name.
+     * @param symbol_ The token symbol.
+     * @param decimals_ The number of decimals amounts are displayed with.
+     */
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) ERC20(name_, symbol_) {
+        _decimals = decimals_;
+    }
+
+    // External functions
+
+    /**
+     * @notice Mints tokens to an account.
+     * @dev Unrestricted, this token has no value.
+     * @param to The account receiving the tokens.
+     * @param amount The amount in the smallest unit.
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    // Public view functions
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Multicall3
+ * @notice Aggregates several read calls into a single call, so the frontend can batch its contract reads.
+ * @dev Implements the aggregate3 subset of the canonical Multicall3 with the same ABI. Only deployed on local
+ *      chains, public networks already have Multicall3 at 0xcA11bde05977b3631167028862bE2a173976CA11.
+ */
+contract Multicall3 {
+    // Type Declarations
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    // External functions
+
+    /**
+     * @notice Executes a batch of calls and returns the result of each one.
+     * @dev Reverts if a call fails and does not allow failure.
+     * @param calls The calls to execute, in order.
+     * @return returnData The success flag and return data of every call.
+     */
+    function aggregate3(Call3[] calldata calls) external returns (Result[] memory returnData) {
+        uint256 length = calls.length;
+        returnData = new Result[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            Call3 calldata call = calls[i];
+            (bool success, bytes memory data) = call.target.call(call.callData);
+            require(success || call.allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, data);
+        }
+    }
+
+    // External view functions
+
+    /**
+     * @notice Gets the current block number.
+     * @return blockNumber The number of the block the call is executed in.
+     */
+    function getBlockNumber() external view returns (uint256 blockNumber) {
+        blockNumber = block.number;
+    }
+}
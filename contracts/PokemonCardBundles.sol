@@ -0,0 +1,535 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {PokemonCardToken} from "./PokemonCardToken.sol";
+import {PokemonCardTrading} from "./PokemonCardTrading.sol";
+
+/**
+ * @title PokemonCardBundles
+ * @notice Sells several PokemonCardToken NFTs as one lot, for a fixed price or by auction.
+ * @dev Bundle listings escrow all their cards under one bundle ID and settle them atomically. The platform fee and
+ * the auction rules are read from the PokemonCardTrading contract, so both marketplaces charge and bid alike. The
+ * royalty of each card is taken from an equal share of the bundle price. Bundles are paid in ETH or in an ERC-20
+ * token the trading contract allows. Proceeds and outbid bids are credited to pendingWithdrawals, or per token
+ * to pendingTokenWithdrawals, like on the trading contract.
+ */
+contract PokemonCardBundles is ReentrancyGuard, Pausable, Ownable {
+    using SafeERC20 for IERC20;
+
+    // Type Declarations
+    struct Bundle {
+        address seller;
+        uint256[] tokenIds; // Escrowed in this contract while the bundle is listed
+        uint256 price; // Starting price for auctions, fixed price otherwise
+        address currency; // ERC-20 token the bundle is paid in, the zero address for ETH
+        uint256 endTime; // Auction end, 0 for fixed-price bundles
+        address highestBidder;
+        uint256 highestBid;
+        PokemonCardTrading.ListingType listingType; // FIXED_PRICE or AUCTION
+        bool active;
+    }
+
+    // State Variables
+    uint256 public constant MIN_BUNDLE_CARDS = 2;
+    uint256 public constant MAX_BUNDLE_CARDS = 10;
+    uint96 private constant FEE_DENOMINATOR = 10000;
+
+    PokemonCardToken public pokemonCardContract;
+    PokemonCardTrading public tradingContract;
+
+    uint256 private _bundleIdCounter;
+    mapping(uint256 => Bundle) private _bundles;
+
+    // Listed bundles, unordered, with the position of each bundle ID plus one (0 when not listed)
+    uint256[] private _activeBundleIds;
+    mapping(uint256 => uint256) private _activeBundleIndex;
+
+    mapping(address => uint256) public pendingWithdrawals;
+    // Withdrawable token balances, by token then account
+    mapping(address => mapping(address => uint256)) public pendingTokenWithdrawals;
+
+    // Events
+    event BundleListed(
+        uint256 indexed bundleId,
+        address indexed seller,
+        uint256[] tokenIds,
+        uint256 price,
+        PokemonCardTrading.ListingType listingType,
+        uint256 endTime,
+        address currency
+    );
+    event BundleBid(uint256 indexed bundleId, uint256 bid, address indexed bidder);
+    event BundleAuctionExtended(uint256 indexed bundleId, uint256 endTime);
+    event BundleSold(uint256 indexed bundleId, uint256 price, address indexed seller, address indexed buyer);
+    event BundleCancelled(uint256 indexed bundleId, address indexed seller);
+    event BundleProceedsDistributed(
+        uint256 indexed bundleId,
+        address indexed seller,
+        uint256 sellerProceeds,
+        uint256 royaltyAmount,
+        uint256 platformFeeAmount,
+        address currency
+    );
+    event WithdrawalMade(address indexed recipient, uint256 amount);
+    event TokenWithdrawalMade(address indexed recipient, address indexed currency, uint256 amount);
+
+    // Constructor
+
+    /**
+     * @notice Initializes the contract with the card contract and the trading contract whose fee and rules apply.
+     * @param _pokemonCardContract Address of the deployed PokemonCardToken contract.
+     * @param _tradingContract Address of the deployed PokemonCardTrading contract.
+     */
+    constructor(address _pokemonCardContract, address _tradingContract) Ownable(msg.sender) {
+        pokemonCardContract = PokemonCardToken(_pokemonCardContract);
+        tradingContract = PokemonCardTrading(_tradingContract);
+    }
+
+    // External functions
+
+    /**
+     * @notice Lists owned cards as one bundle for a fixed price.
+     * @dev Requires prior approval for this contract to transfer every card. Transfers the cards to escrow.
+     * @param tokenIds The IDs of the cards to bundle, MIN_BUNDLE_CARDS to MAX_BUNDLE_CARDS of them.
+     * @param price The price of the whole bundle in wei.
+     * @return bundleId The ID of the new bundle.
+     */
+    function listBundleForSale(
+        uint256[] calldata tokenIds,
+        uint256 price
+    ) external whenNotPaused nonReentrant returns (uint256 bundleId) {
+        return _listBundleForSale(tokenIds, price, address(0));
+    }
+
+    /**
+     * @notice Lists owned cards as one bundle for a fixed price in an ERC-20 token the trading contract allows.
+     * @dev Like listBundleForSale, the buyer pays the price in the token after approving it to this contract.
+     * @param tokenIds The IDs of the cards to bundle, MIN_BUNDLE_CARDS to MAX_BUNDLE_CARDS of them.
+     * @param price The price of the whole bundle in the smallest unit of the currency.
+     * @param currency An allowed ERC-20 token, the zero address for ETH.
+     * @return bundleId The ID of the new bundle.
+     */
+    function listBundleForSaleInCurrency(
+        uint256[] calldata tokenIds,
+        uint256 price,
+        address currency
+    ) external whenNotPaused nonReentrant returns (uint256 bundleId) {
+        return _listBundleForSale(tokenIds, price, currency);
+    }
+
+    /**
+     * @notice Lists owned cards as one bundle for auction.
+     * @dev Requires prior approval for this contract to transfer every card. Transfers the cards to escrow.
+     * Bids follow the minimum increments and anti-sniping extension of the trading contract.
+     * @param tokenIds The IDs of the cards to bundle, MIN_BUNDLE_CARDS to MAX_BUNDLE_CARDS of them.
+     * @param startingPrice The starting price of the whole bundle in wei.
+     * @param duration The auction duration in seconds.
+     * @return bundleId The ID of the new bundle.
+     */
+    function listBundleForAuction(
+        uint256[] calldata tokenIds,
+        uint256 startingPrice,
+        uint256 duration
+    ) external whenNotPaused nonReentrant returns (uint256 bundleId) {
+        return _listBundleForAuction(tokenIds, startingPrice, duration, address(0));
+    }
+
+    /**
+     * @notice Lists owned cards as one bundle for auction in an ERC-20 token the trading contract allows.
+     * @dev Like listBundleForAuction, bids are placed with placeTokenBid.
+     * @param tokenIds The IDs of the cards to bundle, MIN_BUNDLE_CARDS to MAX_BUNDLE_CARDS of them.
+     * @param startingPrice The starting price of the whole bundle in the smallest unit of the currency.
+     * @param duration The auction duration in seconds.
+     * @param currency An allowed ERC-20 token, the zero address for ETH.
+     * @return bundleId The ID of the new bundle.
+     */
+    function listBundleForAuctionInCurrency(
+        uint256[] calldata tokenIds,
+        uint256 startingPrice,
+        uint256 duration,
+        address currency
+    ) external whenNotPaused nonReentrant returns (uint256 bundleId) {
+        return _listBundleForAuction(tokenIds, startingPrice, duration, currency);
+    }
+
+    /**
+     * @notice Buys every card of a fixed-price bundle.
+     * @dev Paid in ETH, payment above the price being credited back to the buyer, or in the bundle's token, approved
+     * to this contract beforehand.
+     * @param bundleId The ID of the bundle to buy.
+     * @param maxPrice The most the buyer pays, like on the trading contract.
+     */
+    function buyBundle(uint256 bundleId, uint256 maxPrice) external payable nonReentrant whenNotPaused {
+        Bundle storage bundle = _bundles[bundleId];
+
+        require(bundle.active, "Bundle is not active");
+        require(bundle.listingType == PokemonCardTrading.ListingType.FIXED_PRICE, "Bundle is not listed for fixed price");
+
+        uint256 price = bundle.price;
+        _collectPayment(bundle.currency, price, maxPrice);
+
+        address seller = bundle.seller;
+        _close(bundleId);
+
+        _distributeSaleProceeds(bundleId, bundle, price);
+
+        _transferCards(bundle.tokenIds, msg.sender);
+
+        emit BundleSold(bundleId, price, seller, msg.sender);
+    }
+
+    /**
+     * @notice Places a bid on a bundle auction, of at least getMinimumBid.
+     * @dev The previous highest bid is credited back to its bidder. A bid placed within the trading contract's
+     * extension window of the end extends the auction by its extension.
+     * @param bundleId The ID of the bundle to bid on.
+     */
+    function placeBid(uint256 bundleId) external payable nonReentrant whenNotPaused {
+        require(_bundles[bundleId].currency == address(0), "Auction is paid in a token");
+        _placeBid(bundleId, msg.value);
+    }
+
+    /**
+     * @notice Places a bid on a bundle auction paid in an ERC-20 token, like placeBid.
+     * @dev The bid is taken from the bidder's tokens, approved to this contract beforehand.
+     * @param bundleId The ID of the bundle to bid on.
+     * @param amount The bid in the smallest unit of the bundle's token.
+     */
+    function placeTokenBid(uint256 bundleId, uint256 amount) external nonReentrant whenNotPaused {
+        address currency = _bundles[bundleId].currency;
+        require(currency != address(0), "Auction is paid in ETH");
+        _placeBid(bundleId, amount);
+        IERC20(currency).safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    /**
+     * @notice Ends a bundle auction after its end time, by anyone.
+     * @dev The winner receives every card and the winning bid is split like a sale. Without bids the cards are
+     * returned to the seller.
+     * @param bundleId The ID of the bundle whose auction to end.
+     */
+    function endAuction(uint256 bundleId) external nonReentrant whenNotPaused {
+        Bundle storage bundle = _bundles[bundleId];
+
+        require(bundle.active, "Bundle is not active");
+        require(bundle.listingType == PokemonCardTrading.ListingType.AUCTION, "Bundle is not listed for auction");
+        require(block.timestamp >= bundle.endTime, "Auction has not ended yet");
+
+        address seller = bundle.seller;
+        address winner = bundle.highestBidder;
+        _close(bundleId);
+
+        if (winner != address(0)) {
+            uint256 winningBid = bundle.highestBid;
+            _distributeSaleProceeds(bundleId, bundle, winningBid);
+            _transferCards(bundle.tokenIds, winner);
+            emit BundleSold(bundleId, winningBid, seller, winner);
+        } else {
+            _transferCards(bundle.tokenIds, seller);
+            emit BundleCancelled(bundleId, seller);
+        }
+    }
+
+    /**
+     * @notice Cancels a bundle, returning its cards to the seller.
+     * @dev Only the seller can cancel. Auctions can only be cancelled if there are no bids.
+     * @param bundleId The ID of the bundle to cancel.
+     */
+    function cancelBundle(uint256 bundleId) external whenNotPaused nonReentrant {
+        Bundle storage bundle = _bundles[bundleId];
+
+        require(bundle.active, "Bundle is not active");
+        require(bundle.seller == msg.sender, "Only the seller can cancel a bundle");
+        require(bundle.highestBidder == address(0), "Cannot cancel auction with bids");
+
+        _close(bundleId);
+        _transferCards(bundle.tokenIds, msg.sender);
+
+        emit BundleCancelled(bundleId, msg.sender);
+    }
+
+    /**
+     * @dev Withdraws funds from pending withdrawals
+     */
+    function withdraw() external nonReentrant whenNotPaused {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount != 0, "No funds to withdraw");
+
+        pendingWithdrawals[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit WithdrawalMade(msg.sender, amount);
+    }
+
+    /**
+     * @notice Withdraws the caller's pending balance of an ERC-20 token.
+     * @dev Proceeds, royalties, fees and outbid bids of bundles paid in the token.
+     * @param currency The token to withdraw.
+     */
+    function withdrawToken(address currency) external nonReentrant whenNotPaused {
+        uint256 amount = pendingTokenWithdrawals[currency][msg.sender];
+        require(amount != 0, "No funds to withdraw");
+
+        pendingTokenWithdrawals[currency][msg.sender] = 0;
+
+        IERC20(currency).safeTransfer(msg.sender, amount);
+
+        emit TokenWithdrawalMade(msg.sender, currency, amount);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Gets a bundle with its cards.
+     * @param bundleId The ID of the bundle.
+     * @return The bundle, with an empty card list if it does not exist.
+     */
+    function getBundle(uint256 bundleId) external view returns (Bundle memory) {
+        return _bundles[bundleId];
+    }
+
+    /**
+     * @notice Gets the IDs of all listed bundles.
+     * @return The bundle IDs, in no particular order.
+     */
+    function getActiveBundles() external view returns (uint256[] memory) {
+        return _activeBundleIds;
+    }
+
+    // Public functions
+
+    /**
+     * @notice Splits the price of a bundle between its seller, the royalty receivers of its cards and the platform.
+     * @dev Each card's royalty is taken from an equal share of the price, the last card's share includes the
+     * remainder of the division.
+     * @param bundleId The ID of the bundle.
+     * @param price The sale price in the smallest unit of the bundle's currency.
+     * @return sellerProceeds The amount credited to the seller.
+     * @return royaltyAmount The amount credited to the royalty receivers of all cards.
+     * @return platformFeeAmount The amount credited to the platform fee recipient.
+     */
+    function getSaleBreakdown(uint256 bundleId, uint256 price) public view returns (
+        uint256 sellerProceeds,
+        uint256 royaltyAmount,
+        uint256 platformFeeAmount
+    ) {
+        uint256[] storage tokenIds = _bundles[bundleId].tokenIds;
+        platformFeeAmount = (price * tradingContract.platformFee()) / FEE_DENOMINATOR;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            (, uint256 amount) = pokemonCardContract.royaltyInfo(tokenIds[i], _cardShare(price, tokenIds.length, i));
+            royaltyAmount += amount;
+        }
+        sellerProceeds = price - platformFeeAmount - royaltyAmount;
+    }
+
+    /**
+     * @notice Gets the lowest bid a bundle auction accepts next, like PokemonCardTrading.getMinimumBid.
+     * @dev The starting price until the first bid, then the highest bid plus the larger of the trading contract's
+     * minimum increments, and at least one wei more.
+     * @param bundleId The ID of the auctioned bundle.
+     * @return The minimum bid in the smallest unit of the bundle's currency.
+     */
+    function getMinimumBid(uint256 bundleId) public view returns (uint256) {
+        Bundle storage bundle = _bundles[bundleId];
+        if (bundle.highestBidder == address(0)) {
+            return bundle.price;
+        }
+
+        uint256 increment = (bundle.highestBid * tradingContract.minBidIncrement()) / FEE_DENOMINATOR;
+        uint256 incrementAmount = tradingContract.minBidIncrementAmount();
+        if (incrementAmount > increment) {
+            increment = incrementAmount;
+        }
+        return bundle.highestBid + (increment == 0 ? 1 : increment);
+    }
+
+    function pause() public onlyOwner {
+        _pause();
+    }
+
+    function unpause() public onlyOwner {
+        _unpause();
+    }
+
+    // Private functions
+
+    function _listBundleForSale(
+        uint256[] calldata tokenIds,
+        uint256 price,
+        address currency
+    ) private returns (uint256 bundleId) {
+        require(price != 0, "Price must be greater than zero");
+        return _listBundle(tokenIds, price, PokemonCardTrading.ListingType.FIXED_PRICE, 0, currency);
+    }
+
+    function _listBundleForAuction(
+        uint256[] calldata tokenIds,
+        uint256 startingPrice,
+        uint256 duration,
+        address currency
+    ) private returns (uint256 bundleId) {
+        require(startingPrice != 0, "Starting price must be greater than zero");
+        require(duration != 0, "Duration must be greater than zero");
+        return _listBundle(
+            tokenIds,
+            startingPrice,
+            PokemonCardTrading.ListingType.AUCTION,
+            block.timestamp + duration,
+            currency
+        );
+    }
+
+    // Escrow the cards of a new bundle, paid in ETH or a token allowed by the trading contract
+    function _listBundle(
+        uint256[] calldata tokenIds,
+        uint256 price,
+        PokemonCardTrading.ListingType listingType,
+        uint256 endTime,
+        address currency
+    ) private returns (uint256 bundleId) {
+        require(tokenIds.length >= MIN_BUNDLE_CARDS, "A bundle needs at least two cards");
+        require(tokenIds.length <= MAX_BUNDLE_CARDS, "Too many cards in the bundle");
+        require(currency == address(0) || tradingContract.allowedCurrencies(currency), "Currency is not allowed");
+
+        bundleId = _bundleIdCounter;
+        _bundleIdCounter++;
+
+        // A card listed twice fails the ownership check once it is in escrow
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            require(pokemonCardContract.ownerOf(tokenIds[i]) == msg.sender, "You must own the card to list it");
+            require(
+                pokemonCardContract.getApproved(tokenIds[i]) == address(this) ||
+                pokemonCardContract.isApprovedForAll(msg.sender, address(this)),
+                "Bundle contract is not approved to transfer this token"
+            );
+            pokemonCardContract.transferFrom(msg.sender, address(this), tokenIds[i]);
+        }
+
+        _bundles[bundleId] = Bundle({
+            seller: msg.sender,
+            tokenIds: tokenIds,
+            price: price,
+            currency: currency,
+            endTime: endTime,
+            highestBidder: address(0),
+            highestBid: 0,
+            listingType: listingType,
+            active: true
+        });
+        _activeBundleIds.push(bundleId);
+        _activeBundleIndex[bundleId] = _activeBundleIds.length;
+
+        emit BundleListed(bundleId, msg.sender, tokenIds, price, listingType, endTime, currency);
+    }
+
+    function _placeBid(uint256 bundleId, uint256 amount) private {
+        Bundle storage bundle = _bundles[bundleId];
+
+        require(bundle.active, "Bundle is not active");
+        require(bundle.listingType == PokemonCardTrading.ListingType.AUCTION, "Bundle is not listed for auction");
+        require(block.timestamp < bundle.endTime, "Auction has ended");
+        require(amount >= getMinimumBid(bundleId), "Bid too low");
+
+        if (bundle.highestBidder != address(0)) {
+            _credit(bundle.currency, bundle.highestBidder, bundle.highestBid);
+        }
+
+        bundle.highestBidder = msg.sender;
+        bundle.highestBid = amount;
+
+        emit BundleBid(bundleId, amount, msg.sender);
+
+        uint256 extension = tradingContract.auctionExtension();
+        if (extension != 0 && bundle.endTime - block.timestamp <= tradingContract.auctionExtensionWindow()) {
+            bundle.endTime += extension;
+            emit BundleAuctionExtended(bundleId, bundle.endTime);
+        }
+    }
+
+    // Marks a bundle inactive and removes it from the listed bundles
+    function _close(uint256 bundleId) private {
+        _bundles[bundleId].active = false;
+
+        uint256 index = _activeBundleIndex[bundleId] - 1;
+        uint256 lastBundleId = _activeBundleIds[_activeBundleIds.length - 1];
+        _activeBundleIds[index] = lastBundleId;
+        _activeBundleIndex[lastBundleId] = index + 1;
+        _activeBundleIds.pop();
+        delete _activeBundleIndex[bundleId];
+    }
+
+    function _transferCards(uint256[] storage tokenIds, address to) private {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            pokemonCardContract.transferFrom(address(this), to, tokenIds[i]);
+        }
+    }
+
+    // Take the price of a bundle from the buyer, in ETH sent along (the excess credited back) or in the bundle's token
+    function _collectPayment(address currency, uint256 price, uint256 maxPrice) private {
+        require(price <= maxPrice, "Price is above the maximum");
+        if (currency == address(0)) {
+            require(msg.value >= price, "Insufficient payment");
+            if (msg.value > price) {
+                pendingWithdrawals[msg.sender] += (msg.value - price);
+            }
+        } else {
+            require(msg.value == 0, "Bundle is paid in a token");
+            IERC20(currency).safeTransferFrom(msg.sender, address(this), price);
+        }
+    }
+
+    // Add to the withdrawable balance of an account, in ETH or an ERC-20 token
+    function _credit(address currency, address account, uint256 amount) private {
+        if (currency == address(0)) {
+            pendingWithdrawals[account] += amount;
+        } else {
+            pendingTokenWithdrawals[currency][account] += amount;
+        }
+    }
+
+    function _distributeSaleProceeds(uint256 bundleId, Bundle storage bundle, uint256 price) private {
+        address currency = bundle.currency;
+        uint256[] storage tokenIds = bundle.tokenIds;
+        uint256 royaltyAmount = 0;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            (address receiver, uint256 amount) = pokemonCardContract.royaltyInfo(
+                tokenIds[i],
+                _cardShare(price, tokenIds.length, i)
+            );
+            if (amount != 0) {
+                _credit(currency, receiver, amount);
+                royaltyAmount += amount;
+            }
+        }
+
+        uint256 platformFeeAmount = (price * tradingContract.platformFee()) / FEE_DENOMINATOR;
+        if (platformFeeAmount != 0) {
+            _credit(currency, tradingContract.feeRecipient(), platformFeeAmount);
+        }
+
+        uint256 sellerProceeds = price - platformFeeAmount - royaltyAmount;
+        _credit(currency, bundle.seller, sellerProceeds);
+
+        emit BundleProceedsDistributed(
+            bundleId,
+            bundle.seller,
+            sellerProceeds,
+            royaltyAmount,
+            platformFeeAmount,
+            currency
+        );
+    }
+
+    // Share of the bundle price a card's royalty is taken from
+    function _cardShare(uint256 price, uint256 cardCount, uint256 index) private pure returns (uint256) {
+        uint256 share = price / cardCount;
+        return index == cardCount - 1 ? price - share * (cardCount - 1) : share;
+    }
+}
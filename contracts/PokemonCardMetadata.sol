@@ -0,0 +1,164 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Base64} from "@openzeppelin/contracts/utils/Base64.sol";
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @title PokemonCardMetadata
+ * @dev Builds self-contained token metadata: a base64 JSON data URI with the card's name, Pokedex number and
+ * rarity as attributes, and an SVG card frame colored by rarity as its image.
+ */
+library PokemonCardMetadata {
+    using Strings for uint256;
+
+    // Gen 1 names in Pokedex order, separated by "|" (taken from the frontend's generated Pokedex dataset)
+    string private constant POKEMON_NAMES =
+        unicode"Bulbasaur|Ivysaur|Venusaur|Charmander|Charmeleon|Charizard|Squirtle|Wartortle|Blastoise|Caterpie|"
+        unicode"Metapod|Butterfree|Weedle|Kakuna|Beedrill|Pidgey|Pidgeotto|Pidgeot|Rattata|Raticate|"
+        unicode"Spearow|Fearow|Ekans|Arbok|Pikachu|Raichu|Sandshrew|Sandslash|Nidoran♀|Nidorina|"
+        unicode"Nidoqueen|Nidoran♂|Nidorino|Nidoking|Clefairy|Clefable|Vulpix|Ninetales|Jigglypuff|Wigglytuff|"
+        unicode"Zubat|Golbat|Oddish|Gloom|Vileplume|Paras|Parasect|Venonat|Venomoth|Diglett|"
+        unicode"Dugtrio|Meowth|Persian|Psyduck|Golduck|Mankey|Primeape|Growlithe|Arcanine|Poliwag|"
+        unicode"Poliwhirl|Poliwrath|Abra|Kadabra|Alakazam|Machop|Machoke|Machamp|Bellsprout|Weepinbell|"
+        unicode"Victreebel|Tentacool|Tentacruel|Geodude|Graveler|Golem|Ponyta|Rapidash|Slowpoke|Slowbro|"
+        unicode"Magnemite|Magneton|Farfetch’d|Doduo|Dodrio|Seel|Dewgong|Grimer|Muk|Shellder|"
+        unicode"Cloyster|Gastly|Haunter|Gengar|Onix|Drowzee|Hypno|Krabby|Kingler|Voltorb|"
+        unicode"Electrode|Exeggcute|Exeggutor|Cubone|Marowak|Hitmonlee|Hitmonchan|Lickitung|Koffing|Weezing|"
+        unicode"Rhyhorn|Rhydon|Chansey|Tangela|Kangaskhan|Horsea|Seadra|Goldeen|Seaking|Staryu|"
+        unicode"Starmie|Mr. Mime|Scyther|Jynx|Electabuzz|Magmar|Pinsir|Tauros|Magikarp|Gyarados|"
+        unicode"Lapras|Ditto|Eevee|Vaporeon|Jolteon|Flareon|Porygon|Omanyte|Omastar|Kabuto|"
+        unicode"Kabutops|Aerodactyl|Snorlax|Articuno|Zapdos|Moltres|Dratini|Dragonair|Dragonite|Mewtwo|"
+        unicode"Mew";
+
+    /**
+     * @notice Builds the tokenURI of a card.
+     * @param tokenId The ID of the token.
+     * @param pokemonId The Pokemon ID (1-151).
+     * @param rarity The rarity level as its index (0 = COMMON, 1 = RARE, 2 = EPIC).
+     * @return A data URI holding the JSON metadata.
+     */
+    function tokenURI(uint256 tokenId, uint8 pokemonId, uint8 rarity) internal pure returns (string memory) {
+        string memory name = pokemonName(pokemonId);
+        string memory json = string.concat(
+            '{"name":"', name, " #", tokenId.toString(),
+            '","description":"', rarityName(rarity), " Pokemon card of ", name, " (Pokedex #", _dexNumber(pokemonId), ')",',
+            '"image":"data:image/svg+xml;base64,', Base64.encode(bytes(_svg(tokenId, pokemonId, rarity, name))), '",',
+            _attributes(pokemonId, rarity, name),
+            "}"
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @notice Gets the name of a Gen 1 Pokemon.
+     * @param pokemonId The Pokemon ID (1-151).
+     * @return The name, or "Unknown Pokemon" outside of Gen 1.
+     */
+    function pokemonName(uint8 pokemonId) internal pure returns (string memory) {
+        bytes memory names = bytes(POKEMON_NAMES);
+        uint256 index = 1;
+        uint256 start = 0;
+
+        for (uint256 i = 0; i <= names.length; i++) {
+            if (i == names.length || names[i] == "|") {
+                if (index == pokemonId) {
+                    bytes memory name = new bytes(i - start);
+                    for (uint256 j = 0; j < name.length; j++) {
+                        name[j] = names[start + j];
+                    }
+                    return string(name);
+                }
+                index++;
+                start = i + 1;
+            }
+        }
+
+        return "Unknown Pokemon";
+    }
+
+    /**
+     * @notice Gets the display name of a rarity level.
+     * @param rarity The rarity level as its index.
+     * @return "Common", "Rare" or "Epic".
+     */
+    function rarityName(uint8 rarity) internal pure returns (string memory) {
+        if (rarity == 2) return "Epic";
+        if (rarity == 1) return "Rare";
+        return "Common";
+    }
+
+    // Private functions
+
+    // Frame and background colors per rarity: gray for COMMON, blue for RARE, purple for EPIC
+    function _colors(uint8 rarity) private pure returns (string memory frame, string memory background) {
+        if (rarity == 2) return ("#7e22ce", "#f3e8ff");
+        if (rarity == 1) return ("#1d4ed8", "#dbeafe");
+        return ("#4b5563", "#f3f4f6");
+    }
+
+    // Pokedex number padded to three digits, like #025
+    function _dexNumber(uint8 pokemonId) private pure returns (string memory) {
+        if (pokemonId < 10) return string.concat("00", uint256(pokemonId).toString());
+        if (pokemonId < 100) return string.concat("0", uint256(pokemonId).toString());
+        return uint256(pokemonId).toString();
+    }
+
+    function _attributes(uint8 pokemonId, uint8 rarity, string memory name) private pure returns (string memory) {
+        return string.concat(
+            '"attributes":[',
+            '{"trait_type":"Pokemon","value":"', name, '"},',
+            '{"trait_type":"Pokedex Number","display_type":"number","value":', uint256(pokemonId).toString(), "},",
+            '{"trait_type":"Rarity","value":"', rarityName(rarity), '"}',
+            "]"
+        );
+    }
+
+    function _svg(uint256 tokenId, uint8 pokemonId, uint8 rarity, string memory name)
+        private
+        pure
+        returns (string memory)
+    {
+        (string memory frame, string memory background) = _colors(rarity);
+
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 490" font-family="sans-serif">',
+            _svgFrame(frame, background),
+            _svgTexts(tokenId, string.concat("#", _dexNumber(pokemonId)), rarity, name, frame),
+            "</svg>"
+        );
+    }
+
+    // Card border in the rarity color, with a tinted artwork area
+    function _svgFrame(string memory frame, string memory background) private pure returns (string memory) {
+        return string.concat(
+            '<rect width="350" height="490" rx="18" fill="', frame, '"/>',
+            '<rect x="14" y="14" width="322" height="462" rx="12" fill="#fffbeb"/>',
+            '<rect x="30" y="72" width="290" height="250" rx="8" fill="', background,
+            '" stroke="', frame, '" stroke-width="4"/>'
+        );
+    }
+
+    // Name and Pokedex number on top, the number again as artwork, then rarity and card number
+    function _svgTexts(
+        uint256 tokenId,
+        string memory dexNumber,
+        uint8 rarity,
+        string memory name,
+        string memory frame
+    ) private pure returns (string memory) {
+        string memory frameFill = string.concat(' text-anchor="middle" font-weight="bold" fill="', frame, '"');
+
+        return string.concat(
+            _text('x="30" y="52" font-size="24" font-weight="bold" fill="#111827"', name),
+            _text('x="320" y="52" font-size="16" text-anchor="end" fill="#6b7280"', dexNumber),
+            _text(string.concat('x="175" y="222" font-size="64"', frameFill), dexNumber),
+            _text(string.concat('x="175" y="380" font-size="28"', frameFill), rarityName(rarity)),
+            _text('x="175" y="450" font-size="14" text-anchor="middle" fill="#6b7280"', string.concat("Card #", tokenId.toString()))
+        );
+    }
+
+    function _text(string memory attributes, string memory content) private pure returns (string memory) {
+        return string.concat("<text ", attributes, ">", content, "</text>");
+    }
+}
@@ -0,0 +1,272 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
+import {PokemonCardToken} from "./PokemonCardToken.sol";
+
+/**
+ * @title PokemonCardPacks
+ * @notice Sells booster packs of PokemonCardToken cards, drawn from configurable rarity odds.
+ * @dev Randomness uses commit-reveal: the buyer commits to the hash of a secret when buying, and opens the pack
+ * in a later block by revealing the secret. The draw is seeded by the secret and the hash of the purchase block,
+ * so neither the buyer (who cannot know the block hash when committing) nor the block producer (who does not know
+ * the secret) controls the outcome. A pack not opened in time, e.g. because its secret was lost, can be settled by
+ * anyone instead, drawing its cards from the hash of the block it expired in. The buyer cannot know that hash
+ * while the pack can still be opened, so letting a pack expire does not pick its cards. Cards are drawn with the
+ * odds in effect when the pack was bought. Needs to be an approved minter of the token contract.
+ */
+contract PokemonCardPacks is ReentrancyGuard, Pausable, Ownable {
+
+    // Type Declarations
+    struct Pack {
+        address buyer;
+        bytes32 commitment; // keccak256 of the buyer's secret
+        uint256 commitBlock; // Block the pack was bought in, its hash seeds the draw
+        uint256 firstTokenId; // The cards of an opened pack have consecutive token IDs starting here
+        uint8 cardCount;
+        bool opened; // Also set when the pack is settled
+        uint16[3] rarityOdds; // Odds in effect when the pack was bought, its cards are drawn with these
+    }
+
+    // State Variables
+    uint256 public constant BASIS_POINTS = 10000;
+    uint8 public constant POKEMON_COUNT = 151; // Gen 1
+    uint8 public constant MAX_CARDS_PER_PACK = 10;
+    uint256 public constant REVEAL_WINDOW = 256; // Block hashes are only available for the latest 256 blocks
+
+    PokemonCardToken public pokemonCardContract;
+
+    uint256 public packPrice;
+    uint8 public cardsPerPack;
+
+    // Chance of each rarity in basis points, indexed by PokemonCardToken.Rarity
+    uint16[3] private _rarityOdds;
+
+    uint256 private _packIdCounter;
+    mapping(uint256 => Pack) public packs;
+    mapping(address => uint256[]) private _packsByBuyer;
+
+    // Events
+    event PackPurchased(uint256 indexed packId, address indexed buyer, uint256 price, uint8 cardCount);
+    event PackOpened(uint256 indexed packId, address indexed buyer, uint256 firstTokenId, uint8 cardCount);
+    event PackSettled(uint256 indexed packId, address indexed settledBy);
+    event PackConfigUpdated(uint256 price, uint8 cardsPerPack);
+    event RarityOddsUpdated(uint16[3] odds);
+    event ProceedsWithdrawn(address indexed recipient, uint256 amount);
+
+    // Constructor
+
+    /**
+     * @notice Initializes the pack sale with its price, size and the default odds (COMMON 80%, RARE 17%, EPIC 3%).
+     * @param _pokemonCardContract Address of the deployed PokemonCardToken contract.
+     * @param _packPrice Price of a pack in wei.
+     * @param _cardsPerPack Number of cards in a pack.
+     */
+    constructor(address _pokemonCardContract, uint256 _packPrice, uint8 _cardsPerPack) Ownable(msg.sender) {
+        pokemonCardContract = PokemonCardToken(_pokemonCardContract);
+        _setPackConfig(_packPrice, _cardsPerPack);
+        _setRarityOdds([uint16(8000), uint16(1700), uint16(300)]);
+    }
+
+    // External functions
+
+    /**
+     * @notice Buys a pack, committing to a secret that is revealed to open it.
+     * @dev Payment must match the pack price exactly. The secret must be kept until the pack is opened,
+     * which is possible from the next block on and for REVEAL_WINDOW blocks after the purchase. After that the
+     * pack can only be settled. The payment is part of the proceeds right away.
+     * @param commitment keccak256 hash of a random 32 byte secret chosen by the buyer.
+     * @return packId The ID of the new pack.
+     */
+    function buyPack(bytes32 commitment) external payable whenNotPaused nonReentrant returns (uint256 packId) {
+        require(msg.value == packPrice, "Payment must equal the pack price");
+        require(commitment != bytes32(0), "Commitment must not be empty");
+
+        packId = _packIdCounter;
+        _packIdCounter++;
+
+        packs[packId] = Pack({
+            buyer: msg.sender,
+            commitment: commitment,
+            commitBlock: block.number,
+            firstTokenId: 0,
+            cardCount: cardsPerPack,
+            opened: false,
+            rarityOdds: _rarityOdds
+        });
+        _packsByBuyer[msg.sender].push(packId);
+
+        emit PackPurchased(packId, msg.sender, msg.value, cardsPerPack);
+    }
+
+    /**
+     * @notice Opens a pack by revealing its secret, minting the drawn cards to the buyer.
+     * @dev Still possible while the sale is paused. A pack that is not opened within REVEAL_WINDOW blocks can
+     * no longer be opened, as the hash of its purchase block is gone; it is settled with settleExpiredPack instead.
+     * @param packId The ID of the pack to open.
+     * @param secret The secret the pack's commitment is the hash of.
+     */
+    function openPack(uint256 packId, bytes32 secret) external nonReentrant {
+        Pack storage pack = packs[packId];
+
+        require(pack.buyer == msg.sender, "Only the buyer can open a pack");
+        require(!pack.opened, "Pack already opened");
+        require(block.number > pack.commitBlock, "Pack cannot be opened in the block it was bought");
+        require(block.number - pack.commitBlock <= REVEAL_WINDOW, "Pack can no longer be opened");
+        require(keccak256(abi.encodePacked(secret)) == pack.commitment, "Secret does not match the commitment");
+
+        _openPack(packId, pack, keccak256(abi.encodePacked(secret, blockhash(pack.commitBlock), packId)));
+    }
+
+    /**
+     * @notice Opens a pack that was not opened within REVEAL_WINDOW blocks, minting its cards to the buyer.
+     * @dev Callable by anyone and needs no secret, so packs whose secret was lost get their cards too. The draw is
+     * seeded by the hash of the first block the pack could no longer be opened in, which must still be available:
+     * a pack not settled within REVEAL_WINDOW blocks of expiring keeps neither cards nor payment. Still possible
+     * while the sale is paused.
+     * @param packId The ID of the expired pack.
+     */
+    function settleExpiredPack(uint256 packId) external nonReentrant {
+        Pack storage pack = packs[packId];
+
+        require(pack.buyer != address(0), "Pack does not exist");
+        require(!pack.opened, "Pack already opened");
+
+        uint256 expiryBlock = pack.commitBlock + REVEAL_WINDOW + 1;
+        require(block.number > expiryBlock, "Pack cannot be settled yet");
+        require(block.number - expiryBlock <= REVEAL_WINDOW, "Pack can no longer be settled");
+
+        _openPack(packId, pack, keccak256(abi.encodePacked(pack.commitment, blockhash(expiryBlock), packId)));
+
+        emit PackSettled(packId, msg.sender);
+    }
+
+    /**
+     * @notice Sets the price and size of packs bought from now on.
+     * @dev Only callable by the owner. Packs already bought keep their size.
+     * @param price Price of a pack in wei.
+     * @param count Number of cards in a pack (1 to MAX_CARDS_PER_PACK).
+     */
+    function setPackConfig(uint256 price, uint8 count) external onlyOwner {
+        _setPackConfig(price, count);
+    }
+
+    /**
+     * @notice Sets the chance of each rarity for packs bought from now on.
+     * @dev Only callable by the owner. Packs already bought keep the odds they were bought with.
+     * @param odds Chances of COMMON, RARE and EPIC in basis points, adding up to BASIS_POINTS.
+     */
+    function setRarityOdds(uint16[3] calldata odds) external onlyOwner {
+        _setRarityOdds(odds);
+    }
+
+    /**
+     * @notice Sends the proceeds of all pack sales to the owner.
+     */
+    function withdrawProceeds() external onlyOwner nonReentrant {
+        uint256 amount = address(this).balance;
+        require(amount != 0, "No proceeds to withdraw");
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit ProceedsWithdrawn(msg.sender, amount);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Gets the chance of each rarity.
+     * @return Chances of COMMON, RARE and EPIC in basis points.
+     */
+    function getRarityOdds() external view returns (uint16[3] memory) {
+        return _rarityOdds;
+    }
+
+    /**
+     * @notice Gets the chance of each rarity the cards of a pack are drawn with.
+     * @param packId The ID of the pack.
+     * @return Chances of COMMON, RARE and EPIC in basis points, as in effect when the pack was bought.
+     */
+    function getPackOdds(uint256 packId) external view returns (uint16[3] memory) {
+        return packs[packId].rarityOdds;
+    }
+
+    /**
+     * @notice Gets the IDs of all packs an address bought, opened or not.
+     * @param buyer The address to query.
+     * @return The pack IDs, oldest first.
+     */
+    function getPacksOf(address buyer) external view returns (uint256[] memory) {
+        return _packsByBuyer[buyer];
+    }
+
+    // Public functions
+
+    function pause() public onlyOwner {
+        _pause();
+    }
+
+    function unpause() public onlyOwner {
+        _unpause();
+    }
+
+    // Private functions
+
+    function _setPackConfig(uint256 price, uint8 count) private {
+        require(price != 0, "Price must be greater than zero");
+        require(count != 0 && count <= MAX_CARDS_PER_PACK, "Invalid number of cards per pack");
+
+        packPrice = price;
+        cardsPerPack = count;
+
+        emit PackConfigUpdated(price, count);
+    }
+
+    function _setRarityOdds(uint16[3] memory odds) private {
+        require(uint256(odds[0]) + odds[1] + odds[2] == BASIS_POINTS, "Odds must add up to 100%");
+
+        _rarityOdds = odds;
+
+        emit RarityOddsUpdated(odds);
+    }
+
+    // Marks a pack opened and mints its cards to the buyer, drawn from the seed with the odds of the pack
+    function _openPack(uint256 packId, Pack storage pack, bytes32 seed) private {
+        pack.opened = true;
+
+        for (uint256 i = 0; i < pack.cardCount; i++) {
+            (uint8 pokemonId, PokemonCardToken.Rarity rarity) = _drawCard(seed, i, pack.rarityOdds);
+            uint256 tokenId = pokemonCardContract.mintPokemonCard(pack.buyer, pokemonId, rarity);
+            if (i == 0) {
+                pack.firstTokenId = tokenId;
+            }
+        }
+
+        emit PackOpened(packId, pack.buyer, pack.firstTokenId, pack.cardCount);
+    }
+
+    // Draws the Pokemon (uniformly from Gen 1) and the rarity (by the odds) of the card at an index of a pack
+    function _drawCard(
+        bytes32 seed,
+        uint256 index,
+        uint16[3] storage odds
+    ) private view returns (uint8 pokemonId, PokemonCardToken.Rarity rarity) {
+        uint256 word = uint256(keccak256(abi.encodePacked(seed, index)));
+
+        pokemonId = uint8(word % POKEMON_COUNT) + 1;
+
+        uint256 roll = (word >> 128) % BASIS_POINTS;
+        uint256 cumulative = 0;
+        for (uint8 i = 0; i < 3; i++) {
+            cumulative += odds[i];
+            if (roll < cumulative) {
+                return (pokemonId, PokemonCardToken.Rarity(i));
+            }
+        }
+        // Unreachable, the odds add up to BASIS_POINTS
+        return (pokemonId, PokemonCardToken.Rarity.COMMON);
+    }
+}
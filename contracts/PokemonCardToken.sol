@@ -3,13 +3,16 @@ pragma solidity ^0.8.20;
 
 import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import {ERC721Enumerable} from "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import {ERC2981} from "@openzeppelin/contracts/token/common/ERC2981.sol";
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {PokemonCardMetadata} from "./PokemonCardMetadata.sol";
 
 /**
  * @title PokemonCardToken
- * @dev ERC721 token for Pokemon cards with metadata for Pokemon ID and rarity.
+ * @dev ERC721 token for Pokemon cards with metadata for Pokemon ID and rarity, served on-chain by tokenURI.
+ * Reports creator royalties through EIP-2981, which the trading contract pays out on every sale.
  */
-contract PokemonCardToken is ERC721, ERC721Enumerable, Ownable {
+contract PokemonCardToken is ERC721, ERC721Enumerable, ERC2981, Ownable {
     // Type Declarations
     enum Rarity { COMMON, RARE, EPIC }
 
@@ -19,19 +22,76 @@ contract PokemonCardToken is ERC721, ERC721Enumerable, Ownable {
     }
 
     // State Variables
+    uint96 public constant MAX_ROYALTY = 1000; // 10% in basis points
+
     uint256 private _tokenIdCounter;
     mapping(uint256 => PokemonCard) private _pokemonCards;
 
+    // Contracts allowed to mint besides the owner, e.g. the booster pack contract
+    mapping(address => bool) public minters;
+
     // Events
     event PokemonCardMinted(uint256 tokenId, uint8 pokemonId, Rarity rarity, address owner);
+    event MinterUpdated(address indexed minter, bool allowed);
+    event DefaultRoyaltyUpdated(address indexed receiver, uint96 royalty);
+    event TokenRoyaltyUpdated(uint256 indexed tokenId, address indexed receiver, uint96 royalty);
+
+    // Modifiers
+
+    /**
+     * @dev Restricts a function to the owner and the approved minters, reverting like onlyOwner otherwise.
+     */
+    modifier onlyMinter() {
+        if (msg.sender != owner() && !minters[msg.sender]) {
+            revert OwnableUnauthorizedAccount(msg.sender);
+        }
+        _;
+    }
     
     constructor() ERC721("PokemonCardNFT", "PKMN") Ownable(msg.sender) {}
 
     // External functions
 
+    /**
+     * @notice Allows or disallows an address to mint cards.
+     * @dev Only callable by the owner.
+     * @param minter Address to update, usually a contract such as PokemonCardPacks.
+     * @param allowed Whether the address may mint.
+     */
+    function setMinter(address minter, bool allowed) external onlyOwner {
+        require(minter != address(0), "Minter cannot be the zero address");
+        minters[minter] = allowed;
+        emit MinterUpdated(minter, allowed);
+    }
+
+    /**
+     * @notice Sets the royalty paid on sales of every card without a royalty of its own.
+     * @dev Only callable by the owner.
+     * @param receiver Address receiving the royalties.
+     * @param royalty Royalty in basis points of the sale price, at most MAX_ROYALTY.
+     */
+    function setDefaultRoyalty(address receiver, uint96 royalty) external onlyOwner {
+        require(royalty <= MAX_ROYALTY, "Royalty exceeds the maximum");
+        _setDefaultRoyalty(receiver, royalty);
+        emit DefaultRoyaltyUpdated(receiver, royalty);
+    }
+
+    /**
+     * @notice Sets the royalty paid on sales of a single card, e.g. to its creator.
+     * @dev Only callable by the owner. Overrides the default royalty for this card.
+     * @param tokenId The ID of the card.
+     * @param receiver Address receiving the royalties.
+     * @param royalty Royalty in basis points of the sale price, at most MAX_ROYALTY.
+     */
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 royalty) external onlyOwner {
+        require(royalty <= MAX_ROYALTY, "Royalty exceeds the maximum");
+        _setTokenRoyalty(tokenId, receiver, royalty);
+        emit TokenRoyaltyUpdated(tokenId, receiver, royalty);
+    }
+
     /**
      * @notice Mints a new Pokemon card NFT to a specified address.
-     * @dev Creates a new token with associated Pokemon data. Only callable by the owner.
+     * @dev Creates a new token with associated Pokemon data. Only callable by the owner and approved minters.
      * @param to Address to mint the token to.
      * @param pokemonId ID of the Pokemon (1-151).
      * @param rarity Rarity level of the card (COMMON, RARE, EPIC).
@@ -41,7 +101,7 @@ contract PokemonCardToken is ERC721, ERC721Enumerable, Ownable {
         address to,
         uint8 pokemonId,
         Rarity rarity
-    ) external onlyOwner returns (uint256) {
+    ) external onlyMinter returns (uint256) {
         uint256 newTokenId = _tokenIdCounter;
         _tokenIdCounter++;
 
@@ -71,12 +131,27 @@ contract PokemonCardToken is ERC721, ERC721Enumerable, Ownable {
         return (card.pokemonId, card.rarity);
     }
 
+    // Public view functions
+
+    /**
+     * @notice Gets the metadata of a card as a base64 JSON data URI.
+     * @dev Built on-chain from the card's Pokemon ID and rarity, including an SVG image, so the card renders
+     * in any wallet or marketplace. Reverts if the token does not exist.
+     * @param tokenId The ID of the token to query.
+     * @return The data URI holding the JSON metadata.
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        PokemonCard storage card = _pokemonCards[tokenId];
+        return PokemonCardMetadata.tokenURI(tokenId, card.pokemonId, uint8(card.rarity));
+    }
+
     // The following functions are overrides required by Solidity.
 
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721Enumerable)
+        override(ERC721, ERC721Enumerable, ERC2981)
         returns (bool)
     {
         return super.supportsInterface(interfaceId);
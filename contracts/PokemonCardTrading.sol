@@ -4,54 +4,172 @@ pragma solidity ^0.8.20;
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
 import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import {PokemonCardToken} from "./PokemonCardToken.sol";
 
 /**
  * @title PokemonCardTrading
  * @notice Manages fixed-price sales and auctions for PokemonCardToken NFTs.
  * @dev Trading contract using escrow. Relies on OpenZeppelin for security patterns.
+ * Every sale is split between the seller, the EIP-2981 royalty receiver of the card and the platform fee recipient.
+ * Auction bids must beat the highest bid by a minimum increment, and bids close to the end extend the auction.
+ * Auctions may have a reserve price the highest bid must reach to sell, and a buy-now price settling them at once.
+ * Dutch auctions lower their price linearly from a start price to a floor, the first buyer paying it wins.
+ * Sellers can change the price of a fixed-price listing, and the starting price and end time of an auction without
+ * bids, while the card stays in escrow. Fixed-price listings may open at a start time and expire at an end time,
+ * after which anyone can return the card to the seller.
+ * Buyers can also make offers on cards that are not listed, escrowing the offered ETH until the offer is
+ * accepted, rejected or withdrawn after it expired. Collectors can also swap cards directly: the proposer offers
+ * cards and optional ETH for cards of the counterparty, and the swap executes atomically when it is accepted.
+ * Listings are paid in ETH or in an ERC-20 token of an owner-managed allowlist, escrowed bids, refunds and proceeds
+ * being kept per currency. Offers and swaps are always paid in ETH.
  */
 contract PokemonCardTrading is ReentrancyGuard, Pausable, Ownable {
+    using SafeERC20 for IERC20;
 
     // Type Declarations
-    enum ListingType { FIXED_PRICE, AUCTION }
+    enum ListingType { FIXED_PRICE, AUCTION, DUTCH_AUCTION }
 
     struct Listing {
         address seller;
         uint256 tokenId;
-        uint256 price; // Starting price for auctions, fixed price otherwise
-        uint256 endTime; // 0 for fixed price, auction end timestamp otherwise
+        uint256 price; // Starting price for auctions and Dutch auctions, fixed price otherwise
+        uint256 endTime; // Expiry of a fixed-price listing (0 for none), auction end or time a Dutch auction reaches its floor
         address highestBidder;
         uint256 highestBid;
         ListingType listingType;
         bool active;
+        uint256 buyNowPrice; // Price settling an auction at once, 0 if it has none
+        uint256 floorPrice; // Lowest price of a Dutch auction, 0 for other listings
+        uint256 startTime; // When a fixed-price listing opens (0 at once) or a Dutch auction started lowering its price
+    }
+
+    enum OfferStatus { NONE, ACTIVE, ACCEPTED, REJECTED, WITHDRAWN }
+
+    struct Offer {
+        uint256 tokenId;
+        address bidder;
+        uint256 amount; // Escrowed in this contract while the offer is active
+        uint256 expiresAt;
+        uint256 counterAmount; // Price the owner countered with, 0 if not countered
+        address counteredBy; // Owner who countered, the counter lapses when the card changes hands
+        OfferStatus status;
+    }
+
+    enum SwapStatus { NONE, PENDING, ACCEPTED, CANCELLED }
+
+    struct Swap {
+        address proposer;
+        address counterparty;
+        uint256[] offeredTokenIds; // Cards of the proposer, approved to this contract
+        uint256[] requestedTokenIds; // Cards of the counterparty, approved to this contract when accepting
+        uint256 sweetener; // ETH the proposer adds, escrowed in this contract
+        uint256 expiresAt;
+        SwapStatus status;
     }
 
     // State Variables
+    uint96 public constant MAX_PLATFORM_FEE = 1000; // 10% in basis points
+    uint96 private constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_OFFER_DURATION = 30 days; // Also the longest a swap proposal stands
+    uint256 public constant MAX_SWAP_CARDS = 10; // Per side of a swap
+    uint256 public constant MAX_AUCTION_EXTENSION = 1 days; // For both the extension window and the extension
 
     PokemonCardToken public pokemonCardContract;
 
+    address public feeRecipient;
+    uint96 public platformFee; // Basis points of the sale price
+
+    uint96 public minBidIncrement; // Basis points of the highest bid a new bid must add
+    uint256 public minBidIncrementAmount; // Wei a new bid must add, the larger of both increments applies
+    uint256 public auctionExtensionWindow; // Bids placed this close to the end extend the auction
+    uint256 public auctionExtension; // Time added to the end of the auction by such a bid
+
+    address public bundlesContract; // PokemonCardBundles, cards it holds in escrow take no offers
+
     mapping(uint256 => Listing) public listings;
+    // Reserve price of each auction, not exposed by the contract's interface (but readable from storage)
+    mapping(uint256 => uint256) private _reservePrices;
 
     mapping(address => uint256) public pendingWithdrawals;
 
+    // ERC-20 tokens listings can be paid in, besides ETH
+    mapping(address => bool) public allowedCurrencies;
+    // Token a listing is paid in, the zero address for ETH
+    mapping(uint256 => address) public listingCurrency;
+    // Withdrawable token balances, by token then account
+    mapping(address => mapping(address => uint256)) public pendingTokenWithdrawals;
+
+    uint256 private _offerIdCounter;
+    mapping(uint256 => Offer) public offers;
+    mapping(uint256 => uint256[]) private _offersByToken;
+    mapping(address => uint256[]) private _offersByBidder;
+
+    uint256 private _swapIdCounter;
+    mapping(uint256 => Swap) private _swaps;
+    mapping(address => uint256[]) private _swapsByProposer;
+    mapping(address => uint256[]) private _swapsByCounterparty;
+
     // Events
     event CardListed(uint256 indexed tokenId, uint256 price, ListingType listingType, uint256 endTime, address indexed seller);
     event AuctionBid(uint256 indexed tokenId, uint256 bid, address indexed bidder);
+    event AuctionExtended(uint256 indexed tokenId, uint256 endTime);
     event CardSold(uint256 indexed tokenId, uint256 price, address indexed seller, address indexed buyer);
     event AuctionEnded(uint256 indexed tokenId, uint256 price, address indexed seller, address indexed winner);
     event CardListingCancelled(uint256 indexed tokenId, address indexed seller);
+    event ListingUpdated(uint256 indexed tokenId, uint256 price, uint256 endTime, address indexed seller);
+    event ListingScheduled(uint256 indexed tokenId, uint256 startTime);
+    event AuctionReserveNotMet(uint256 indexed tokenId, uint256 highestBid, address indexed seller, address indexed bidder);
     event WithdrawalMade(address indexed recipient, uint256 amount);
+    event TokenWithdrawalMade(address indexed recipient, address indexed currency, uint256 amount);
+    event SaleProceedsDistributed(
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 sellerProceeds,
+        address indexed royaltyReceiver,
+        uint256 royaltyAmount,
+        address feeRecipient,
+        uint256 platformFeeAmount,
+        address currency
+    );
+    event PlatformFeeUpdated(address indexed feeRecipient, uint96 platformFee);
+    event CurrencyAllowed(address indexed currency, bool allowed);
+    event AuctionRulesUpdated(
+        uint96 minBidIncrement,
+        uint256 minBidIncrementAmount,
+        uint256 auctionExtensionWindow,
+        uint256 auctionExtension
+    );
+    event OfferMade(uint256 indexed offerId, uint256 indexed tokenId, address indexed bidder, uint256 amount, uint256 expiresAt);
+    event OfferCountered(uint256 indexed offerId, uint256 indexed tokenId, address indexed owner, uint256 counterAmount);
+    event OfferAccepted(uint256 indexed offerId, uint256 indexed tokenId, address indexed seller, address bidder, uint256 amount);
+    event OfferRejected(uint256 indexed offerId, uint256 indexed tokenId, address indexed owner);
+    event OfferWithdrawn(uint256 indexed offerId, uint256 indexed tokenId, address indexed bidder, uint256 amount);
+    event SwapProposed(
+        uint256 indexed swapId,
+        address indexed proposer,
+        address indexed counterparty,
+        uint256[] offeredTokenIds,
+        uint256[] requestedTokenIds,
+        uint256 sweetener,
+        uint256 expiresAt
+    );
+    event SwapAccepted(uint256 indexed swapId, address indexed proposer, address indexed counterparty);
+    event SwapCancelled(uint256 indexed swapId, address indexed cancelledBy);
 
     // Constructor
 
     /**
-     * @notice Initializes the contract, setting the address of the Pokemon Card NFT contract.
-     * @dev Stores the provided address. Reverts if the address is zero.
+     * @notice Initializes the contract, setting the address of the Pokemon Card NFT contract and the platform fee.
+     * @dev Stores the provided address. Reverts if the fee recipient is zero or the fee exceeds the maximum.
      * @param _pokemonCardContract Address of the deployed PokemonCardToken contract.
+     * @param _feeRecipient Address receiving the platform fee.
+     * @param _platformFee Platform fee in basis points of the sale price, at most MAX_PLATFORM_FEE.
      */
-    constructor(address _pokemonCardContract) Ownable(msg.sender) {
+    constructor(address _pokemonCardContract, address _feeRecipient, uint96 _platformFee) Ownable(msg.sender) {
         pokemonCardContract = PokemonCardToken(_pokemonCardContract);
+        _setPlatformFee(_feeRecipient, _platformFee);
     }
 
     /// External functions
@@ -63,30 +181,101 @@ contract PokemonCardTrading is ReentrancyGuard, Pausable, Ownable {
      * @param price The sale price in wei.
      */
     function listCardForSale(uint256 tokenId, uint256 price) external whenNotPaused nonReentrant {
-        require(price != 0, "Price must be greater than zero");
-        require(pokemonCardContract.ownerOf(tokenId) == msg.sender, "You must own the card to list it");
-        require(!listings[tokenId].active, "Card already has an active listing");
-        require(
-            pokemonCardContract.getApproved(tokenId) == address(this) ||
-            pokemonCardContract.isApprovedForAll(msg.sender, address(this)),
-            "Trading contract is not approved to transfer this token"
-        );
+        _listForSale(tokenId, price, 0, 0, address(0));
+    }
 
-        listings[tokenId] = Listing({
-            seller: msg.sender,
-            tokenId: tokenId,
-            price: price,
-            endTime: 0,
-            highestBidder: address(0),
-            highestBid: 0,
-            listingType: ListingType.FIXED_PRICE,
-            active: true
-        });
+    /**
+     * @notice Lists an owned Pokemon card for a fixed price, on sale from a start time until an expiry.
+     * @dev Requires prior approval for this contract to transfer the NFT. Transfers NFT to escrow.
+     * Once expired the listing can no longer be bought and anyone can return the card with returnExpiredListing.
+     * @param tokenId The ID of the token to list.
+     * @param price The sale price in wei.
+     * @param startTime The timestamp the card can be bought from, 0 (or a past time) for at once.
+     * @param endTime The timestamp the listing expires at, 0 for never. In the future and after the start time.
+     */
+    function listCardForSaleWithSchedule(
+        uint256 tokenId,
+        uint256 price,
+        uint256 startTime,
+        uint256 endTime
+    ) external whenNotPaused nonReentrant {
+        _listForSale(tokenId, price, startTime, endTime, address(0));
+    }
 
-        // Transfer the NFT to this contract to hold in escrow
-        pokemonCardContract.transferFrom(msg.sender, address(this), tokenId);
+    /**
+     * @notice Lists an owned Pokemon card for a fixed price in an allowed ERC-20 token or ETH.
+     * @dev Like listCardForSaleWithSchedule, buyers pay the price in the currency after approving it to this contract.
+     * @param tokenId The ID of the token to list.
+     * @param price The sale price in the smallest unit of the currency.
+     * @param startTime The timestamp the card can be bought from, 0 (or a past time) for at once.
+     * @param endTime The timestamp the listing expires at, 0 for never. In the future and after the start time.
+     * @param currency An allowed ERC-20 token, the zero address for ETH.
+     */
+    function listCardForSaleInCurrency(
+        uint256 tokenId,
+        uint256 price,
+        uint256 startTime,
+        uint256 endTime,
+        address currency
+    ) external whenNotPaused nonReentrant {
+        _listForSale(tokenId, price, startTime, endTime, currency);
+    }
+
+    /**
+     * @notice Returns the card of an expired fixed-price listing to its seller.
+     * @dev Callable by anyone, so cards do not stay in escrow when the seller forgets them.
+     * @param tokenId The ID of the listed token.
+     */
+    function returnExpiredListing(uint256 tokenId) external nonReentrant whenNotPaused {
+        Listing storage listing = listings[tokenId];
+
+        require(listing.active, "Listing is not active");
+        require(listing.listingType == ListingType.FIXED_PRICE, "Card is not listed for fixed price");
+        require(listing.endTime != 0 && block.timestamp >= listing.endTime, "Listing has not expired");
+
+        address seller = listing.seller;
+        listing.active = false;
 
-        emit CardListed(tokenId, price, ListingType.FIXED_PRICE, 0, msg.sender);
+        pokemonCardContract.transferFrom(address(this), seller, tokenId);
+
+        emit CardListingCancelled(tokenId, seller);
+    }
+
+    /**
+     * @notice Lists an owned Pokemon card for a Dutch auction, its price falling from a start price to a floor.
+     * @dev Requires prior approval for this contract to transfer the NFT. Transfers NFT to escrow.
+     * The price decreases linearly over the duration and stays at the floor afterwards, until bought or cancelled.
+     * @param tokenId The ID of the token to list.
+     * @param startPrice The price in wei when listed, above the floor price.
+     * @param floorPrice The lowest price in wei, reached once the duration has passed.
+     * @param duration The time in seconds the price takes to fall to the floor.
+     */
+    function listCardForDutchAuction(
+        uint256 tokenId,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 duration
+    ) external whenNotPaused nonReentrant {
+        _listForDutchAuction(tokenId, startPrice, floorPrice, duration, address(0));
+    }
+
+    /**
+     * @notice Lists an owned Pokemon card for a Dutch auction in an allowed ERC-20 token or ETH.
+     * @dev Like listCardForDutchAuction, the buyer pays the current price in the currency after approving it.
+     * @param tokenId The ID of the token to list.
+     * @param startPrice The price when listed, above the floor price, in the smallest unit of the currency.
+     * @param floorPrice The lowest price, reached once the duration has passed.
+     * @param duration The time in seconds the price takes to fall to the floor.
+     * @param currency An allowed ERC-20 token, the zero address for ETH.
+     */
+    function listCardForDutchAuctionInCurrency(
+        uint256 tokenId,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 duration,
+        address currency
+    ) external whenNotPaused nonReentrant {
+        _listForDutchAuction(tokenId, startPrice, floorPrice, duration, currency);
     }
 
     /**
@@ -101,38 +290,54 @@ contract PokemonCardTrading is ReentrancyGuard, Pausable, Ownable {
         uint256 startingPrice,
         uint256 duration
     ) external whenNotPaused nonReentrant {
-        require(startingPrice != 0, "Starting price must be greater than zero");
-        require(duration != 0, "Duration must be greater than zero");
-        require(pokemonCardContract.ownerOf(tokenId) == msg.sender, "You must own the card to list it");
-        require(!listings[tokenId].active, "Card already has an active listing");
-        require(
-            pokemonCardContract.getApproved(tokenId) == address(this) ||
-            pokemonCardContract.isApprovedForAll(msg.sender, address(this)),
-            "Trading contract is not approved to transfer this token"
-        );
-
-        uint256 endTime = block.timestamp + duration;
-
-        listings[tokenId] = Listing({
-            seller: msg.sender,
-            tokenId: tokenId,
-            price: startingPrice,
-            endTime: endTime,
-            highestBidder: address(0),
-            highestBid: 0,
-            listingType: ListingType.AUCTION,
-            active: true
-        });
+        _listForAuction(tokenId, startingPrice, duration, 0, 0, address(0));
+    }
 
-        // Transfer the NFT to this contract to hold in escrow
-        pokemonCardContract.transferFrom(msg.sender, address(this), tokenId);
+    /**
+     * @notice Lists an owned Pokemon card for auction with a reserve price and/or a buy-now price.
+     * @dev Requires prior approval for this contract to transfer the NFT. Transfers NFT to escrow.
+     * The reserve is not exposed by the contract's interface, bidders only see whether it is met (getReserveStatus).
+     * @param tokenId The ID of the token to auction.
+     * @param startingPrice The starting price in wei.
+     * @param duration The auction duration in seconds.
+     * @param reservePrice The lowest winning bid the card sells for, 0 for none. Above the starting price.
+     * @param buyNowPrice The price settling the auction at once, 0 for none. Above the starting and reserve prices.
+     */
+    function listCardForAuctionWithReserve(
+        uint256 tokenId,
+        uint256 startingPrice,
+        uint256 duration,
+        uint256 reservePrice,
+        uint256 buyNowPrice
+    ) external whenNotPaused nonReentrant {
+        _listForAuction(tokenId, startingPrice, duration, reservePrice, buyNowPrice, address(0));
+    }
 
-        emit CardListed(tokenId, startingPrice, ListingType.AUCTION, endTime, msg.sender);
+    /**
+     * @notice Lists an owned Pokemon card for auction in an allowed ERC-20 token or ETH.
+     * @dev Like listCardForAuctionWithReserve, bids on a token auction are placed with placeTokenBid.
+     * @param tokenId The ID of the token to auction.
+     * @param startingPrice The starting price in the smallest unit of the currency.
+     * @param duration The auction duration in seconds.
+     * @param reservePrice The lowest winning bid the card sells for, 0 for none. Above the starting price.
+     * @param buyNowPrice The price settling the auction at once, 0 for none. Above the starting and reserve prices.
+     * @param currency An allowed ERC-20 token, the zero address for ETH.
+     */
+    function listCardForAuctionInCurrency(
+        uint256 tokenId,
+        uint256 startingPrice,
+        uint256 duration,
+        uint256 reservePrice,
+        uint256 buyNowPrice,
+        address currency
+    ) external whenNotPaused nonReentrant {
+        _listForAuction(tokenId, startingPrice, duration, reservePrice, buyNowPrice, currency);
     }
 
     /**
      * @notice Ends an auction after its duration has passed.
-     * @dev Transfers NFT to the winner and makes funds available for seller withdrawal. If no bids, returns NFT to seller.
+     * @dev Transfers NFT to the winner and makes funds available for seller withdrawal. If no bids, or the highest
+     * bid is below the reserve price, returns NFT to seller and refunds the bidder.
      * @param tokenId The ID of the token whose auction to end.
      */
     function endAuction(uint256 tokenId) external nonReentrant whenNotPaused {
@@ -145,13 +350,22 @@ contract PokemonCardTrading is ReentrancyGuard, Pausable, Ownable {
         address seller = listing.seller;
         address winner = listing.highestBidder;
         uint256 winningBid = listing.highestBid;
+        uint256 reservePrice = _reservePrices[tokenId];
+        address currency = listingCurrency[tokenId];
 
         // Mark listing as inactive
         listing.active = false;
+        delete _reservePrices[tokenId];
 
-        if (winner != address(0)) {
-            // Credit seller
-            pendingWithdrawals[seller] += winningBid;
+        if (winner != address(0) && winningBid < reservePrice) {
+            // Reserve not met - refund the bidder and return NFT to seller
+            _credit(currency, winner, winningBid);
+            pokemonCardContract.transferFrom(address(this), seller, tokenId);
+            emit AuctionReserveNotMet(tokenId, winningBid, seller, winner);
+            emit CardListingCancelled(tokenId, seller);
+        } else if (winner != address(0)) {
+            // Credit seller, royalty receiver and platform
+            _distributeSaleProceeds(tokenId, seller, winningBid, currency);
             // Transfer NFT to winner
             pokemonCardContract.transferFrom(address(this), winner, tokenId);
             emit AuctionEnded(tokenId, winningBid, seller, winner);
@@ -181,6 +395,7 @@ contract PokemonCardTrading is ReentrancyGuard, Pausable, Ownable {
 
         // Mark listing as inactive
         listing.active = false;
+        delete _reservePrices[tokenId];
 
         // Return the NFT to the seller
         pokemonCardContract.transferFrom(address(this), msg.sender, tokenId);
@@ -188,33 +403,71 @@ contract PokemonCardTrading is ReentrancyGuard, Pausable, Ownable {
         emit CardListingCancelled(tokenId, msg.sender);
     }
 
+    /**
+     * @notice Changes the price of an active listing without taking the card out of escrow.
+     * @dev Only the seller can update. Fixed-price listings get a new price and expiry, auctions without bids a new
+     * starting price and end time, which must keep their reserve and buy-now prices above it. Dutch auctions, and
+     * listings that expired or auctions that ended, cannot be updated.
+     * @param tokenId The ID of the listed token.
+     * @param newPrice The new fixed price or starting price in wei.
+     * @param newEndTime The new expiry or auction end timestamp, 0 to keep it.
+     */
+    function updateListingPrice(uint256 tokenId, uint256 newPrice, uint256 newEndTime) external whenNotPaused {
+        Listing storage listing = listings[tokenId];
+
+        require(listing.active, "Listing is not active");
+        require(listing.endTime == 0 || block.timestamp < listing.endTime, "Listing has ended");
+        require(listing.seller == msg.sender, "Only the seller can update a listing");
+        require(listing.listingType != ListingType.DUTCH_AUCTION, "Dutch auctions cannot be updated");
+        require(newPrice != 0, "Price must be greater than zero");
+
+        if (listing.listingType == ListingType.AUCTION) {
+            require(listing.highestBidder == address(0), "Cannot update auction with bids");
+            uint256 reservePrice = _reservePrices[tokenId];
+            require(reservePrice == 0 || reservePrice > newPrice, "Reserve price must be above the starting price");
+            require(
+                listing.buyNowPrice == 0 || listing.buyNowPrice > newPrice,
+                "Buy now price must be above the starting and reserve prices"
+            );
+        }
+
+        if (newEndTime != 0) {
+            require(newEndTime > block.timestamp, "End time must be in the future");
+            require(newEndTime > listing.startTime, "End time must be after the start time");
+            listing.endTime = newEndTime;
+        }
+
+        listing.price = newPrice;
+
+        emit ListingUpdated(tokenId, newPrice, listing.endTime, msg.sender);
+    }
+
     // External functions
 
     /**
-     * @dev Buys a card that is listed for a fixed price
+     * @dev Buys a card that is listed for a fixed price, paying with ETH or the listing's token (approved beforehand)
      * @param tokenId The ID of the token to buy
+     * @param maxPrice The most the buyer pays, guards against a price raised while the purchase is pending
      */
-    function buyCard(uint256 tokenId) external payable nonReentrant whenNotPaused {
+    function buyCard(uint256 tokenId, uint256 maxPrice) external payable nonReentrant whenNotPaused {
         Listing storage listing = listings[tokenId];
 
         require(listing.active, "Listing is not active");
         require(listing.listingType == ListingType.FIXED_PRICE, "Card is not listed for fixed price");
+        require(block.timestamp >= listing.startTime, "Listing has not started yet");
+        require(listing.endTime == 0 || block.timestamp < listing.endTime, "Listing has expired");
 
         uint256 price = listing.price;
-        require(msg.value >= price, "Insufficient payment");
+        address currency = listingCurrency[tokenId];
+        _collectPayment(currency, price, maxPrice);
 
         address seller = listing.seller;
 
         // Mark listing as inactive
         listing.active = false;
 
-        // Add funds to the seller's pending withdrawals
-        pendingWithdrawals[seller] += price;
-
-        // Refund excess payment if any
-        if (msg.value > price) {
-            pendingWithdrawals[msg.sender] += (msg.value - price);
-        }
+        // Add funds to the pending withdrawals of seller, royalty receiver and platform
+        _distributeSaleProceeds(tokenId, seller, price, currency);
 
         // Transfer the token from this contract to the buyer (no need to check ownership since we hold it)
         pokemonCardContract.transferFrom(address(this), msg.sender, tokenId);
@@ -223,27 +476,92 @@ contract PokemonCardTrading is ReentrancyGuard, Pausable, Ownable {
     }
 
     /**
-     * @dev Places a bid on an auction
+     * @notice Buys a card listed for a Dutch auction at its current price.
+     * @dev The price is read when the transaction executes, ETH sent above it is credited back to the buyer. Token
+     * listings take the current price from the buyer's approved tokens.
+     * @param tokenId The ID of the token to buy.
+     * @param maxPrice The most the buyer pays.
+     */
+    function buyDutchAuction(uint256 tokenId, uint256 maxPrice) external payable nonReentrant whenNotPaused {
+        Listing storage listing = listings[tokenId];
+
+        require(listing.active, "Listing is not active");
+        require(listing.listingType == ListingType.DUTCH_AUCTION, "Card is not listed for Dutch auction");
+
+        // The price may have dropped since the buyer sent the transaction
+        uint256 price = getDutchAuctionPrice(tokenId);
+        address currency = listingCurrency[tokenId];
+        _collectPayment(currency, price, maxPrice);
+
+        address seller = listing.seller;
+
+        listing.active = false;
+
+        _distributeSaleProceeds(tokenId, seller, price, currency);
+
+        pokemonCardContract.transferFrom(address(this), msg.sender, tokenId);
+
+        emit CardSold(tokenId, price, seller, msg.sender);
+    }
+
+    /**
+     * @dev Places a bid on an auction, of at least getMinimumBid. A bid placed within auctionExtensionWindow
+     * of the end extends the auction by auctionExtension.
      * @param tokenId The ID of the token to bid on
      */
     function placeBid(uint256 tokenId) external payable nonReentrant whenNotPaused {
+        require(listingCurrency[tokenId] == address(0), "Auction is paid in a token");
+        _placeBid(tokenId, msg.value);
+    }
+
+    /**
+     * @notice Places a bid on an auction paid in an ERC-20 token, like placeBid.
+     * @dev The bid is taken from the bidder's tokens, approved to this contract beforehand.
+     * @param tokenId The ID of the token to bid on.
+     * @param amount The bid in the smallest unit of the auction's token.
+     */
+    function placeTokenBid(uint256 tokenId, uint256 amount) external nonReentrant whenNotPaused {
+        address currency = listingCurrency[tokenId];
+        require(currency != address(0), "Auction is paid in ETH");
+        _placeBid(tokenId, amount);
+        IERC20(currency).safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    /**
+     * @notice Buys an auctioned card for its buy-now price, settling the auction at once.
+     * @dev Only while the auction runs and the highest bid is below the buy-now price. The highest bidder is
+     * refunded, the sale is split like any other and excess ETH is credited back.
+     * @param tokenId The ID of the auctioned token.
+     * @param maxPrice The most the buyer pays.
+     */
+    function buyNow(uint256 tokenId, uint256 maxPrice) external payable nonReentrant whenNotPaused {
         Listing storage listing = listings[tokenId];
 
         require(listing.active, "Listing is not active");
         require(listing.listingType == ListingType.AUCTION, "Card is not listed for auction");
         require(block.timestamp < listing.endTime, "Auction has ended");
-        require(msg.value > listing.highestBid && msg.value >= listing.price, "Bid too low");
 
-        // Refund the previous highest bidder
+        uint256 price = listing.buyNowPrice;
+        require(price != 0, "Auction has no buy now price");
+        require(listing.highestBid < price, "Bids already exceed the buy now price");
+        address currency = listingCurrency[tokenId];
+        _collectPayment(currency, price, maxPrice);
+
+        address seller = listing.seller;
+
+        listing.active = false;
+        delete _reservePrices[tokenId];
+
+        // Refund the highest bidder
         if (listing.highestBidder != address(0)) {
-            pendingWithdrawals[listing.highestBidder] += listing.highestBid;
+            _credit(currency, listing.highestBidder, listing.highestBid);
         }
 
-        // Update highest bid info
-        listing.highestBidder = msg.sender;
-        listing.highestBid = msg.value;
+        _distributeSaleProceeds(tokenId, seller, price, currency);
 
-        emit AuctionBid(tokenId, msg.value, msg.sender);
+        pokemonCardContract.transferFrom(address(this), msg.sender, tokenId);
+
+        emit CardSold(tokenId, price, seller, msg.sender);
     }
 
     /**
@@ -257,12 +575,451 @@ contract PokemonCardTrading is ReentrancyGuard, Pausable, Ownable {
         pendingWithdrawals[msg.sender] = 0;
 
         // Transfer the funds
-        (bool success, ) = payable(msg.sender).call{value: amount}("");
-        require(success, "Transfer failed");
+        _sendValue(msg.sender, amount);
 
         emit WithdrawalMade(msg.sender, amount);
     }
 
+    /**
+     * @notice Withdraws the caller's pending balance of an ERC-20 token.
+     * @dev Proceeds, royalties, fees and refunds of listings paid in the token. Still possible for a token no longer
+     * allowed.
+     * @param currency The token to withdraw.
+     */
+    function withdrawToken(address currency) external nonReentrant whenNotPaused {
+        uint256 amount = pendingTokenWithdrawals[currency][msg.sender];
+        require(amount != 0, "No funds to withdraw");
+
+        pendingTokenWithdrawals[currency][msg.sender] = 0;
+
+        IERC20(currency).safeTransfer(msg.sender, amount);
+
+        emit TokenWithdrawalMade(msg.sender, currency, amount);
+    }
+
+    // Offers
+
+    /**
+     * @notice Makes an offer on a card that is not listed, escrowing the sent ETH as the offered price.
+     * @dev The card's owner can accept, reject or counter the offer until it expires. After that, the bidder
+     * withdraws the escrowed ETH with withdrawOffer.
+     * @param tokenId The ID of the token to make an offer on.
+     * @param duration How long the offer stands, in seconds (at most MAX_OFFER_DURATION).
+     * @return offerId The ID of the new offer.
+     */
+    function makeOffer(uint256 tokenId, uint256 duration) external payable whenNotPaused nonReentrant returns (uint256 offerId) {
+        require(msg.value != 0, "Offer must be greater than zero");
+        require(duration != 0, "Duration must be greater than zero");
+        require(duration <= MAX_OFFER_DURATION, "Offer duration exceeds the maximum");
+
+        address owner = pokemonCardContract.ownerOf(tokenId);
+        require(owner != address(this), "Card is listed, buy or bid on the listing instead");
+        require(owner != bundlesContract, "Card is in a bundle, buy or bid on the bundle instead");
+        require(owner != msg.sender, "Cannot make an offer on your own card");
+
+        offerId = _offerIdCounter;
+        _offerIdCounter++;
+
+        uint256 expiresAt = block.timestamp + duration;
+        offers[offerId] = Offer({
+            tokenId: tokenId,
+            bidder: msg.sender,
+            amount: msg.value,
+            expiresAt: expiresAt,
+            counterAmount: 0,
+            counteredBy: address(0),
+            status: OfferStatus.ACTIVE
+        });
+        _offersByToken[tokenId].push(offerId);
+        _offersByBidder[msg.sender].push(offerId);
+
+        emit OfferMade(offerId, tokenId, msg.sender, msg.value, expiresAt);
+    }
+
+    /**
+     * @notice Accepts an offer on an owned card, selling it to the bidder for the offered price.
+     * @dev Requires prior approval for this contract to transfer the NFT. The escrowed price is split like any sale.
+     * @param offerId The ID of the offer to accept.
+     */
+    function acceptOffer(uint256 offerId) external whenNotPaused nonReentrant {
+        Offer storage offer = offers[offerId];
+        _requireOpenOffer(offer);
+        _requireCardOwner(offer.tokenId);
+
+        _settleOffer(offerId, offer, msg.sender);
+    }
+
+    /**
+     * @notice Counters an offer on an owned card with a higher price the bidder can accept.
+     * @dev Requires prior approval for this contract to transfer the NFT, so the bidder can accept the counter
+     * offer. The offer itself stays open, so the owner can still accept the original price. Countering again
+     * replaces the previous counter offer.
+     * @param offerId The ID of the offer to counter.
+     * @param counterAmount The price the owner would sell for, in wei.
+     */
+    function counterOffer(uint256 offerId, uint256 counterAmount) external whenNotPaused nonReentrant {
+        Offer storage offer = offers[offerId];
+        _requireOpenOffer(offer);
+        _requireCardOwner(offer.tokenId);
+        require(counterAmount > offer.amount, "Counter offer must be higher than the offer");
+        _requireTradingApproved(offer.tokenId, msg.sender);
+
+        offer.counterAmount = counterAmount;
+        offer.counteredBy = msg.sender;
+
+        emit OfferCountered(offerId, offer.tokenId, msg.sender, counterAmount);
+    }
+
+    /**
+     * @notice Accepts the counter offer on an own offer, buying the card for the countered price.
+     * @dev The payment must be exactly the difference between the counter offer and the escrowed amount.
+     * Fails if the card changed hands since it was countered.
+     * @param offerId The ID of the countered offer.
+     */
+    function acceptCounterOffer(uint256 offerId) external payable whenNotPaused nonReentrant {
+        Offer storage offer = offers[offerId];
+        _requireOpenOffer(offer);
+        require(offer.bidder == msg.sender, "Only the bidder can accept a counter offer");
+        require(offer.counterAmount != 0, "Offer has no counter offer");
+        require(pokemonCardContract.ownerOf(offer.tokenId) == offer.counteredBy, "Counter offer is no longer valid");
+        require(msg.value == offer.counterAmount - offer.amount, "Payment must cover the counter offer");
+
+        offer.amount = offer.counterAmount;
+
+        _settleOffer(offerId, offer, offer.counteredBy);
+    }
+
+    /**
+     * @notice Rejects an offer on an owned card, refunding the bidder.
+     * @dev The escrowed amount is sent back to the bidder at once, also while trading is paused, so offers never
+     * lock funds.
+     * @param offerId The ID of the offer to reject.
+     */
+    function rejectOffer(uint256 offerId) external nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.ACTIVE, "Offer is not active");
+        _requireCardOwner(offer.tokenId);
+
+        offer.status = OfferStatus.REJECTED;
+
+        _sendValue(offer.bidder, offer.amount);
+
+        emit OfferRejected(offerId, offer.tokenId, msg.sender);
+    }
+
+    /**
+     * @notice Withdraws the escrowed ETH of an own offer once it expired.
+     * @dev Still possible while trading is paused, so offers never lock funds.
+     * @param offerId The ID of the expired offer.
+     */
+    function withdrawOffer(uint256 offerId) external nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.ACTIVE, "Offer is not active");
+        require(offer.bidder == msg.sender, "Only the bidder can withdraw an offer");
+        require(block.timestamp >= offer.expiresAt, "Offer has not expired yet");
+
+        uint256 amount = offer.amount;
+        offer.status = OfferStatus.WITHDRAWN;
+
+        _sendValue(msg.sender, amount);
+
+        emit OfferWithdrawn(offerId, offer.tokenId, msg.sender, amount);
+    }
+
+    // Swaps
+
+    /**
+     * @notice Proposes to swap owned cards, plus optional ETH sent along, for cards of another collector.
+     * @dev The offered cards stay with the proposer but must be approved to this contract, the sent ETH is
+     * escrowed. Swaps pay no platform fee or royalties.
+     * @param counterparty The owner of the requested cards.
+     * @param offeredTokenIds Cards of the proposer, may be empty if ETH is sent.
+     * @param requestedTokenIds Cards of the counterparty.
+     * @param duration How long the proposal stands, in seconds (at most MAX_OFFER_DURATION).
+     * @return swapId The ID of the new swap.
+     */
+    function proposeSwap(
+        address counterparty,
+        uint256[] calldata offeredTokenIds,
+        uint256[] calldata requestedTokenIds,
+        uint256 duration
+    ) external payable whenNotPaused nonReentrant returns (uint256 swapId) {
+        require(counterparty != address(0) && counterparty != msg.sender, "Invalid counterparty");
+        require(requestedTokenIds.length != 0, "Swap must request at least one card");
+        require(offeredTokenIds.length != 0 || msg.value != 0, "Swap must offer cards or ETH");
+        require(
+            offeredTokenIds.length <= MAX_SWAP_CARDS && requestedTokenIds.length <= MAX_SWAP_CARDS,
+            "Too many cards in a swap"
+        );
+        require(duration != 0, "Duration must be greater than zero");
+        require(duration <= MAX_OFFER_DURATION, "Swap duration exceeds the maximum");
+
+        for (uint256 i = 0; i < offeredTokenIds.length; i++) {
+            require(pokemonCardContract.ownerOf(offeredTokenIds[i]) == msg.sender, "You must own the cards you offer");
+            _requireTradingApproved(offeredTokenIds[i], msg.sender);
+        }
+        for (uint256 i = 0; i < requestedTokenIds.length; i++) {
+            require(
+                pokemonCardContract.ownerOf(requestedTokenIds[i]) == counterparty,
+                "Counterparty must own the requested cards"
+            );
+        }
+
+        swapId = _swapIdCounter;
+        _swapIdCounter++;
+
+        uint256 expiresAt = block.timestamp + duration;
+        _swaps[swapId] = Swap({
+            proposer: msg.sender,
+            counterparty: counterparty,
+            offeredTokenIds: offeredTokenIds,
+            requestedTokenIds: requestedTokenIds,
+            sweetener: msg.value,
+            expiresAt: expiresAt,
+            status: SwapStatus.PENDING
+        });
+        _swapsByProposer[msg.sender].push(swapId);
+        _swapsByCounterparty[counterparty].push(swapId);
+
+        emit SwapProposed(swapId, msg.sender, counterparty, offeredTokenIds, requestedTokenIds, msg.value, expiresAt);
+    }
+
+    /**
+     * @notice Accepts a swap proposed to the caller, exchanging the cards and receiving the sweetener.
+     * @dev Requires prior approval for this contract to transfer the requested cards. Fails if either side no
+     * longer owns its cards. The sweetener is credited to the counterparty's pending withdrawals.
+     * @param swapId The ID of the swap to accept.
+     */
+    function acceptSwap(uint256 swapId) external whenNotPaused nonReentrant {
+        Swap storage swap = _swaps[swapId];
+        require(swap.status == SwapStatus.PENDING, "Swap is not pending");
+        require(block.timestamp < swap.expiresAt, "Swap has expired");
+        require(swap.counterparty == msg.sender, "Only the counterparty can accept a swap");
+
+        swap.status = SwapStatus.ACCEPTED;
+
+        for (uint256 i = 0; i < swap.offeredTokenIds.length; i++) {
+            uint256 tokenId = swap.offeredTokenIds[i];
+            require(pokemonCardContract.ownerOf(tokenId) == swap.proposer, "Proposer no longer owns the offered cards");
+            _requireTradingApproved(tokenId, swap.proposer);
+            pokemonCardContract.transferFrom(swap.proposer, msg.sender, tokenId);
+        }
+        for (uint256 i = 0; i < swap.requestedTokenIds.length; i++) {
+            uint256 tokenId = swap.requestedTokenIds[i];
+            require(pokemonCardContract.ownerOf(tokenId) == msg.sender, "You no longer own the requested cards");
+            _requireTradingApproved(tokenId, msg.sender);
+            pokemonCardContract.transferFrom(msg.sender, swap.proposer, tokenId);
+        }
+        if (swap.sweetener != 0) {
+            pendingWithdrawals[msg.sender] += swap.sweetener;
+        }
+
+        emit SwapAccepted(swapId, swap.proposer, msg.sender);
+    }
+
+    /**
+     * @notice Cancels a pending swap, by its proposer or declined by its counterparty.
+     * @dev Possible at any time, also after expiry and while trading is paused. The sweetener is sent back to
+     * the proposer at once, so a paused marketplace does not lock it.
+     * @param swapId The ID of the swap to cancel.
+     */
+    function cancelSwap(uint256 swapId) external nonReentrant {
+        Swap storage swap = _swaps[swapId];
+        require(swap.status == SwapStatus.PENDING, "Swap is not pending");
+        require(
+            swap.proposer == msg.sender || swap.counterparty == msg.sender,
+            "Only the proposer or counterparty can cancel a swap"
+        );
+
+        swap.status = SwapStatus.CANCELLED;
+        if (swap.sweetener != 0) {
+            _sendValue(swap.proposer, swap.sweetener);
+        }
+
+        emit SwapCancelled(swapId, msg.sender);
+    }
+
+    /**
+     * @notice Sets the platform fee and the address receiving it, for sales from now on.
+     * @dev Only callable by the owner.
+     * @param recipient Address receiving the platform fee.
+     * @param fee Platform fee in basis points of the sale price, at most MAX_PLATFORM_FEE.
+     */
+    function setPlatformFee(address recipient, uint96 fee) external onlyOwner {
+        _setPlatformFee(recipient, fee);
+    }
+
+    /**
+     * @notice Sets the minimum bid increment and the anti-sniping extension, for all auctions from the next bid on.
+     * @dev Only callable by the owner. Zero increments only require bids to beat the highest bid, a zero
+     * extension turns the extension off.
+     * @param incrementRate Minimum increment in basis points of the highest bid, at most 100%.
+     * @param incrementAmount Minimum increment in wei.
+     * @param extensionWindow Bids placed this many seconds before the end extend the auction.
+     * @param extension Seconds added to the end of the auction by such a bid.
+     */
+    function setAuctionRules(
+        uint96 incrementRate,
+        uint256 incrementAmount,
+        uint256 extensionWindow,
+        uint256 extension
+    ) external onlyOwner {
+        require(incrementRate <= FEE_DENOMINATOR, "Bid increment exceeds the maximum");
+        require(
+            extensionWindow <= MAX_AUCTION_EXTENSION && extension <= MAX_AUCTION_EXTENSION,
+            "Auction extension exceeds the maximum"
+        );
+
+        minBidIncrement = incrementRate;
+        minBidIncrementAmount = incrementAmount;
+        auctionExtensionWindow = extensionWindow;
+        auctionExtension = extension;
+
+        emit AuctionRulesUpdated(incrementRate, incrementAmount, extensionWindow, extension);
+    }
+
+    /**
+     * @notice Allows or disallows an ERC-20 token as the currency of new listings.
+     * @dev Only callable by the owner. Listings already paid in a disallowed token still settle in it.
+     * Tokens taking a fee on transfer are not supported.
+     * @param currency The ERC-20 token.
+     * @param allowed Whether new listings may be paid in it.
+     */
+    function setCurrencyAllowed(address currency, bool allowed) external onlyOwner {
+        require(currency != address(0), "Currency cannot be the zero address");
+        allowedCurrencies[currency] = allowed;
+        emit CurrencyAllowed(currency, allowed);
+    }
+
+    /**
+     * @notice Sets the bundles contract whose escrowed cards cannot receive offers.
+     * @dev Only callable by the owner, deploy.js sets it once PokemonCardBundles is deployed.
+     * @param bundles Address of the PokemonCardBundles contract.
+     */
+    function setBundlesContract(address bundles) external onlyOwner {
+        bundlesContract = bundles;
+    }
+
+    // External view functions
+
+    /**
+     * @notice Gets the IDs of all offers ever made on a card, active or not.
+     * @param tokenId The ID of the token to query.
+     * @return The offer IDs, oldest first.
+     */
+    function getOffersForToken(uint256 tokenId) external view returns (uint256[] memory) {
+        return _offersByToken[tokenId];
+    }
+
+    /**
+     * @notice Gets the IDs of all offers an address made, active or not.
+     * @param bidder The address to query.
+     * @return The offer IDs, oldest first.
+     */
+    function getOffersByBidder(address bidder) external view returns (uint256[] memory) {
+        return _offersByBidder[bidder];
+    }
+
+    /**
+     * @notice Tells whether an auction has a reserve price and whether its highest bid meets it, without
+     * revealing the reserve.
+     * @param tokenId The ID of the auctioned token.
+     * @return hasReserve Whether the auction has a reserve price.
+     * @return reserveMet Whether the highest bid meets the reserve, true if there is none.
+     */
+    function getReserveStatus(uint256 tokenId) external view returns (bool hasReserve, bool reserveMet) {
+        uint256 reservePrice = _reservePrices[tokenId];
+        hasReserve = reservePrice != 0;
+        reserveMet = listings[tokenId].highestBid >= reservePrice;
+    }
+
+    /**
+     * @notice Gets a swap, including the cards on both sides.
+     * @param swapId The ID of the swap.
+     * @return The swap, with status NONE if it does not exist.
+     */
+    function getSwap(uint256 swapId) external view returns (Swap memory) {
+        return _swaps[swapId];
+    }
+
+    /**
+     * @notice Gets the IDs of all swaps an address proposed, whatever their status.
+     * @param proposer The address to query.
+     * @return The swap IDs, oldest first.
+     */
+    function getSwapsByProposer(address proposer) external view returns (uint256[] memory) {
+        return _swapsByProposer[proposer];
+    }
+
+    /**
+     * @notice Gets the IDs of all swaps proposed to an address, whatever their status.
+     * @param counterparty The address to query.
+     * @return The swap IDs, oldest first.
+     */
+    function getSwapsByCounterparty(address counterparty) external view returns (uint256[] memory) {
+        return _swapsByCounterparty[counterparty];
+    }
+
+    // Public view functions
+
+    /**
+     * @notice Gets how a sale price is split between the seller, the royalty receiver and the platform.
+     * @dev Uses the current platform fee and the card's EIP-2981 royalty.
+     * @param tokenId The ID of the card sold.
+     * @param price The sale price in wei.
+     * @return sellerProceeds The amount credited to the seller.
+     * @return royaltyReceiver The address credited with the royalty, zero if the card has none.
+     * @return royaltyAmount The royalty amount.
+     * @return platformFeeAmount The amount credited to the fee recipient.
+     */
+    function getSaleBreakdown(uint256 tokenId, uint256 price) public view returns (
+        uint256 sellerProceeds,
+        address royaltyReceiver,
+        uint256 royaltyAmount,
+        uint256 platformFeeAmount
+    ) {
+        platformFeeAmount = (price * platformFee) / FEE_DENOMINATOR;
+        (royaltyReceiver, royaltyAmount) = pokemonCardContract.royaltyInfo(tokenId, price);
+        sellerProceeds = price - platformFeeAmount - royaltyAmount;
+    }
+
+    /**
+     * @notice Gets the lowest bid an auction accepts next.
+     * @dev The starting price until the first bid, then the highest bid plus the larger of minBidIncrement and
+     * minBidIncrementAmount, and at least one wei more.
+     * @param tokenId The ID of the auctioned token.
+     * @return The minimum bid in wei.
+     */
+    function getMinimumBid(uint256 tokenId) public view returns (uint256) {
+        Listing storage listing = listings[tokenId];
+        if (listing.highestBidder == address(0)) {
+            return listing.price;
+        }
+
+        uint256 increment = (listing.highestBid * minBidIncrement) / FEE_DENOMINATOR;
+        if (minBidIncrementAmount > increment) {
+            increment = minBidIncrementAmount;
+        }
+        return listing.highestBid + (increment == 0 ? 1 : increment);
+    }
+
+    /**
+     * @notice Gets the current price of a Dutch auction.
+     * @dev Falls linearly from the start price when listed to the floor price at the end time, then stays there.
+     * @param tokenId The ID of the token listed for Dutch auction.
+     * @return The price in wei a buyer pays now.
+     */
+    function getDutchAuctionPrice(uint256 tokenId) public view returns (uint256) {
+        Listing storage listing = listings[tokenId];
+        if (block.timestamp >= listing.endTime) {
+            return listing.floorPrice;
+        }
+
+        uint256 elapsed = block.timestamp - listing.startTime;
+        uint256 duration = listing.endTime - listing.startTime;
+        return listing.price - ((listing.price - listing.floorPrice) * elapsed) / duration;
+    }
+
     // The following functions are overrides required by Solidity.
     
     function pause() public onlyOwner {
@@ -273,4 +1030,236 @@ contract PokemonCardTrading is ReentrancyGuard, Pausable, Ownable {
         _unpause();
     }
 
+    // Private functions
+
+    function _setPlatformFee(address recipient, uint96 fee) private {
+        require(recipient != address(0), "Fee recipient cannot be the zero address");
+        require(fee <= MAX_PLATFORM_FEE, "Platform fee exceeds the maximum");
+
+        feeRecipient = recipient;
+        platformFee = fee;
+
+        emit PlatformFeeUpdated(recipient, fee);
+    }
+
+    function _listForAuction(
+        uint256 tokenId,
+        uint256 startingPrice,
+        uint256 duration,
+        uint256 reservePrice,
+        uint256 buyNowPrice,
+        address currency
+    ) private {
+        require(startingPrice != 0, "Starting price must be greater than zero");
+        require(duration != 0, "Duration must be greater than zero");
+        require(reservePrice == 0 || reservePrice > startingPrice, "Reserve price must be above the starting price");
+        require(
+            buyNowPrice == 0 || (buyNowPrice > startingPrice && buyNowPrice >= reservePrice),
+            "Buy now price must be above the starting and reserve prices"
+        );
+        _escrowForListing(tokenId, currency);
+
+        uint256 endTime = block.timestamp + duration;
+
+        listings[tokenId] = Listing({
+            seller: msg.sender,
+            tokenId: tokenId,
+            price: startingPrice,
+            endTime: endTime,
+            highestBidder: address(0),
+            highestBid: 0,
+            listingType: ListingType.AUCTION,
+            active: true,
+            buyNowPrice: buyNowPrice,
+            floorPrice: 0,
+            startTime: 0
+        });
+        _reservePrices[tokenId] = reservePrice;
+
+        emit CardListed(tokenId, startingPrice, ListingType.AUCTION, endTime, msg.sender);
+    }
+
+    function _listForSale(uint256 tokenId, uint256 price, uint256 startTime, uint256 endTime, address currency) private {
+        require(price != 0, "Price must be greater than zero");
+        if (endTime != 0) {
+            require(endTime > block.timestamp, "End time must be in the future");
+            require(endTime > startTime, "End time must be after the start time");
+        }
+        _escrowForListing(tokenId, currency);
+
+        listings[tokenId] = Listing({
+            seller: msg.sender,
+            tokenId: tokenId,
+            price: price,
+            endTime: endTime,
+            highestBidder: address(0),
+            highestBid: 0,
+            listingType: ListingType.FIXED_PRICE,
+            active: true,
+            buyNowPrice: 0,
+            floorPrice: 0,
+            startTime: startTime
+        });
+
+        emit CardListed(tokenId, price, ListingType.FIXED_PRICE, endTime, msg.sender);
+        if (startTime != 0) {
+            emit ListingScheduled(tokenId, startTime);
+        }
+    }
+
+    function _listForDutchAuction(
+        uint256 tokenId,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 duration,
+        address currency
+    ) private {
+        require(floorPrice != 0, "Floor price must be greater than zero");
+        require(startPrice > floorPrice, "Start price must be above the floor price");
+        require(duration != 0, "Duration must be greater than zero");
+        _escrowForListing(tokenId, currency);
+
+        uint256 endTime = block.timestamp + duration;
+        listings[tokenId] = Listing({
+            seller: msg.sender,
+            tokenId: tokenId,
+            price: startPrice,
+            endTime: endTime,
+            highestBidder: address(0),
+            highestBid: 0,
+            listingType: ListingType.DUTCH_AUCTION,
+            active: true,
+            buyNowPrice: 0,
+            floorPrice: floorPrice,
+            startTime: block.timestamp
+        });
+
+        emit CardListed(tokenId, startPrice, ListingType.DUTCH_AUCTION, endTime, msg.sender);
+    }
+
+    function _placeBid(uint256 tokenId, uint256 amount) private {
+        Listing storage listing = listings[tokenId];
+
+        require(listing.active, "Listing is not active");
+        require(listing.listingType == ListingType.AUCTION, "Card is not listed for auction");
+        require(block.timestamp < listing.endTime, "Auction has ended");
+        require(amount >= getMinimumBid(tokenId), "Bid too low");
+
+        // Refund the previous highest bidder
+        if (listing.highestBidder != address(0)) {
+            _credit(listingCurrency[tokenId], listing.highestBidder, listing.highestBid);
+        }
+
+        // Update highest bid info
+        listing.highestBidder = msg.sender;
+        listing.highestBid = amount;
+
+        emit AuctionBid(tokenId, amount, msg.sender);
+
+        // Anti-sniping: a late bid leaves the other bidders time to respond
+        if (auctionExtension != 0 && listing.endTime - block.timestamp <= auctionExtensionWindow) {
+            listing.endTime += auctionExtension;
+            emit AuctionExtended(tokenId, listing.endTime);
+        }
+    }
+
+    // Check the caller can list the card, record the currency it is paid in (ETH or an allowed token) and
+    // transfer the card to this contract to hold in escrow
+    function _escrowForListing(uint256 tokenId, address currency) private {
+        require(pokemonCardContract.ownerOf(tokenId) == msg.sender, "You must own the card to list it");
+        require(!listings[tokenId].active, "Card already has an active listing");
+        _requireTradingApproved(tokenId, msg.sender);
+        require(currency == address(0) || allowedCurrencies[currency], "Currency is not allowed");
+
+        listingCurrency[tokenId] = currency;
+        pokemonCardContract.transferFrom(msg.sender, address(this), tokenId);
+    }
+
+    function _requireOpenOffer(Offer storage offer) private view {
+        require(offer.status == OfferStatus.ACTIVE, "Offer is not active");
+        require(block.timestamp < offer.expiresAt, "Offer has expired");
+    }
+
+    function _requireCardOwner(uint256 tokenId) private view {
+        require(pokemonCardContract.ownerOf(tokenId) == msg.sender, "Only the card owner can respond to an offer");
+    }
+
+    function _requireTradingApproved(uint256 tokenId, address owner) private view {
+        require(
+            pokemonCardContract.getApproved(tokenId) == address(this) ||
+            pokemonCardContract.isApprovedForAll(owner, address(this)),
+            "Trading contract is not approved to transfer this token"
+        );
+    }
+
+    // Sell the card of an offer to its bidder for the offer amount, already escrowed in this contract
+    function _settleOffer(uint256 offerId, Offer storage offer, address seller) private {
+        _requireTradingApproved(offer.tokenId, seller);
+
+        offer.status = OfferStatus.ACCEPTED;
+
+        _distributeSaleProceeds(offer.tokenId, seller, offer.amount, address(0));
+        pokemonCardContract.transferFrom(seller, offer.bidder, offer.tokenId);
+
+        emit OfferAccepted(offerId, offer.tokenId, seller, offer.bidder, offer.amount);
+    }
+
+    function _sendValue(address to, uint256 amount) private {
+        (bool success, ) = payable(to).call{value: amount}("");
+        require(success, "Transfer failed");
+    }
+
+    // Take the price of a sale from the buyer, in ETH sent along (the excess credited back) or in the listing's token.
+    // The buyer caps the price, a token purchase would otherwise take whatever the listing costs when it is mined
+    function _collectPayment(address currency, uint256 price, uint256 maxPrice) private {
+        require(price <= maxPrice, "Price is above the maximum");
+        if (currency == address(0)) {
+            require(msg.value >= price, "Insufficient payment");
+            if (msg.value > price) {
+                pendingWithdrawals[msg.sender] += (msg.value - price);
+            }
+        } else {
+            require(msg.value == 0, "Listing is paid in a token");
+            IERC20(currency).safeTransferFrom(msg.sender, address(this), price);
+        }
+    }
+
+    // Add to the withdrawable balance of an account, in ETH or an ERC-20 token
+    function _credit(address currency, address account, uint256 amount) private {
+        if (currency == address(0)) {
+            pendingWithdrawals[account] += amount;
+        } else {
+            pendingTokenWithdrawals[currency][account] += amount;
+        }
+    }
+
+    // Credit the seller, the royalty receiver and the fee recipient with their share of a sale
+    function _distributeSaleProceeds(uint256 tokenId, address seller, uint256 price, address currency) private {
+        (
+            uint256 sellerProceeds,
+            address royaltyReceiver,
+            uint256 royaltyAmount,
+            uint256 platformFeeAmount
+        ) = getSaleBreakdown(tokenId, price);
+
+        _credit(currency, seller, sellerProceeds);
+        if (royaltyAmount != 0) {
+            _credit(currency, royaltyReceiver, royaltyAmount);
+        }
+        if (platformFeeAmount != 0) {
+            _credit(currency, feeRecipient, platformFeeAmount);
+        }
+
+        emit SaleProceedsDistributed(
+            tokenId,
+            seller,
+            sellerProceeds,
+            royaltyReceiver,
+            royaltyAmount,
+            feeRecipient,
+            platformFeeAmount,
+            currency
+        );
+    }
+
 } 
\ No newline at end of file
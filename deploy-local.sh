@@ -60,34 +60,40 @@ echo -e "${GREEN}Hardhat node started successfully${ENDCOLOR}"
 echo -e "${YELLOW}Waiting for Hardhat node to initialize...${ENDCOLOR}"
 sleep 3
 
-# Deploy contracts
+# Deploy contracts, the deploy script writes deployments/31337.json
 echo -e "${BLUE}Deploying contracts to local network...${ENDCOLOR}"
-DEPLOYMENT_OUTPUT=$(npx hardhat run scripts/deploy.js --network localhost)
-
-# Check deployment success
-if [ $? -ne 0 ]; then
-  handle_error "Failed to deploy contracts"
-fi
+npx hardhat run scripts/deploy.js --network localhost || handle_error "Failed to deploy contracts"
 
 echo -e "${GREEN}Contracts deployed successfully!${ENDCOLOR}"
 
-# Extract contract addresses
-TOKEN_ADDRESS=$(echo "$DEPLOYMENT_OUTPUT" | grep "PokemonCardToken deployed to:" | awk '{print $NF}')
-TRADING_ADDRESS=$(echo "$DEPLOYMENT_OUTPUT" | grep "PokemonCardTrading deployed to:" | awk '{print $NF}')
-
-if [ -z "$TOKEN_ADDRESS" ] || [ -z "$TRADING_ADDRESS" ]; then
-  handle_error "Failed to extract contract addresses"
+# Read contract addresses from the deployment manifest
+MANIFEST="deployments/31337.json"
+if [ ! -f "$MANIFEST" ]; then
+  handle_error "Deployment manifest $MANIFEST not found"
+fi
+TOKEN_ADDRESS=$(node -p "require('./$MANIFEST').contracts.PokemonCardToken.address")
+TRADING_ADDRESS=$(node -p "require('./$MANIFEST').contracts.PokemonCardTrading.address")
+PACKS_ADDRESS=$(node -p "require('./$MANIFEST').contracts.PokemonCardPacks.address")
+BUNDLES_ADDRESS=$(node -p "require('./$MANIFEST').contracts.PokemonCardBundles.address")
+PRIZE_TOKEN_ADDRESS=$(node -p "require('./$MANIFEST').contracts.MockERC20.address")
+DEPLOY_BLOCK=$(node -p "require('./$MANIFEST').deployBlock")
+
+if [ -z "$TOKEN_ADDRESS" ] || [ -z "$TRADING_ADDRESS" ] || [ -z "$PACKS_ADDRESS" ] || \
+   [ -z "$BUNDLES_ADDRESS" ] || [ -z "$PRIZE_TOKEN_ADDRESS" ]; then
+  handle_error "Failed to read contract addresses from $MANIFEST"
 fi
 
-echo -e "${GREEN}Contract addresses extracted:${ENDCOLOR}"
+echo -e "${GREEN}Deployment manifest written to ${MANIFEST}:${ENDCOLOR}"
 echo -e "Token Contract: ${BLUE}$TOKEN_ADDRESS${ENDCOLOR}"
 echo -e "Trading Contract: ${BLUE}$TRADING_ADDRESS${ENDCOLOR}"
+echo -e "Packs Contract: ${BLUE}$PACKS_ADDRESS${ENDCOLOR}"
+echo -e "Bundles Contract: ${BLUE}$BUNDLES_ADDRESS${ENDCOLOR}"
+echo -e "Prize Token (MockERC20): ${BLUE}$PRIZE_TOKEN_ADDRESS${ENDCOLOR}"
+echo -e "Deployment Block: ${BLUE}$DEPLOY_BLOCK${ENDCOLOR}"
 
-# Create frontend .env file with contract addresses
+# Create frontend .env file, contract addresses are loaded from the manifest at runtime
 echo -e "${BLUE}Creating frontend environment configuration...${ENDCOLOR}"
 cat > frontend/.env << EOL
-VITE_TOKEN_CONTRACT_ADDRESS=$TOKEN_ADDRESS
-VITE_TRADING_CONTRACT_ADDRESS=$TRADING_ADDRESS
 VITE_NETWORK_ID=31337
 VITE_RPC_URL=http://localhost:8545
 EOL
@@ -95,23 +101,45 @@ EOL
 # Also create/update main .env file with contract addresses for test scripts
 echo -e "${BLUE}Updating main .env file for test scripts...${ENDCOLOR}"
 if [ -f ".env" ]; then
-  # If .env exists, update/add the contract addresses
-  if grep -q "TOKEN_ADDRESS=" .env; then
-    sed -i "s/TOKEN_ADDRESS=.*/TOKEN_ADDRESS=$TOKEN_ADDRESS/" .env
+  # If .env exists, update/add the contract addresses (anchored so TOKEN_ADDRESS
+  # doesn't also match PRIZE_TOKEN_ADDRESS)
+  if grep -q "^TOKEN_ADDRESS=" .env; then
+    sed -i "s/^TOKEN_ADDRESS=.*/TOKEN_ADDRESS=$TOKEN_ADDRESS/" .env
   else
     echo "TOKEN_ADDRESS=$TOKEN_ADDRESS" >> .env
   fi
   
-  if grep -q "TRADING_ADDRESS=" .env; then
-    sed -i "s/TRADING_ADDRESS=.*/TRADING_ADDRESS=$TRADING_ADDRESS/" .env
+  if grep -q "^TRADING_ADDRESS=" .env; then
+    sed -i "s/^TRADING_ADDRESS=.*/TRADING_ADDRESS=$TRADING_ADDRESS/" .env
   else
     echo "TRADING_ADDRESS=$TRADING_ADDRESS" >> .env
   fi
+
+  if grep -q "^PACKS_ADDRESS=" .env; then
+    sed -i "s/^PACKS_ADDRESS=.*/PACKS_ADDRESS=$PACKS_ADDRESS/" .env
+  else
+    echo "PACKS_ADDRESS=$PACKS_ADDRESS" >> .env
+  fi
+
+  if grep -q "^BUNDLES_ADDRESS=" .env; then
+    sed -i "s/^BUNDLES_ADDRESS=.*/BUNDLES_ADDRESS=$BUNDLES_ADDRESS/" .env
+  else
+    echo "BUNDLES_ADDRESS=$BUNDLES_ADDRESS" >> .env
+  fi
+
+  if grep -q "^PRIZE_TOKEN_ADDRESS=" .env; then
+    sed -i "s/^PRIZE_TOKEN_ADDRESS=.*/PRIZE_TOKEN_ADDRESS=$PRIZE_TOKEN_ADDRESS/" .env
+  else
+    echo "PRIZE_TOKEN_ADDRESS=$PRIZE_TOKEN_ADDRESS" >> .env
+  fi
 else
   # Create new .env file with contract addresses
   cat > .env << EOL
 TOKEN_ADDRESS=$TOKEN_ADDRESS
 TRADING_ADDRESS=$TRADING_ADDRESS
+PACKS_ADDRESS=$PACKS_ADDRESS
+BUNDLES_ADDRESS=$BUNDLES_ADDRESS
+PRIZE_TOKEN_ADDRESS=$PRIZE_TOKEN_ADDRESS
 EOL
 fi
 
@@ -124,15 +152,25 @@ echo -e "${BOLD}${YELLOW}Next Steps:${ENDCOLOR}"
 echo -e "${YELLOW}1. To deploy the frontend, open another terminal and run:${ENDCOLOR}"
 echo -e "${BLUE}   cd frontend && ./deploy-frontend.sh${ENDCOLOR}"
 echo -e "${YELLOW}2. The Hardhat node is running in the background (Ctrl+C to stop)${ENDCOLOR}"
-echo -e "${YELLOW}3. Frontend environment is configured in frontend/.env${ENDCOLOR}"
+echo -e "${YELLOW}3. Contract addresses and ABIs are in ${MANIFEST}, copied to frontend/public/deployments${ENDCOLOR}"
 echo ""
 echo -e "${BOLD}${YELLOW}Testing your dApp:${ENDCOLOR}"
 echo -e "${YELLOW}Run test scripts to interact with contracts:${ENDCOLOR}"
 echo -e "${BLUE}   npx hardhat run test/mint-test.js --network localhost${ENDCOLOR}"
 echo -e "${BLUE}   npx hardhat run test/fixed-price-test.js --network localhost${ENDCOLOR}"
 echo -e "${BLUE}   npx hardhat run test/auction-test.js --network localhost${ENDCOLOR}"
+echo -e "${BLUE}   npx hardhat run test/auction-rules-test.js --network localhost${ENDCOLOR}"
+echo -e "${BLUE}   npx hardhat run test/reserve-test.js --network localhost${ENDCOLOR}"
+echo -e "${BLUE}   npx hardhat run test/dutch-auction-test.js --network localhost${ENDCOLOR}"
+echo -e "${BLUE}   npx hardhat run test/update-listing-test.js --network localhost${ENDCOLOR}"
+echo -e "${BLUE}   npx hardhat run test/schedule-test.js --network localhost${ENDCOLOR}"
 echo -e "${BLUE}   npx hardhat run test/listing-test.js --network localhost${ENDCOLOR}"
 echo -e "${BLUE}   npx hardhat run test/comprehensive-test.js --network localhost${ENDCOLOR}"
+echo -e "${BLUE}   npx hardhat run test/pack-test.js --network localhost${ENDCOLOR}"
+echo -e "${BLUE}   npx hardhat run test/offer-test.js --network localhost${ENDCOLOR}"
+echo -e "${BLUE}   npx hardhat run test/swap-test.js --network localhost${ENDCOLOR}"
+echo -e "${BLUE}   npx hardhat run test/bundle-test.js --network localhost${ENDCOLOR}"
+echo -e "${BLUE}   npx hardhat run test/currency-test.js --network localhost${ENDCOLOR}"
 
 echo -e "${YELLOW}Or import one of the test accounts into your wallet (very useful for testing the frontend) using:${ENDCOLOR}"
 echo -e "${BLUE}   Private key: 0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80${ENDCOLOR}"
@@ -119,32 +119,38 @@ npx hardhat compile || handle_error "Failed to compile contracts"
 # Deploy contracts to Sepolia
 echo -e "${BLUE}Deploying contracts to Sepolia testnet...${ENDCOLOR}"
 echo -e "${YELLOW}This may take a few minutes. Please be patient.${ENDCOLOR}"
-DEPLOYMENT_OUTPUT=$(npx hardhat run scripts/deploy.js --network sepolia)
-
-# Check deployment success
-if [ $? -ne 0 ]; then
-  handle_error "Failed to deploy contracts to Sepolia"
-fi
+npx hardhat run scripts/deploy.js --network sepolia || handle_error "Failed to deploy contracts to Sepolia"
 
 echo -e "${GREEN}Contracts deployed successfully to Sepolia!${ENDCOLOR}"
 
-# Extract contract addresses
-TOKEN_ADDRESS=$(echo "$DEPLOYMENT_OUTPUT" | grep "PokemonCardToken deployed to:" | awk '{print $NF}')
-TRADING_ADDRESS=$(echo "$DEPLOYMENT_OUTPUT" | grep "PokemonCardTrading deployed to:" | awk '{print $NF}')
-
-if [ -z "$TOKEN_ADDRESS" ] || [ -z "$TRADING_ADDRESS" ]; then
-  handle_error "Failed to extract contract addresses"
+# Read contract addresses from the deployment manifest
+MANIFEST="deployments/11155111.json"
+if [ ! -f "$MANIFEST" ]; then
+  handle_error "Deployment manifest $MANIFEST not found"
+fi
+TOKEN_ADDRESS=$(node -p "require('./$MANIFEST').contracts.PokemonCardToken.address")
+TRADING_ADDRESS=$(node -p "require('./$MANIFEST').contracts.PokemonCardTrading.address")
+PACKS_ADDRESS=$(node -p "require('./$MANIFEST').contracts.PokemonCardPacks.address")
+BUNDLES_ADDRESS=$(node -p "require('./$MANIFEST').contracts.PokemonCardBundles.address")
+TRADING_ARGS=$(node -p "require('./$MANIFEST').contracts.PokemonCardTrading.args.join(' ')")
+PACKS_ARGS=$(node -p "require('./$MANIFEST').contracts.PokemonCardPacks.args.join(' ')")
+BUNDLES_ARGS=$(node -p "require('./$MANIFEST').contracts.PokemonCardBundles.args.join(' ')")
+DEPLOY_BLOCK=$(node -p "require('./$MANIFEST').deployBlock")
+
+if [ -z "$TOKEN_ADDRESS" ] || [ -z "$TRADING_ADDRESS" ] || [ -z "$PACKS_ADDRESS" ] || [ -z "$BUNDLES_ADDRESS" ]; then
+  handle_error "Failed to read contract addresses from $MANIFEST"
 fi
 
-echo -e "${GREEN}Contract addresses extracted:${ENDCOLOR}"
+echo -e "${GREEN}Deployment manifest written to ${MANIFEST}:${ENDCOLOR}"
 echo -e "Token Contract: ${BLUE}$TOKEN_ADDRESS${ENDCOLOR}"
 echo -e "Trading Contract: ${BLUE}$TRADING_ADDRESS${ENDCOLOR}"
+echo -e "Packs Contract: ${BLUE}$PACKS_ADDRESS${ENDCOLOR}"
+echo -e "Bundles Contract: ${BLUE}$BUNDLES_ADDRESS${ENDCOLOR}"
+echo -e "Deployment Block: ${BLUE}$DEPLOY_BLOCK${ENDCOLOR}"
 
-# Create frontend .env file with contract addresses
+# Create frontend .env file, contract addresses are loaded from the manifest at runtime
 echo -e "${BLUE}Creating frontend environment configuration...${ENDCOLOR}"
 cat > frontend/.env << EOL
-VITE_TOKEN_CONTRACT_ADDRESS=$TOKEN_ADDRESS
-VITE_TRADING_CONTRACT_ADDRESS=$TRADING_ADDRESS
 VITE_NETWORK_ID=11155111
 VITE_RPC_URL=$SEPOLIA_RPC_URL
 EOL
@@ -155,12 +161,20 @@ if [ -n "$ETHERSCAN_API_KEY" ] && [ "$ETHERSCAN_API_KEY" != "your-etherscan-api-
   npx hardhat verify --network sepolia $TOKEN_ADDRESS || echo -e "${YELLOW}Token verification failed, but continuing deployment...${ENDCOLOR}"
   
   echo -e "${BLUE}Verifying PokemonCardTrading contract on Etherscan...${ENDCOLOR}"
-  npx hardhat verify --network sepolia $TRADING_ADDRESS $TOKEN_ADDRESS || echo -e "${YELLOW}Trading verification failed, but continuing deployment...${ENDCOLOR}"
+  npx hardhat verify --network sepolia $TRADING_ADDRESS $TRADING_ARGS || echo -e "${YELLOW}Trading verification failed, but continuing deployment...${ENDCOLOR}"
+
+  echo -e "${BLUE}Verifying PokemonCardPacks contract on Etherscan...${ENDCOLOR}"
+  npx hardhat verify --network sepolia $PACKS_ADDRESS $PACKS_ARGS || echo -e "${YELLOW}Packs verification failed, but continuing deployment...${ENDCOLOR}"
+
+  echo -e "${BLUE}Verifying PokemonCardBundles contract on Etherscan...${ENDCOLOR}"
+  npx hardhat verify --network sepolia $BUNDLES_ADDRESS $BUNDLES_ARGS || echo -e "${YELLOW}Bundles verification failed, but continuing deployment...${ENDCOLOR}"
 else
   echo -e "${YELLOW}Skipping contract verification as no valid Etherscan API key was provided.${ENDCOLOR}"
   echo -e "${YELLOW}To verify contracts later, run:${ENDCOLOR}"
   echo -e "${BLUE}npx hardhat verify --network sepolia $TOKEN_ADDRESS${ENDCOLOR}"
-  echo -e "${BLUE}npx hardhat verify --network sepolia $TRADING_ADDRESS $TOKEN_ADDRESS${ENDCOLOR}"
+  echo -e "${BLUE}npx hardhat verify --network sepolia $TRADING_ADDRESS $TRADING_ARGS${ENDCOLOR}"
+  echo -e "${BLUE}npx hardhat verify --network sepolia $PACKS_ADDRESS $PACKS_ARGS${ENDCOLOR}"
+  echo -e "${BLUE}npx hardhat verify --network sepolia $BUNDLES_ADDRESS $BUNDLES_ARGS${ENDCOLOR}"
 fi
 
 # Deployment complete
@@ -168,6 +182,6 @@ echo -e "${BOLD}${GREEN}Deployment Complete!${ENDCOLOR}"
 echo -e "${BOLD}${YELLOW}Next Steps:${ENDCOLOR}"
 echo -e "${YELLOW}1. To deploy the frontend, run:${ENDCOLOR}"
 echo -e "${BLUE}   cd frontend && ./deploy-frontend.sh${ENDCOLOR}"
-echo -e "${YELLOW}2. Frontend environment is configured in frontend/.env${ENDCOLOR}"
+echo -e "${YELLOW}2. Contract addresses and ABIs are in ${MANIFEST}, copied to frontend/public/deployments${ENDCOLOR}"
 echo ""
 echo -e "${GREEN}Sepolia contract deployment successful!${ENDCOLOR}" 
\ No newline at end of file
@@ -31,15 +31,7 @@ if [ ! -f ".env" ]; then
   echo -e "${BLUE}1. ../deploy-sepolia.sh - for Sepolia testnet${ENDCOLOR}"
   echo -e "${BLUE}2. ../deploy-local.sh - for local development${ENDCOLOR}"
   echo ""
-  echo -e "${YELLOW}Or provide the contract addresses manually:${ENDCOLOR}"
-  read -p "Token contract address: " TOKEN_ADDRESS
-  read -p "Trading contract address: " TRADING_ADDRESS
-  
-  if [ -z "$TOKEN_ADDRESS" ] || [ -z "$TRADING_ADDRESS" ]; then
-    handle_error "Contract addresses are required"
-  fi
-  
-  echo -e "${YELLOW}Which network are you connecting to?${ENDCOLOR}"
+  echo -e "${YELLOW}Or choose the network to browse by default:${ENDCOLOR}"
   echo -e "1) Sepolia testnet"
   echo -e "2) Local hardhat node"
   echo -e "3) Other (custom)"
@@ -71,16 +63,12 @@ if [ ! -f ".env" ]; then
   # Create .env file with provided information
   echo -e "${BLUE}Creating environment configuration...${ENDCOLOR}"
   cat > .env << EOL
-VITE_TOKEN_CONTRACT_ADDRESS=$TOKEN_ADDRESS
-VITE_TRADING_CONTRACT_ADDRESS=$TRADING_ADDRESS
 VITE_NETWORK_ID=$NETWORK_ID
 VITE_RPC_URL=$RPC_URL
 EOL
 else
   # Load existing configuration
   echo -e "${BLUE}Using existing environment configuration...${ENDCOLOR}"
-  TOKEN_ADDRESS=$(grep VITE_TOKEN_CONTRACT_ADDRESS .env | cut -d '=' -f2)
-  TRADING_ADDRESS=$(grep VITE_TRADING_CONTRACT_ADDRESS .env | cut -d '=' -f2)
   NETWORK_ID=$(grep VITE_NETWORK_ID .env | cut -d '=' -f2)
   RPC_URL=$(grep VITE_RPC_URL .env | cut -d '=' -f2)
   
@@ -93,10 +81,15 @@ else
   fi
 fi
 
+# Contract addresses come from the deployment manifests, one per network
+if [ ! -f "public/deployments/$NETWORK_ID.json" ]; then
+  echo -e "${YELLOW}No deployment manifest for network $NETWORK_ID in public/deployments.${ENDCOLOR}"
+  echo -e "${YELLOW}Run the matching deployment script first, or copy deployments/$NETWORK_ID.json there.${ENDCOLOR}"
+fi
+
 echo -e "${GREEN}Frontend configuration:${ENDCOLOR}"
-echo -e "Token contract: ${BLUE}$TOKEN_ADDRESS${ENDCOLOR}"
-echo -e "Trading contract: ${BLUE}$TRADING_ADDRESS${ENDCOLOR}"
-echo -e "Network: ${BLUE}${NETWORK_NAME} (ID: $NETWORK_ID)${ENDCOLOR}"
+echo -e "Default network: ${BLUE}${NETWORK_NAME} (ID: $NETWORK_ID)${ENDCOLOR}"
+echo -e "Deployment manifests: ${BLUE}$(ls public/deployments 2>/dev/null | tr '\n' ' ')${ENDCOLOR}"
 
 # Check for and install frontend dependencies if needed
 if [ ! -d "node_modules" ]; then
@@ -0,0 +1,228 @@
+// Regenerates the bundled Gen-1 Pokédex dataset and the type badge assets from a PokeAPI CSV dump
+//
+// Usage: node scripts/build-pokedex.js <path to PokeAPI data/v2/csv>
+//
+// The dump is the CSV directory of the PokeAPI repository (https://github.com/PokeAPI/pokeapi/tree/master/data/v2/csv).
+// Outputs:
+//   src/data/pokedex.json        - names, types, stats, height/weight and flavor text for IDs 1-151
+//   public/assets/types/<id>.svg - one badge per Gen-1 type
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Bump when the shape of the generated dataset changes
+const DATASET_VERSION = 1;
+
+const GENERATION = 1;
+const FIRST_POKEMON_ID = 1;
+const LAST_POKEMON_ID = 151;
+const ENGLISH_LANGUAGE_ID = '9';
+
+// Red, Blue, then Yellow, so every Pokémon gets its original Pokédex entry
+const FLAVOR_TEXT_VERSION_IDS = ['1', '2', '3'];
+
+// Badge background per type
+const TYPE_COLORS = {
+  normal: '#A8A77A',
+  fighting: '#C22E28',
+  flying: '#A98FF3',
+  poison: '#A33EA1',
+  ground: '#E2BF65',
+  rock: '#B6A136',
+  bug: '#A6B91A',
+  ghost: '#735797',
+  fire: '#EE8130',
+  water: '#6390F0',
+  grass: '#7AC74C',
+  electric: '#F7D02C',
+  psychic: '#F95587',
+  ice: '#96D9D6',
+  dragon: '#6F35FC'
+};
+
+const frontendDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATASET_PATH = path.join(frontendDir, 'src/data/pokedex.json');
+const BADGE_DIR = path.join(frontendDir, 'public/assets/types');
+
+// Parse a CSV file into an array of row objects (quoted fields may contain commas and newlines)
+const readCsv = (dumpDir, fileName, { optional = false } = {}) => {
+  const filePath = path.join(dumpDir, fileName);
+  if (!fs.existsSync(filePath)) {
+    if (optional) return null;
+    throw new Error(`Missing ${fileName} in ${dumpDir}`);
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.length > 1 || r[0] !== '');
+  return records.map(record => Object.fromEntries(header.map((key, i) => [key, record[i]])));
+};
+
+// Group rows by a column value
+const groupBy = (rows, key) => rows.reduce((groups, row) => {
+  (groups[row[key]] ||= []).push(row);
+  return groups;
+}, {});
+
+// Game text uses form feeds, hard line breaks and soft hyphens for the in-game text box
+const normalizeFlavorText = (text) => text
+  .replace(/\u00ad\n/g, '')
+  .replace(/[\f\n\r]+/g, ' ')
+  .replace(/POKéMON/g, 'Pokémon')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Resolve the types a Pokémon had in the given generation
+// pokemon_types_past.csv lists the types a Pokémon had up to and including generation_id
+const resolveTypes = (pokemonId, currentTypes, pastTypes) => {
+  const pastEntries = (pastTypes?.[pokemonId] || [])
+    .filter(entry => Number(entry.generation_id) >= GENERATION);
+
+  if (pastEntries.length) {
+    const generation = Math.min(...pastEntries.map(entry => Number(entry.generation_id)));
+    return pastEntries.filter(entry => Number(entry.generation_id) === generation);
+  }
+
+  return currentTypes[pokemonId] || [];
+};
+
+const buildDataset = (dumpDir) => {
+  const typeRows = readCsv(dumpDir, 'types.csv');
+  const typeNames = groupBy(readCsv(dumpDir, 'type_names.csv'), 'type_id');
+  const pokemonRows = readCsv(dumpDir, 'pokemon.csv');
+  const speciesNames = groupBy(readCsv(dumpDir, 'pokemon_species_names.csv'), 'pokemon_species_id');
+  const currentTypes = groupBy(readCsv(dumpDir, 'pokemon_types.csv'), 'pokemon_id');
+  const pastTypeRows = readCsv(dumpDir, 'pokemon_types_past.csv', { optional: true });
+  const stats = Object.fromEntries(readCsv(dumpDir, 'stats.csv').map(stat => [stat.id, stat.identifier]));
+  const pokemonStats = groupBy(readCsv(dumpDir, 'pokemon_stats.csv'), 'pokemon_id');
+  const flavorTexts = groupBy(
+    readCsv(dumpDir, 'pokemon_species_flavor_text.csv').filter(entry => entry.language_id === ENGLISH_LANGUAGE_ID),
+    'species_id'
+  );
+
+  if (!pastTypeRows) {
+    throw new Error('Missing pokemon_types_past.csv, it is needed to restore the original Gen-1 types');
+  }
+  const pastTypes = groupBy(pastTypeRows, 'pokemon_id');
+
+  // Only the types that existed in Gen 1
+  const types = typeRows
+    .filter(type => Number(type.generation_id) === GENERATION)
+    .map(type => ({
+      id: Number(type.id),
+      name: type.identifier,
+      label: typeNames[type.id]?.find(entry => entry.local_language_id === ENGLISH_LANGUAGE_ID)?.name || type.identifier,
+      color: TYPE_COLORS[type.identifier]
+    }));
+  const typesById = Object.fromEntries(types.map(type => [type.id, type]));
+
+  const pokemon = {};
+  pokemonRows
+    .filter(row => Number(row.id) >= FIRST_POKEMON_ID && Number(row.id) <= LAST_POKEMON_ID)
+    .forEach(row => {
+      const id = Number(row.id);
+
+      const typeIds = resolveTypes(row.id, currentTypes, pastTypes)
+        .sort((a, b) => Number(a.slot) - Number(b.slot))
+        .map(entry => Number(entry.type_id));
+      const unknownType = typeIds.find(typeId => !typesById[typeId]);
+      if (unknownType !== undefined) {
+        throw new Error(`Pokémon ${id} has type ${unknownType}, which is not a Gen-1 type`);
+      }
+
+      const flavorText = FLAVOR_TEXT_VERSION_IDS
+        .map(versionId => flavorTexts[row.species_id]?.find(entry => entry.version_id === versionId))
+        .find(Boolean) || flavorTexts[row.species_id]?.[0];
+
+      pokemon[id] = {
+        id,
+        identifier: row.identifier,
+        name: speciesNames[row.species_id]?.find(entry => entry.local_language_id === ENGLISH_LANGUAGE_ID)?.name || row.identifier,
+        types: typeIds.map(typeId => typesById[typeId].name),
+        typeIds,
+        stats: Object.fromEntries(
+          (pokemonStats[row.id] || []).map(stat => [stats[stat.stat_id], Number(stat.base_stat)])
+        ),
+        // PokeAPI stores decimetres and hectograms
+        height: Number(row.height) / 10,
+        weight: Number(row.weight) / 10,
+        flavorText: flavorText ? normalizeFlavorText(flavorText.flavor_text) : ''
+      };
+    });
+
+  const missing = [];
+  for (let id = FIRST_POKEMON_ID; id <= LAST_POKEMON_ID; id++) {
+    if (!pokemon[id]) missing.push(id);
+  }
+  if (missing.length) {
+    throw new Error(`Dump is missing Pokémon ${missing.join(', ')}`);
+  }
+
+  return { version: DATASET_VERSION, generation: GENERATION, source: 'PokeAPI', types, pokemon };
+};
+
+// Pill-shaped badge with the type name, same proportions as the official type sprites
+const renderBadge = (type) => `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="44" viewBox="0 0 200 44">
+  <rect width="200" height="44" rx="22" fill="${type.color}"/>
+  <text x="100" y="29" text-anchor="middle" font-family="Arial, Helvetica, sans-serif" font-size="20" font-weight="bold" fill="#FFFFFF">${type.label.toUpperCase()}</text>
+</svg>
+`;
+
+const main = () => {
+  const dumpDir = process.argv[2];
+  if (!dumpDir) {
+    console.error('Usage: node scripts/build-pokedex.js <path to PokeAPI data/v2/csv>');
+    process.exit(1);
+  }
+
+  const dataset = buildDataset(path.resolve(dumpDir));
+
+  fs.mkdirSync(path.dirname(DATASET_PATH), { recursive: true });
+  fs.writeFileSync(DATASET_PATH, `${JSON.stringify(dataset, null, 2)}\n`);
+  console.log(`Wrote ${Object.keys(dataset.pokemon).length} Pokémon to ${path.relative(frontendDir, DATASET_PATH)}`);
+
+  fs.mkdirSync(BADGE_DIR, { recursive: true });
+  dataset.types.forEach(type => {
+    fs.writeFileSync(path.join(BADGE_DIR, `${type.id}.svg`), renderBadge(type));
+  });
+  console.log(`Wrote ${dataset.types.length} type badges to ${path.relative(frontendDir, BADGE_DIR)}`);
+};
+
+main();
@@ -7,6 +7,8 @@ import HomePage from './pages/HomePage';
 import MarketplacePage from './pages/MarketplacePage';
 import MyCardsPage from './pages/MyCardsPage';
 import CardDetailPage from './pages/CardDetailPage';
+import BundleDetailPage from './pages/BundleDetailPage';
+import OpenPackPage from './pages/OpenPackPage';
 
 // Providers and Context
 import { AppProvider } from './contexts/AppContext';
@@ -16,6 +18,9 @@ import ErrorFallback from './components/common/ErrorFallback';
 
 import { Link } from 'react-router-dom';
 import ConnectWallet from './components/common/ConnectWallet';
+import TransactionTray from './components/common/TransactionTray';
+import NetworkGuard from './components/common/NetworkGuard';
+import SimulationControls from './components/common/SimulationControls';
 
 /**
  * Main application component - sets up routing and global providers
@@ -25,6 +30,7 @@ const NAV_LINKS = [
   { name: 'Home', path: '/' },
   { name: 'Marketplace', path: '/marketplace' },
   { name: 'My Cards', path: '/my-cards' },
+  { name: 'Open Pack', path: '/packs' },
 ];
 
 
@@ -107,15 +113,21 @@ const App = () => {
               </div>
             )}
           </header>
+          <NetworkGuard />
           <main className="flex-grow max-w-6xl mx-auto px-4 py-8 w-full">
             <Routes>
                 <Route path="/" element={<HomePage />} />
                 <Route path="/marketplace" element={<MarketplacePage />} />
                 <Route path="/my-cards" element={<MyCardsPage />} />
+                <Route path="/collection/:address" element={<MyCardsPage />} />
                 <Route path="/card/:tokenId" element={<CardDetailPage />} />
+                <Route path="/bundle/:bundleId" element={<BundleDetailPage />} />
+                <Route path="/packs" element={<OpenPackPage />} />
                 <Route path="*" element={<Navigate to="/" replace />} />
               </Routes>
           </main>
+          <TransactionTray />
+          <SimulationControls />
         </div>
       </AppProvider>
     </ErrorBoundary>
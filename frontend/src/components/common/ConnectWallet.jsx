@@ -1,17 +1,32 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useApp } from '../../contexts/AppContext';
 import { formatAddress } from '../../utils';
 /**
- * ConnectWallet component - Displays wallet connection status and connect/disconnect buttons
+ * ConnectWallet component - Displays wallet connection status, a wallet picker when several wallets are installed,
+ * and connect/disconnect buttons
  */
 const ConnectWallet = () => {
-  const { account, connectWallet, disconnectWallet } = useApp();
+  const { account, walletName, availableWallets, connectWallet, disconnectWallet } = useApp();
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+
+  const handleConnect = () => {
+    if (availableWallets.length > 1) {
+      setIsPickerOpen(!isPickerOpen);
+    } else {
+      connectWallet();
+    }
+  };
+
+  const handlePick = (rdns) => {
+    setIsPickerOpen(false);
+    connectWallet(rdns);
+  };
 
   return (
     <div className="flex items-center">
       {account ? (
         <div className="flex items-center space-x-2">
-          <span className="hidden md:inline-block text-sm text-gray-600">
+          <span className="hidden md:inline-block text-sm text-gray-600" title={walletName || undefined}>
             {formatAddress(account)}
           </span>
           <span className="inline-block w-2 h-2 rounded-full bg-green-500" title="Connected"></span>
@@ -23,15 +38,32 @@ const ConnectWallet = () => {
           </button>
         </div>
       ) : (
-        <button
-          onClick={connectWallet}
-          className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700"
-        >
-          Connect Wallet
-        </button>
+        <div className="relative">
+          <button
+            onClick={handleConnect}
+            className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700"
+          >
+            Connect Wallet
+          </button>
+          {isPickerOpen && (
+            <ul className="absolute right-0 mt-2 w-56 bg-white rounded-lg shadow-lg py-1 z-50">
+              {availableWallets.map(({ uuid, rdns, name, icon }) => (
+                <li key={uuid}>
+                  <button
+                    onClick={() => handlePick(rdns)}
+                    className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    {icon && <img src={icon} alt="" className="w-5 h-5 mr-2" />}
+                    {name}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
       )}
     </div>
   );
 };
 
-export default ConnectWallet; 
\ No newline at end of file
+export default ConnectWallet;
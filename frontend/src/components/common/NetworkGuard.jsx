@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { useApp } from '../../contexts/AppContext';
+import { formatAddress, getNetworkName } from '../../utils';
+
+/**
+ * NetworkGuard component - Warns when the wallet is on the wrong chain or the contracts are missing
+ */
+const NetworkGuard = () => {
+  const { network, switchNetwork, chainId } = useApp();
+  const [switching, setSwitching] = useState(false);
+  const [switchError, setSwitchError] = useState(null);
+
+  const handleSwitch = async () => {
+    setSwitching(true);
+    setSwitchError(null);
+    const { success, error } = await switchNetwork();
+    if (!success) {
+      setSwitchError(error);
+    }
+    setSwitching(false);
+  };
+
+  if (network.isWrongNetwork) {
+    return (
+      <div className="bg-red-100 border-b border-red-300 text-red-800">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+          <div>
+            <p className="font-bold">
+              Your wallet is connected to {getNetworkName(chainId)}, but the marketplace runs on {network.expectedNetworkName}.
+            </p>
+            <p className="text-sm">Buying, selling and bidding are disabled until you switch networks.</p>
+            {switchError && (
+              <p className="text-sm mt-1">{switchError.message} {switchError.action}</p>
+            )}
+          </div>
+          <button
+            onClick={handleSwitch}
+            disabled={switching}
+            className="px-4 py-2 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50 whitespace-nowrap"
+          >
+            {switching ? 'Switching...' : `Switch to ${network.expectedNetworkName}`}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (network.missingContracts.length > 0) {
+    return (
+      <div className="bg-yellow-100 border-b border-yellow-300 text-yellow-800">
+        <div className="max-w-6xl mx-auto px-4 py-3">
+          <p className="font-bold">The marketplace contracts are missing on this network.</p>
+          <p className="text-sm">
+            No contract code at {network.missingContracts.map(formatAddress).join(', ')}. Redeploy the contracts
+            to refresh the deployment manifest.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default NetworkGuard;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { useApp } from '../../contexts/AppContext';
+import { formatAddress, formatEth } from '../../utils';
+
+const TIME_STEPS = [
+  { label: '+10 min', seconds: 600 },
+  { label: '+1 hour', seconds: 3600 },
+  { label: '+1 day', seconds: 86400 }
+];
+
+/**
+ * SimulationControls component - Account switcher and clock of the simulated marketplace backend
+ */
+const SimulationControls = () => {
+  const { simulation, account, getCurrentTime } = useApp();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!simulation) return null;
+
+  return (
+    <div className="fixed bottom-4 left-4 z-50 w-72 max-w-[calc(100vw-2rem)]">
+      {isOpen && (
+        <div className="bg-white rounded-lg shadow-lg mb-2 p-4 text-sm space-y-4">
+          <div>
+            <label htmlFor="simulated-account" className="block text-xs font-medium text-gray-700 mb-1">
+              Account
+            </label>
+            <select
+              id="simulated-account"
+              value={account || ''}
+              onChange={(e) => simulation.switchAccount(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {simulation.accounts.map(({ name, address }) => (
+                <option key={address} value={address}>
+                  {name} ({formatAddress(address)})
+                </option>
+              ))}
+            </select>
+            {account && (
+              <p className="text-xs text-gray-500 mt-1">Balance: {formatEth(simulation.getBalance(account).toString())}</p>
+            )}
+          </div>
+
+          <div>
+            <p className="text-xs font-medium text-gray-700 mb-1">Chain time</p>
+            <p className="mb-2">{new Date(getCurrentTime() * 1000).toLocaleString()}</p>
+            <div className="flex space-x-2">
+              {TIME_STEPS.map(({ label, seconds }) => (
+                <button
+                  key={seconds}
+                  onClick={() => simulation.advanceTime(seconds)}
+                  className="flex-1 px-2 py-1 border border-indigo-600 text-indigo-600 rounded hover:bg-indigo-50 text-xs"
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center px-4 py-2 rounded-full shadow-lg text-sm font-medium text-white bg-amber-600 hover:bg-amber-700"
+      >
+        Simulation
+      </button>
+    </div>
+  );
+};
+
+export default SimulationControls;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useApp } from '../../contexts/AppContext';
+import { formatAddress, getExplorerTxUrl, classNames } from '../../utils';
+import { TX_STAGES, FINAL_TX_STAGES } from '../../services/transactions';
+
+const STAGE_LABELS = {
+  [TX_STAGES.AWAITING_SIGNATURE]: 'Waiting for signature',
+  [TX_STAGES.SUBMITTED]: 'Pending',
+  [TX_STAGES.MINED]: 'Confirmed',
+  [TX_STAGES.FAILED]: 'Failed',
+  [TX_STAGES.REJECTED]: 'Rejected',
+  [TX_STAGES.REPLACED]: 'Replaced',
+  [TX_STAGES.DROPPED]: 'Dropped'
+};
+
+const STAGE_CLASSES = {
+  [TX_STAGES.AWAITING_SIGNATURE]: 'bg-yellow-100 text-yellow-800',
+  [TX_STAGES.SUBMITTED]: 'bg-blue-100 text-blue-800',
+  [TX_STAGES.MINED]: 'bg-green-100 text-green-800',
+  [TX_STAGES.FAILED]: 'bg-red-100 text-red-800',
+  [TX_STAGES.REJECTED]: 'bg-gray-100 text-gray-700',
+  [TX_STAGES.REPLACED]: 'bg-orange-100 text-orange-800',
+  [TX_STAGES.DROPPED]: 'bg-gray-100 text-gray-700'
+};
+
+/**
+ * TransactionTray component - Global list of the transactions sent in this and previous sessions
+ */
+const TransactionTray = () => {
+  const { transactions, clearFinishedTransactions, chainId } = useApp();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!transactions.length) return null;
+
+  const pendingCount = transactions.filter(tx => !FINAL_TX_STAGES.includes(tx.stage)).length;
+  const hasFinished = pendingCount < transactions.length;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 w-80 max-w-[calc(100vw-2rem)]">
+      {isOpen && (
+        <div className="bg-white rounded-lg shadow-lg mb-2 max-h-96 overflow-y-auto">
+          <div className="flex items-center justify-between px-4 py-2 border-b">
+            <h2 className="text-sm font-semibold">Transactions</h2>
+            {hasFinished && (
+              <button
+                onClick={clearFinishedTransactions}
+                className="text-xs text-indigo-600 hover:underline"
+              >
+                Clear finished
+              </button>
+            )}
+          </div>
+          <ul>
+            {transactions.map(tx => {
+              const explorerUrl = getExplorerTxUrl(tx.chainId || chainId, tx.hash);
+
+              return (
+                <li key={tx.id} className="px-4 py-2 border-b last:border-b-0 text-sm">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium truncate mr-2">
+                      {tx.tokenId !== null && tx.tokenId !== undefined
+                        ? <Link to={`/card/${tx.tokenId}`} className="hover:underline">{tx.label}</Link>
+                        : tx.label}
+                    </span>
+                    <span className={classNames('px-2 py-0.5 rounded text-xs whitespace-nowrap', STAGE_CLASSES[tx.stage])}>
+                      {STAGE_LABELS[tx.stage]}
+                    </span>
+                  </div>
+                  {tx.hash && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      {explorerUrl
+                        ? <a href={explorerUrl} target="_blank" rel="noopener noreferrer" className="hover:underline">{formatAddress(tx.hash)}</a>
+                        : formatAddress(tx.hash)}
+                      {tx.replacedHash && ' (sped up)'}
+                      {tx.receipt?.blockNumber && ` · block ${tx.receipt.blockNumber}`}
+                    </div>
+                  )}
+                  {tx.error && (
+                    <div className="text-xs text-red-600 mt-1">
+                      {tx.error.message} {tx.error.action}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="ml-auto flex items-center px-4 py-2 rounded-full shadow-lg text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+      >
+        {pendingCount > 0 && (
+          <span className="inline-block w-2 h-2 mr-2 rounded-full bg-yellow-300 animate-pulse"></span>
+        )}
+        {pendingCount > 0 ? `${pendingCount} pending` : 'Transactions'}
+      </button>
+    </div>
+  );
+};
+
+export default TransactionTray;
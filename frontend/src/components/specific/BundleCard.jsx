@@ -0,0 +1,61 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatAddress, formatDuration, getPokemonImageUrl, getRarityName } from '../../utils';
+import { useCurrentTime } from '../../contexts/AppContext';
+import { getPokedexEntry } from '../../services/pokedex';
+import { formatAmount } from '../../services/currencies';
+
+/**
+ * BundleCard component - Marketplace tile of a bundle, showing every card of the lot with its price or highest bid
+ * @param {Object} bundle - Bundle as returned by getBundles, with the data of its cards in cards
+ */
+const BundleCard = ({ bundle }) => {
+  const now = useCurrentTime(bundle.isAuction);
+  const { bundleId, seller, cards, isAuction, endTime } = bundle;
+  const priceDisplay = formatAmount(
+    BigInt(bundle.highestBid) > BigInt(bundle.price) ? bundle.highestBid : bundle.price,
+    bundle.currency
+  );
+
+  return (
+    <Link
+      to={`/bundle/${bundleId}`}
+      className="block bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow border-2 border-indigo-200"
+    >
+      {/* Thumbnails of every card in the lot */}
+      <div className="grid grid-cols-3 gap-1 p-2 bg-indigo-50">
+        {cards.map(card => (
+          <img
+            key={card.tokenId}
+            src={getPokemonImageUrl(card.pokemonId)}
+            alt={getPokedexEntry(card.pokemonId)?.name || `Pokemon #${card.pokemonId}`}
+            title={`#${card.tokenId} ${getPokedexEntry(card.pokemonId)?.name || 'Unknown Pokemon'} (${getRarityName(card.rarity)})`}
+            className="w-full aspect-509/700 rounded"
+          />
+        ))}
+      </div>
+
+      <div className="p-3">
+        <h3 className="font-medium text-gray-900 truncate">
+          Bundle #{bundleId} · {cards.length} cards
+        </h3>
+        <p className="text-xs text-gray-500 truncate mb-1 capitalize">
+          {cards.map(card => getPokedexEntry(card.pokemonId)?.name || `#${card.tokenId}`).join(', ')}
+        </p>
+        <div className="text-sm text-gray-500 mb-1">Seller: {formatAddress(seller)}</div>
+
+        <div className="mt-2 flex justify-between items-center">
+          <span className="text-sm font-medium">{isAuction ? 'Bid' : 'Price'}:</span>
+          <span className="font-bold text-indigo-600">{priceDisplay}</span>
+        </div>
+        {isAuction && (
+          <div className="text-xs text-gray-500 text-right">
+            {now < endTime ? `Ends in ${formatDuration(endTime - now)}` : 'Ended'}
+          </div>
+        )}
+      </div>
+    </Link>
+  );
+};
+
+export default BundleCard;
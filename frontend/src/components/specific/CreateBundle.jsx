@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useApp } from '../../contexts/AppContext';
+import { useCardChoices } from './ProposeTrade';
+import { MIN_BUNDLE_CARDS, MAX_BUNDLE_CARDS } from '../../services/bundles';
+import { ETH, getUnitName } from '../../services/currencies';
+
+const AUCTION_DURATIONS = [
+  { label: '1 hour', seconds: 3600 },
+  { label: '1 day', seconds: 86400 },
+  { label: '3 days', seconds: 3 * 86400 },
+  { label: '7 days', seconds: 7 * 86400 }
+];
+
+// Toggle a card in a selection, keeping at most MAX_BUNDLE_CARDS
+const toggle = (selection, tokenId) => (
+  selection.includes(tokenId)
+    ? selection.filter(id => id !== tokenId)
+    : selection.length < MAX_BUNDLE_CARDS ? [...selection, tokenId] : selection
+);
+
+/**
+ * CreateBundle component - Form to list several own cards as one bundle, sold together at a fixed price or auctioned
+ * @param {Function} onError - Called with the decoded { message, action } of a failed transaction, null to clear it
+ */
+const CreateBundle = ({ onError }) => {
+  const navigate = useNavigate();
+  const { account, contracts, listBundle, getBundles, getCurrencies } = useApp();
+  const [open, setOpen] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [price, setPrice] = useState('');
+  const [isAuction, setIsAuction] = useState(false);
+  const [duration, setDuration] = useState(AUCTION_DURATIONS[1].seconds);
+  // Bundles are paid in ETH or a token allowed on the trading contract
+  const [currencies, setCurrencies] = useState([ETH]);
+  const [currency, setCurrency] = useState(ETH);
+  const [submitting, setSubmitting] = useState(false);
+
+  const myCards = useCardChoices(account, open);
+
+  useEffect(() => {
+    if (open) getCurrencies().then(setCurrencies);
+  }, [open, getCurrencies]);
+
+  // Deployments made before bundles existed cannot list them
+  if (!contracts?.bundlesContract) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    onError(null);
+    try {
+      const { success, error } = await listBundle(selected, price, { duration: isAuction ? duration : 0, currency });
+      if (!success) {
+        onError(error);
+        return;
+      }
+      // The newest bundle of this seller is the one just listed
+      const listed = (await getBundles()).find(bundle => bundle.seller.toLowerCase() === account.toLowerCase());
+      setOpen(false);
+      setSelected([]);
+      setPrice('');
+      if (listed) navigate(`/bundle/${listed.bundleId}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="w-full mb-6 py-2 border border-indigo-600 text-indigo-600 font-medium rounded hover:bg-indigo-50"
+      >
+        Create bundle
+      </button>
+    );
+  }
+
+  const canSubmit = selected.length >= MIN_BUNDLE_CARDS && BigInt(price || 0) > 0n;
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-4 border border-gray-200 rounded-lg space-y-3">
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg md:text-xl font-semibold">Create bundle</h2>
+        <button type="button" onClick={() => setOpen(false)} className="text-sm text-gray-500 hover:underline">
+          Close
+        </button>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium mb-1">
+          Cards in the bundle ({selected.length} of {MIN_BUNDLE_CARDS} to {MAX_BUNDLE_CARDS})
+        </h3>
+        {!myCards ? (
+          <p className="text-sm text-gray-500">Loading cards...</p>
+        ) : myCards.length < MIN_BUNDLE_CARDS ? (
+          <p className="text-sm text-gray-500">You need at least {MIN_BUNDLE_CARDS} unlisted cards to create a bundle.</p>
+        ) : (
+          <div className="max-h-40 overflow-y-auto border border-gray-200 rounded p-2 space-y-1">
+            {myCards.map(choice => (
+              <label key={choice.tokenId} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(choice.tokenId)}
+                  onChange={() => setSelected(toggle(selected, choice.tokenId))}
+                  className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                />
+                {choice.label}
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex space-x-4 text-sm">
+        <label className="flex items-center">
+          <input type="radio" checked={!isAuction} onChange={() => setIsAuction(false)} className="mr-2" />
+          Fixed price
+        </label>
+        <label className="flex items-center">
+          <input type="radio" checked={isAuction} onChange={() => setIsAuction(true)} className="mr-2" />
+          Auction
+        </label>
+        {currencies.length > 1 && (
+          <select
+            value={currency.address}
+            onChange={(e) => setCurrency(currencies.find(c => c.address === e.target.value))}
+            className="ml-auto p-1 border border-gray-300 rounded text-sm focus:ring-indigo-500 focus:border-indigo-500"
+            aria-label="Currency"
+          >
+            {currencies.map(option => (
+              <option key={option.address} value={option.address}>Priced in {option.symbol}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="number"
+          step="1"
+          min="1"
+          value={price}
+          onChange={(e) => setPrice(e.target.value.replace(/[^0-9]/g, ''))}
+          className="flex-1 p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+          placeholder={isAuction ? `Starting price in ${getUnitName(currency)}` : `Price for all cards in ${getUnitName(currency)}`}
+          required
+        />
+        {isAuction && (
+          <select
+            value={duration}
+            onChange={(e) => setDuration(Number(e.target.value))}
+            className="p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {AUCTION_DURATIONS.map(option => (
+              <option key={option.seconds} value={option.seconds}>{option.label}</option>
+            ))}
+          </select>
+        )}
+        <button
+          type="submit"
+          disabled={submitting || !canSubmit}
+          className="px-4 py-2 bg-indigo-600 text-white font-medium rounded hover:bg-indigo-700 disabled:bg-gray-400"
+        >
+          {submitting ? 'Processing...' : 'List bundle'}
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        The cards are held by the bundles contract until the bundle sells, and sold only all together. Each card is
+        approved for bundling first. You can cancel the bundle as long as no one has bid on it.
+      </p>
+    </form>
+  );
+};
+
+export default CreateBundle;
@@ -112,6 +112,8 @@ const FilterBar = ({ filters, onFilterChange, cardTypes = [] }) => {
             <option value="idDown">ID: High to Low</option>
             <option value="priceAsc">Price: Low to High</option>
             <option value="priceDesc">Price: High to Low</option>
+            <option value="newest">Newest Listed</option>
+            <option value="endingSoon">Ending Soon</option>
           </select>
         </div>
         <div className="w-full md:basis-1/4 md:px-2">
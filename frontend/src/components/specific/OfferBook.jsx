@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { useApp } from '../../contexts/AppContext';
+import { formatAddress, formatEth } from '../../utils';
+import { OFFER_STATUS, MAX_OFFER_DURATION, isOfferOpen, isOfferWithdrawable } from '../../services/offers';
+import SaleBreakdown from './SaleBreakdown';
+
+const OFFER_DURATIONS = [
+  { label: '1 day', seconds: 86400 },
+  { label: '3 days', seconds: 3 * 86400 },
+  { label: '7 days', seconds: 7 * 86400 },
+  { label: '30 days', seconds: MAX_OFFER_DURATION }
+];
+
+const sameAddress = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+/**
+ * OfferBook component - Active offers on a card, with the actions of its owner (accept, counter, reject) and of
+ * the bidders (accept a counter offer, withdraw an expired offer), and a form to make an offer on unlisted cards
+ * @param {string|number} tokenId - Card the offers are made on
+ * @param {string} owner - Current owner of the card, the trading contract while it is listed
+ * @param {boolean} isListed - Listed or bundled cards take no offers, they are bought or bid on instead
+ * @param {Function} onChange - Called after an offer changed the card, e.g. it was sold
+ * @param {Function} onError - Called with the decoded { message, action } of a failed transaction, null to clear it
+ */
+const OfferBook = ({ tokenId, owner, isListed, onChange, onError }) => {
+  const {
+    account,
+    getCurrentTime,
+    getOffers,
+    makeOffer,
+    acceptOffer,
+    counterOffer,
+    rejectOffer,
+    acceptCounterOffer,
+    withdrawOffer
+  } = useApp();
+  const [offers, setOffers] = useState([]);
+  const [amount, setAmount] = useState('');
+  const [duration, setDuration] = useState(OFFER_DURATIONS[0].seconds);
+  // Offer being countered, and the counter amount typed for it
+  const [countering, setCountering] = useState(null);
+  const [counterAmount, setCounterAmount] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const isOwner = sameAddress(owner, account);
+  const now = getCurrentTime();
+  const activeOffers = offers.filter(offer => offer.status === OFFER_STATUS.ACTIVE);
+
+  const loadOffers = async () => {
+    setOffers(await getOffers(tokenId));
+  };
+
+  useEffect(() => {
+    loadOffers();
+  }, [tokenId, owner, getOffers]);
+
+  // Run an offer transaction, then reload the offers (and the card, which may have been sold)
+  const submit = async (send, { changesCard = false } = {}) => {
+    setSubmitting(true);
+    onError(null);
+    try {
+      const { success, error } = await send();
+      if (!success) {
+        onError(error);
+        return false;
+      }
+      await loadOffers();
+      if (changesCard) onChange();
+      return true;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleMakeOffer = async (e) => {
+    e.preventDefault();
+    if (await submit(() => makeOffer(tokenId, amount, duration))) {
+      setAmount('');
+    }
+  };
+
+  const handleCounter = async (e, offer) => {
+    e.preventDefault();
+    if (await submit(() => counterOffer(offer, counterAmount))) {
+      setCountering(null);
+      setCounterAmount('');
+    }
+  };
+
+  const linkClass = 'text-sm font-medium hover:underline disabled:opacity-50';
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg">
+      <h2 className="text-lg md:text-xl font-semibold mb-2">Offers</h2>
+
+      {activeOffers.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-2">No open offers on this card.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-2">
+          {activeOffers.map(offer => {
+            const open = isOfferOpen(offer, now);
+            const isBidder = sameAddress(offer.bidder, account);
+            // A counter offer only stands while the card is with the owner who made it
+            const counter = offer.counteredBy && sameAddress(offer.counteredBy, owner) ? offer.counterAmount : null;
+
+            return (
+              <li key={offer.offerId} className="py-2 text-sm">
+                <div className="flex justify-between items-center">
+                  <div>
+                    <span className="font-semibold">{formatEth(offer.amount)}</span>
+                    <span className="text-gray-600"> from {isBidder ? 'you' : formatAddress(offer.bidder)}</span>
+                    {counter && <span className="text-indigo-600"> · countered at {formatEth(counter)}</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {open ? `Expires ${new Date(offer.expiresAt * 1000).toLocaleString()}` : 'Expired'}
+                  </div>
+                </div>
+
+                <div className="flex flex-wrap gap-3 mt-1">
+                  {isOwner && open && (
+                    <>
+                      <button type="button" disabled={submitting} className={`${linkClass} text-green-700`}
+                        onClick={() => submit(() => acceptOffer(offer), { changesCard: true })}>
+                        Accept
+                      </button>
+                      <button type="button" disabled={submitting} className={`${linkClass} text-indigo-600`}
+                        onClick={() => setCountering(countering === offer.offerId ? null : offer.offerId)}>
+                        Counter
+                      </button>
+                    </>
+                  )}
+                  {isOwner && (
+                    <button type="button" disabled={submitting} className={`${linkClass} text-red-600`}
+                      onClick={() => submit(() => rejectOffer(offer))}>
+                      Reject
+                    </button>
+                  )}
+                  {isBidder && open && counter && (
+                    <button type="button" disabled={submitting} className={`${linkClass} text-green-700`}
+                      onClick={() => submit(() => acceptCounterOffer(offer), { changesCard: true })}>
+                      Buy for {formatEth(counter)} (pay {formatEth((BigInt(counter) - BigInt(offer.amount)).toString())} more)
+                    </button>
+                  )}
+                  {isBidder && isOfferWithdrawable(offer, now) && (
+                    <button type="button" disabled={submitting} className={`${linkClass} text-indigo-600`}
+                      onClick={() => submit(() => withdrawOffer(offer))}>
+                      Withdraw {formatEth(offer.amount)}
+                    </button>
+                  )}
+                </div>
+
+                {isOwner && countering === offer.offerId && (
+                  <form onSubmit={(e) => handleCounter(e, offer)} className="flex gap-2 mt-2">
+                    <input
+                      type="number"
+                      step="1"
+                      min={(BigInt(offer.amount) + 1n).toString()}
+                      value={counterAmount}
+                      onChange={(e) => setCounterAmount(e.target.value.replace(/[^0-9]/g, ''))}
+                      className="flex-1 p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                      placeholder="Counter amount in Wei"
+                      required
+                    />
+                    <button
+                      type="submit"
+                      disabled={submitting || !counterAmount}
+                      className="px-4 py-2 bg-indigo-600 text-white font-medium rounded hover:bg-indigo-700 disabled:bg-gray-400"
+                    >
+                      Counter
+                    </button>
+                  </form>
+                )}
+                {isOwner && open && countering !== offer.offerId && (
+                  <SaleBreakdown tokenId={tokenId} price={offer.amount} isSeller />
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {account && !isOwner && !isListed && (
+        <form onSubmit={handleMakeOffer} className="space-y-2 mt-4">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="number"
+              step="1"
+              min="1"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value.replace(/[^0-9]/g, ''))}
+              className="flex-1 p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+              placeholder="Offer amount in Wei"
+              required
+            />
+            <select
+              value={duration}
+              onChange={(e) => setDuration(Number(e.target.value))}
+              className="p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {OFFER_DURATIONS.map(option => (
+                <option key={option.seconds} value={option.seconds}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={submitting || !amount}
+              className="px-4 py-2 bg-indigo-600 text-white font-medium rounded hover:bg-indigo-700 disabled:bg-gray-400"
+            >
+              {submitting ? 'Processing...' : 'Make Offer'}
+            </button>
+          </div>
+          <SaleBreakdown tokenId={tokenId} price={amount} />
+          <p className="text-xs text-gray-500">
+            The offer is held by the marketplace until the owner accepts or rejects it. Once it expires you can withdraw it.
+          </p>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default OfferBook;
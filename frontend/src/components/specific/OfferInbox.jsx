@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useApp } from '../../contexts/AppContext';
+import { formatAddress, formatEth } from '../../utils';
+import { isOfferOpen, isOfferWithdrawable } from '../../services/offers';
+
+// When an offer expires, or that it did
+const describeExpiry = (offer, now) => (
+  now < offer.expiresAt ? `expires ${new Date(offer.expiresAt * 1000).toLocaleString()}` : 'expired'
+);
+
+/**
+ * OfferInbox component - Offers received on the current account's cards and the offers it made.
+ * Received offers are accepted or rejected here, countering and accepting counter offers happen on the card page.
+ * @param {Function} onChange - Called after an offer was accepted, rejected or withdrawn
+ */
+const OfferInbox = ({ onChange }) => {
+  const {
+    account,
+    contracts,
+    getCurrentTime,
+    getReceivedOffers,
+    getMyOffers,
+    acceptOffer,
+    rejectOffer,
+    withdrawOffer
+  } = useApp();
+  const [received, setReceived] = useState([]);
+  const [made, setMade] = useState([]);
+  const [busyOfferId, setBusyOfferId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const now = getCurrentTime();
+
+  const fetchOffers = async () => {
+    const [receivedOffers, myOffers] = await Promise.all([getReceivedOffers(), getMyOffers()]);
+    setReceived(receivedOffers);
+    setMade(myOffers);
+  };
+
+  useEffect(() => {
+    if (account && contracts?.tradingContract) {
+      fetchOffers();
+    }
+  }, [account, contracts?.tradingContract]);
+
+  const handle = async (offer, send) => {
+    setBusyOfferId(offer.offerId);
+    setError(null);
+    try {
+      const { success, error: txFailure } = await send(offer);
+      if (success) {
+        await fetchOffers();
+        onChange();
+      } else {
+        setError(`${txFailure.message} ${txFailure.action}`);
+      }
+    } finally {
+      setBusyOfferId(null);
+    }
+  };
+
+  if (received.length === 0 && made.length === 0) return null;
+
+  const actionClass = 'text-sm font-medium hover:underline disabled:opacity-50';
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg">
+      {error && <p className="text-xs text-red-500 mb-2">{error}</p>}
+
+      {received.length > 0 && (
+        <>
+          <h2 className="text-lg font-semibold mb-2">Offers received</h2>
+          <ul className="divide-y divide-gray-200 mb-4">
+            {received.map(offer => (
+              <li key={offer.offerId} className="py-2 flex flex-col md:flex-row md:items-center md:justify-between gap-1 text-sm">
+                <div>
+                  <Link to={`/card/${offer.tokenId}`} className="font-medium text-indigo-600 hover:underline">
+                    Card #{offer.tokenId}
+                  </Link>
+                  <span> · {formatEth(offer.amount)} from {formatAddress(offer.bidder)}</span>
+                  <span className="text-xs text-gray-500"> · {describeExpiry(offer, now)}</span>
+                </div>
+                <div className="flex gap-3">
+                  {isOfferOpen(offer, now) && (
+                    <button
+                      type="button"
+                      onClick={() => handle(offer, acceptOffer)}
+                      disabled={busyOfferId !== null}
+                      className={`${actionClass} text-green-700`}
+                    >
+                      Accept
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handle(offer, rejectOffer)}
+                    disabled={busyOfferId !== null}
+                    className={`${actionClass} text-red-600`}
+                  >
+                    Reject
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {made.length > 0 && (
+        <>
+          <h2 className="text-lg font-semibold mb-2">Your offers</h2>
+          <ul className="divide-y divide-gray-200">
+            {made.map(offer => (
+              <li key={offer.offerId} className="py-2 flex flex-col md:flex-row md:items-center md:justify-between gap-1 text-sm">
+                <div>
+                  <Link to={`/card/${offer.tokenId}`} className="font-medium text-indigo-600 hover:underline">
+                    Card #{offer.tokenId}
+                  </Link>
+                  <span> · {formatEth(offer.amount)}</span>
+                  {offer.counteredBy && <span className="text-indigo-600"> · countered at {formatEth(offer.counterAmount)}</span>}
+                  <span className="text-xs text-gray-500"> · {describeExpiry(offer, now)}</span>
+                </div>
+                {isOfferWithdrawable(offer, now) && (
+                  <button
+                    type="button"
+                    onClick={() => handle(offer, withdrawOffer)}
+                    disabled={busyOfferId !== null}
+                    className={`${actionClass} text-indigo-600`}
+                  >
+                    Withdraw
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OfferInbox;
@@ -1,15 +1,37 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { formatEth, getRarityClass, getRarityName, formatAddress, getPokemonImageUrl } from '../../utils';
-import { useApp } from '../../contexts/AppContext';
+import {
+  formatDuration, getRarityClass, getRarityName, formatAddress, getPokemonImageUrl, getTypeBadgeUrl
+} from '../../utils';
+import { useApp, useCurrentTime } from '../../contexts/AppContext';
+import { applyListingUpdate } from '../../services/marketplaceEvents';
+import { getDutchAuctionPrice } from '../../services/auctions';
+import { isListingPending, isListingExpired } from '../../services/listings';
+import { formatAmount } from '../../services/currencies';
 
 /**
  * PokemonCard component - Displays a Pokemon card with data fetched based on tokenId
  */
 const PokemonCard = ({ tokenId, fType = "" }) => {
-  const { getCardData, getListingDetails, getPokemonData } = useApp();
-  const [card, setCard] = useState(null);
+  const { getCardData, getListingDetails, getPokemonData, getTokenMetadata, onCardsInvalidated, listingUpdates } = useApp();
+  const [loadedCard, setCard] = useState(null);
+  const card = applyListingUpdate(loadedCard, listingUpdates[tokenId]);
   const [loading, setLoading] = useState(true);
+  const [refreshCount, setRefreshCount] = useState(0);
+  // On-chain card image, used when the bundled artwork is missing or fails to load
+  const [metadataImage, setMetadataImage] = useState(null);
+  // The price of a Dutch auction falls every second, the countdown of a scheduled or expiring listing runs down
+  const hasSaleWindow = !card?.listing?.isAuction && Boolean(Number(card?.listing?.startTime) || Number(card?.listing?.endTime));
+  const now = useCurrentTime(Boolean(card?.listing?.isActive && (card.listing.isDutchAuction || hasSaleWindow)));
+
+  // Refetch when the cached owner or listing of this card is dropped
+  useEffect(() => {
+    return onCardsInvalidated(({ tokenIds }) => {
+      if (tokenIds.has(Number(tokenId))) {
+        setRefreshCount(count => count + 1);
+      }
+    });
+  }, [tokenId, onCardsInvalidated]);
 
   // Fetch all card data when tokenId changes
   useEffect(() => {
@@ -20,11 +42,13 @@ const PokemonCard = ({ tokenId, fType = "" }) => {
         const cardData = await getCardData(tokenId);
         if (!cardData) return;
         
-        // Get listing details if the card is for sale/auction
-        const listing = await getListingDetails(tokenId);
+        // getCardData already includes the listing, only mock cards may come without one
+        const listing = cardData.listing || await getListingDetails(tokenId);
         
-        // Get pokemon details from PokeAPI
+        // Get pokemon details from the bundled Pokédex, or from the token metadata for Pokémon it does not know
         const pokemonData = await getPokemonData(cardData.pokemonId);
+        const metadata = pokemonData ? null : await getTokenMetadata(tokenId);
+        setMetadataImage(metadata?.image || null);
         
         // Combine all data into one card object
         setCard({
@@ -32,7 +56,7 @@ const PokemonCard = ({ tokenId, fType = "" }) => {
           pokemonId: cardData.pokemonId,
           rarity: cardData.rarity,
           owner: cardData.owner,
-          name: pokemonData?.name || `Pokemon #${cardData.pokemonId}`,
+          name: pokemonData?.name || metadata?.pokemonName || `Pokemon #${cardData.pokemonId}`,
           types: pokemonData?.types || [],
           typeIds: pokemonData?.typeIds || [],
           listing
@@ -45,7 +69,7 @@ const PokemonCard = ({ tokenId, fType = "" }) => {
     };
 
     fetchCardData();
-  }, [tokenId]);
+  }, [tokenId, refreshCount]);
 
   // Show loading state or nothing if card data failed to load
   if (loading) return <div className="bg-white rounded-lg shadow-md p-4 animate-pulse h-64"></div>;
@@ -54,7 +78,14 @@ const PokemonCard = ({ tokenId, fType = "" }) => {
   const { pokemonId, name, rarity, types, typeIds, owner, listing } = card;
   
   // Use simplified image URL generation with fallback handling
-  const imageUrl = getPokemonImageUrl(pokemonId);
+  const imageUrl = metadataImage || getPokemonImageUrl(pokemonId);
+
+  // Fall back to the on-chain image when the bundled artwork cannot be loaded
+  const handleImageError = async () => {
+    if (metadataImage) return;
+    const metadata = await getTokenMetadata(tokenId);
+    if (metadata?.image) setMetadataImage(metadata.image);
+  };
 
   // Format the address directly
   const ownerDisplay = owner ? formatAddress(owner) : '';
@@ -63,9 +94,12 @@ const PokemonCard = ({ tokenId, fType = "" }) => {
   const price = listing?.price;
   const highestBid = listing?.highestBid;
   const isAuction = listing?.isAuction;
+  const isDutchAuction = listing?.isDutchAuction;
 
   // Format the price display
-  const priceDisplay = formatEth(Math.max(highestBid,price));
+  const priceDisplay = isDutchAuction
+    ? formatAmount(getDutchAuctionPrice(listing, now), listing.currency)
+    : formatAmount(BigInt(highestBid || 0) > BigInt(price || 0) ? highestBid : price, listing?.currency);
 
 
   return ( ( fType == "" || fType == 'all' || types.includes(fType) ) && (
@@ -78,6 +112,7 @@ const PokemonCard = ({ tokenId, fType = "" }) => {
         <img
           src={imageUrl}
           alt={name}
+          onError={handleImageError}
           className="w-full aspect-509/700"
         />
         
@@ -99,10 +134,12 @@ const PokemonCard = ({ tokenId, fType = "" }) => {
           {/* Types */}
           {typeIds && typeIds.length > 0 && (
             <div className="grid grid-cols-2 gap-1 mb-2">
-              {typeIds.map((typeId) => (
+              {typeIds.map((typeId, i) => (
                 <img
-                  src= {`https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/types/generation-viii/sword-shield/${typeId}.png`}
-                  class="rounded-full"
+                  key={typeId}
+                  src={getTypeBadgeUrl(typeId)}
+                  alt={types?.[i]}
+                  className="rounded-full"
                 />
               ))}
             </div>
@@ -123,13 +160,28 @@ const PokemonCard = ({ tokenId, fType = "" }) => {
         {listing.isActive && (
           <div className="mt-2 flex justify-between items-center">
             <span className="text-sm font-medium">
-              {isAuction ? 'Bid' : 'Price'}:
+              {isAuction ? 'Bid' : isDutchAuction ? 'Price now' : 'Price'}:
             </span>
             <span className="font-bold text-indigo-600">
               {priceDisplay}
             </span>
           </div>
         )}
+        {listing.isActive && isDutchAuction && (
+          <div className="text-xs text-gray-500 text-right">
+            Dutch auction, falling to {formatAmount(listing.floorPrice, listing.currency)}
+          </div>
+        )}
+        {listing.isActive && isListingPending(listing, now) && (
+          <div className="text-xs text-gray-500 text-right">
+            Starts in {formatDuration(Number(listing.startTime) - now)}
+          </div>
+        )}
+        {listing.isActive && !isAuction && !isDutchAuction && Number(listing.endTime) > 0 && (
+          <div className="text-xs text-gray-500 text-right">
+            {isListingExpired(listing, now) ? 'Expired' : `Expires in ${formatDuration(Number(listing.endTime) - now)}`}
+          </div>
+        )}
       </div>
     </Link>
     )
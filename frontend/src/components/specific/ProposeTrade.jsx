@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { useApp } from '../../contexts/AppContext';
+import { formatAddress, getRarityName } from '../../utils';
+import { getPokedexEntry } from '../../services/pokedex';
+import { MAX_SWAP_CARDS, MAX_SWAP_DURATION } from '../../services/swaps';
+
+const SWAP_DURATIONS = [
+  { label: '1 day', seconds: 86400 },
+  { label: '3 days', seconds: 3 * 86400 },
+  { label: '7 days', seconds: 7 * 86400 },
+  { label: '30 days', seconds: MAX_SWAP_DURATION }
+];
+
+// Card IDs of an owner with the name and rarity shown next to their checkbox, also used by CreateBundle
+export const useCardChoices = (ownerAddress, enabled) => {
+  const { getOwnedCards, getCardData } = useApp();
+  const [choices, setChoices] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !ownerAddress) return;
+    let stale = false;
+
+    (async () => {
+      const tokenIds = await getOwnedCards(ownerAddress);
+      const cards = await Promise.all(tokenIds.map(tokenId => getCardData(tokenId)));
+      if (stale) return;
+      setChoices(cards.filter(Boolean).map(card => ({
+        tokenId: Number(card.tokenId),
+        label: `#${card.tokenId} ${getPokedexEntry(card.pokemonId)?.name || 'Unknown Pokemon'} (${getRarityName(card.rarity)})`
+      })));
+    })();
+
+    return () => {
+      stale = true;
+    };
+  }, [ownerAddress, enabled]);
+
+  return choices;
+};
+
+// Toggle a card in a selection, keeping at most MAX_SWAP_CARDS
+const toggle = (selection, tokenId) => (
+  selection.includes(tokenId)
+    ? selection.filter(id => id !== tokenId)
+    : selection.length < MAX_SWAP_CARDS ? [...selection, tokenId] : selection
+);
+
+/**
+ * ProposeTrade component - Form to propose a swap of own cards, plus optional ETH, for cards of another collector,
+ * starting with the card being viewed
+ * @param {string|number} tokenId - Card the trade is proposed for, preselected on the requested side
+ * @param {string} owner - Owner of the card, who receives the proposal
+ * @param {Function} onProposed - Called after the proposal was sent
+ * @param {Function} onError - Called with the decoded { message, action } of a failed transaction, null to clear it
+ */
+const ProposeTrade = ({ tokenId, owner, onProposed, onError }) => {
+  const { account, proposeSwap } = useApp();
+  const [open, setOpen] = useState(false);
+  const [offered, setOffered] = useState([]);
+  const [requested, setRequested] = useState([Number(tokenId)]);
+  const [sweetener, setSweetener] = useState('');
+  const [duration, setDuration] = useState(SWAP_DURATIONS[1].seconds);
+  const [submitting, setSubmitting] = useState(false);
+
+  const myCards = useCardChoices(account, open);
+  const theirCards = useCardChoices(owner, open);
+
+  // Start over when another card is viewed
+  useEffect(() => {
+    setRequested([Number(tokenId)]);
+    setOffered([]);
+  }, [tokenId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    onError(null);
+    try {
+      const { success, error } = await proposeSwap(owner, offered, requested, sweetener || '0', duration);
+      if (!success) {
+        onError(error);
+        return;
+      }
+      setOpen(false);
+      setOffered([]);
+      setSweetener('');
+      onProposed();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="w-full mb-6 py-2 border border-indigo-600 text-indigo-600 font-medium rounded hover:bg-indigo-50"
+      >
+        Propose trade
+      </button>
+    );
+  }
+
+  const renderChoices = (choices, selection, setSelection, emptyMessage) => {
+    if (!choices) return <p className="text-sm text-gray-500">Loading cards...</p>;
+    if (choices.length === 0) return <p className="text-sm text-gray-500">{emptyMessage}</p>;
+
+    return (
+      <div className="max-h-40 overflow-y-auto border border-gray-200 rounded p-2 space-y-1">
+        {choices.map(choice => (
+          <label key={choice.tokenId} className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={selection.includes(choice.tokenId)}
+              onChange={() => setSelection(toggle(selection, choice.tokenId))}
+              className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+            />
+            {choice.label}
+          </label>
+        ))}
+      </div>
+    );
+  };
+
+  const canSubmit = requested.length > 0 && (offered.length > 0 || BigInt(sweetener || 0) > 0n);
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-4 border border-gray-200 rounded-lg space-y-3">
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg md:text-xl font-semibold">Propose trade</h2>
+        <button type="button" onClick={() => setOpen(false)} className="text-sm text-gray-500 hover:underline">
+          Close
+        </button>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium mb-1">You give</h3>
+        {renderChoices(myCards, offered, setOffered, 'You have no unlisted cards to trade, offer ETH instead.')}
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium mb-1">You get from {formatAddress(owner)}</h3>
+        {renderChoices(theirCards, requested, setRequested, 'This collector has no unlisted cards.')}
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="number"
+          step="1"
+          min="0"
+          value={sweetener}
+          onChange={(e) => setSweetener(e.target.value.replace(/[^0-9]/g, ''))}
+          className="flex-1 p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+          placeholder="ETH to add, in Wei (optional)"
+        />
+        <select
+          value={duration}
+          onChange={(e) => setDuration(Number(e.target.value))}
+          className="p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          {SWAP_DURATIONS.map(option => (
+            <option key={option.seconds} value={option.seconds}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={submitting || !canSubmit}
+          className="px-4 py-2 bg-indigo-600 text-white font-medium rounded hover:bg-indigo-700 disabled:bg-gray-400"
+        >
+          {submitting ? 'Processing...' : 'Send proposal'}
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Your cards stay in your wallet until the trade is accepted, the marketplace is approved to move them.
+        Added ETH is held by the marketplace and credited back if the trade is cancelled or declined.
+        Trades pay no platform fee or royalties.
+      </p>
+    </form>
+  );
+};
+
+export default ProposeTrade;
@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import { useApp } from '../../contexts/AppContext';
+import { formatAddress } from '../../utils';
+import { formatAmount } from '../../services/currencies';
+
+// Basis points as a percentage, 250 -> "2.5%"
+const formatRate = (basisPoints) => `${basisPoints / 100}%`;
+
+/**
+ * SaleBreakdown component - Shows how a sale price is split between the seller, the creator royalty and the
+ * platform fee, as the trading contract will pay it out
+ * @param {string|number} tokenId - Card being sold, royalties can differ per card
+ * @param {string} price - Sale price in Wei or token base units, nothing is shown while it is empty or zero
+ * @param {boolean} isSeller - Word the seller's share as "You receive"
+ * @param {Object} currency - Currency the price is paid in, ETH if missing
+ */
+const SaleBreakdown = ({ tokenId, price, isSeller = false, currency }) => {
+  const { getSaleBreakdown } = useApp();
+  const [breakdown, setBreakdown] = useState(null);
+
+  useEffect(() => {
+    if (!price || BigInt(price) <= 0n) {
+      setBreakdown(null);
+      return;
+    }
+
+    // Ignore answers for a price that was changed in the meantime
+    let stale = false;
+    getSaleBreakdown(tokenId, price).then(result => {
+      if (!stale) setBreakdown(result);
+    });
+    return () => {
+      stale = true;
+    };
+  }, [tokenId, price, getSaleBreakdown]);
+
+  if (!breakdown) return null;
+
+  return (
+    <div className="grid grid-cols-2 gap-1 text-xs text-gray-600 mb-3 p-2 bg-gray-50 rounded">
+      <div>Sale price:</div>
+      <div className="text-right font-medium text-gray-800">{formatAmount(breakdown.price, currency)}</div>
+      <div>Creator royalty ({formatRate(breakdown.royaltyRate)}):</div>
+      <div className="text-right" title={breakdown.royaltyReceiver}>
+        {formatAmount(breakdown.royaltyAmount, currency)}
+        {breakdown.royaltyAmount !== '0' && ` to ${formatAddress(breakdown.royaltyReceiver)}`}
+      </div>
+      <div>Platform fee ({formatRate(breakdown.platformFeeRate)}):</div>
+      <div className="text-right">{formatAmount(breakdown.platformFeeAmount, currency)}</div>
+      <div className="font-semibold text-gray-800">{isSeller ? 'You receive:' : 'Seller receives:'}</div>
+      <div className="text-right font-semibold text-gray-800">{formatAmount(breakdown.sellerProceeds, currency)}</div>
+    </div>
+  );
+};
+
+export default SaleBreakdown;
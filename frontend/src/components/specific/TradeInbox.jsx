@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useApp } from '../../contexts/AppContext';
+import { formatAddress, formatEth } from '../../utils';
+import { isSwapOpen } from '../../services/swaps';
+
+// When a swap expires, or that it did
+const describeExpiry = (swap, now) => (
+  now < swap.expiresAt ? `expires ${new Date(swap.expiresAt * 1000).toLocaleString()}` : 'expired'
+);
+
+// Links to the cards on one side of a swap
+const CardLinks = ({ tokenIds }) => tokenIds.map((tokenId, i) => (
+  <React.Fragment key={tokenId}>
+    {i > 0 && ', '}
+    <Link to={`/card/${tokenId}`} className="font-medium text-indigo-600 hover:underline">#{tokenId}</Link>
+  </React.Fragment>
+));
+
+// What one side gives: its cards, the ETH sweetener, or both
+const Side = ({ tokenIds, sweetener }) => (
+  <>
+    {tokenIds.length > 0 && <CardLinks tokenIds={tokenIds} />}
+    {tokenIds.length > 0 && BigInt(sweetener) > 0n && ' + '}
+    {BigInt(sweetener) > 0n && formatEth(sweetener)}
+  </>
+);
+
+/**
+ * TradeInbox component - Pending swap proposals of the current account: the ones it received, to accept or
+ * decline, and the ones it made, to cancel
+ * @param {Function} onChange - Called after a swap was accepted, declined or cancelled
+ */
+const TradeInbox = ({ onChange }) => {
+  const { account, contracts, getCurrentTime, getSwaps, acceptSwap, cancelSwap } = useApp();
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+  const [busySwapId, setBusySwapId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const now = getCurrentTime();
+
+  const fetchSwaps = async () => {
+    const swaps = await getSwaps();
+    setIncoming(swaps.incoming);
+    setOutgoing(swaps.outgoing);
+  };
+
+  useEffect(() => {
+    if (account && contracts?.tradingContract) {
+      fetchSwaps();
+    }
+  }, [account, contracts?.tradingContract]);
+
+  const handle = async (swap, send) => {
+    setBusySwapId(swap.swapId);
+    setError(null);
+    try {
+      const { success, error: txFailure } = await send(swap);
+      if (success) {
+        await fetchSwaps();
+        onChange();
+      } else {
+        setError(`${txFailure.message} ${txFailure.action}`);
+      }
+    } finally {
+      setBusySwapId(null);
+    }
+  };
+
+  if (incoming.length === 0 && outgoing.length === 0) return null;
+
+  const actionClass = 'text-sm font-medium hover:underline disabled:opacity-50';
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg">
+      {error && <p className="text-xs text-red-500 mb-2">{error}</p>}
+
+      {incoming.length > 0 && (
+        <>
+          <h2 className="text-lg font-semibold mb-2">Trades proposed to you</h2>
+          <ul className="divide-y divide-gray-200 mb-4">
+            {incoming.map(swap => (
+              <li key={swap.swapId} className="py-2 flex flex-col md:flex-row md:items-center md:justify-between gap-1 text-sm">
+                <div>
+                  <span>{formatAddress(swap.proposer)} gives </span>
+                  <Side tokenIds={swap.offeredTokenIds} sweetener={swap.sweetener} />
+                  <span> for your </span>
+                  <CardLinks tokenIds={swap.requestedTokenIds} />
+                  <span className="text-xs text-gray-500"> · {describeExpiry(swap, now)}</span>
+                </div>
+                <div className="flex gap-3">
+                  {isSwapOpen(swap, now) && (
+                    <button
+                      type="button"
+                      onClick={() => handle(swap, acceptSwap)}
+                      disabled={busySwapId !== null}
+                      className={`${actionClass} text-green-700`}
+                    >
+                      Accept
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handle(swap, cancelSwap)}
+                    disabled={busySwapId !== null}
+                    className={`${actionClass} text-red-600`}
+                  >
+                    Decline
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {outgoing.length > 0 && (
+        <>
+          <h2 className="text-lg font-semibold mb-2">Your trade proposals</h2>
+          <ul className="divide-y divide-gray-200">
+            {outgoing.map(swap => (
+              <li key={swap.swapId} className="py-2 flex flex-col md:flex-row md:items-center md:justify-between gap-1 text-sm">
+                <div>
+                  <span>You give </span>
+                  <Side tokenIds={swap.offeredTokenIds} sweetener={swap.sweetener} />
+                  <span> for {formatAddress(swap.counterparty)}'s </span>
+                  <CardLinks tokenIds={swap.requestedTokenIds} />
+                  <span className="text-xs text-gray-500"> · {describeExpiry(swap, now)}</span>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handle(swap, cancelSwap)}
+                  disabled={busySwapId !== null}
+                  className={`${actionClass} text-red-600`}
+                >
+                  Cancel
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TradeInbox;
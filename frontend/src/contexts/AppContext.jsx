@@ -1,13 +1,70 @@
-import React, { createContext, useReducer, useEffect, useCallback, useContext } from 'react';
+import React, { createContext, useReducer, useState, useEffect, useCallback, useContext, useRef } from 'react';
 import { ethers } from 'ethers';
 import { produce } from 'immer';
-import { generateMockCard } from '../utils/mockData';
 import { runContractDiagnostics, formatDiagnosticResults } from '../utils/diagnostics';
 import { getNetworkName } from '../utils';
+import { syncListingIndex, getIndexedListing } from '../services/listingIndex';
+import { isListingOpen } from '../services/listings';
+import { createMulticallBatcher, CANONICAL_MULTICALL_ADDRESS } from '../services/multicall';
+import {
+  getCachedCard,
+  cacheCard,
+  getCachedTokenState,
+  cacheTokenState,
+  getCachedOwnedTokens,
+  cacheOwnedTokens,
+  reconcileCache,
+  invalidateTokens,
+  invalidateFromLogs,
+  forgetTokenState,
+  getCacheScope,
+  onCacheInvalidated
+} from '../services/cardCache';
+import { subscribeToListingEvents } from '../services/marketplaceEvents';
+import { getPokedexEntry } from '../services/pokedex';
+import { decodeTokenURI } from '../services/tokenMetadata';
+import { createSimulatedMarketplace, SIMULATED_CHAIN_ID } from '../services/simulatedMarketplace';
+import {
+  getConfiguredChainId,
+  switchWalletChain,
+  findMissingContracts,
+  wrongNetworkError,
+  contractsNotDeployedError
+} from '../services/network';
+import { decodeTransactionError } from '../services/txErrors';
+import { createPackSecret, getPackSecret, forgetPackSecret, getPackStatus } from '../services/packs';
+import { toOffer, OFFER_STATUS } from '../services/offers';
+import { toSwap, SWAP_STATUS } from '../services/swaps';
+import { toBundle } from '../services/bundles';
+import { ETH, ERC20_ABI, isEth, loadCurrency, formatAmount, paymentOverrides } from '../services/currencies';
+import {
+  subscribeToWallets,
+  getWallets,
+  getWallet,
+  findWallet,
+  getAuthorizedAccounts,
+  watchWallet,
+  loadWalletSession,
+  saveWalletSession
+} from '../services/walletSession';
+import { loadDeployment } from '../services/deployments';
+import {
+  TX_STAGES,
+  FINAL_TX_STAGES,
+  waitForOutcome,
+  resumeTransaction,
+  sendFailure,
+  loadPendingTransactions,
+  savePendingTransactions
+} from '../services/transactions';
 
-// Import ABIs and contract addresses
-import PokemonCardTokenABI from '../contracts/PokemonCardToken.json';
-import PokemonCardTradingABI from '../contracts/PokemonCardTrading.json';
+// Marketplace backend: 'contracts' (default) for the deployed contracts, 'simulated' for the in-memory marketplace
+const MARKETPLACE_BACKEND = import.meta.env.VITE_MARKETPLACE_BACKEND || 'contracts';
+const isSimulatedBackend = MARKETPLACE_BACKEND === 'simulated';
+
+// Error of the pack actions on deployments without a packs contract
+const PACKS_UNAVAILABLE = { message: 'Booster packs are not available on this network.', action: 'Deploy the contracts again to add the packs contract.' };
+const BUNDLES_UNAVAILABLE = { message: 'Bundles are not available on this network.', action: 'Deploy the contracts again to add the bundles contract.' };
 
 // Create a single context for the entire application
 const AppContext = createContext({
@@ -33,23 +90,73 @@ const initialState = {
     account: null,
     chainId: null,
     networkName: null,
+    walletName: null,
+    walletIcon: null,
   },
+  // Wallets announced through EIP-6963 ({ uuid, rdns, name, icon }), their providers stay in the wallet session
+  availableWallets: [],
   contracts: {
     tokenContract: null,
-    tradingContract: null
+    tradingContract: null,
+    // Booster pack sale, null on deployments without one
+    packsContract: null,
+    // Bundle listings, null on deployments without them
+    bundlesContract: null,
+    provider: null,
+    batcher: null,
+    readOnly: true,
+    simulated: false
+  },
+  marketplace: {
+    // tokenId -> { owner, listing } accumulated from live trading events
+    listingUpdates: {}
+  },
+  network: {
+    // Chain of the connected wallet when no deployment manifest exists for it
+    unsupportedChainId: null,
+    // Manifest addresses without bytecode on their chain
+    missingContracts: []
+  },
+  // Tracked transactions, newest first
+  transactions: [],
+  simulation: {
+    // Seconds the simulated clock runs ahead of the wall clock
+    timeOffset: 0
   }
 };
 
+// Restore the transactions that were still pending before the last reload
+const initState = (state) => ({
+  ...state,
+  transactions: loadPendingTransactions().map(tx => ({ ...tx, stage: TX_STAGES.SUBMITTED }))
+});
+
 // Action types for state updates
 const actions = {
   wallet: {
     CONNECT_SUCCESS: 'wallet/connect-success',
     DISCONNECT: 'wallet/disconnect',
-    UPDATE: 'wallet/update'
+    UPDATE: 'wallet/update',
+    WALLETS_DISCOVERED: 'wallet/wallets-discovered'
   },
   contracts: {
     INIT_SUCCESS: 'contracts/init-success',
   },
+  marketplace: {
+    LISTING_UPDATED: 'marketplace/listing-updated',
+  },
+  network: {
+    CHAIN_CHECKED: 'network/chain-checked',
+    DEPLOYMENT_CHECKED: 'network/deployment-checked',
+  },
+  transactions: {
+    ADD: 'transactions/add',
+    UPDATE: 'transactions/update',
+    CLEAR_FINISHED: 'transactions/clear-finished',
+  },
+  simulation: {
+    CLOCK_UPDATED: 'simulation/clock-updated',
+  },
 };
 
 // Reducer function for handling state updates
@@ -65,18 +172,75 @@ const appReducer = (state, action) => {
       return produce(state, draft => {
         draft.wallet = initialState.wallet;
         draft.contracts = initialState.contracts;
+        draft.network.unsupportedChainId = null;
       });
       
     case actions.wallet.UPDATE:
       return produce(state, draft => {
         Object.assign(draft.wallet, action.payload);
       });
+
+    case actions.wallet.WALLETS_DISCOVERED:
+      return produce(state, draft => {
+        draft.availableWallets = action.payload;
+      });
       
     // Contract actions
     case actions.contracts.INIT_SUCCESS:
       return produce(state, draft => {
+        // Live updates belong to the previous trading contract
+        if (draft.contracts.tradingAddress !== action.payload.tradingAddress) {
+          draft.marketplace.listingUpdates = {};
+        }
         Object.assign(draft.contracts, action.payload);
       });
+
+    // Marketplace actions
+    case actions.marketplace.LISTING_UPDATED:
+      return produce(state, draft => {
+        const { tokenId, owner, listing } = action.payload;
+        const previous = draft.marketplace.listingUpdates[tokenId];
+        draft.marketplace.listingUpdates[tokenId] = {
+          owner: owner ?? previous?.owner,
+          listing: { ...previous?.listing, ...listing }
+        };
+      });
+
+    // Network actions
+    case actions.network.CHAIN_CHECKED:
+      return produce(state, draft => {
+        draft.network.unsupportedChainId = action.payload.supported ? null : action.payload.chainId;
+      });
+
+    case actions.network.DEPLOYMENT_CHECKED:
+      return produce(state, draft => {
+        draft.network.missingContracts = action.payload.missingContracts;
+      });
+
+    // Transaction actions
+    case actions.transactions.ADD:
+      return produce(state, draft => {
+        draft.transactions.unshift(action.payload);
+      });
+
+    case actions.transactions.UPDATE:
+      return produce(state, draft => {
+        const transaction = draft.transactions.find(tx => tx.id === action.payload.id);
+        if (transaction) {
+          Object.assign(transaction, action.payload.changes, { updatedAt: Date.now() });
+        }
+      });
+
+    case actions.transactions.CLEAR_FINISHED:
+      return produce(state, draft => {
+        draft.transactions = draft.transactions.filter(tx => !FINAL_TX_STAGES.includes(tx.stage));
+      });
+
+    // Simulation actions
+    case actions.simulation.CLOCK_UPDATED:
+      return produce(state, draft => {
+        draft.simulation.timeOffset = action.payload.timeOffset;
+      });
       
     default:
       return state;
@@ -87,38 +251,113 @@ const appReducer = (state, action) => {
  * AppProvider component - A consolidated provider for all app state
  */
 export const AppProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(appReducer, initialState);
+  const [state, dispatch] = useReducer(appReducer, initialState, initState);
+
+  // IDs of the transactions that already have a waiter, so resuming never waits twice
+  const watchedTransactions = useRef(new Set());
+
+  // Decoded tokenURI lookups by token contract and token ID
+  const tokenMetadata = useRef(new Map());
+
+  // Connected wallet (EIP-6963 provider detail) and the function detaching its event listeners
+  const walletConnection = useRef({ wallet: null, unwatch: null });
+
+  // In-memory marketplace, created on first use when the simulated backend is configured
+  const simulatedMarketplace = useRef(null);
+  const getSimulatedMarketplace = () => {
+    if (!simulatedMarketplace.current) {
+      simulatedMarketplace.current = createSimulatedMarketplace();
+    }
+    return simulatedMarketplace.current;
+  };
+
+  // Use the simulated token and trading contracts, signed by the selected simulated account unless read-only
+  const initializeSimulatedContracts = async ({ readOnly = false } = {}) => {
+    const marketplace = getSimulatedMarketplace();
+    await marketplace.ready;
+
+    const { tokenContract, tradingContract, packsContract, bundlesContract, provider, batcher } = marketplace;
+    const contracts = {
+      tokenContract,
+      tradingContract,
+      packsContract,
+      bundlesContract,
+      tokenAddress: tokenContract.target,
+      tradingAddress: tradingContract.target,
+      packsAddress: packsContract.target,
+      bundlesAddress: bundlesContract.target,
+      cacheScope: getCacheScope({ chainId: SIMULATED_CHAIN_ID, deployBlock: 0, tokenAddress: tokenContract.target }),
+      provider,
+      batcher,
+      readOnly,
+      simulated: true
+    };
+
+    dispatch({ type: actions.contracts.INIT_SUCCESS, payload: contracts });
+    dispatch({ type: actions.simulation.CLOCK_UPDATED, payload: { timeOffset: marketplace.getTimeOffset() } });
+
+    return contracts;
+  };
   
-  // Simplified contract initialization
-  const initializeContracts = async (provider) => {
+  // Create contract instances from the deployment manifest of the provider's chain,
+  // signed by the wallet or bound to a plain provider for read-only access
+  const initializeContracts = async (provider, { readOnly = false } = {}) => {
     try {
-      const tokenAddress = import.meta.env.VITE_TOKEN_CONTRACT_ADDRESS;
-      const tradingAddress = import.meta.env.VITE_TRADING_CONTRACT_ADDRESS;
-      
-      if (!tokenAddress || !tradingAddress) {
-        throw new Error('Contract addresses not configured');
+      const chainId = Number((await provider.getNetwork()).chainId);
+      const deployment = await loadDeployment(chainId);
+
+      // A wallet on a chain without deployment keeps browsing with the read-only contracts
+      if (!readOnly) {
+        dispatch({ type: actions.network.CHAIN_CHECKED, payload: { chainId, supported: Boolean(deployment) } });
       }
-      
-      const signer = await provider.getSigner();
-      const tokenAbi = PokemonCardTokenABI.abi;
-      const tradingAbi = PokemonCardTradingABI.abi;
+      if (!deployment) {
+        throw new Error(`Contracts not deployed on ${getNetworkName(chainId)}`);
+      }
+
+      const { PokemonCardToken, PokemonCardTrading, PokemonCardPacks, PokemonCardBundles, Multicall3 } = deployment.contracts;
+      const tokenAddress = PokemonCardToken.address;
+      const tradingAddress = PokemonCardTrading.address;
+      const packsAddress = PokemonCardPacks?.address || null;
+      const bundlesAddress = PokemonCardBundles?.address || null;
+      const deployBlock = deployment.deployBlock || 0;
+      const runner = readOnly ? provider : await provider.getSigner();
       
       // Create contract instances
-      const tokenContract = new ethers.Contract(tokenAddress, tokenAbi, signer);
-      const tradingContract = new ethers.Contract(tradingAddress, tradingAbi, signer);
+      const tokenContract = new ethers.Contract(tokenAddress, PokemonCardToken.abi, runner);
+      const tradingContract = new ethers.Contract(tradingAddress, PokemonCardTrading.abi, runner);
+      // Deployments made before booster packs existed have no packs contract
+      const packsContract = packsAddress ? new ethers.Contract(packsAddress, PokemonCardPacks.abi, runner) : null;
+      // Likewise for bundles
+      const bundlesContract = bundlesAddress ? new ethers.Contract(bundlesAddress, PokemonCardBundles.abi, runner) : null;
+
+      // Make sure the contracts exist, in the background
+      checkDeployment(provider, [tokenAddress, tradingAddress, packsAddress, bundlesAddress].filter(Boolean));
+
+      // Reads issued in the same tick are grouped into one Multicall3 call
+      const batcher = createMulticallBatcher(provider, Multicall3?.address || CANONICAL_MULTICALL_ADDRESS);
+
+      const contracts = {
+        tokenContract,
+        tradingContract,
+        packsContract,
+        bundlesContract,
+        tokenAddress,
+        tradingAddress,
+        packsAddress,
+        bundlesAddress,
+        chainId,
+        deployBlock,
+        cacheScope: getCacheScope({ chainId, deployBlock, tokenAddress }),
+        provider,
+        batcher,
+        readOnly,
+        simulated: false
+      };
       
       // Update state with contracts
-      dispatch({ 
-        type: actions.contracts.INIT_SUCCESS, 
-        payload: { 
-          tokenContract, 
-          tradingContract,
-          tokenAddress,
-          tradingAddress
-        }
-      });
+      dispatch({ type: actions.contracts.INIT_SUCCESS, payload: contracts });
       
-      return { tokenContract, tradingContract, tokenAddress, tradingAddress };
+      return contracts;
 
     } catch (error) {
       console.error('Contract initialization error:', error);
@@ -126,93 +365,190 @@ export const AppProvider = ({ children }) => {
     }
   };
 
-  // Setup wallet event listeners 
-  const setupWalletEventListeners = useCallback(() => {
-    if (!window.ethereum) return;
-    
-    // Handler for account changes
-    const handleAccountsChanged = (accounts) => {
-      if (accounts.length === 0) {
-        // User disconnected their wallet
-        dispatch({ type: actions.wallet.DISCONNECT });
-        console.log('Wallet disconnected');
-      } else {
-        // Account changed, update state
-        dispatch({
-          type: actions.wallet.UPDATE,
-          payload: { account: accounts[0] }
-        });
-        console.log('Wallet account changed:', accounts[0]);
+  // Check for bytecode at the manifest addresses, a restarted local node loses its contracts
+  const checkDeployment = async (provider, addresses) => {
+    try {
+      const missingContracts = await findMissingContracts(provider, addresses);
+      if (missingContracts.length) {
+        console.error('No contract code at the deployment manifest addresses:', missingContracts);
       }
-    };
-    
-    // Handler for chain (network) changes
-    const handleChainChanged = async (chainIdHex) => {
-      const chainId = Number(chainIdHex);
-      const networkName = getNetworkName(chainId);
-      
+      dispatch({ type: actions.network.DEPLOYMENT_CHECKED, payload: { missingContracts } });
+    } catch (error) {
+      console.warn('Failed to check the contract deployment:', error);
+    }
+  };
+
+  // Read-only contracts on the configured RPC endpoint, so visitors can browse without a wallet
+  const initializeReadOnlyContracts = async () => {
+    if (isSimulatedBackend) {
+      return initializeSimulatedContracts({ readOnly: true });
+    }
+
+    const rpcUrl = import.meta.env.VITE_RPC_URL;
+    if (!rpcUrl) {
+      console.warn('VITE_RPC_URL not configured, read-only browsing is unavailable');
+      return null;
+    }
+
+    const chainId = Number(import.meta.env.VITE_NETWORK_ID) || undefined;
+    const provider = new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: !!chainId });
+
+    return initializeContracts(provider, { readOnly: true });
+  };
+
+  // Signer-backed contracts on the wallet's chain, or read-only contracts on the default chain if it has no deployment
+  const attachWalletContracts = async (provider) => {
+    const contracts = await initializeContracts(provider);
+    if (!contracts) {
+      await initializeReadOnlyContracts();
+    }
+    return contracts;
+  };
+
+  // Rebuild the provider, signer and contracts in place after the wallet switched account or chain
+  const refreshWalletConnection = async () => {
+    const { wallet } = walletConnection.current;
+    if (!wallet) return;
+
+    try {
+      const provider = new ethers.BrowserProvider(wallet.provider);
+      const signer = await provider.getSigner();
+      const chainId = Number((await provider.getNetwork()).chainId);
+
       dispatch({
         type: actions.wallet.UPDATE,
-        payload: { chainId, networkName }
+        payload: { account: signer.address, provider, signer, chainId, networkName: getNetworkName(chainId) }
       });
-      
-      console.log('Network changed:', { chainId, networkName });
-      
-      // Refresh page as recommended by MetaMask
-      window.location.reload();
-    };
-    
-    // Register event listeners
-    window.ethereum.on('accountsChanged', handleAccountsChanged);
-    window.ethereum.on('chainChanged', handleChainChanged);
-    window.ethereum.on('disconnect', () => {
-      dispatch({ type: actions.wallet.DISCONNECT });
-      console.log('Wallet disconnected');
+      await attachWalletContracts(provider);
+    } catch (error) {
+      console.error('Failed to refresh the wallet connection:', error);
+    }
+  };
+
+  // Stop following the connected wallet and fall back to read-only browsing
+  const releaseWallet = () => {
+    walletConnection.current.unwatch?.();
+    walletConnection.current = { wallet: null, unwatch: null };
+    dispatch({ type: actions.wallet.DISCONNECT });
+    initializeReadOnlyContracts();
+  };
+
+  // Follow account and chain changes of the connected wallet, replacing the listeners of a previous wallet
+  const watchConnectedWallet = (wallet) => {
+    walletConnection.current.unwatch?.();
+
+    const unwatch = watchWallet(wallet.provider, {
+      onAccountsChanged: (accounts) => {
+        if (accounts.length === 0) {
+          // Locked or the site was removed from the wallet, it is not remembered as an explicit disconnect
+          console.log('Wallet disconnected');
+          releaseWallet();
+        } else {
+          console.log('Wallet account changed:', accounts[0]);
+          refreshWalletConnection();
+        }
+      },
+      onChainChanged: (chainId) => {
+        console.log('Network changed:', { chainId, networkName: getNetworkName(chainId) });
+        refreshWalletConnection();
+      },
+      onDisconnect: () => {
+        console.log('Wallet disconnected');
+        releaseWallet();
+      }
+    });
+
+    walletConnection.current = { wallet, unwatch };
+  };
+
+  // Connect the selected simulated account, the simulated backend needs no wallet extension
+  const connectSimulatedWallet = async () => {
+    const marketplace = getSimulatedMarketplace();
+    const account = marketplace.getSender();
+
+    dispatch({
+      type: actions.wallet.CONNECT_SUCCESS,
+      payload: {
+        account,
+        provider: marketplace.provider,
+        signer: null,
+        chainId: SIMULATED_CHAIN_ID,
+        networkName: 'Simulated Marketplace'
+      }
     });
-    
-    // Return cleanup function
-    return () => {
-      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-      window.ethereum.removeListener('chainChanged', handleChainChanged);
-      window.ethereum.removeListener('disconnect', () => {});
-    };
-  }, []);
 
-  // Connect wallet function 
-  const connectWallet = async () => {
+    const contracts = await initializeSimulatedContracts();
+    return { account, provider: marketplace.provider, signer: null, chainId: SIMULATED_CHAIN_ID, contracts };
+  };
+
+  /**
+   * Connect a wallet, prompting for account access if the site is not authorized yet.
+   * @param {string} [rdns] - Wallet to connect, defaults to the remembered wallet or the first one discovered
+   * @returns {Promise<Object|null>} { account, provider, signer, chainId, contracts }, null if connecting failed
+   */
+  const connectWallet = async (rdns) => {
     try {
-      if (!window.ethereum) throw new Error('MetaMask not installed');
+      if (isSimulatedBackend) {
+        return connectSimulatedWallet();
+      }
+
+      const wallet = (rdns && getWallet(rdns)) ||
+        getWallet(loadWalletSession()?.rdns) ||
+        getWallets()[0];
+      if (!wallet) throw new Error('No browser wallet found');
 
-      const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+      const accounts = await wallet.provider.request({ method: 'eth_requestAccounts' });
       const account = accounts[0];
-      const provider = new ethers.BrowserProvider(window.ethereum);
+      const provider = new ethers.BrowserProvider(wallet.provider);
       const signer = await provider.getSigner();
       const network = await provider.getNetwork();
       const chainId = Number(network.chainId);
       const networkName = getNetworkName(chainId);
-      console.log('Connected account:', account);
+      console.log(`Connected account via ${wallet.info.name}:`, account);
 
       dispatch({
         type: actions.wallet.CONNECT_SUCCESS,
-        payload: { account, provider, signer, chainId, networkName }
+        payload: { account, provider, signer, chainId, networkName, walletName: wallet.info.name, walletIcon: wallet.info.icon }
       });
+      saveWalletSession({ rdns: wallet.info.rdns, disconnected: false });
+      watchConnectedWallet(wallet);
       
-      await initializeContracts(provider);
-      setupWalletEventListeners();
+      const contracts = await attachWalletContracts(provider);
       
-      return { account, provider, signer };
+      return { account, provider, signer, chainId, contracts };
     } catch (error) {
       console.error('Error connecting wallet:', error);
       return null;
     }
   };
 
+  // Reconnect the remembered wallet if it still authorizes this site, unless the user disconnected it.
+  // Without a remembered wallet, the first wallet that already authorized the site is used.
+  const restoreWalletSession = async () => {
+    const session = loadWalletSession();
+    if (session?.disconnected) return;
+
+    const candidates = session?.rdns ? [await findWallet(session.rdns)] : getWallets();
+    for (const wallet of candidates.filter(Boolean)) {
+      const accounts = await getAuthorizedAccounts(wallet.provider);
+      if (accounts.length) {
+        await connectWallet(wallet.info.rdns);
+        return;
+      }
+    }
+  };
+
   // Initialize the application
   const init = useCallback(async () => {
     try {
-      // Check if user is already connected via MetaMask
-      if (window.ethereum && window.ethereum.selectedAddress) {
+      // Browsing works without a wallet, so read-only contracts are always set up first
+      await initializeReadOnlyContracts();
+
+      // The simulated wallet is always connected, a browser wallet only if the session allows it
+      if (isSimulatedBackend) {
         await connectWallet();
+      } else {
+        await restoreWalletSession();
       }
     } catch (error) {
       console.error('Error during initialization:', error);
@@ -221,7 +557,7 @@ export const AppProvider = ({ children }) => {
       if (!state.contracts) {
         dispatch({
           type: actions.contracts.INIT_SUCCESS,
-          payload: { tokenContract: null, tradingContract: null }
+          payload: { tokenContract: null, tradingContract: null, packsContract: null, bundlesContract: null }
         });
       }
     }
@@ -241,276 +577,760 @@ export const AppProvider = ({ children }) => {
     initialize();
   }, []);
 
-  // Disconnect wallet
+  // Push listing changes made by anyone into shared state as their events are mined
+  useEffect(() => {
+    const { tradingContract, cacheScope } = state.contracts;
+    if (!tradingContract) return;
+
+    return subscribeToListingEvents(tradingContract, (update) => {
+      dispatch({ type: actions.marketplace.LISTING_UPDATED, payload: update });
+
+      // The event already carries the new state, so only the cached copy is dropped;
+      // owner lists are invalidated so collections showing them refetch
+      forgetTokenState(cacheScope, [update.tokenId]);
+      invalidateTokens(cacheScope, [], update.owners);
+    }, { getCurrency });
+  }, [state.contracts.tradingContract]);
+
+  // Disconnect wallet, remembered so the next visit does not reconnect it
   const disconnectWallet = useCallback(() => {
-    dispatch({ type: actions.wallet.DISCONNECT });
+    const { wallet } = walletConnection.current;
+    if (wallet) {
+      saveWalletSession({ rdns: wallet.info.rdns, disconnected: true });
+    }
+    releaseWallet();
   }, []);
 
-  const executeTransaction = useCallback(async (txFn, errorMsg) => {
-    try {
-      const tx = await txFn();
-      await tx.wait();
-      return true;
-    } catch (err) {
-      console.error(errorMsg, err);
-      return false;
-    }
+  // Follow the wallets announced through EIP-6963, and detach from the connected wallet when unmounting
+  useEffect(() => {
+    if (isSimulatedBackend) return;
+
+    const unsubscribe = subscribeToWallets((wallets) => {
+      dispatch({ type: actions.wallet.WALLETS_DISCOVERED, payload: wallets.map(({ info }) => info) });
+    });
+    return () => {
+      unsubscribe();
+      walletConnection.current.unwatch?.();
+    };
   }, []);
 
-  // Simplified approveAndExecute
-  const approveAndExecute = useCallback(async (tokenId, txFn, errorMsg) => {
-    try {
-      const { tokenContract, tradingContract } = state.contracts;
-      if (!tradingContract || !tokenContract) {
-        throw new Error('Contracts not initialized');
-      }
+  // Get signer-backed contracts for write actions, asking the user to connect a wallet first if needed.
+  // Writes are refused while the wallet is on a chain without deployment, or the contracts are missing.
+  const getWriteContracts = useCallback(async () => {
+    let contracts = state.contracts;
+    let chainId = state.wallet.chainId;
 
-      // Approve the trading contract to transfer the token
-      const approveTx = await tokenContract.approve(
-        import.meta.env.VITE_TRADING_CONTRACT_ADDRESS, 
-        tokenId
-      );
-      await approveTx.wait();
+    if (!state.wallet.account) {
+      const connection = await connectWallet();
+      if (!connection) {
+        throw new Error('A connected wallet is required for this action');
+      }
+      ({ contracts, chainId } = connection);
+    }
 
-      // Execute the specific transaction
-      const tx = await txFn();
-      await tx.wait();
-      
-      return true;
-    } catch (error) {
-      console.error(errorMsg, error);
-      return false;
+    // The simulated backend has no chain to guard
+    if (contracts?.simulated) {
+      return contracts;
     }
-  }, [state.contracts.tradingContract, state.contracts.tokenContract]);
 
-  // Get card data  
-  const getCardData = async (tokenId) => {
-    const isDev = import.meta.env.MODE === 'development';
+    // Contracts stay read-only when the wallet chain has no deployment manifest
+    if (!contracts?.tokenContract || contracts.readOnly) {
+      throw wrongNetworkError(chainId, getConfiguredChainId());
+    }
 
-    try {
-      
-      const cardData = await state.contracts.tokenContract.getPokemonCard(tokenId);
+    const { tokenAddress, tradingAddress, packsAddress, bundlesAddress } = contracts;
+    const missingContracts = await findMissingContracts(
+      contracts.provider,
+      [tokenAddress, tradingAddress, packsAddress, bundlesAddress].filter(Boolean)
+    );
+    if (missingContracts.length) {
+      throw contractsNotDeployedError(missingContracts);
+    }
 
-      const owner = await state.contracts.tokenContract.ownerOf(tokenId);
+    return contracts;
+  }, [state.wallet.account, state.wallet.chainId, state.contracts]);
 
-      const listing = await getListingDetails(tokenId);
+  // Ask the connected wallet to switch to the default chain, the contracts are rebuilt once it has
+  const switchNetwork = useCallback(async () => {
+    const expectedChainId = getConfiguredChainId();
+    const { wallet } = walletConnection.current;
+    if (!wallet || !expectedChainId) {
+      return { success: false, error: { message: 'No wallet or network to switch to.', action: 'Connect a wallet and set VITE_NETWORK_ID.' } };
+    }
 
-      return {
-        tokenId: tokenId,
-        pokemonId: cardData.pokemonId,
-        rarity: cardData.rarity,
-        owner: owner,
-        listing: listing 
-      };
+    try {
+      await switchWalletChain(wallet.provider, expectedChainId);
+      return { success: true, error: null };
     } catch (error) {
-      console.error(`Error fetching card data for token ${tokenId}:`, error);
-      return isDev ? generateMockCard(tokenId) : null;
+      console.error('Failed to switch network:', error);
+      return { success: false, error: decodeTransactionError(error) };
     }
-  };
-
-  // List card for fixed price sale
-  const listCardForSale = useCallback(async (tokenId, price) => {
-    return approveAndExecute(
-      tokenId,
-      async () => {
+  }, []);
 
-        const tx = await state.contracts.tradingContract.listCardForSale(tokenId, price);
-        
-        return tx;
-      },
-      'Failed to list card for sale'
-    );
-  }, [state.contracts.tradingContract, approveAndExecute]);
+  /**
+   * Send a transaction and track it through its lifecycle: awaiting signature, submitted, then mined,
+   * failed, rejected, replaced or dropped.
+   * @param {Function} txFn - Sends the transaction, called with the signer-backed contracts
+   * @param {Object} details - label and related tokenId shown in the transaction tray, errorMsg for the console
+   * @returns {Promise<Object>} { success, error }, error being a decoded { message, action } if it failed
+   */
+  const trackTransaction = useCallback(async (txFn, { label, tokenId = null, errorMsg = label }) => {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const update = (changes) => dispatch({ type: actions.transactions.UPDATE, payload: { id, changes } });
 
-  // Create an auction
-  const createAuction = useCallback(async (tokenId, startingPrice, duration) => {
-    return approveAndExecute(
-      tokenId,
-      async () => {
+    dispatch({
+      type: actions.transactions.ADD,
+      payload: { id, label, tokenId, stage: TX_STAGES.AWAITING_SIGNATURE, createdAt: Date.now() }
+    });
+    watchedTransactions.current.add(id);
 
-        const tx = await state.contracts.tradingContract.listCardForAuction(tokenId, startingPrice, duration);
-        
-        return tx;
-      },
-      'Failed to create auction'
-    );
-  }, [state.contracts.tradingContract, approveAndExecute]);
+    try {
+      const contracts = await getWriteContracts();
 
-  // Function calls contract to buy a specific token for a specific price (expects price in Wei)
-  const buyCard = useCallback(async (tokenId, priceWei) => {
-    return executeTransaction(async () => {
-      return state.contracts.tradingContract.buyCard(tokenId, { 
-        value: priceWei
-      });
-    }, 'Failed to buy card');
-  }, [state.contracts.tradingContract, executeTransaction]);
-
-  // Place bid (expects bidAmount in Wei)
-  const placeBid = useCallback(async (tokenId, bidAmount) => {
-    return executeTransaction(async () => {
-      return state.contracts.tradingContract.placeBid(tokenId, { 
-        value: bidAmount 
+      // Replacements are searched from this block on, so it is read before the wallet prompt
+      const startBlock = await contracts.provider.getBlockNumber();
+      const tx = await txFn(contracts);
+      const network = await contracts.provider.getNetwork();
+      update({
+        stage: TX_STAGES.SUBMITTED,
+        hash: tx.hash,
+        from: tx.from,
+        nonce: tx.nonce,
+        chainId: Number(network.chainId),
+        startBlock
       });
-    }, 'Failed to place bid');
-  }, [state.contracts.tradingContract, executeTransaction]);
 
-  // Get all listings
-  const getAllListings = useCallback(async () => {
-    const isDev = import.meta.env.MODE === 'development';
-    
-    try {
-      // In production, check 10000 token IDs for listings to prevent performance issues.
-      const maxTokensToCheck = 10000;
-      const listedTokenIds = [];
-      
-      for (let i = 0; i < maxTokensToCheck; i++) {
-        try {
-          // Check if token exists first
-          await state.contracts.tokenContract.ownerOf(i);
-          // Then check if it's listed
-          const listing = await state.contracts.tradingContract.listings(i);
-          if (listing.active) {
-            listedTokenIds.push(i);
-          }
-        } catch (err) {
-          // This probaly means that ownerOf faild which implies thath we have scanned through every token
-          break;
-        }
-      }
+      const { logs, ...outcome } = await waitForOutcome(tx.replaceableTransaction(startBlock));
+      update(outcome);
 
-      if(isDev && listedTokenIds.length < 1){
-        const mockData = [0, 1, 2, 3, 4, 5, 6, 7, 8];
-        console.log("Using mock listing IDs for development.");
-        return mockData; 
+      if (outcome.stage !== TX_STAGES.MINED) {
+        console.error(errorMsg, outcome.error);
+        return { success: false, error: outcome.error };
       }
-      
-      return listedTokenIds;
+      await invalidateFromLogs(contracts, logs);
+      return { success: true, error: null };
     } catch (error) {
-      console.error("Couldn't get all listings:",error);
-      return null;
+      console.error(errorMsg, error);
+      const failure = sendFailure(error);
+      update(failure);
+      return { success: false, error: failure.error };
     }
-  }, [state.contracts?.tradingContract]);
+  }, [getWriteContracts]);
 
-  // Get listing details
-  const getListingDetails = useCallback(async (tokenId) => {
-    // In Dev Mode, the function returns a mock listing if no active listing is found
-    const isDev = import.meta.env.MODE === 'development';
-    
-    try {
+  const executeTransaction = useCallback(async (txFn, errorMsg, { label = errorMsg, tokenId } = {}) => {
+    return trackTransaction(txFn, { label, tokenId, errorMsg });
+  }, [trackTransaction]);
 
-      const rawListing = await state.contracts.tradingContract.listings(tokenId);
-      
-      const listing = {
-        tokenId: tokenId,
-        seller: rawListing.seller,
-        price: rawListing.price.toString(),
-        isAuction: rawListing.listingType,
-        isActive: rawListing.active,
-        highestBidder: rawListing.highestBidder,
-        highestBid: rawListing.highestBid.toString(),
-        endTime: rawListing.endTime
-      };
-      if(isDev && !listing.isActive){
-        return generateMockListing(tokenId);
-      }
-      return listing;
+  // Whether an operator can already transfer the token, through a token or an operator approval
+  const isOperatorApproved = useCallback(async (tokenId, operator) => {
+    const { tokenContract, batcher } = state.contracts;
+    const account = state.wallet.account;
+    if (!tokenContract || !operator || !account) return false;
 
+    try {
+      const [approved, approvedForAll] = await Promise.all([
+        batcher.call(tokenContract, 'getApproved', [tokenId]),
+        batcher.call(tokenContract, 'isApprovedForAll', [account, operator])
+      ]);
+      return approvedForAll || approved.toLowerCase() === operator.toLowerCase();
     } catch (error) {
-      if(isDev){
-        return generateMockListing(tokenId);
-      }
-
-      console.error('Failed to load listing:', error);
-      return null;
+      // Unknown, approving again is harmless
+      console.warn(`Failed to check approval for token ${tokenId}:`, error);
+      return false;
     }
-  }, [state.contracts.tradingContract]);
+  }, [state.contracts, state.wallet.account]);
 
-  // Helper function to generate a mock listing
-  const generateMockListing = (tokenId) => {
-    const randomPrice = (Math.random() * 0.1 + 0.05).toFixed(4);
-    const isAuction = Math.random() > 0.7;
-    const randomAddr = () => `0x${Array(40).fill(0).map(() => Math.floor(Math.random() * 16).toString(16)).join('')}`;
-    
-    return {
-      tokenId: Number(tokenId),
-      seller: randomAddr(),
-      price: ethers.parseEther(randomPrice).toString(),
-      isAuction,
-      isActive: true,
-      highestBidder: isAuction ? randomAddr() : '0x0000000000000000000000000000000000000000',
-      highestBid: isAuction ? ethers.parseEther((Math.random() * 0.05 + 0.02).toFixed(4)).toString() : '0',
-      endTime: isAuction ? (Date.now() / 1000 + Math.floor(Math.random() * 604800)).toString() : '0'
-    };
-  };
+  // Whether the trading contract can already transfer the token
+  const isTradingApproved = useCallback(async (tokenId) => (
+    isOperatorApproved(tokenId, state.contracts.tradingAddress)
+  ), [isOperatorApproved, state.contracts.tradingAddress]);
 
-  // Cancel listing
-  const cancelListing = useCallback(async (tokenId) => {
-    return executeTransaction(async () => {
-      return state.contracts.tradingContract.cancelListing(tokenId);
-    }, 'Failed to cancel listing');
-  }, [state.contracts.tradingContract, executeTransaction]);
+  // Let the trading contract transfer the token, unless the token or the whole collection is already approved
+  const approveTrading = useCallback(async (tokenId, errorMsg, { approveAll = false } = {}) => {
+    if (await isTradingApproved(tokenId)) {
+      return { success: true, error: null };
+    }
 
-  // End Auction
-  const endAuction = useCallback(async (tokenId) => {
-    return executeTransaction(async () => {
-      return state.contracts.tradingContract.endAuction(tokenId);
-    }, 'Failed to end auction');
-  }, [state.contracts.tradingContract, executeTransaction]);
+    return trackTransaction(async ({ tokenContract, tradingContract }) => {
+      if (!tradingContract || !tokenContract) {
+        throw new Error('Contracts not initialized');
+      }
+      return approveAll
+        ? tokenContract.setApprovalForAll(tradingContract.target, true)
+        : tokenContract.approve(tradingContract.target, tokenId);
+    }, {
+      label: approveAll ? 'Approve marketplace for all cards' : `Approve card #${tokenId}`,
+      tokenId: approveAll ? null : tokenId,
+      errorMsg
+    });
+  }, [isTradingApproved, trackTransaction]);
 
+  /**
+   * Make sure the trading contract may transfer the token, then execute the transaction.
+   * The approval is skipped when the token or the whole collection is already approved.
+   * @param {number} tokenId - Token the transaction needs to transfer
+   * @param {Function} txFn - Sends the transaction, called with the signer-backed contracts
+   * @param {string} errorMsg - Logged to the console on failure
+   * @param {Object} options - label for the transaction tray, approveAll to approve the marketplace for all cards
+   * @returns {Promise<Object>} { success, error } of the approval if it failed, otherwise of the transaction
+   */
+  const approveAndExecute = useCallback(async (tokenId, txFn, errorMsg, { label, approveAll = false } = {}) => {
+    const approval = await approveTrading(tokenId, errorMsg, { approveAll });
+    if (!approval.success) {
+      return approval;
+    }
 
-  // fetch and format Pokemon data
-  const getPokemonData = useCallback(async (pokemonId) => {
-    const isDev = import.meta.env.MODE === 'development'
+    return executeTransaction(txFn, errorMsg, { label, tokenId });
+  }, [approveTrading, executeTransaction]);
 
-    if (!pokemonId || pokemonId < 1 ||  pokemonId > 151) {
-      console.error(`Failed to load Pokemon Data (Not in Range 1-151)`);
-      return null;
+  /**
+   * Make sure the trading contract may transfer each of the tokens, one approval per token that needs it,
+   * then execute the transaction. Used by swaps, which move several cards at once.
+   * @param {Array<number>} tokenIds - Tokens the transaction needs to transfer
+   * @param {Function} txFn - Sends the transaction, called with the signer-backed contracts
+   * @param {string} errorMsg - Logged to the console on failure
+   * @param {Object} options - label for the transaction tray
+   * @returns {Promise<Object>} { success, error } of the first approval that failed, otherwise of the transaction
+   */
+  const approveEachAndExecute = useCallback(async (tokenIds, txFn, errorMsg, { label } = {}) => {
+    for (const tokenId of tokenIds) {
+      const approval = await approveTrading(tokenId, errorMsg);
+      if (!approval.success) {
+        return approval;
+      }
     }
 
-    try {
-      const response = await fetch(`https://pokeapi.co/api/v2/pokemon/${pokemonId}`);
-      if (!response.ok) throw new Error(`API error: ${response.status}`);
-      
-      const data = await response.json();
+    return executeTransaction(txFn, errorMsg, { label });
+  }, [approveTrading, executeTransaction]);
 
-      const typeId = data.types.map(type => (type.type.url).substr(31).slice(0,-1));
-  
-      return {
-        name: data.name,
-        types: data.types.map(type => type.type.name),
-        typeIds: typeId
-      };
-    } catch (error) {
-      console.error(`Error fetching Pokemon data from PokeAPI for ID ${pokemonId}:`, error);
-      if (isDev) {
+  // ERC-20 contract of a listing currency, bound to the runner of the trading contract (the signer for writes)
+  const getCurrencyContract = (address, tradingContract = state.contracts.tradingContract) => (
+    tradingContract.simulated
+      ? getSimulatedMarketplace().getCurrencyContract(address)
+      : new ethers.Contract(address, ERC20_ABI, tradingContract.runner)
+  );
+
+  // Resolve a listing currency address to { address, symbol, decimals }, ETH for the zero address
+  const getCurrency = useCallback(async (address) => {
+    const { batcher } = state.contracts;
+    try {
+      return await loadCurrency(address, async (tokenAddress) => {
+        const contract = getCurrencyContract(tokenAddress);
+        const [symbol, decimals] = await Promise.all([batcher.call(contract, 'symbol'), batcher.call(contract, 'decimals')]);
+        return { symbol, decimals };
+      });
+    } catch (error) {
+      // Amounts are then shown in the token's smallest unit
+      console.error(`Failed to load currency ${address}:`, error);
+      return { address, symbol: 'tokens', decimals: 0 };
+    }
+  }, [state.contracts]);
+
+  /**
+   * Get the currencies new listings can be paid in: ETH, then the tokens the owner allowed, oldest first
+   * @returns {Promise<Array<Object>>} { address, symbol, decimals } of each currency
+   */
+  const getCurrencies = useCallback(async () => {
+    const { tradingContract, deployBlock } = state.contracts;
+    if (!tradingContract) return [ETH];
+
+    try {
+      // The allowlist is a mapping, its tokens are found through the events that changed it
+      const events = await tradingContract.queryFilter('CurrencyAllowed', deployBlock || 0);
+      const allowed = new Map();
+      events.forEach(event => {
+        const key = event.args.currency.toLowerCase();
+        allowed.delete(key);
+        if (event.args.allowed) allowed.set(key, event.args.currency);
+      });
+      return [ETH, ...await Promise.all([...allowed.values()].map(getCurrency))];
+    } catch (error) {
+      console.error('Failed to load the listing currencies:', error);
+      return [ETH];
+    }
+  }, [state.contracts.tradingContract, state.contracts.deployBlock, getCurrency]);
+
+  /**
+   * Let the trading contract, or the bundles contract, take an amount of a token, unless the allowance already
+   * covers it. ETH needs no approval, it is sent along with the transaction.
+   * @param {Object} currency - Currency of the listing, from getCurrency
+   * @param {string} amount - Amount in the smallest unit of the currency
+   * @param {string} errorMsg - Logged to the console on failure
+   * @param {string} spender - Name of the contract taking the tokens, 'tradingContract' or 'bundlesContract'
+   * @returns {Promise<Object>} { success, error }
+   */
+  const approveCurrency = useCallback(async (currency, amount, errorMsg, spender = 'tradingContract') => {
+    const { batcher } = state.contracts;
+    const account = state.wallet.account;
+    if (isEth(currency)) {
+      return { success: true, error: null };
+    }
+
+    if (account) {
+      try {
+        const spenderAddress = state.contracts[spender].target;
+        const allowance = await batcher.call(getCurrencyContract(currency.address), 'allowance', [account, spenderAddress]);
+        if (allowance >= BigInt(amount)) {
+          return { success: true, error: null };
+        }
+      } catch (error) {
+        // Unknown, approving again is harmless
+        console.warn(`Failed to check the ${currency.symbol} allowance:`, error);
+      }
+    }
+
+    return trackTransaction(async (contracts) => {
+      return getCurrencyContract(currency.address, contracts.tradingContract).approve(contracts[spender].target, amount);
+    }, { label: `Approve ${formatAmount(amount, currency)}`, errorMsg });
+  }, [state.contracts, state.wallet.account, trackTransaction]);
+
+  /**
+   * Pay for a listing in its currency, then execute the transaction: tokens are approved first if needed.
+   * @param {Object} currency - Currency of the listing, from getCurrency
+   * @param {string} amount - Amount paid in the smallest unit of the currency
+   * @param {Function} txFn - Sends the transaction, called with the signer-backed contracts
+   * @param {string} errorMsg - Logged to the console on failure
+   * @param {Object} options - label and tokenId for the transaction tray, spender taking the tokens (see approveCurrency)
+   * @returns {Promise<Object>} { success, error } of the approval if it failed, otherwise of the transaction
+   */
+  const payAndExecute = useCallback(async (currency, amount, txFn, errorMsg, { label, tokenId, spender } = {}) => {
+    const approval = await approveCurrency(currency, amount, errorMsg, spender);
+    if (!approval.success) {
+      return approval;
+    }
+
+    return executeTransaction(txFn, errorMsg, { label, tokenId });
+  }, [approveCurrency, executeTransaction]);
+
+  // Keep the pending transactions in local storage, so tracking continues after a reload
+  useEffect(() => {
+    savePendingTransactions(state.transactions);
+  }, [state.transactions]);
+
+  // Resume waiting for transactions restored from a previous session
+  useEffect(() => {
+    const { provider, tokenContract, tradingContract, cacheScope } = state.contracts;
+    if (!provider) return;
+
+    const restored = state.transactions.filter(tx =>
+      tx.stage === TX_STAGES.SUBMITTED && !watchedTransactions.current.has(tx.id)
+    );
+    if (!restored.length) return;
+
+    restored.forEach(tx => watchedTransactions.current.add(tx.id));
+
+    const resume = async () => {
+      const chainId = Number((await provider.getNetwork()).chainId);
+
+      restored.forEach(async (tx) => {
+        // Sent on another network, wait until the wallet is back on it
+        if (tx.chainId && tx.chainId !== chainId) {
+          watchedTransactions.current.delete(tx.id);
+          return;
+        }
+
+        const { logs, ...outcome } = await resumeTransaction(provider, tx);
+        dispatch({ type: actions.transactions.UPDATE, payload: { id: tx.id, changes: outcome } });
+
+        if (outcome.stage === TX_STAGES.MINED && tokenContract && tradingContract) {
+          invalidateFromLogs({ tokenContract, tradingContract, cacheScope }, logs);
+        }
+      });
+    };
+    resume().catch(error => console.error('Failed to resume pending transactions:', error));
+  }, [state.contracts.provider]);
+
+  // Remove mined, failed and replaced transactions from the tray
+  const clearFinishedTransactions = useCallback(() => {
+    dispatch({ type: actions.transactions.CLEAR_FINISHED });
+  }, []);
+
+  // Get card data  
+  const getCardData = async (tokenId) => {
+    try {
+      const { tokenContract, tradingContract, cacheScope, provider, batcher, simulated } = state.contracts;
+      // The simulated backend starts over on every page load, so its state is never cached
+      const useCache = !simulated;
+
+      // Drop cached entries touched by events since the last visit, in the background
+      if (useCache) {
+        reconcileCache({ tokenContract, tradingContract, provider, cacheScope });
+      }
+
+      const [cachedCard, cachedState] = useCache
+        ? await Promise.all([getCachedCard(cacheScope, tokenId), getCachedTokenState(cacheScope, tokenId)])
+        : [null, null];
+
+      if (cachedCard && cachedState) {
         return {
-          name: `pokemon-${pokemonId}`,
-          types: ['normal'],
-          typeIds: ['1']
+          tokenId: tokenId,
+          pokemonId: cachedCard.pokemonId,
+          rarity: cachedCard.rarity,
+          owner: cachedState.owner,
+          listing: cachedState.listing
         };
       }
+
+      // Issued together so the batcher sends all reads, and the block they are read at, in one multicall
+      const [cardData, owner, listing, blockNumber] = await Promise.all([
+        cachedCard || batcher.call(tokenContract, 'getPokemonCard', [tokenId]),
+        batcher.call(tokenContract, 'ownerOf', [tokenId]),
+        getListingDetails(tokenId),
+        batcher.getBlockNumber()
+      ]);
+
+      if (useCache) {
+        if (!cachedCard) {
+          cacheCard(cacheScope, tokenId, { pokemonId: cardData.pokemonId, rarity: cardData.rarity });
+        }
+        cacheTokenState(cacheScope, tokenId, { owner, listing }, blockNumber);
+      }
+
+      return {
+        tokenId: tokenId,
+        pokemonId: cardData.pokemonId,
+        rarity: cardData.rarity,
+        owner: owner,
+        listing: listing 
+      };
+    } catch (error) {
+      console.error(`Error fetching card data for token ${tokenId}:`, error);
+      return null;
+    }
+  };
+
+  // List card for fixed price sale, optionally opening at startTime and expiring at endTime (timestamps, 0 for none),
+  // in ETH unless another allowed currency is given
+  const listCardForSale = useCallback(async (
+    tokenId,
+    price,
+    { approveAll = false, startTime = 0, endTime = 0, currency = ETH } = {}
+  ) => {
+    return approveAndExecute(
+      tokenId,
+      async ({ tradingContract }) => {
+
+        const tx = !isEth(currency)
+          ? await tradingContract.listCardForSaleInCurrency(tokenId, price, startTime, endTime, currency.address)
+          : startTime || endTime
+          ? await tradingContract.listCardForSaleWithSchedule(tokenId, price, startTime, endTime)
+          : await tradingContract.listCardForSale(tokenId, price);
+        
+        return tx;
+      },
+      'Failed to list card for sale',
+      { label: `List card #${tokenId}`, approveAll }
+    );
+  }, [approveAndExecute]);
+
+  // Create an auction, with an optional hidden reserve and buy-now price (in the smallest unit of the currency, 0 for
+  // none), in ETH unless another allowed currency is given
+  const createAuction = useCallback(async (
+    tokenId,
+    startingPrice,
+    duration,
+    { approveAll = false, reservePrice = '0', buyNowPrice = '0', currency = ETH } = {}
+  ) => {
+    return approveAndExecute(
+      tokenId,
+      async ({ tradingContract }) => {
+
+        const tx = !isEth(currency)
+          ? await tradingContract.listCardForAuctionInCurrency(
+            tokenId, startingPrice, duration, reservePrice, buyNowPrice, currency.address
+          )
+          : BigInt(reservePrice) > 0n || BigInt(buyNowPrice) > 0n
+          ? await tradingContract.listCardForAuctionWithReserve(tokenId, startingPrice, duration, reservePrice, buyNowPrice)
+          : await tradingContract.listCardForAuction(tokenId, startingPrice, duration);
+        
+        return tx;
+      },
+      'Failed to create auction',
+      { label: `Auction card #${tokenId}`, approveAll }
+    );
+  }, [approveAndExecute]);
+
+  // Function calls contract to buy a specific token for a specific price (expects price in the smallest unit of the
+  // listing currency, ETH by default). The purchase fails if the seller raises the price before it is mined.
+  const buyCard = useCallback(async (tokenId, priceWei, currency = ETH) => {
+    return payAndExecute(currency, priceWei, async ({ tradingContract }) => {
+      return tradingContract.buyCard(tokenId, priceWei, paymentOverrides(currency, priceWei));
+    }, 'Failed to buy card', { label: `Buy card #${tokenId}`, tokenId });
+  }, [payAndExecute]);
+
+  // Place bid (expects bidAmount in the smallest unit of the auction currency, ETH by default)
+  const placeBid = useCallback(async (tokenId, bidAmount, currency = ETH) => {
+    return payAndExecute(currency, bidAmount, async ({ tradingContract }) => {
+      return isEth(currency)
+        ? tradingContract.placeBid(tokenId, { value: bidAmount })
+        : tradingContract.placeTokenBid(tokenId, bidAmount);
+    }, 'Failed to place bid', { label: `Bid on card #${tokenId}`, tokenId });
+  }, [payAndExecute]);
+
+  /**
+   * Change the price of an active listing, the card stays in escrow
+   * @param {string|number} tokenId - Listed card
+   * @param {string} newPrice - New fixed price, or starting price of an auction without bids, in Wei
+   * @param {number} newEndTime - New end timestamp of an auction, or expiry of a fixed-price listing, 0 to keep it
+   * @returns {Promise<Object>} { success, error }
+   */
+  const updateListingPrice = useCallback(async (tokenId, newPrice, newEndTime = 0) => {
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.updateListingPrice(tokenId, newPrice, newEndTime);
+    }, 'Failed to update listing', { label: `Update card #${tokenId}`, tokenId });
+  }, [executeTransaction]);
+
+  // Create a Dutch auction, its price falling from startPrice to floorPrice (in the smallest unit of the currency, ETH
+  // by default) over duration seconds
+  const createDutchAuction = useCallback(async (
+    tokenId,
+    startPrice,
+    floorPrice,
+    duration,
+    { approveAll = false, currency = ETH } = {}
+  ) => {
+    return approveAndExecute(
+      tokenId,
+      async ({ tradingContract }) => (isEth(currency)
+        ? tradingContract.listCardForDutchAuction(tokenId, startPrice, floorPrice, duration)
+        : tradingContract.listCardForDutchAuctionInCurrency(tokenId, startPrice, floorPrice, duration, currency.address)),
+      'Failed to create Dutch auction',
+      { label: `Dutch auction card #${tokenId}`, approveAll }
+    );
+  }, [approveAndExecute]);
+
+  // Buy a Dutch auction at its current price (expects priceWei in the smallest unit of the currency, ETH by default).
+  // Excess ETH is credited back, tokens are approved for priceWei but only the price when mined is taken.
+  const buyDutchAuction = useCallback(async (tokenId, priceWei, currency = ETH) => {
+    return payAndExecute(currency, priceWei, async ({ tradingContract }) => {
+      return tradingContract.buyDutchAuction(tokenId, priceWei, paymentOverrides(currency, priceWei));
+    }, 'Failed to buy card', { label: `Buy card #${tokenId}`, tokenId });
+  }, [payAndExecute]);
+
+  // Settle an auction at its buy-now price (expects priceWei in the smallest unit of the currency, ETH by default)
+  const buyNow = useCallback(async (tokenId, priceWei, currency = ETH) => {
+    return payAndExecute(currency, priceWei, async ({ tradingContract }) => {
+      return tradingContract.buyNow(tokenId, priceWei, paymentOverrides(currency, priceWei));
+    }, 'Failed to buy now', { label: `Buy now card #${tokenId}`, tokenId });
+  }, [payAndExecute]);
+
+  // Get all listings
+  const getAllListings = useCallback(async () => {
+    try {
+      // Active listings are rebuilt from trading events instead of scanning every token ID
+      const indexedListings = await syncListingIndex(
+        state.contracts.tradingContract,
+        state.contracts.provider,
+        state.contracts.deployBlock || 0
+      );
+      // Scheduled listings show up once they open, expired ones drop out until returned to the seller
+      const now = Math.floor(Date.now() / 1000) + state.simulation.timeOffset;
+      return indexedListings.filter(entry => isListingOpen(entry, now)).map(entry => entry.tokenId);
+    } catch (error) {
+      console.error("Couldn't get all listings:",error);
+      return null;
+    }
+  }, [
+    state.contracts?.tradingContract,
+    state.contracts.provider,
+    state.contracts.deployBlock,
+    state.simulation.timeOffset
+  ]);
+
+  // Get listing details
+  const getListingDetails = useCallback(async (tokenId) => {
+    try {
+
+      const { tradingContract, batcher } = state.contracts;
+      const [rawListing, reserveStatus, currencyAddress] = await Promise.all([
+        batcher.call(tradingContract, 'listings', [tokenId]),
+        batcher.call(tradingContract, 'getReserveStatus', [tokenId]),
+        batcher.call(tradingContract, 'listingCurrency', [tokenId])
+      ]);
+      const currency = await getCurrency(currencyAddress);
+      const indexed = getIndexedListing(state.contracts.tradingAddress, tokenId);
+      
+      const listing = {
+        tokenId: tokenId,
+        seller: rawListing.seller,
+        price: rawListing.price.toString(),
+        isAuction: Number(rawListing.listingType) === 1,
+        isDutchAuction: Number(rawListing.listingType) === 2,
+        isActive: rawListing.active,
+        highestBidder: rawListing.highestBidder,
+        highestBid: rawListing.highestBid.toString(),
+        endTime: rawListing.endTime,
+        listingTime: indexed?.listingTime ?? null,
+        // End time the auction was listed with, late bids may have extended it since
+        listedEndTime: indexed?.listedEndTime ?? null,
+        buyNowPrice: rawListing.buyNowPrice.toString(),
+        floorPrice: rawListing.floorPrice.toString(),
+        startTime: Number(rawListing.startTime),
+        // The reserve price itself stays hidden, only whether the highest bid meets it is known
+        hasReserve: reserveStatus.hasReserve,
+        reserveMet: reserveStatus.reserveMet,
+        // Amounts are in the smallest unit of this currency
+        currency
+      };
+      return listing;
+
+    } catch (error) {
+      console.error('Failed to load listing:', error);
+      return null;
+    }
+  }, [state.contracts.tradingContract, state.contracts.tradingAddress, state.contracts.batcher, getCurrency]);
+
+  /**
+   * Get the rules every auction bid follows
+   * @returns {Promise<Object|null>} { minBidIncrement (basis points), minBidIncrementAmount (Wei),
+   * auctionExtensionWindow, auctionExtension (seconds) }, null if they could not be read
+   */
+  const getAuctionRules = useCallback(async () => {
+    const { tradingContract, batcher } = state.contracts;
+    if (!tradingContract) return null;
+
+    try {
+      const [minBidIncrement, minBidIncrementAmount, auctionExtensionWindow, auctionExtension] = await Promise.all([
+        batcher.call(tradingContract, 'minBidIncrement'),
+        batcher.call(tradingContract, 'minBidIncrementAmount'),
+        batcher.call(tradingContract, 'auctionExtensionWindow'),
+        batcher.call(tradingContract, 'auctionExtension')
+      ]);
+      return {
+        minBidIncrement: Number(minBidIncrement),
+        minBidIncrementAmount: minBidIncrementAmount.toString(),
+        auctionExtensionWindow: Number(auctionExtensionWindow),
+        auctionExtension: Number(auctionExtension)
+      };
+    } catch (error) {
+      console.error('Failed to load the auction rules:', error);
+      return null;
+    }
+  }, [state.contracts.tradingContract, state.contracts.batcher]);
+
+  /**
+   * Get how the price of a sale is split between the seller, the creator royalty and the platform fee
+   * @param {string|number} tokenId - Token ID of the card sold
+   * @param {string} priceWei - Sale price in Wei
+   * @returns {Promise<Object|null>} { price, sellerProceeds, royaltyReceiver, royaltyAmount, royaltyRate,
+   * platformFeeAmount, platformFeeRate } with amounts in Wei and rates in basis points, null if it could not be read
+   */
+  const getSaleBreakdown = useCallback(async (tokenId, priceWei) => {
+    const { tokenContract, tradingContract, batcher } = state.contracts;
+    if (!tokenContract || !tradingContract) return null;
+
+    try {
+      const [breakdown, platformFeeRate, [, royaltyRate]] = await Promise.all([
+        batcher.call(tradingContract, 'getSaleBreakdown', [tokenId, priceWei]),
+        batcher.call(tradingContract, 'platformFee'),
+        // The royalty of a 10000 Wei sale is its rate in basis points
+        batcher.call(tokenContract, 'royaltyInfo', [tokenId, 10000])
+      ]);
+      return {
+        price: priceWei.toString(),
+        sellerProceeds: breakdown.sellerProceeds.toString(),
+        royaltyReceiver: breakdown.royaltyReceiver,
+        royaltyAmount: breakdown.royaltyAmount.toString(),
+        royaltyRate: Number(royaltyRate),
+        platformFeeAmount: breakdown.platformFeeAmount.toString(),
+        platformFeeRate: Number(platformFeeRate)
+      };
+    } catch (error) {
+      console.error('Failed to load the sale breakdown:', error);
       return null;
     }
+  }, [state.contracts.tokenContract, state.contracts.tradingContract, state.contracts.batcher]);
+
+  // Cancel listing
+  const cancelListing = useCallback(async (tokenId) => {
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.cancelListing(tokenId);
+    }, 'Failed to cancel listing', { label: `Cancel listing of card #${tokenId}`, tokenId });
+  }, [executeTransaction]);
+
+  // Return the card of an expired fixed-price listing to its seller, anyone can call it
+  const returnExpiredListing = useCallback(async (tokenId) => {
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.returnExpiredListing(tokenId);
+    }, 'Failed to return expired listing', { label: `Return card #${tokenId}`, tokenId });
+  }, [executeTransaction]);
+
+  // End Auction
+  const endAuction = useCallback(async (tokenId) => {
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.endAuction(tokenId);
+    }, 'Failed to end auction', { label: `End auction of card #${tokenId}`, tokenId });
+  }, [executeTransaction]);
+
+
+  // Get Pokemon data from the bundled Pokédex
+  const getPokemonData = useCallback(async (pokemonId) => {
+    const entry = getPokedexEntry(pokemonId);
+
+    if (!entry) {
+      console.error(`Failed to load Pokemon Data (Not in Range 1-151)`);
+      return null;
+    }
+
+    return entry;
   }, []);
 
-  // Get token IDs owned by the current account
-  const getOwnedCards = useCallback(async () => {
-    const ownerAddress = state.wallet.account;
-    const isDev = import.meta.env.MODE === 'development';       
+  /**
+   * Get the on-chain metadata of a card, to render it without the bundled Pokédex or artwork
+   * @param {number|string} tokenId - Token ID
+   * @returns {Promise<Object|null>} Decoded metadata ({ name, description, image, pokemonId, pokemonName, rarity }),
+   * null if it could not be read
+   */
+  const getTokenMetadata = useCallback(async (tokenId) => {
+    const { tokenContract, tokenAddress, batcher } = state.contracts;
+    if (!tokenContract) return null;
+
+    // tokenURI never changes for a token, so each one is read once
+    const key = `${tokenAddress}:${tokenId}`;
+    if (!tokenMetadata.current.has(key)) {
+      const lookup = batcher.call(tokenContract, 'tokenURI', [tokenId]).then(decodeTokenURI);
+      lookup.catch(() => tokenMetadata.current.delete(key));
+      tokenMetadata.current.set(key, lookup);
+    }
+
+    try {
+      return await tokenMetadata.current.get(key);
+    } catch (error) {
+      console.error(`Failed to load the metadata of token ${tokenId}:`, error);
+      return null;
+    }
+  }, [state.contracts.tokenContract, state.contracts.batcher]);
 
+  // Get token IDs owned by an address (defaults to the current account)
+  const getOwnedCards = useCallback(async (ownerAddress = state.wallet.account) => {
     // Return empty array if no account or contract
     if (!ownerAddress || !state.contracts.tokenContract) {
       return [];
     }
 
     try {
-      const balanceBN = await state.contracts.tokenContract.balanceOf(ownerAddress);
+      const { tokenContract, tradingContract, cacheScope, provider, batcher, simulated } = state.contracts;
+      // Never cache the simulated backend, see getCardData
+      const useCache = !simulated;
+
+      if (useCache) {
+        reconcileCache({ tokenContract, tradingContract, provider, cacheScope });
+
+        const cachedTokenIds = await getCachedOwnedTokens(cacheScope, ownerAddress);
+        if (cachedTokenIds) {
+          return cachedTokenIds;
+        }
+      }
+
+      const [balanceBN, blockNumber] = await Promise.all([
+        batcher.call(tokenContract, 'balanceOf', [ownerAddress]),
+        batcher.getBlockNumber()
+      ]);
       const balance = Number(balanceBN);
 
       if (balance === 0) {
-        console.log('No owned tokens found. Returning mock IDs.');
-        if(isDev){
-          return [1, 2, 3, 4, 5, 6];
+        if (useCache) {
+          cacheOwnedTokens(cacheScope, ownerAddress, [], blockNumber);
         }
         return [];
       }
@@ -518,49 +1338,33 @@ export const AppProvider = ({ children }) => {
       // Create an array of promises to fetch token IDs
       const tokenIdPromises = [];
       for (let i = 0; i < balance; i++) {
-        tokenIdPromises.push(state.contracts.tokenContract.tokenOfOwnerByIndex(ownerAddress, i));
+        tokenIdPromises.push(batcher.call(tokenContract, 'tokenOfOwnerByIndex', [ownerAddress, i]));
       }
       
       // Resolve all token ID promises
       const tokenIdsRaw = await Promise.all(tokenIdPromises);
       const tokenIds = tokenIdsRaw.map(id => Number(id)); 
+      if (useCache) {
+        cacheOwnedTokens(cacheScope, ownerAddress, tokenIds, blockNumber);
+      }
       
       return tokenIds;
       
     } catch (error) {
       console.error('Error getting owned token IDs:', error);
-      if (isDev) {
-          console.warn('Error fetching owned token IDs in dev mode. Returning mock IDs.');
-          return [1, 2, 3, 4, 5, 6];
-      }
       return [];
     }
-  }, [state.wallet.account, state.contracts.tokenContract]);
+  }, [state.wallet.account, state.contracts]);
 
   /**
    * Run diagnostics on the contract connection
    * @returns {Promise<Object>} Diagnostic results
    */
   const runDiagnostics = useCallback(async () => {
-    const contracts = {
-      tokenContract: state.contracts.tokenContract,
-      tradingContract: state.contracts.tradingContract
-    };
-    
-    const getEnvVars = () => ({
-      tokenAddress: import.meta.env.VITE_TOKEN_CONTRACT_ADDRESS || null,
-      tradingAddress: import.meta.env.VITE_TRADING_CONTRACT_ADDRESS || null,
-      apiKey: import.meta.env.VITE_ETHERSCAN_API_KEY || null,
-    });
-    
-    const results = await runContractDiagnostics(
-      contracts, 
-      state.wallet,
-      getEnvVars
-    );
+    const results = await runContractDiagnostics(state.contracts, state.wallet);
     
     return results;
-  }, [state?.contracts?.tokenContract, state?.contracts?.tradingContract, state?.wallet]);
+  }, [state.contracts, state.wallet]);
 
   // Get pending withdrawals for the current user
   const getPendingWithdrawals = useCallback(async (address = state.wallet.account) => {
@@ -569,50 +1373,728 @@ export const AppProvider = ({ children }) => {
       return '0'; // Return 0 if contract or account is missing
     }
     try {
-      const amount = await state.contracts.tradingContract.pendingWithdrawals(address);
-      return amount.toString();
+      const [amount, bundlesAmount] = await Promise.all([
+        state.contracts.tradingContract.pendingWithdrawals(address),
+        // Bundle sales and outbid bundle bids are credited by the bundles contract
+        state.contracts.bundlesContract?.pendingWithdrawals(address) ?? 0n
+      ]);
+      return (amount + bundlesAmount).toString();
     } catch (error) {
       console.error('Failed to get pending withdrawals:', error);
       return '0';
     }
-  }, [state.contracts.tradingContract, state.wallet.account]);
+  }, [state.contracts.tradingContract, state.contracts.bundlesContract, state.wallet.account]);
+
+  /**
+   * Get the token balances of an address (defaults to the current account), for every allowed listing currency
+   * @returns {Promise<Array<Object>>} { currency, pending, balance } per token, pending being the amount withdrawable
+   * from the trading and bundles contracts and balance the amount in the wallet, both in the smallest unit of the token
+   */
+  const getTokenBalances = useCallback(async (address = state.wallet.account) => {
+    const { tradingContract, bundlesContract, batcher } = state.contracts;
+    if (!tradingContract || !address) return [];
+
+    try {
+      const tokens = (await getCurrencies()).filter(currency => !isEth(currency));
+      return await Promise.all(tokens.map(async (currency) => {
+        const [pending, bundlesPending, balance] = await Promise.all([
+          batcher.call(tradingContract, 'pendingTokenWithdrawals', [currency.address, address]),
+          // Bundle sales and outbid bundle bids are credited by the bundles contract
+          bundlesContract ? batcher.call(bundlesContract, 'pendingTokenWithdrawals', [currency.address, address]) : 0n,
+          batcher.call(getCurrencyContract(currency.address), 'balanceOf', [address])
+        ]);
+        return { currency, pending: (pending + bundlesPending).toString(), balance: balance.toString() };
+      }));
+    } catch (error) {
+      console.error('Failed to get token balances:', error);
+      return [];
+    }
+  }, [state.contracts, state.wallet.account, getCurrencies]);
+
+  // Withdraw the proceeds and refunds credited in a token, from the bundles contract first when it holds some
+  const withdrawTokenFunds = useCallback(async (currency) => {
+    const { tradingContract, bundlesContract, batcher } = state.contracts;
+    const account = state.wallet.account;
+
+    if (bundlesContract && account) {
+      const [tradingAmount, bundlesAmount] = await Promise.all([
+        batcher.call(tradingContract, 'pendingTokenWithdrawals', [currency.address, account]),
+        batcher.call(bundlesContract, 'pendingTokenWithdrawals', [currency.address, account])
+      ]);
+      if (bundlesAmount > 0n) {
+        const result = await executeTransaction(async ({ bundlesContract }) => {
+          return bundlesContract.withdrawToken(currency.address);
+        }, 'Failed to withdraw funds', { label: `Withdraw ${currency.symbol} bundle funds` });
+        if (!result.success || tradingAmount === 0n) {
+          return result;
+        }
+      }
+    }
 
-  // Withdraw funds
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.withdrawToken(currency.address);
+    }, 'Failed to withdraw funds', { label: `Withdraw ${currency.symbol} funds` });
+  }, [state.contracts, state.wallet.account, executeTransaction]);
+
+  // Whether the trading contract is an approved operator for all cards of an address (defaults to the current account)
+  const getMarketplaceApproval = useCallback(async (address = state.wallet.account) => {
+    const { tokenContract, tradingAddress } = state.contracts;
+    if (!tokenContract || !tradingAddress || !address) return false;
+
+    try {
+      return await tokenContract.isApprovedForAll(address, tradingAddress);
+    } catch (error) {
+      console.error('Failed to get marketplace approval:', error);
+      return false;
+    }
+  }, [state.contracts, state.wallet.account]);
+
+  // Grant or revoke the operator approval of the trading contract for all cards
+  const setMarketplaceApproval = useCallback(async (approved) => {
+    return executeTransaction(async ({ tokenContract, tradingContract }) => {
+      return tokenContract.setApprovalForAll(tradingContract.target, approved);
+    }, 'Failed to update marketplace approval', {
+      label: approved ? 'Approve marketplace for all cards' : 'Revoke marketplace approval'
+    });
+  }, [executeTransaction]);
+
+  // Withdraw funds, from the bundles contract first when it holds some
   const withdrawFunds = useCallback(async () => {
-    return executeTransaction(async () => {
-      return state.contracts.tradingContract.withdraw();
-    }, 'Failed to withdraw funds');
-  }, [state.contracts.tradingContract, executeTransaction]);
+    const { tradingContract, bundlesContract, batcher } = state.contracts;
+    const account = state.wallet.account;
+
+    if (bundlesContract && account) {
+      const [tradingAmount, bundlesAmount] = await Promise.all([
+        batcher.call(tradingContract, 'pendingWithdrawals', [account]),
+        batcher.call(bundlesContract, 'pendingWithdrawals', [account])
+      ]);
+      if (bundlesAmount > 0n) {
+        const result = await executeTransaction(async ({ bundlesContract }) => {
+          return bundlesContract.withdraw();
+        }, 'Failed to withdraw funds', { label: 'Withdraw bundle funds' });
+        if (!result.success || tradingAmount === 0n) {
+          return result;
+        }
+      }
+    }
+
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.withdraw();
+    }, 'Failed to withdraw funds', { label: 'Withdraw funds' });
+  }, [state.contracts, state.wallet.account, executeTransaction]);
+
+  // Read offers by ID, newest first
+  const loadOffers = useCallback(async (offerIds) => {
+    const { tradingContract, batcher } = state.contracts;
+    const offers = await Promise.all(offerIds.map(offerId => batcher.call(tradingContract, 'offers', [offerId])));
+    return offers.map((offer, i) => toOffer(offerIds[i], offer)).reverse();
+  }, [state.contracts.tradingContract, state.contracts.batcher]);
+
+  /**
+   * Get every offer made on a card, newest first
+   * @param {string|number} tokenId - Card to get the offers of
+   * @returns {Promise<Array<Object>>} Offers as returned by toOffer, whatever their status
+   */
+  const getOffers = useCallback(async (tokenId) => {
+    const { tradingContract, batcher } = state.contracts;
+    if (!tradingContract) return [];
+
+    try {
+      return await loadOffers(await batcher.call(tradingContract, 'getOffersForToken', [tokenId]));
+    } catch (error) {
+      console.error(`Failed to load the offers on token ${tokenId}:`, error);
+      return [];
+    }
+  }, [state.contracts.tradingContract, state.contracts.batcher, loadOffers]);
+
+  /**
+   * Get the active offers on the cards of the current account, newest first
+   * @returns {Promise<Array<Object>>} Offers as returned by toOffer, expired ones included until they are withdrawn
+   */
+  const getReceivedOffers = useCallback(async () => {
+    const { tradingContract, batcher } = state.contracts;
+    if (!tradingContract || !state.wallet.account) return [];
+
+    try {
+      const tokenIds = await getOwnedCards();
+      const offerIds = (await Promise.all(
+        tokenIds.map(tokenId => batcher.call(tradingContract, 'getOffersForToken', [tokenId]))
+      )).flat();
+      const offers = await loadOffers(offerIds);
+      return offers
+        .filter(offer => offer.status === OFFER_STATUS.ACTIVE)
+        .sort((a, b) => b.offerId - a.offerId);
+    } catch (error) {
+      console.error('Failed to load the received offers:', error);
+      return [];
+    }
+  }, [state.contracts.tradingContract, state.contracts.batcher, state.wallet.account, getOwnedCards, loadOffers]);
+
+  /**
+   * Get the active offers the current account made, newest first
+   * @returns {Promise<Array<Object>>} Offers as returned by toOffer, expired ones included until they are withdrawn
+   */
+  const getMyOffers = useCallback(async () => {
+    const { tradingContract, batcher } = state.contracts;
+    const account = state.wallet.account;
+    if (!tradingContract || !account) return [];
+
+    try {
+      const offers = await loadOffers(await batcher.call(tradingContract, 'getOffersByBidder', [account]));
+      return offers.filter(offer => offer.status === OFFER_STATUS.ACTIVE);
+    } catch (error) {
+      console.error('Failed to load your offers:', error);
+      return [];
+    }
+  }, [state.contracts.tradingContract, state.contracts.batcher, state.wallet.account, loadOffers]);
+
+  // Make an offer on a card (expects the amount in Wei and the duration in seconds), escrowing the amount
+  const makeOffer = useCallback(async (tokenId, amountWei, duration) => {
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.makeOffer(tokenId, duration, { value: amountWei });
+    }, 'Failed to make offer', { label: `Offer on card #${tokenId}`, tokenId });
+  }, [executeTransaction]);
+
+  // Accept an offer on an owned card, approving the marketplace for the card first if needed
+  const acceptOffer = useCallback(async (offer) => {
+    return approveAndExecute(
+      offer.tokenId,
+      async ({ tradingContract }) => tradingContract.acceptOffer(offer.offerId),
+      'Failed to accept offer',
+      { label: `Accept offer on card #${offer.tokenId}` }
+    );
+  }, [approveAndExecute]);
+
+  // Counter an offer on an owned card with a higher price (expects the amount in Wei), approving the card first
+  // if needed so the bidder can accept it
+  const counterOffer = useCallback(async (offer, counterAmountWei) => {
+    return approveAndExecute(
+      offer.tokenId,
+      async ({ tradingContract }) => tradingContract.counterOffer(offer.offerId, counterAmountWei),
+      'Failed to counter offer',
+      { label: `Counter offer on card #${offer.tokenId}` }
+    );
+  }, [approveAndExecute]);
+
+  // Reject an offer on an owned card, sending the escrow back to the bidder
+  const rejectOffer = useCallback(async (offer) => {
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.rejectOffer(offer.offerId);
+    }, 'Failed to reject offer', { label: `Reject offer on card #${offer.tokenId}`, tokenId: offer.tokenId });
+  }, [executeTransaction]);
+
+  // Buy the card for the counter offer on an own offer, paying what the escrow does not cover
+  const acceptCounterOffer = useCallback(async (offer) => {
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.acceptCounterOffer(offer.offerId, {
+        value: (BigInt(offer.counterAmount) - BigInt(offer.amount)).toString()
+      });
+    }, 'Failed to accept counter offer', { label: `Accept counter offer on card #${offer.tokenId}`, tokenId: offer.tokenId });
+  }, [executeTransaction]);
+
+  // Take back the escrow of an own expired offer
+  const withdrawOffer = useCallback(async (offer) => {
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.withdrawOffer(offer.offerId);
+    }, 'Failed to withdraw offer', { label: `Withdraw offer on card #${offer.tokenId}`, tokenId: offer.tokenId });
+  }, [executeTransaction]);
+
+  // Read swaps by ID, newest first
+  const loadSwaps = useCallback(async (swapIds) => {
+    const { tradingContract, batcher } = state.contracts;
+    const swaps = await Promise.all(swapIds.map(swapId => batcher.call(tradingContract, 'getSwap', [swapId])));
+    return swaps.map((swap, i) => toSwap(swapIds[i], swap)).reverse();
+  }, [state.contracts.tradingContract, state.contracts.batcher]);
+
+  /**
+   * Get the pending swap proposals of the current account, newest first
+   * @returns {Promise<Object>} { incoming, outgoing }, swaps as returned by toSwap, expired ones included until
+   * they are cancelled
+   */
+  const getSwaps = useCallback(async () => {
+    const { tradingContract, batcher } = state.contracts;
+    const account = state.wallet.account;
+    if (!tradingContract || !account) return { incoming: [], outgoing: [] };
+
+    try {
+      const [incomingIds, outgoingIds] = await Promise.all([
+        batcher.call(tradingContract, 'getSwapsByCounterparty', [account]),
+        batcher.call(tradingContract, 'getSwapsByProposer', [account])
+      ]);
+      const [incoming, outgoing] = await Promise.all([loadSwaps(incomingIds), loadSwaps(outgoingIds)]);
+      const isPending = swap => swap.status === SWAP_STATUS.PENDING;
+      return { incoming: incoming.filter(isPending), outgoing: outgoing.filter(isPending) };
+    } catch (error) {
+      console.error('Failed to load your swaps:', error);
+      return { incoming: [], outgoing: [] };
+    }
+  }, [state.contracts.tradingContract, state.contracts.batcher, state.wallet.account, loadSwaps]);
+
+  /**
+   * Propose to trade own cards, plus an optional ETH sweetener, for cards of another account.
+   * The marketplace is approved for each offered card first, the sweetener is escrowed until the swap is settled.
+   * @param {string} counterparty - Owner of the requested cards
+   * @param {Array<number>} offeredTokenIds - Own cards to give
+   * @param {Array<number>} requestedTokenIds - Cards of the counterparty to get
+   * @param {string} sweetenerWei - ETH added to the offered cards, in Wei
+   * @param {number} duration - How long the proposal stands, in seconds
+   * @returns {Promise<Object>} { success, error }
+   */
+  const proposeSwap = useCallback(async (counterparty, offeredTokenIds, requestedTokenIds, sweetenerWei, duration) => {
+    return approveEachAndExecute(
+      offeredTokenIds,
+      async ({ tradingContract }) => tradingContract.proposeSwap(
+        counterparty, offeredTokenIds, requestedTokenIds, duration, { value: sweetenerWei || 0 }
+      ),
+      'Failed to propose swap',
+      { label: `Propose trade for card${requestedTokenIds.length > 1 ? 's' : ''} #${requestedTokenIds.join(', #')}` }
+    );
+  }, [approveEachAndExecute]);
+
+  // Accept a swap proposed to the current account, approving the marketplace for each requested card first
+  const acceptSwap = useCallback(async (swap) => {
+    return approveEachAndExecute(
+      swap.requestedTokenIds,
+      async ({ tradingContract }) => tradingContract.acceptSwap(swap.swapId),
+      'Failed to accept swap',
+      { label: `Accept trade #${swap.swapId}` }
+    );
+  }, [approveEachAndExecute]);
+
+  // Cancel an own swap proposal or decline one made to the current account, refunding the sweetener
+  const cancelSwap = useCallback(async (swap) => {
+    return executeTransaction(async ({ tradingContract }) => {
+      return tradingContract.cancelSwap(swap.swapId);
+    }, 'Failed to cancel swap', { label: `Cancel trade #${swap.swapId}` });
+  }, [executeTransaction]);
+
+  // A bundle as returned by toBundle, with the currency its amounts are in
+  const loadBundle = useCallback(async (bundleId, bundle) => ({
+    ...toBundle(bundleId, bundle),
+    currency: await getCurrency(bundle.currency)
+  }), [getCurrency]);
+
+  /**
+   * Get the listed bundles, newest first
+   * @returns {Promise<Array<Object>>} Bundles as returned by toBundle with their currency, empty without a bundles
+   * contract
+   */
+  const getBundles = useCallback(async () => {
+    const { bundlesContract, batcher } = state.contracts;
+    if (!bundlesContract) return [];
+
+    try {
+      const bundleIds = await batcher.call(bundlesContract, 'getActiveBundles');
+      const bundles = await Promise.all(bundleIds.map(async (bundleId) => (
+        loadBundle(bundleId, await batcher.call(bundlesContract, 'getBundle', [bundleId]))
+      )));
+      return bundles.sort((a, b) => b.bundleId - a.bundleId);
+    } catch (error) {
+      console.error('Failed to load bundles:', error);
+      return [];
+    }
+  }, [state.contracts.bundlesContract, state.contracts.batcher, loadBundle]);
+
+  // Get one bundle, sold and cancelled ones included, null if it does not exist
+  const getBundle = useCallback(async (bundleId) => {
+    const { bundlesContract, batcher } = state.contracts;
+    if (!bundlesContract) return null;
+
+    try {
+      const bundle = await batcher.call(bundlesContract, 'getBundle', [bundleId]);
+      return bundle.seller === ethers.ZeroAddress ? null : await loadBundle(bundleId, bundle);
+    } catch (error) {
+      console.error(`Failed to load bundle ${bundleId}:`, error);
+      return null;
+    }
+  }, [state.contracts.bundlesContract, state.contracts.batcher, loadBundle]);
+
+  /**
+   * Get how the price of a bundle is split between the seller, the creator royalties of its cards and the platform fee
+   * @param {number} bundleId - Bundle sold
+   * @param {string} priceWei - Sale price in the smallest unit of the bundle's currency
+   * @returns {Promise<Object|null>} { price, sellerProceeds, royaltyAmount, platformFeeAmount, platformFeeRate }
+   * with amounts in that unit and the rate in basis points, null if it could not be read
+   */
+  const getBundleSaleBreakdown = useCallback(async (bundleId, priceWei) => {
+    const { tradingContract, bundlesContract, batcher } = state.contracts;
+    if (!bundlesContract) return null;
+
+    try {
+      const [breakdown, platformFeeRate] = await Promise.all([
+        batcher.call(bundlesContract, 'getSaleBreakdown', [bundleId, priceWei]),
+        batcher.call(tradingContract, 'platformFee')
+      ]);
+      return {
+        price: priceWei.toString(),
+        sellerProceeds: breakdown.sellerProceeds.toString(),
+        royaltyAmount: breakdown.royaltyAmount.toString(),
+        platformFeeAmount: breakdown.platformFeeAmount.toString(),
+        platformFeeRate: Number(platformFeeRate)
+      };
+    } catch (error) {
+      console.error('Failed to load the bundle sale breakdown:', error);
+      return null;
+    }
+  }, [state.contracts.tradingContract, state.contracts.bundlesContract, state.contracts.batcher]);
+
+  /**
+   * List own cards as one bundle, sold together at a fixed price or auctioned. The cards are escrowed by the bundles
+   * contract, which is approved for each card first unless it may already transfer it.
+   * @param {Array<number>} tokenIds - Cards to bundle
+   * @param {string} price - Fixed price, or starting price of an auction, in the smallest unit of the currency
+   * @param {Object} options - duration of an auction in seconds, 0 for a fixed-price bundle, and currency, an
+   * allowed currency from getCurrencies (ETH by default)
+   * @returns {Promise<Object>} { success, error } of the first approval that failed, otherwise of the listing
+   */
+  const listBundle = useCallback(async (tokenIds, price, { duration = 0, currency = ETH } = {}) => {
+    const { bundlesAddress } = state.contracts;
+    if (!bundlesAddress) {
+      return { success: false, error: BUNDLES_UNAVAILABLE };
+    }
+
+    for (const tokenId of tokenIds) {
+      if (await isOperatorApproved(tokenId, bundlesAddress)) continue;
+
+      const approval = await executeTransaction(async ({ tokenContract }) => {
+        return tokenContract.approve(bundlesAddress, tokenId);
+      }, 'Failed to list bundle', { label: `Approve card #${tokenId} for bundling`, tokenId });
+      if (!approval.success) {
+        return approval;
+      }
+    }
+
+    return executeTransaction(async ({ bundlesContract }) => {
+      if (!isEth(currency)) {
+        return duration
+          ? bundlesContract.listBundleForAuctionInCurrency(tokenIds, price, duration, currency.address)
+          : bundlesContract.listBundleForSaleInCurrency(tokenIds, price, currency.address);
+      }
+      return duration
+        ? bundlesContract.listBundleForAuction(tokenIds, price, duration)
+        : bundlesContract.listBundleForSale(tokenIds, price);
+    }, 'Failed to list bundle', { label: `${duration ? 'Auction' : 'List'} bundle of cards #${tokenIds.join(', #')}` });
+  }, [state.contracts.bundlesAddress, isOperatorApproved, executeTransaction]);
+
+  // Buy every card of a fixed-price bundle (expects priceWei in the smallest unit of the bundle's currency, ETH by
+  // default)
+  const buyBundle = useCallback(async (bundleId, priceWei, currency = ETH) => {
+    return payAndExecute(currency, priceWei, async ({ bundlesContract }) => {
+      return bundlesContract.buyBundle(bundleId, priceWei, paymentOverrides(currency, priceWei));
+    }, 'Failed to buy bundle', { label: `Buy bundle #${bundleId}`, spender: 'bundlesContract' });
+  }, [payAndExecute]);
+
+  // Bid on a bundle auction (expects bidAmount in the smallest unit of the bundle's currency, ETH by default)
+  const placeBundleBid = useCallback(async (bundleId, bidAmount, currency = ETH) => {
+    return payAndExecute(currency, bidAmount, async ({ bundlesContract }) => {
+      return isEth(currency)
+        ? bundlesContract.placeBid(bundleId, { value: bidAmount })
+        : bundlesContract.placeTokenBid(bundleId, bidAmount);
+    }, 'Failed to place bid', { label: `Bid on bundle #${bundleId}`, spender: 'bundlesContract' });
+  }, [payAndExecute]);
+
+  // End a bundle auction after its end time, by anyone
+  const endBundleAuction = useCallback(async (bundleId) => {
+    return executeTransaction(async ({ bundlesContract }) => {
+      return bundlesContract.endAuction(bundleId);
+    }, 'Failed to end auction', { label: `End auction of bundle #${bundleId}` });
+  }, [executeTransaction]);
+
+  // Cancel an own bundle, returning its cards
+  const cancelBundle = useCallback(async (bundleId) => {
+    return executeTransaction(async ({ bundlesContract }) => {
+      return bundlesContract.cancelBundle(bundleId);
+    }, 'Failed to cancel bundle', { label: `Cancel bundle #${bundleId}` });
+  }, [executeTransaction]);
+
+  /**
+   * Get the booster pack sale
+   * @returns {Promise<Object|null>} { price (Wei), cardsPerPack, rarityOdds (basis points per rarity), owner, paused },
+   * null if there is no packs contract or it could not be read
+   */
+  const getPackSale = useCallback(async () => {
+    const { packsContract, batcher } = state.contracts;
+    if (!packsContract) return null;
+
+    try {
+      const [price, cardsPerPack, rarityOdds, owner, paused] = await Promise.all([
+        batcher.call(packsContract, 'packPrice'),
+        batcher.call(packsContract, 'cardsPerPack'),
+        batcher.call(packsContract, 'getRarityOdds'),
+        batcher.call(packsContract, 'owner'),
+        batcher.call(packsContract, 'paused')
+      ]);
+      return { price: price.toString(), cardsPerPack: Number(cardsPerPack), rarityOdds: rarityOdds.map(Number), owner, paused };
+    } catch (error) {
+      console.error('Failed to load the pack sale:', error);
+      return null;
+    }
+  }, [state.contracts.packsContract, state.contracts.batcher]);
+
+  /**
+   * Get the packs bought by the current account, newest first
+   * @returns {Promise<Array<Object>>} { packId, cardCount, commitBlock, firstTokenId, opened, status } per pack,
+   * status being one of PACK_STATUS
+   */
+  const getMyPacks = useCallback(async () => {
+    const { packsContract, packsAddress, batcher } = state.contracts;
+    const account = state.wallet.account;
+    if (!packsContract || !account) return [];
+
+    try {
+      const [packIds, blockNumber] = await Promise.all([
+        batcher.call(packsContract, 'getPacksOf', [account]),
+        batcher.getBlockNumber()
+      ]);
+      const packs = await Promise.all(packIds.map(packId => batcher.call(packsContract, 'packs', [packId])));
+
+      return packs.map((pack, i) => {
+        const details = {
+          packId: Number(packIds[i]),
+          cardCount: Number(pack.cardCount),
+          commitBlock: Number(pack.commitBlock),
+          firstTokenId: Number(pack.firstTokenId),
+          opened: pack.opened,
+          hasSecret: Boolean(getPackSecret(packsAddress, pack.commitment))
+        };
+        return { ...details, status: getPackStatus(details, Number(blockNumber)) };
+      }).reverse();
+    } catch (error) {
+      console.error('Failed to load packs:', error);
+      return [];
+    }
+  }, [state.contracts.packsContract, state.contracts.batcher, state.wallet.account]);
+
+  // Buy a booster pack (expects the pack price in Wei), committing to a new secret kept in this browser
+  const buyPack = useCallback(async (priceWei) => {
+    const { packsAddress } = state.contracts;
+    if (!packsAddress) {
+      return { success: false, error: PACKS_UNAVAILABLE };
+    }
+
+    // The secret is kept even if the purchase seems to fail, a replaced transaction may still have bought the pack
+    const { commitment } = createPackSecret(packsAddress);
+    return executeTransaction(async ({ packsContract }) => {
+      return packsContract.buyPack(commitment, { value: priceWei });
+    }, 'Failed to buy pack', { label: 'Buy booster pack' });
+  }, [state.contracts.packsAddress, executeTransaction]);
+
+  /**
+   * Open a pack by revealing its secret, minting its cards
+   * @param {number} packId - Pack to open
+   * @returns {Promise<Object>} { success, error, tokenIds }, tokenIds being the cards the pack contained
+   */
+  const openPack = useCallback(async (packId) => {
+    const { packsContract, packsAddress } = state.contracts;
+    if (!packsContract) {
+      return { success: false, error: PACKS_UNAVAILABLE, tokenIds: [] };
+    }
+
+    try {
+      const pack = await packsContract.packs(packId);
+      const secret = getPackSecret(packsAddress, pack.commitment);
+      if (!secret) {
+        return {
+          success: false,
+          error: { message: 'The secret of this pack is not stored in this browser.', action: 'Open the pack in the browser it was bought in.' },
+          tokenIds: []
+        };
+      }
+
+      const result = await executeTransaction(async ({ packsContract }) => {
+        return packsContract.openPack(packId, secret);
+      }, 'Failed to open pack', { label: `Open pack #${packId}` });
+      if (!result.success) {
+        return { ...result, tokenIds: [] };
+      }
+
+      forgetPackSecret(packsAddress, pack.commitment);
+      const opened = await packsContract.packs(packId);
+      const firstTokenId = Number(opened.firstTokenId);
+      return { ...result, tokenIds: Array.from({ length: Number(opened.cardCount) }, (_, i) => firstTokenId + i) };
+    } catch (error) {
+      console.error('Failed to open pack', error);
+      return { success: false, error: decodeTransactionError(error), tokenIds: [] };
+    }
+  }, [state.contracts.packsContract, state.contracts.packsAddress, executeTransaction]);
+
+  /**
+   * Settle a pack that was not opened in time, also when its secret is lost, minting its cards to the buyer
+   * @param {number} packId - Expired pack
+   * @returns {Promise<Object>} { success, error, tokenIds }, tokenIds being the cards the pack contained
+   */
+  const settlePack = useCallback(async (packId) => {
+    const { packsContract, packsAddress } = state.contracts;
+    if (!packsContract) {
+      return { success: false, error: PACKS_UNAVAILABLE, tokenIds: [] };
+    }
+
+    const result = await executeTransaction(async ({ packsContract }) => {
+      return packsContract.settleExpiredPack(packId);
+    }, 'Failed to settle pack', { label: `Settle pack #${packId}` });
+    if (!result.success) {
+      return { ...result, tokenIds: [] };
+    }
+
+    // The secret can no longer open anything
+    const settled = await packsContract.packs(packId);
+    forgetPackSecret(packsAddress, settled.commitment);
+    const firstTokenId = Number(settled.firstTokenId);
+    return { ...result, tokenIds: Array.from({ length: Number(settled.cardCount) }, (_, i) => firstTokenId + i) };
+  }, [state.contracts.packsContract, state.contracts.packsAddress, executeTransaction]);
+
+  // Get the pack sale proceeds waiting in the packs contract (in Wei)
+  const getPackProceeds = useCallback(async () => {
+    const { packsAddress, provider } = state.contracts;
+    if (!packsAddress) return '0';
+
+    try {
+      return (await provider.getBalance(packsAddress)).toString();
+    } catch (error) {
+      console.error('Failed to get pack proceeds:', error);
+      return '0';
+    }
+  }, [state.contracts.packsAddress, state.contracts.provider]);
+
+  // Send the pack sale proceeds to the packs contract owner
+  const withdrawPackProceeds = useCallback(async () => {
+    return executeTransaction(async ({ packsContract }) => {
+      return packsContract.withdrawProceeds();
+    }, 'Failed to withdraw pack proceeds', { label: 'Withdraw pack proceeds' });
+  }, [executeTransaction]);
+
+  // Current chain time in seconds, the simulated clock may run ahead of the wall clock
+  const getCurrentTime = useCallback(() => (
+    Math.floor(Date.now() / 1000) + state.simulation.timeOffset
+  ), [state.simulation.timeOffset]);
+
+  // Controls of the simulated backend, null with the contract backend
+  const simulation = state.contracts.simulated ? {
+    accounts: getSimulatedMarketplace().accounts,
+    getBalance: (address) => getSimulatedMarketplace().getBalance(address),
+
+    // Move the simulated clock forward, e.g. to let an auction end
+    advanceTime: (seconds) => {
+      const marketplace = getSimulatedMarketplace();
+      marketplace.advanceTime(seconds);
+      dispatch({ type: actions.simulation.CLOCK_UPDATED, payload: { timeOffset: marketplace.getTimeOffset() } });
+    },
+
+    // Act as another simulated account
+    switchAccount: (address) => {
+      const marketplace = getSimulatedMarketplace();
+      marketplace.setSender(address);
+      dispatch({ type: actions.wallet.UPDATE, payload: { account: marketplace.getSender() } });
+    }
+  } : null;
+
+  // Whether the wallet chain has a deployment, the default chain to switch to, and the outcome of the bytecode check
+  const expectedChainId = state.contracts.simulated ? null : getConfiguredChainId();
+  const network = {
+    expectedChainId,
+    expectedNetworkName: expectedChainId ? getNetworkName(expectedChainId) : null,
+    isWrongNetwork: Boolean(
+      !state.contracts.simulated &&
+      state.wallet.account &&
+      state.network.unsupportedChainId &&
+      state.network.unsupportedChainId === state.wallet.chainId
+    ),
+    missingContracts: state.contracts.simulated ? [] : state.network.missingContracts
+  };
 
   // Clean up contextValue export
   const contextValue = {
     // State
     contracts: state.contracts,
     account: state.wallet?.account || null,
+    chainId: state.wallet?.chainId || null,
+    walletName: state.wallet.walletName,
+    availableWallets: state.availableWallets,
+    listingUpdates: state.marketplace.listingUpdates,
+    simulation,
+    getCurrentTime,
+    network,
 
     // Core functionality
     init,
     connectWallet,
     disconnectWallet,
+    switchNetwork,
 
     // Marketplace operations
     listCardForSale,
     createAuction,
+    createDutchAuction,
+    buyNow,
+    buyDutchAuction,
     buyCard,
     placeBid,
     cancelListing,
+    updateListingPrice,
+    returnExpiredListing,
     endAuction,
+
+    // Offers
+    getOffers,
+    getReceivedOffers,
+    getMyOffers,
+    makeOffer,
+    acceptOffer,
+    counterOffer,
+    rejectOffer,
+    acceptCounterOffer,
+    withdrawOffer,
+
+    // Swaps
+    getSwaps,
+    proposeSwap,
+    acceptSwap,
+    cancelSwap,
+
+    // Bundles
+    getBundles,
+    getBundle,
+    getBundleSaleBreakdown,
+    listBundle,
+    buyBundle,
+    placeBundleBid,
+    endBundleAuction,
+    cancelBundle,
+
+    // Booster packs
+    getPackSale,
+    getMyPacks,
+    buyPack,
+    openPack,
+    settlePack,
+    getPackProceeds,
+    withdrawPackProceeds,
+
+    // Approvals
+    getMarketplaceApproval,
+    setMarketplaceApproval,
     
     // Data retrieval
     getCardData,
     getPokemonData,
+    getTokenMetadata,
     getAllListings,
     getListingDetails,
+    getSaleBreakdown,
+    getAuctionRules,
+    getCurrencies,
     getOwnedCards,
+    onCardsInvalidated: onCacheInvalidated,
+
+    // Transactions
+    transactions: state.transactions,
+    clearFinishedTransactions,
 
     // Withdrawal functions
     getPendingWithdrawals,
     withdrawFunds,
+    getTokenBalances,
+    withdrawTokenFunds,
 
     // Diagnostics
     runDiagnostics,
@@ -633,4 +2115,20 @@ export const useApp = () => {
   return context;
 };
 
+// Current marketplace time in seconds, re-rendering the caller every second while ticking
+export const useCurrentTime = (ticking) => {
+  const { getCurrentTime } = useApp();
+  const [now, setNow] = useState(getCurrentTime);
+
+  useEffect(() => {
+    setNow(getCurrentTime());
+    if (!ticking) return;
+
+    const timer = setInterval(() => setNow(getCurrentTime()), 1000);
+    return () => clearInterval(timer);
+  }, [ticking, getCurrentTime]);
+
+  return now;
+};
+
 export default AppProvider; 
\ No newline at end of file
@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useApp, useCurrentTime } from '../contexts/AppContext';
+import { formatAddress, formatDuration, getRarityName, getRarityClass, getPokemonImageUrl } from '../utils';
+import { decodeTransactionError } from '../services/txErrors';
+import { formatAmount, getUnitName } from '../services/currencies';
+import { getMinimumBid, isInExtensionWindow } from '../services/auctions';
+import { getPokedexEntry } from '../services/pokedex';
+
+// Basis points as a percentage, 250 -> "2.5%"
+const formatRate = (basisPoints) => `${basisPoints / 100}%`;
+
+// How the bundle price is split, like SaleBreakdown for a single card but with the royalties of all cards together
+const BundleBreakdown = ({ bundleId, price, currency, isSeller }) => {
+  const { getBundleSaleBreakdown } = useApp();
+  const [breakdown, setBreakdown] = useState(null);
+
+  useEffect(() => {
+    if (!price || BigInt(price) <= 0n) {
+      setBreakdown(null);
+      return;
+    }
+
+    // Ignore answers for a price that was changed in the meantime
+    let stale = false;
+    getBundleSaleBreakdown(bundleId, price).then(result => {
+      if (!stale) setBreakdown(result);
+    });
+    return () => {
+      stale = true;
+    };
+  }, [bundleId, price, getBundleSaleBreakdown]);
+
+  if (!breakdown) return null;
+
+  return (
+    <div className="grid grid-cols-2 gap-1 text-xs text-gray-600 mb-3 p-2 bg-gray-50 rounded">
+      <div>Sale price:</div>
+      <div className="text-right font-medium text-gray-800">{formatAmount(breakdown.price, currency)}</div>
+      <div>Creator royalties:</div>
+      <div className="text-right">{formatAmount(breakdown.royaltyAmount, currency)}</div>
+      <div>Platform fee ({formatRate(breakdown.platformFeeRate)}):</div>
+      <div className="text-right">{formatAmount(breakdown.platformFeeAmount, currency)}</div>
+      <div className="font-semibold text-gray-800">{isSeller ? 'You receive:' : 'Seller receives:'}</div>
+      <div className="text-right font-semibold text-gray-800">{formatAmount(breakdown.sellerProceeds, currency)}</div>
+    </div>
+  );
+};
+
+/**
+ * BundleDetailPage component - Shows the cards of a bundle and lets collectors buy it, bid on it or settle its
+ * auction, and its seller cancel it
+ */
+const BundleDetailPage = () => {
+  const { bundleId } = useParams();
+  const {
+    account,
+    contracts,
+    getBundle,
+    getCardData,
+    getAuctionRules,
+    buyBundle,
+    placeBundleBid,
+    endBundleAuction,
+    cancelBundle
+  } = useApp();
+  const [bundle, setBundle] = useState(null);
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [auctionRules, setAuctionRules] = useState(null);
+  const [bidAmount, setBidAmount] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [txError, setTxError] = useState(null);
+
+  const now = useCurrentTime(Boolean(bundle?.isActive && bundle.isAuction));
+
+  const loadBundle = async () => {
+    try {
+      const loaded = await getBundle(bundleId);
+      setBundle(loaded);
+      if (loaded) {
+        const cardData = await Promise.all(loaded.tokenIds.map(tokenId => getCardData(tokenId)));
+        setCards(cardData.filter(Boolean));
+      }
+    } catch (err) {
+      console.error(`Error loading bundle #${bundleId}:`, err);
+      setBundle(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (contracts?.bundlesContract) {
+      setLoading(true);
+      loadBundle();
+    } else {
+      setLoading(false);
+    }
+  }, [bundleId, contracts?.bundlesContract]);
+
+  useEffect(() => {
+    getAuctionRules().then(setAuctionRules);
+  }, [getAuctionRules]);
+
+  // Send a bundle transaction, reloading the bundle once it is mined
+  const handle = async (send) => {
+    setSubmitting(true);
+    setTxError(null);
+    try {
+      const { success, error: txFailure } = await send();
+      if (success) {
+        setBidAmount('');
+        await loadBundle();
+      } else {
+        setTxError(txFailure);
+      }
+    } catch (err) {
+      console.error('Error sending bundle transaction:', err);
+      setTxError(decodeTransactionError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="animate-pulse">
+          <div className="bg-gray-200 h-64 rounded-lg mb-4"></div>
+          <div className="bg-gray-200 h-6 rounded w-3/4 mb-2"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!bundle) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          Bundle not found
+        </div>
+      </div>
+    );
+  }
+
+  const isSeller = account && bundle.seller.toLowerCase() === account.toLowerCase();
+  const noBids = BigInt(bundle.highestBid) === 0n;
+  const auctionEnded = bundle.isAuction && now >= bundle.endTime;
+  const minimumBid = getMinimumBid(bundle, auctionRules);
+  const bidExtendsAuction = bundle.isAuction && !auctionEnded && isInExtensionWindow(bundle, auctionRules, now);
+  // Amounts are in the smallest unit of the bundle's currency
+  const { currency } = bundle;
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      <h1 className="text-2xl md:text-3xl font-bold mb-1">Bundle #{bundle.bundleId}</h1>
+      <p className="text-gray-600 mb-6">
+        {cards.length} cards sold together by{' '}
+        <Link to={`/collection/${bundle.seller}`} className="text-indigo-600 hover:underline">{formatAddress(bundle.seller)}</Link>
+      </p>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-4 mb-8">
+        {cards.map(card => (
+          <Link key={card.tokenId} to={`/card/${card.tokenId}`} className="block bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow">
+            <div className="relative">
+              <img
+                src={getPokemonImageUrl(card.pokemonId)}
+                alt={getPokedexEntry(card.pokemonId)?.name || `Pokemon #${card.pokemonId}`}
+                className="w-full aspect-509/700"
+              />
+              <div className={`absolute top-1 right-1 ${getRarityClass(card.rarity)} px-2 py-0.5 rounded-full text-xs font-medium`}>
+                {getRarityName(card.rarity)}
+              </div>
+            </div>
+            <p className="p-2 text-sm font-medium truncate capitalize">
+              #{card.tokenId} {getPokedexEntry(card.pokemonId)?.name || `Pokemon #${card.pokemonId}`}
+            </p>
+          </Link>
+        ))}
+      </div>
+
+      {!bundle.isActive ? (
+        <div className="p-4 border border-gray-200 rounded-lg text-gray-600">
+          This bundle is no longer listed, it was sold or cancelled.
+        </div>
+      ) : (
+        <div className="mb-6 p-4 border border-gray-200 rounded-lg max-w-xl">
+          <h2 className="text-lg md:text-xl font-semibold mb-2">
+            {bundle.isAuction ? 'Bundle Auction' : 'Available for Purchase'}
+          </h2>
+
+          <div className="grid grid-cols-2 gap-2 text-sm mb-4">
+            <div className="text-gray-600">{bundle.isAuction ? (noBids ? 'Starting Price:' : 'Current Bid:') : 'Price:'}</div>
+            <div className="font-semibold">{formatAmount(noBids ? bundle.price : bundle.highestBid, currency)}</div>
+            {bundle.isAuction && (
+              <>
+                <div className="text-gray-600">Highest Bidder:</div>
+                <div className="font-semibold">{noBids ? 'No bids yet' : formatAddress(bundle.highestBidder)}</div>
+                <div className="text-gray-600">End Time:</div>
+                <div className="font-semibold">
+                  {new Date(bundle.endTime * 1000).toLocaleString()}
+                  {!auctionEnded && <span className="block text-xs font-normal text-gray-500">Ends in {formatDuration(bundle.endTime - now)}</span>}
+                </div>
+                {!noBids && !auctionEnded && (
+                  <>
+                    <div className="text-gray-600">Minimum Next Bid:</div>
+                    <div className="font-semibold">{formatAmount(minimumBid, currency)}</div>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+
+          {!auctionEnded && (
+            <BundleBreakdown
+              bundleId={bundle.bundleId}
+              price={bundle.isAuction ? (bidAmount || minimumBid) : bundle.price}
+              currency={currency}
+              isSeller={isSeller}
+            />
+          )}
+
+          {!bundle.isAuction && !isSeller && (
+            <button
+              onClick={() => handle(() => buyBundle(bundle.bundleId, bundle.price, currency))}
+              disabled={submitting}
+              className="w-full py-2 bg-indigo-600 text-white font-medium rounded hover:bg-indigo-700 disabled:bg-gray-400"
+            >
+              {submitting ? 'Processing...' : `Buy All ${cards.length} Cards`}
+            </button>
+          )}
+
+          {bundle.isAuction && !isSeller && !auctionEnded && (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                handle(() => placeBundleBid(bundle.bundleId, bidAmount, currency));
+              }}
+              className="flex flex-col sm:flex-row sm:items-end gap-2"
+            >
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Your Bid ({getUnitName(currency)})</label>
+                <input
+                  type="number"
+                  step="1"
+                  min={minimumBid}
+                  value={bidAmount}
+                  onChange={(e) => setBidAmount(e.target.value.replace(/[^0-9]/g, ''))}
+                  className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder={`Enter bid amount in ${getUnitName(currency)}`}
+                  required
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={submitting || !bidAmount}
+                className="px-4 py-2 bg-indigo-600 text-white font-medium rounded hover:bg-indigo-700 disabled:bg-gray-400"
+              >
+                {submitting ? 'Processing...' : 'Place Bid'}
+              </button>
+            </form>
+          )}
+
+          {bidExtendsAuction && !isSeller && (
+            <p className="text-xs text-amber-600 mt-2">
+              The auction is in its final minutes: a bid now extends it by {formatDuration(auctionRules.auctionExtension)}.
+            </p>
+          )}
+
+          {auctionEnded && (
+            <button
+              onClick={() => handle(() => endBundleAuction(bundle.bundleId))}
+              disabled={submitting}
+              className="w-full py-2 bg-green-600 text-white font-medium rounded hover:bg-green-700 disabled:bg-gray-400"
+            >
+              {submitting ? 'Processing...' : noBids ? 'End Auction and Return the Cards' : 'End Auction'}
+            </button>
+          )}
+
+          {isSeller && noBids && !auctionEnded && (
+            <button
+              onClick={() => handle(() => cancelBundle(bundle.bundleId))}
+              disabled={submitting}
+              className="w-full py-2 mt-2 border border-red-500 text-red-500 font-medium rounded hover:bg-red-50 disabled:opacity-50"
+            >
+              Cancel Bundle
+            </button>
+          )}
+
+          <p className="text-xs text-gray-500 mt-3">
+            All cards change hands in one transaction. The creator royalty of each card is taken from an equal share of
+            the price, proceeds and outbid bids are credited to your withdrawable balance.
+          </p>
+        </div>
+      )}
+
+      {txError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 max-w-xl">
+          <p className="font-bold">{txError.message}</p>
+          <p className="text-sm">{txError.action}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BundleDetailPage;
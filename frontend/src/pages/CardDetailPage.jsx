@@ -1,7 +1,24 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { useApp } from '../contexts/AppContext';
-import { formatAddress, formatEth, getRarityName, getRarityClass, classNames, getPokemonImageUrl } from '../utils';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useApp, useCurrentTime } from '../contexts/AppContext';
+import { formatAddress, formatDuration, getRarityName, getRarityClass, classNames, getPokemonImageUrl, getTypeBadgeUrl } from '../utils';
+import { applyListingUpdate } from '../services/marketplaceEvents';
+import { decodeTransactionError } from '../services/txErrors';
+import { getMinimumBid, isInExtensionWindow, getAuctionExtension, getDutchAuctionPrice } from '../services/auctions';
+import { isListingPending, isListingExpired } from '../services/listings';
+import { ETH, isEth, formatAmount, getUnitName } from '../services/currencies';
+import SaleBreakdown from '../components/specific/SaleBreakdown';
+import OfferBook from '../components/specific/OfferBook';
+import ProposeTrade from '../components/specific/ProposeTrade';
+
+// Timestamp in seconds as the local date and time a datetime-local input shows
+const toDateTimeLocal = (seconds) => {
+  const date = new Date(Number(seconds) * 1000);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Value of a datetime-local input as a timestamp in seconds, 0 when it is empty
+const fromDateTimeLocal = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : 0);
 
 /**
  * CardDetailPage component - Displays detailed information about a specific card
@@ -15,25 +32,70 @@ const CardDetailPage = () => {
     getCardData,
     getListingDetails, 
     getPokemonData,
+    getTokenMetadata,
     buyCard,
     placeBid,
     cancelListing,
+    updateListingPrice,
     listCardForSale,
+    returnExpiredListing,
     createAuction,
-    endAuction
+    buyNow,
+    createDutchAuction,
+    buyDutchAuction,
+    endAuction,
+    getMarketplaceApproval,
+    getAuctionRules,
+    getBundles,
+    getCurrencies,
+    getCurrentTime,
+    onCardsInvalidated,
+    listingUpdates
   } = useApp() || {};
   
-  const [card, setCard] = useState(null);
+  const [loadedCard, setCard] = useState(null);
+  // Bids, sales and cancellations by others are applied as their events arrive
+  const card = applyListingUpdate(loadedCard, listingUpdates?.[tokenId]);
   const [loading, setLoading] = useState(true);
+  // On-chain card image, used when the bundled artwork is missing or fails to load
+  const [metadataImage, setMetadataImage] = useState(null);
   const [error, setError] = useState(null);
+  // Decoded { message, action } of the last failed transaction, shown next to the actions
+  const [txError, setTxError] = useState(null);
   const [bidAmount, setBidAmount] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [price, setPrice] = useState('');
+  // Optional sale window of a fixed-price listing, as datetime-local values
+  const [saleStartTime, setSaleStartTime] = useState('');
+  const [saleEndTime, setSaleEndTime] = useState('');
   const [auctionStartingPrice, setAuctionStartingPrice] = useState('');
+  // Optional hidden reserve and buy-now price of a new auction, in the smallest unit of its currency
+  const [auctionReservePrice, setAuctionReservePrice] = useState('');
+  const [auctionBuyNowPrice, setAuctionBuyNowPrice] = useState('');
+  // Start and floor price of a new Dutch auction, in the smallest unit of its currency
+  const [dutchStartPrice, setDutchStartPrice] = useState('');
+  const [dutchFloorPrice, setDutchFloorPrice] = useState('');
   const [auctionDuration, setAuctionDuration] = useState(86400); // Default 1 day in seconds
   const [isCustomDuration, setIsCustomDuration] = useState(false);
   const [customDuration, setCustomDuration] = useState('');
   const [listingType, setListingType] = useState('fixed');
+  // Currencies the marketplace accepts, and the one a new listing is priced in
+  const [currencies, setCurrencies] = useState([ETH]);
+  const [newListingCurrency, setNewListingCurrency] = useState(ETH);
+  // Whether the marketplace may already transfer all cards of the account, and whether to grant that when listing
+  const [marketplaceApproved, setMarketplaceApproved] = useState(false);
+  const [approveAll, setApproveAll] = useState(false);
+  // Minimum bid increment and anti-sniping extension of the trading contract
+  const [auctionRules, setAuctionRules] = useState(null);
+  // Bundle the card is escrowed in, cards in a bundle are only sold with the rest of it
+  const [bundle, setBundle] = useState(null);
+  // Inline editing of the listing price by the seller, and of the end time of an auction without bids
+  const [editingPrice, setEditingPrice] = useState(false);
+  const [newListingPrice, setNewListingPrice] = useState('');
+  const [newEndTime, setNewEndTime] = useState('');
+  // The price of a Dutch auction falls every second, a fixed-price listing may open or expire any second
+  const hasSaleWindow = !card?.listing?.isAuction && Boolean(Number(card?.listing?.startTime) || Number(card?.listing?.endTime));
+  const now = useCurrentTime(Boolean(card?.listing?.isActive && (card.listing.isDutchAuction || hasSaleWindow)));
   
   // Format bid input to ensure it's a valid number (integer for Wei)
   const handleWeiInputChange = (setter) => (e) => {
@@ -56,11 +118,13 @@ const CardDetailPage = () => {
         throw new Error('Failed to load card data');
       }
       
-      // Get listing details if the card is for sale/auction
-      const listing = await getListingDetails(tokenId);
+      // getCardData already includes the listing, only mock cards may come without one
+      const listing = cardData.listing || await getListingDetails(tokenId);
         
-      // Get pokemon details from PokeAPI
+      // Get pokemon details from the bundled Pokédex, or from the token metadata for Pokémon it does not know
       const pokemonData = await getPokemonData(cardData.pokemonId);
+      const metadata = pokemonData ? null : await getTokenMetadata(tokenId);
+      setMetadataImage(metadata?.image || null);
 
       // Combine all data into one card object
       setCard({
@@ -68,9 +132,14 @@ const CardDetailPage = () => {
         pokemonId: cardData.pokemonId,
         rarity: cardData.rarity,
         owner: cardData.owner,
-        name: pokemonData?.name,
+        name: pokemonData?.name || metadata?.pokemonName,
+        description: metadata?.description,
         types: pokemonData?.types,
         typeIds: pokemonData?.typeIds,
+        stats: pokemonData?.stats,
+        height: pokemonData?.height,
+        weight: pokemonData?.weight,
+        flavorText: pokemonData?.flavorText,
         listing : listing
       });
     } catch (err) {
@@ -83,39 +152,119 @@ const CardDetailPage = () => {
   
   // Load card data on mount and when account or contracts change
   useEffect(() => {
-    if (!account) {
-      setCard(null);
-      setLoading(false); 
-      setError('Please connect your wallet to view card details.');
-    } else if (!contracts?.tokenContract || !contracts?.tradingContract) {
-      // Wallet connected, but contracts aren't ready yet
+    if (!contracts?.tokenContract || !contracts?.tradingContract) {
+      // Contracts (read-only or wallet-backed) aren't ready yet
       setCard(null);
       setLoading(true); // Keep loading or show initializing state
-      setError(null); // Clear the "connect wallet" error
+      setError(null);
     } else if (tokenId) {
       setError(null);
       loadCardData();
     }
     // Add account and contracts as dependencies
   }, [tokenId, account, contracts?.tokenContract, contracts?.tradingContract]);
+
+  // Listing needs no approval once the marketplace is approved for all cards
+  const loadMarketplaceApproval = async () => {
+    const approved = await getMarketplaceApproval();
+    setMarketplaceApproved(approved);
+    if (approved) setApproveAll(false);
+  };
+
+  useEffect(() => {
+    if (account && contracts?.tokenContract) {
+      loadMarketplaceApproval();
+    } else {
+      setMarketplaceApproved(false);
+    }
+  }, [account, contracts?.tokenContract]);
+
+  useEffect(() => {
+    if (contracts?.tradingContract) {
+      getAuctionRules().then(setAuctionRules);
+      getCurrencies().then(setCurrencies);
+    }
+  }, [contracts?.tradingContract]);
+
+  useEffect(() => {
+    const bundlesAddress = contracts?.bundlesAddress;
+    if (!bundlesAddress || card?.owner?.toLowerCase() !== bundlesAddress.toLowerCase()) {
+      setBundle(null);
+      return;
+    }
+    getBundles().then(bundles => setBundle(bundles.find(b => b.tokenIds.includes(Number(tokenId))) || null));
+  }, [tokenId, card?.owner, contracts?.bundlesAddress, getBundles]);
+
+  // Reload when the cached owner or listing of this card is dropped
+  useEffect(() => {
+    if (!onCardsInvalidated || !tokenId) return;
+
+    return onCardsInvalidated(({ tokenIds }) => {
+      if (tokenIds.has(Number(tokenId))) {
+        loadCardData();
+      }
+    });
+  }, [tokenId, onCardsInvalidated, contracts?.tokenContract]);
   
   // Handle card purchase
   const handlePurchase = async () => {
     try {
       setSubmitting(true);
-      setError('');
+      setTxError(null);
       
       // Use buyCard function directly
-      const success = await buyCard(listing.tokenId, listing.price);
+      const { success, error: txFailure } = await buyCard(listing.tokenId, listing.price, listing.currency);
       
       if (success) {
         loadCardData();
       } else {
-        setError('Transaction failed. Please try again.');
+        setTxError(txFailure);
       }
     } catch (err) {
       console.error('Error purchasing card:', err);
-      setError('Failed to purchase card. Please try again.');
+      setTxError(decodeTransactionError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+  
+  // Handle buying a Dutch auction at the price shown, it can only have fallen once the purchase is mined
+  const handleBuyDutchAuction = async () => {
+    try {
+      setSubmitting(true);
+      setTxError(null);
+
+      const { success, error: txFailure } = await buyDutchAuction(listing.tokenId, dutchAuctionPrice, listing.currency);
+
+      if (success) {
+        loadCardData();
+      } else {
+        setTxError(txFailure);
+      }
+    } catch (err) {
+      console.error('Error buying Dutch auction:', err);
+      setTxError(decodeTransactionError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Handle settling an auction at its buy-now price
+  const handleBuyNow = async () => {
+    try {
+      setSubmitting(true);
+      setTxError(null);
+
+      const { success, error: txFailure } = await buyNow(listing.tokenId, listing.buyNowPrice, listing.currency);
+
+      if (success) {
+        loadCardData();
+      } else {
+        setTxError(txFailure);
+      }
+    } catch (err) {
+      console.error('Error buying now:', err);
+      setTxError(decodeTransactionError(err));
     } finally {
       setSubmitting(false);
     }
@@ -127,10 +276,10 @@ const CardDetailPage = () => {
 
     try {
       setSubmitting(true);
-      setError('');
+      setTxError(null);
       
-      // Use placeBid from context (expects Wei)
-      const success = await placeBid(tokenId, bidAmount);
+      // Use placeBid from context (expects the smallest unit of the auction's currency)
+      const { success, error: txFailure } = await placeBid(tokenId, bidAmount, listing.currency);
       
       if (success) {
         // Only try to refresh listing details if successful
@@ -141,11 +290,11 @@ const CardDetailPage = () => {
         }
         setBidAmount('');
       } else {
-        setError('Bid placement failed. Please try again.');
+        setTxError(txFailure);
       }
     } catch (err) {
       console.error('Error placing bid:', err);
-      setError('Failed to place bid. Please try again.');
+      setTxError(decodeTransactionError(err));
     } finally {
       setSubmitting(false);
     }
@@ -157,18 +306,74 @@ const CardDetailPage = () => {
     
     try {
       setSubmitting(true);
-      setError('');
+      setTxError(null);
       
-      const success = await cancelListing(listing.tokenId);
+      const { success, error: txFailure } = await cancelListing(listing.tokenId);
       
       if (success) {
         loadCardData(); 
       } else {
-        setError('Cancellation failed. Please try again.');
+        setTxError(txFailure);
       }
     } catch (err) {
       console.error('Error canceling listing:', err);
-      setError('Failed to cancel listing. Please try again.');
+      setTxError(decodeTransactionError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Open the price editor with the current values of the listing
+  const startEditingPrice = () => {
+    setNewListingPrice(listing.price.toString());
+    setNewEndTime(Number(listing.endTime) ? toDateTimeLocal(listing.endTime) : '');
+    setTxError(null);
+    setEditingPrice(true);
+  };
+
+  // Handle updating the listing price, and the end time of an auction without bids or the expiry of a fixed price
+  const handleUpdateListing = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setTxError(null);
+
+      // 0 keeps the end time
+      const endTime = fromDateTimeLocal(newEndTime);
+      const changedEndTime = endTime !== 0 && endTime !== Number(listing.endTime) ? endTime : 0;
+      const { success, error: txFailure } = await updateListingPrice(listing.tokenId, newListingPrice, changedEndTime);
+
+      if (success) {
+        setEditingPrice(false);
+        loadCardData();
+      } else {
+        setTxError(txFailure);
+      }
+    } catch (err) {
+      console.error('Error updating listing:', err);
+      setTxError(decodeTransactionError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Handle returning the card of an expired listing to its seller
+  const handleReturnExpired = async () => {
+    try {
+      setSubmitting(true);
+      setTxError(null);
+
+      const { success, error: txFailure } = await returnExpiredListing(listing.tokenId);
+
+      if (success) {
+        loadCardData();
+      } else {
+        setTxError(txFailure);
+      }
+    } catch (err) {
+      console.error('Error returning expired listing:', err);
+      setTxError(decodeTransactionError(err));
     } finally {
       setSubmitting(false);
     }
@@ -178,18 +383,18 @@ const CardDetailPage = () => {
   const handleEndAuction = async () => {
     try {
       setSubmitting(true);
-      setError('');
+      setTxError(null);
       
-      const success = await endAuction(tokenId);
+      const { success, error: txFailure } = await endAuction(tokenId);
       
       if (success) {
         loadCardData();
       } else {
-        setError('Failed to end auction. Please try again.');
+        setTxError(txFailure);
       }
     } catch (err) {
       console.error('Error ending auction:', err);
-      setError('Failed to end auction. Please try again.');
+      setTxError(decodeTransactionError(err));
     } finally {
       setSubmitting(false);
     }
@@ -201,7 +406,7 @@ const CardDetailPage = () => {
 
 
 
-  const { pokemonId, name, rarity, types, typeIds, owner } = card;
+  const { pokemonId, name, rarity, types, typeIds, owner, stats, height, weight, flavorText } = card;
   var listing;
   ({ listing } = card);
 
@@ -213,18 +418,45 @@ const CardDetailPage = () => {
   const isSeller = listing?.seller && account && 
     listing.seller.toLowerCase() === account.toLowerCase();
   
+  // Currency the listing is priced in, amounts below are in its smallest unit
+  const currency = listing?.currency || ETH;
+
   // Check if there are no bids yet
   const noBidsYet = listing?.isAuction && (!listing.highestBid || listing.highestBid === '0');
 
-  // Calculate minimum bid amount in Wei
-  const minimumBid = listing?.isAuction
-    ? noBidsYet
-      ? listing.price // Starting price if no bids
-      : (BigInt(listing.highestBid) + BigInt(1)).toString() // highest bid + 1 wei
-    : '0'; // Not applicable for fixed price
+  // Calculate minimum bid amount: the starting price, then the highest bid plus the minimum increment
+  const minimumBid = listing?.isAuction ? getMinimumBid(listing, auctionRules) : '0'; // Not applicable for fixed price
+
+  // Time late bids added to the auction, and whether a bid now would add more
+  const auctionExtendedBy = listing?.isAuction ? getAuctionExtension(listing) : 0;
+  const bidExtendsAuction = listing?.isAuction && isInExtensionWindow(listing, auctionRules, getCurrentTime());
 
   // Check if auction has ended
-  const auctionEnded = listing?.isAuction && listing?.endTime && Number(listing.endTime) * 1000 < Date.now();
+  const auctionEnded = listing?.isAuction && listing?.endTime && Number(listing.endTime) < getCurrentTime();
+
+  // Current price of a Dutch auction
+  const dutchAuctionPrice = listing?.isDutchAuction ? getDutchAuctionPrice(listing, now) : '0';
+
+  // Buy now stays open until the auction ends or bids reach the buy-now price
+  const buyNowAvailable = listing?.isAuction && !auctionEnded && BigInt(listing.buyNowPrice || 0) > 0n &&
+    BigInt(listing.highestBid || 0) < BigInt(listing.buyNowPrice);
+
+  // Optional auction prices the contract would reject: the reserve must be above the starting price,
+  // the buy-now price above the starting price and at least the reserve
+  const startingPriceWei = BigInt(auctionStartingPrice || 0);
+  const reservePriceWei = BigInt(auctionReservePrice || 0);
+  const buyNowPriceWei = BigInt(auctionBuyNowPrice || 0);
+  const invalidAuctionPrices = (reservePriceWei > 0n && reservePriceWei <= startingPriceWei) ||
+    (buyNowPriceWei > 0n && (buyNowPriceWei <= startingPriceWei || buyNowPriceWei < reservePriceWei));
+
+  // Sale window of a fixed-price listing: buyable once it opens, returnable to the seller once it expires
+  const listingPending = listing?.isActive && isListingPending(listing, now);
+  const listingExpired = listing?.isActive && isListingExpired(listing, now);
+
+  // The expiry the contract would reject: it must be in the future and after the opening
+  const saleEndTimestamp = fromDateTimeLocal(saleEndTime);
+  const invalidSaleWindow = saleEndTimestamp > 0 &&
+    (saleEndTimestamp <= getCurrentTime() || saleEndTimestamp <= fromDateTimeLocal(saleStartTime));
   
   
   // Loading state
@@ -265,11 +497,18 @@ const CardDetailPage = () => {
 
 
   // Generate image URL safely
-  const imageUrl = getPokemonImageUrl(pokemonId);
+  const imageUrl = metadataImage || getPokemonImageUrl(pokemonId);
+
+  // Fall back to the on-chain image when the bundled artwork cannot be loaded
+  const handleImageError = async () => {
+    if (metadataImage) return;
+    const metadata = await getTokenMetadata(tokenId);
+    if (metadata?.image) setMetadataImage(metadata.image);
+  };
 
   // Convert unix endtime to local date and time
   let localEndDateTime;
-  if(listing.isActive && listing.isAuction){
+  if(listing.isActive && Number(listing.endTime) > 0){
     const d = new Date(Number(listing.endTime) * 1000);
     const localEndDate = d.toLocaleDateString()
 
@@ -287,6 +526,7 @@ const CardDetailPage = () => {
             <img 
               src={imageUrl} 
               alt={name}
+              onError={handleImageError}
               className="absolute inset-0 w-full h-full object-contain"
             />
           </div>
@@ -294,10 +534,12 @@ const CardDetailPage = () => {
           {/* Pokemon Types */}
           {typeIds && typeIds.length > 0 && (
             <div className="grid grid-cols-2 gap-1 mt-2">
-              {typeIds.map((typeId) => (
+              {typeIds.map((typeId, i) => (
                 <img
-                  src= {`https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/types/generation-viii/sword-shield/${typeId}.png`}
-                  class="rounded-full"
+                  key={typeId}
+                  src={getTypeBadgeUrl(typeId)}
+                  alt={types?.[i]}
+                  className="rounded-full"
                 />
               ))}
             </div>
@@ -305,9 +547,37 @@ const CardDetailPage = () => {
 
           <div className="text-sm text-gray-500 mt-2">
             <div>Token ID: #{tokenId}</div>
-            <div>Owner: {owner}</div>
+            <div>
+              Owner: <Link to={`/collection/${owner}`} className="text-indigo-600 hover:underline">{owner}</Link>
+            </div>
+            {bundle && (
+              <div>
+                Sold as part of{' '}
+                <Link to={`/bundle/${bundle.bundleId}`} className="text-indigo-600 hover:underline">
+                  bundle #{bundle.bundleId}
+                </Link>
+                {' '}by {formatAddress(bundle.seller)}
+              </div>
+            )}
           </div>
 
+          {/* Pokédex Data */}
+          {stats && (
+            <div className="mt-4">
+              <div className="text-sm text-gray-500 mb-2">
+                Height: {height} m · Weight: {weight} kg
+              </div>
+              <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+                {Object.entries(stats).map(([stat, value]) => (
+                  <div key={stat} className="flex justify-between">
+                    <span className="text-gray-500 capitalize">{stat.replace('-', ' ')}</span>
+                    <span className="font-medium">{value}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
 
         </div>
         
@@ -328,38 +598,99 @@ const CardDetailPage = () => {
             {listing.isActive && (
               <div className="mb-6 p-4 border border-gray-200 rounded-lg">
                 <h2 className="text-lg md:text-xl font-semibold mb-2">
-                  {listing.isAuction ? 'Current Auction' : 'Available for Purchase'}
+                  {listing.isAuction ? 'Current Auction' : listing.isDutchAuction ? 'Dutch Auction' : 'Available for Purchase'}
                 </h2>
                 
-                {listing.isAuction ? (
+                {listing.isDutchAuction ? (
+                  <div className="mb-4">
+                    <div className="grid grid-cols-2 gap-2 text-sm mb-2">
+                      <div className="text-gray-600">Seller:</div>
+                      <div className="font-semibold">{formatAddress(listing.seller)}</div>
+                      <div className="text-gray-600">Start Price:</div>
+                      <div className="font-semibold">{formatAmount(listing.price, currency)}</div>
+                      <div className="text-gray-600">Floor Price:</div>
+                      <div className="font-semibold">{formatAmount(listing.floorPrice, currency)}</div>
+                      <div className="text-gray-600">Reaches Floor:</div>
+                      <div className="font-semibold">{localEndDateTime}</div>
+                    </div>
+                    <div className="text-xl md:text-2xl font-bold mb-2">{formatAmount(dutchAuctionPrice, currency)}</div>
+                    <SaleBreakdown tokenId={listing.tokenId} price={dutchAuctionPrice} isSeller={isSeller} currency={currency} />
+                    {!isOwner && (
+                      <button
+                        onClick={handleBuyDutchAuction}
+                        disabled={submitting}
+                        className="w-full py-2 bg-indigo-600 text-white font-medium rounded hover:bg-indigo-700 disabled:bg-gray-400"
+                      >
+                        {submitting ? 'Processing...' : 'Buy at Current Price'}
+                      </button>
+                    )}
+                    <p className="text-xs text-gray-500 mt-2">
+                      The price falls every second until it reaches the floor. You pay the price when your purchase
+                      is mined, {isEth(currency)
+                        ? 'anything you sent above it is credited back to your withdrawable balance.'
+                        : 'only that much is taken from the tokens you approve.'}
+                    </p>
+                  </div>
+                ) : listing.isAuction ? (
                   <>
                     <div className="mb-4">
                       <div className="grid grid-cols-2 gap-2 text-sm">
                         <div className="text-gray-600">Seller:</div>
                         <div className="font-semibold">{formatAddress(listing.seller)}</div>
                         <div className="text-gray-600">{noBidsYet ? 'Starting Price:' : 'Current Bid:'}</div>
-                        <div className="font-semibold">{noBidsYet ? formatEth(listing.price) : formatEth(listing.highestBid)}</div>
+                        <div className="font-semibold">{noBidsYet ? formatAmount(listing.price, currency) : formatAmount(listing.highestBid, currency)}</div>
                         <div className="text-gray-600">Highest Bidder:</div>
                         <div className="font-semibold">{noBidsYet ? 'No bids yet' : formatAddress(listing.highestBidder)}</div>
                         <div className="text-gray-600">End Time:</div>
-                        <div className="font-semibold">{localEndDateTime}</div>
+                        <div className="font-semibold">
+                          {localEndDateTime}
+                          {auctionExtendedBy > 0 && (
+                            <span className="block text-xs font-normal text-amber-600">
+                              Extended by {formatDuration(auctionExtendedBy)} after late bids
+                            </span>
+                          )}
+                        </div>
+                        {!noBidsYet && (
+                          <>
+                            <div className="text-gray-600">Minimum Next Bid:</div>
+                            <div className="font-semibold">{formatAmount(minimumBid, currency)}</div>
+                          </>
+                        )}
+                        {listing.hasReserve && (
+                          <>
+                            <div className="text-gray-600">Reserve:</div>
+                            <div className={`font-semibold ${listing.reserveMet ? 'text-green-600' : 'text-amber-600'}`}>
+                              {listing.reserveMet ? 'Reserve met' : 'Reserve not met'}
+                            </div>
+                          </>
+                        )}
+                        {BigInt(listing.buyNowPrice || 0) > 0n && (
+                          <>
+                            <div className="text-gray-600">Buy Now Price:</div>
+                            <div className="font-semibold">{formatAmount(listing.buyNowPrice, currency)}</div>
+                          </>
+                        )}
                       </div>
                     </div>
                     
-                    {!isOwner && account && !auctionEnded && (
+                    {!isOwner && !auctionEnded && (
+                      <SaleBreakdown tokenId={listing.tokenId} price={bidAmount || minimumBid} isSeller={isSeller} currency={currency} />
+                    )}
+
+                    {!isOwner && !auctionEnded && (
                       <form onSubmit={handlePlaceBid} className="flex flex-col sm:flex-row sm:items-end gap-2">
                         <div className="flex-1">
                           <label className="block text-sm font-medium text-gray-700 mb-1">
-                            Your Bid (Wei)
+                            Your Bid ({getUnitName(currency)})
                           </label>
                           <input
                             type="number"
-                            step="1" // Step by 1 Wei
-                            min={minimumBid} // Use Wei minimum
+                            step="1" // Step by 1 unit
+                            min={minimumBid}
                             value={bidAmount}
                             onChange={handleWeiInputChange(setBidAmount)}
                             className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
-                            placeholder="Enter bid amount in Wei"
+                            placeholder={`Enter bid amount in ${getUnitName(currency)}`}
                             required
                           />
                         </div>
@@ -372,6 +703,28 @@ const CardDetailPage = () => {
                         </button>
                       </form>
                     )}
+
+                    {!isOwner && !auctionEnded && bidExtendsAuction && (
+                      <p className="text-xs text-amber-600 mt-2">
+                        The auction is in its final minutes: a bid now extends it by {formatDuration(auctionRules.auctionExtension)}.
+                      </p>
+                    )}
+
+                    {!isOwner && buyNowAvailable && (
+                      <button
+                        onClick={handleBuyNow}
+                        disabled={submitting}
+                        className="w-full py-2 mt-2 bg-green-600 text-white font-medium rounded hover:bg-green-700 disabled:bg-gray-400"
+                      >
+                        {submitting ? 'Processing...' : `Buy Now for ${formatAmount(listing.buyNowPrice, currency)}`}
+                      </button>
+                    )}
+
+                    {auctionEnded && listing.hasReserve && !listing.reserveMet && (
+                      <p className="text-xs text-amber-600 mb-2">
+                        The reserve was not met: ending the auction returns the card to the seller and refunds the highest bid.
+                      </p>
+                    )}
                     
                     {/* Show auction end button if time has passed */}
                     {auctionEnded && !submitting && (
@@ -388,30 +741,118 @@ const CardDetailPage = () => {
                     <div className="grid grid-cols-2 gap-2 text-sm mb-2">
                       <div className="text-gray-600">Seller:</div>
                       <div className="font-semibold">{formatAddress(listing.seller)}</div>
+                      {Number(listing.startTime) > 0 && (
+                        <>
+                          <div className="text-gray-600">Opens:</div>
+                          <div className="font-semibold">{new Date(Number(listing.startTime) * 1000).toLocaleString()}</div>
+                        </>
+                      )}
+                      {Number(listing.endTime) > 0 && (
+                        <>
+                          <div className="text-gray-600">Expires:</div>
+                          <div className="font-semibold">{localEndDateTime}</div>
+                        </>
+                      )}
                     </div>
-                    <div className="text-xl md:text-2xl font-bold mb-2">{formatEth(listing.price)}</div>
-                    {!isOwner && account && (
+                    <div className="text-xl md:text-2xl font-bold mb-2">{formatAmount(listing.price, currency)}</div>
+                    <SaleBreakdown tokenId={listing.tokenId} price={listing.price} isSeller={isSeller} currency={currency} />
+                    {!isOwner && !listingExpired && (
                       <button
                         onClick={handlePurchase}
-                        disabled={submitting}
+                        disabled={submitting || listingPending}
                         className="w-full py-2 bg-indigo-600 text-white font-medium rounded hover:bg-indigo-700 disabled:bg-gray-400"
                       >
-                        {submitting ? 'Processing...' : 'Buy Now'}
+                        {submitting
+                          ? 'Processing...'
+                          : listingPending ? `Opens in ${formatDuration(Number(listing.startTime) - now)}` : 'Buy Now'}
                       </button>
                     )}
+                    {listingExpired && (
+                      <>
+                        <p className="text-xs text-amber-600 mb-2">
+                          This listing has expired. Anyone can return the card to the seller.
+                        </p>
+                        <button
+                          onClick={handleReturnExpired}
+                          disabled={submitting}
+                          className="w-full py-2 bg-green-600 text-white font-medium rounded hover:bg-green-700 disabled:bg-gray-400"
+                        >
+                          {submitting ? 'Processing...' : 'Return Card to Seller'}
+                        </button>
+                      </>
+                    )}
                   </div>
                 )}
                 
-                {/* Show cancel button only if user is the seller and either it's not an auction or there are no bids */}
-                {isSeller && (!listing.isAuction || noBidsYet) && (
-                  <button
-                    onClick={handleCancelListing}
-                    disabled={submitting}
-                    className="w-full py-2 border border-red-500 text-red-500 font-medium rounded hover:bg-red-50 disabled:opacity-50 mt-2"
-                  >
-                    {submitting ? 'Processing...' : 'Cancel Listing'}
-                  </button>
-                )}
+                {/* Show edit and cancel buttons only if user is the seller and either it's not an auction or there are no bids */}
+                {isSeller && (!listing.isAuction || noBidsYet) && (editingPrice ? (
+                  <form onSubmit={handleUpdateListing} className="mt-2 space-y-2">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {listing.isAuction ? 'New Starting Price' : 'New Price'} ({getUnitName(currency)})
+                      </label>
+                      <input
+                        type="number"
+                        step="1"
+                        min="1"
+                        value={newListingPrice}
+                        onChange={handleWeiInputChange(setNewListingPrice)}
+                        className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                        required
+                      />
+                    </div>
+                    {!listing.isDutchAuction && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          {listing.isAuction ? 'End Time' : 'Expires (optional)'}
+                        </label>
+                        <input
+                          type="datetime-local"
+                          value={newEndTime}
+                          onChange={(e) => setNewEndTime(e.target.value)}
+                          className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                      </div>
+                    )}
+                    <div className="flex gap-2">
+                      <button
+                        type="submit"
+                        disabled={submitting || !newListingPrice || BigInt(newListingPrice) <= 0n}
+                        className="flex-1 py-2 bg-indigo-600 text-white font-medium rounded hover:bg-indigo-700 disabled:bg-gray-400"
+                      >
+                        {submitting ? 'Processing...' : 'Save'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEditingPrice(false)}
+                        disabled={submitting}
+                        className="flex-1 py-2 border border-gray-300 text-gray-700 font-medium rounded hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <div className="flex gap-2 mt-2">
+                    {/* The price of a Dutch auction follows its schedule, ended listings can only be cancelled */}
+                    {!listing.isDutchAuction && !auctionEnded && !listingExpired && (
+                      <button
+                        onClick={startEditingPrice}
+                        disabled={submitting}
+                        className="flex-1 py-2 border border-indigo-600 text-indigo-600 font-medium rounded hover:bg-indigo-50 disabled:opacity-50"
+                      >
+                        Edit Price
+                      </button>
+                    )}
+                    <button
+                      onClick={handleCancelListing}
+                      disabled={submitting}
+                      className="flex-1 py-2 border border-red-500 text-red-500 font-medium rounded hover:bg-red-50 disabled:opacity-50"
+                    >
+                      {submitting ? 'Processing...' : 'Cancel Listing'}
+                    </button>
+                  </div>
+                ))}
               </div>
             )}
             
@@ -422,7 +863,7 @@ const CardDetailPage = () => {
                 
                 {/* Listing type selector */}
                 <div className="mb-4">
-                  <div className="flex space-x-4">
+                  <div className="flex flex-wrap gap-x-4 gap-y-2 items-center">
                     <label className="flex items-center">
                       <input
                         type="radio"
@@ -445,6 +886,29 @@ const CardDetailPage = () => {
                       />
                       Auction
                     </label>
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        name="listingType"
+                        value="dutch"
+                        checked={listingType === 'dutch'}
+                        onChange={() => setListingType('dutch')}
+                        className="mr-2"
+                      />
+                      Dutch Auction
+                    </label>
+                    {currencies.length > 1 && (
+                      <select
+                        value={newListingCurrency.address}
+                        onChange={(e) => setNewListingCurrency(currencies.find(c => c.address === e.target.value))}
+                        className="ml-auto p-1 border border-gray-300 rounded text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                        aria-label="Currency"
+                      >
+                        {currencies.map(option => (
+                          <option key={option.address} value={option.address}>Priced in {option.symbol}</option>
+                        ))}
+                      </select>
+                    )}
                   </div>
                 </div>
                 
@@ -452,34 +916,144 @@ const CardDetailPage = () => {
                   {listingType === 'fixed' ? (
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
-                        Price (Wei)
+                        Price ({getUnitName(newListingCurrency)})
                       </label>
                       <input
                         type="number"
-                        step="1" // Step by 1 Wei
-                        min="1"  // Minimum 1 Wei
+                        step="1" // Step by 1 unit
+                        min="1"  // Minimum 1 unit
                         value={price}
                         onChange={handleWeiInputChange(setPrice)}
                         className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
-                        placeholder="Enter price in Wei"
+                        placeholder={`Enter price in ${getUnitName(newListingCurrency)}`}
                       />
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mt-2">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Opens (optional)
+                          </label>
+                          <input
+                            type="datetime-local"
+                            value={saleStartTime}
+                            onChange={(e) => setSaleStartTime(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Expires (optional)
+                          </label>
+                          <input
+                            type="datetime-local"
+                            value={saleEndTime}
+                            onChange={(e) => setSaleEndTime(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                          />
+                        </div>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        The card is held by the marketplace from now on, buyers see the listing once it opens.
+                        After it expires anyone can return the card to you.
+                      </p>
+                      <div className="mt-2">
+                        <SaleBreakdown tokenId={tokenId} price={price} isSeller currency={newListingCurrency} />
+                      </div>
                     </div>
                   ) : (
                     <>
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Starting Price (Wei)
-                        </label>
-                        <input
-                          type="number"
-                          step="1" // Step by 1 Wei
-                          min="1" // Minimum 1 Wei
-                          value={auctionStartingPrice}
-                          onChange={handleWeiInputChange(setAuctionStartingPrice)}
-                          className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
-                          placeholder="Enter starting price in Wei"
-                        />
-                      </div>
+                      {listingType === 'dutch' ? (
+                        <>
+                          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Start Price ({getUnitName(newListingCurrency)})
+                              </label>
+                              <input
+                                type="number"
+                                step="1"
+                                min="1"
+                                value={dutchStartPrice}
+                                onChange={handleWeiInputChange(setDutchStartPrice)}
+                                className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                                placeholder="Price when listed"
+                              />
+                            </div>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Floor Price ({getUnitName(newListingCurrency)})
+                              </label>
+                              <input
+                                type="number"
+                                step="1"
+                                min="1"
+                                value={dutchFloorPrice}
+                                onChange={handleWeiInputChange(setDutchFloorPrice)}
+                                className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                                placeholder="Lowest price"
+                              />
+                            </div>
+                          </div>
+                          <p className="text-xs text-gray-500">
+                            The price falls linearly from the start price to the floor over the duration, then stays at the
+                            floor. The first buyer paying the current price gets the card.
+                          </p>
+                          <SaleBreakdown tokenId={tokenId} price={dutchFloorPrice} isSeller currency={newListingCurrency} />
+                        </>
+                      ) : (
+                        <>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              Starting Price ({getUnitName(newListingCurrency)})
+                            </label>
+                            <input
+                              type="number"
+                              step="1" // Step by 1 unit
+                              min="1" // Minimum 1 unit
+                              value={auctionStartingPrice}
+                              onChange={handleWeiInputChange(setAuctionStartingPrice)}
+                              className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                              placeholder={`Enter starting price in ${getUnitName(newListingCurrency)}`}
+                            />
+                            <div className="mt-2">
+                              <SaleBreakdown tokenId={tokenId} price={auctionStartingPrice} isSeller currency={newListingCurrency} />
+                            </div>
+                          </div>
+                          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Reserve Price ({getUnitName(newListingCurrency)}, optional)
+                              </label>
+                              <input
+                                type="number"
+                                step="1"
+                                min="0"
+                                value={auctionReservePrice}
+                                onChange={handleWeiInputChange(setAuctionReservePrice)}
+                                className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                                placeholder="Hidden minimum to sell"
+                              />
+                            </div>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Buy Now Price ({getUnitName(newListingCurrency)}, optional)
+                              </label>
+                              <input
+                                type="number"
+                                step="1"
+                                min="0"
+                                value={auctionBuyNowPrice}
+                                onChange={handleWeiInputChange(setAuctionBuyNowPrice)}
+                                className="w-full p-2 border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                                placeholder="Price that ends the auction"
+                              />
+                            </div>
+                          </div>
+                          <p className={`text-xs ${invalidAuctionPrices ? 'text-red-500' : 'text-gray-500'}`}>
+                            Bidders only see whether the reserve is met. The reserve must be above the starting price,
+                            the buy-now price above the starting price and at least the reserve.
+                          </p>
+                        </>
+                      )}
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">
                           Duration
@@ -524,46 +1098,80 @@ const CardDetailPage = () => {
                       )}
                     </>
                   )}
+
+                  {marketplaceApproved ? (
+                    <p className="text-sm text-gray-500">
+                      The marketplace is approved for all your cards, no approval is needed.
+                    </p>
+                  ) : (
+                    <label className="flex items-start text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={approveAll}
+                        onChange={(e) => setApproveAll(e.target.checked)}
+                        className="mr-2 mt-1"
+                      />
+                      <span>
+                        Trust the marketplace for all my cards, so later listings need no approval.
+                        You can revoke this in My Cards.
+                      </span>
+                    </label>
+                  )}
                   
                   <div className="grid grid-cols-1 gap-3">
                     <button
                       onClick={() => {
                         if (listingType === 'fixed') {
                           setSubmitting(true);
-                          setError("");
-                          listCardForSale(tokenId, price)
-                            .then(success => {
+                          setTxError(null);
+                          listCardForSale(tokenId, price, {
+                            approveAll,
+                            currency: newListingCurrency,
+                            startTime: fromDateTimeLocal(saleStartTime),
+                            endTime: fromDateTimeLocal(saleEndTime)
+                          })
+                            .then(({ success, error: txFailure }) => {
                               if (success) {
                                 loadCardData();
+                                loadMarketplaceApproval();
                               } else {
-                                setError("Failed to list card. Please try again.");
+                                setTxError(txFailure);
                               }
                             })
                             .catch(err => {
                               console.error("Error listing card:", err);
-                              setError("Failed to list card: " + (err.message || err));
+                              setTxError(decodeTransactionError(err));
                             })
                             .finally(() => {
                               setSubmitting(false);
                             });
-                        } else { // Auction
+                        } else { // Auction or Dutch auction
                             
                           // Determine the final duration based on isCustomDuration
                           const finalDuration = isCustomDuration ? Number(customDuration) : auctionDuration;
                             
                           setSubmitting(true);
-                          setError("");
-                          createAuction(tokenId, auctionStartingPrice, finalDuration)
-                            .then(success => {
+                          setTxError(null);
+                          const listed = listingType === 'dutch'
+                            ? createDutchAuction(tokenId, dutchStartPrice, dutchFloorPrice, finalDuration, { approveAll, currency: newListingCurrency })
+                            : createAuction(tokenId, auctionStartingPrice, finalDuration, {
+                              approveAll,
+                              currency: newListingCurrency,
+                              reservePrice: auctionReservePrice || '0',
+                              buyNowPrice: auctionBuyNowPrice || '0'
+                            });
+                          listed
+                            .then(({ success, error: txFailure }) => {
                               if (success) {
                                 loadCardData();
+                                loadMarketplaceApproval();
                               } else {
-                                setError("Failed to create auction. Please try again.");
+                                setTxError(txFailure);
                               }
                             })
                             .catch(err => {
                               console.error("Error creating auction:", err);
-                              setError("Failed to create auction: " + (err.message || err));
+                              setTxError(decodeTransactionError(err));
                             })
                             .finally(() => {
                               setSubmitting(false);
@@ -572,26 +1180,46 @@ const CardDetailPage = () => {
                       }}
                       disabled={(
                         listingType === 'fixed' && 
-                        (!price || BigInt(price) <= 0)
+                        (!price || BigInt(price) <= 0 || invalidSaleWindow)
                       ) || (
                         listingType === 'auction' && (
                           !auctionStartingPrice || BigInt(auctionStartingPrice) <= 0 ||
+                          (isCustomDuration && (!customDuration)) ||
+                          invalidAuctionPrices
+                        )
+                      ) || (
+                        listingType === 'dutch' && (
+                          !dutchFloorPrice || BigInt(dutchFloorPrice) <= 0 ||
+                          !dutchStartPrice || BigInt(dutchStartPrice) <= BigInt(dutchFloorPrice) ||
                           (isCustomDuration && (!customDuration))
                         )
                       ) || 
                       submitting}
                       className="py-2 bg-indigo-600 text-white font-medium rounded hover:bg-indigo-700 disabled:bg-gray-400"
                     >
-                      {submitting ? 'Processing...' : listingType === 'fixed' ? 'List for Sale' : 'Create Auction'}
+                      {submitting ? 'Processing...' : listingType === 'fixed' ? 'List for Sale' : listingType === 'dutch' ? 'Create Dutch Auction' : 'Create Auction'}
                     </button>
                   </div>
                 </div>
               </div>
             )}
+
+            <OfferBook
+              tokenId={tokenId}
+              owner={owner}
+              isListed={listing.isActive || !!bundle}
+              onChange={loadCardData}
+              onError={setTxError}
+            />
+
+            {account && !isOwner && !listing.isActive && (
+              <ProposeTrade tokenId={tokenId} owner={owner} onProposed={loadCardData} onError={setTxError} />
+            )}
             
-            {error && (
+            {txError && (
               <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
-                {error}
+                <p className="font-bold">{txError.message}</p>
+                <p className="text-sm">{txError.action}</p>
               </div>
             )}
           </div>
@@ -602,6 +1230,9 @@ const CardDetailPage = () => {
             <p className="text-gray-700">
               {card.description || `This is a ${getRarityName(rarity).toLowerCase()} ${name} Pokémon card. It's of the type ${types?.join(' and ')}.`}
             </p>
+            {flavorText && (
+              <p className="text-gray-500 italic mt-2">{flavorText}</p>
+            )}
           </div>
         </div>
       </div>
@@ -30,6 +30,7 @@ const HomePage = () => {
     connectWallet,
     getAllListings,
     contracts,
+    simulation,
     runDiagnostics,
     formatDiagnosticResults
   } = useApp();
@@ -66,14 +67,14 @@ const HomePage = () => {
   };
 
   useEffect(() => {
-    // Only fetch if account is connected
-    if (account) {
+    // Featured cards are readable without a wallet, only wait for the contracts
+    if (contracts?.tradingContract) {
       fetchFeaturedCards();
     } else {
       setFeaturedCards([]);
       setLoading(false);
     }
-  }, [account, getAllListings]);
+  }, [contracts?.tradingContract, getAllListings]);
 
   const handleRunDiagnostics = async () => {
     try {
@@ -91,8 +92,8 @@ const HomePage = () => {
         Pokemon Card Trading dApp
       </h1>
       
-      {/* Development mode banner */}
-      {isDev && (
+      {/* Simulated backend banner */}
+      {simulation && (
         <div className="bg-amber-100 border-l-4 border-amber-500 text-amber-700 p-4 mb-6 rounded shadow-sm">
           <div className="flex">
             <div className="flex-shrink-0">
@@ -102,10 +103,10 @@ const HomePage = () => {
             </div>
             <div className="ml-3">
               <p className="text-sm font-medium">
-                Development Mode: Showing mock data for cards and listings that do not exist.
+                Simulated Marketplace: Cards, listings and transactions live in memory and reset on reload.
               </p>
               <p className="text-xs mt-1">
-                This doesn't affect the behavior of real cards, but allows for easy testing with the mock cards.
+                Switch accounts and advance time with the simulation controls to try every flow without a chain.
               </p>
             </div>
           </div>
@@ -113,7 +114,7 @@ const HomePage = () => {
       )}
       
       {/* Contract status indicator */}
-      {account && isDev && (
+      {account && isDev && !simulation && (
         <div className="bg-gray-100 p-4 mb-6 rounded shadow-sm">
           <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4 md:gap-0">
             <div className="flex items-center">
@@ -129,9 +130,6 @@ const HomePage = () => {
                   Disconnected
                 </span>
               )}
-              {isDev && (
-                <span className="ml-2 text-xs text-gray-500">(Mock data available in development)</span>
-              )}
             </div>
             <button
               onClick={handleRunDiagnostics}
@@ -152,114 +150,103 @@ const HomePage = () => {
         </div>
       )}
       
-      {!account ? (
-        <div className="flex flex-col items-center justify-center mb-12">
-          <p className="text-xl mb-6">
-            Connect your wallet to start trading Pokemon cards!
-          </p>
+      {/* Hero Section */}
+      <section className="text-center pb-12 mb-4"> 
+        <p className="text-lg md:text-xl text-gray-600 mb-8 max-w-2xl mx-auto">
+          Collect, buy, and sell unique Pokémon cards on the blockchain with secure ownership and transparent transactions.
+        </p>
+        {/* Browsing works without a wallet, it is only needed to trade */}
+        {!account && (
           <button
             onClick={connectWallet}
             className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-lg transition duration-200"
           >
-            Connect Wallet
+            Connect Wallet to Trade
           </button>
+        )}
+      </section>
+
+      {/* Featured Cards */}
+      <section className="mb-16">
+        <h2 className="text-2xl font-bold mb-6 text-center">Featured Cards</h2>
+        
+        {loading ? (
+          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+            {Array.from({ length: 4 }).map((_, i) => (
+              <CardSkeleton key={`skeleton-${i}`} />
+            ))}
+          </div>
+        ) : featuredCards.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <p>No featured cards available at this time</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+            {featuredCards.map(tokenIds => (
+              <PokemonCard tokenId={tokenIds}/>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {/* Features Section */}
+      <section className="mb-16">
+        <h2 className="text-2xl font-bold mb-6 text-center">Why Trade Pokémon Cards on Blockchain?</h2>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+          <FeatureItem 
+            icon="🔍"
+            title="Unique Cards"
+            description="Own verifiably authentic Pokémon cards with varying rarities, secured on the blockchain."
+          />
+          <FeatureItem 
+            icon="💰"
+            title="Flexible Trading"
+            description="Buy cards instantly at fixed prices or bid in exciting time-based auctions."
+          />
+          <FeatureItem 
+            icon="🔒"
+            title="Secure Ownership"
+            description="Trade with confidence knowing your ownership is cryptographically secured on-chain."
+          />
         </div>
-      ) : (
-        <>
-          {/* Hero Section */}
-          <section className="text-center pb-12 mb-4"> 
-            <p className="text-lg md:text-xl text-gray-600 mb-8 max-w-2xl mx-auto">
-              Collect, buy, and sell unique Pokémon cards on the blockchain with secure ownership and transparent transactions.
-            </p>
-          </section>
-
-          {/* Featured Cards */}
-          <section className="mb-16">
-            <h2 className="text-2xl font-bold mb-6 text-center">Featured Cards</h2>
-            
-            {!account ? (
-              <div className="p-8 text-center text-gray-500">
-                <p>Connect your wallet to see featured cards</p>
+      </section>
+
+      {/* How It Works */}
+      <section>
+        <h2 className="text-2xl font-bold mb-6 text-center">How It Works</h2>
+        <div className="max-w-3xl mx-auto">
+          <ol className="space-y-6">
+            <li className="flex items-start">
+              <span className="flex-shrink-0 flex items-center justify-center w-8 h-8 bg-indigo-600 text-white rounded-full mr-3">1</span>
+              <div>
+                <h3 className="font-semibold">Connect Your Wallet</h3>
+                <p className="text-gray-600 text-sm md:text-base">Connect your Ethereum wallet (like MetaMask) to get started.</p>
               </div>
-            ) : loading ? (
-              <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-                {Array.from({ length: 4 }).map((_, i) => (
-                  <CardSkeleton key={`skeleton-${i}`} />
-                ))}
+            </li>
+            <li className="flex items-start">
+              <span className="flex-shrink-0 flex items-center justify-center w-8 h-8 bg-indigo-600 text-white rounded-full mr-3">2</span>
+              <div>
+                <h3 className="font-semibold">Browse the Marketplace</h3>
+                <p className="text-gray-600 text-sm md:text-base">Explore listings, filter by traits, and find your next favorite card.</p>
               </div>
-            ) : featuredCards.length === 0 ? (
-              <div className="p-8 text-center text-gray-500">
-                <p>No featured cards available at this time</p>
+            </li>
+            <li className="flex items-start">
+              <span className="flex-shrink-0 flex items-center justify-center w-8 h-8 bg-indigo-600 text-white rounded-full mr-3">3</span>
+              <div>
+                <h3 className="font-semibold">Buy or Bid</h3>
+                <p className="text-gray-600 text-sm md:text-base">Purchase cards at a fixed price or place bids in thrilling auctions.</p>
               </div>
-            ) : (
-              <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-                {featuredCards.map(tokenIds => (
-                  <PokemonCard tokenId={tokenIds}/>
-                ))}
+            </li>
+            <li className="flex items-start">
+              <span className="flex-shrink-0 flex items-center justify-center w-8 h-8 bg-indigo-600 text-white rounded-full mr-3">4</span>
+              <div>
+                <h3 className="font-semibold">Manage Your Collection</h3>
+                <p className="text-gray-600 text-sm md:text-base">View your owned cards, list them for sale, or start an auction.</p>
               </div>
-            )}
-          </section>
-
-          {/* Features Section */}
-          <section className="mb-16">
-            <h2 className="text-2xl font-bold mb-6 text-center">Why Trade Pokémon Cards on Blockchain?</h2>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
-              <FeatureItem 
-                icon="🔍"
-                title="Unique Cards"
-                description="Own verifiably authentic Pokémon cards with varying rarities, secured on the blockchain."
-              />
-              <FeatureItem 
-                icon="💰"
-                title="Flexible Trading"
-                description="Buy cards instantly at fixed prices or bid in exciting time-based auctions."
-              />
-              <FeatureItem 
-                icon="🔒"
-                title="Secure Ownership"
-                description="Trade with confidence knowing your ownership is cryptographically secured on-chain."
-              />
-            </div>
-          </section>
-
-          {/* How It Works */}
-          <section>
-            <h2 className="text-2xl font-bold mb-6 text-center">How It Works</h2>
-            <div className="max-w-3xl mx-auto">
-              <ol className="space-y-6">
-                <li className="flex items-start">
-                  <span className="flex-shrink-0 flex items-center justify-center w-8 h-8 bg-indigo-600 text-white rounded-full mr-3">1</span>
-                  <div>
-                    <h3 className="font-semibold">Connect Your Wallet</h3>
-                    <p className="text-gray-600 text-sm md:text-base">Connect your Ethereum wallet (like MetaMask) to get started.</p>
-                  </div>
-                </li>
-                <li className="flex items-start">
-                  <span className="flex-shrink-0 flex items-center justify-center w-8 h-8 bg-indigo-600 text-white rounded-full mr-3">2</span>
-                  <div>
-                    <h3 className="font-semibold">Browse the Marketplace</h3>
-                    <p className="text-gray-600 text-sm md:text-base">Explore listings, filter by traits, and find your next favorite card.</p>
-                  </div>
-                </li>
-                <li className="flex items-start">
-                  <span className="flex-shrink-0 flex items-center justify-center w-8 h-8 bg-indigo-600 text-white rounded-full mr-3">3</span>
-                  <div>
-                    <h3 className="font-semibold">Buy or Bid</h3>
-                    <p className="text-gray-600 text-sm md:text-base">Purchase cards at a fixed price or place bids in thrilling auctions.</p>
-                  </div>
-                </li>
-                <li className="flex items-start">
-                  <span className="flex-shrink-0 flex items-center justify-center w-8 h-8 bg-indigo-600 text-white rounded-full mr-3">4</span>
-                  <div>
-                    <h3 className="font-semibold">Manage Your Collection</h3>
-                    <p className="text-gray-600 text-sm md:text-base">View your owned cards, list them for sale, or start an auction.</p>
-                  </div>
-                </li>
-              </ol>
-            </div>
-          </section>
-        </>
-      )}
+            </li>
+          </ol>
+        </div>
+      </section>
     </div>
   );
 };
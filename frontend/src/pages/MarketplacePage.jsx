@@ -1,22 +1,65 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useApp } from '../contexts/AppContext';
 import PokemonCard from '../components/specific/PokemonCard';
+import BundleCard from '../components/specific/BundleCard';
 import FilterBar from '../components/specific/FilterBar';
 import EmptyState from '../components/common/EmptyState';
 import { formatEth } from '../utils';
+import { applyListingUpdate } from '../services/marketplaceEvents';
+import { getPokedexEntry, POKEMON_TYPES } from '../services/pokedex';
+import { getDutchAuctionPrice } from '../services/auctions';
+import { isListingOpen } from '../services/listings';
+import { isEth } from '../services/currencies';
+
+// Price a listing goes for now: the current price of a Dutch auction, the highest bid or price otherwise
+const getCurrentPrice = (listing, now) => (
+  listing.isDutchAuction
+    ? parseFloat(getDutchAuctionPrice(listing, now))
+    : parseFloat(Math.max(listing.highestBid, listing.price))
+);
+
+// Order by price in a direction (1 or -1), prices in Wei only compare among ETH listings so token listings go last
+const comparePrices = (a, b, now, direction) => (
+  (isEth(b.currency) - isEth(a.currency)) || direction * (getCurrentPrice(a, now) - getCurrentPrice(b, now))
+);
+
+// Price a bundle goes for now: its highest bid or price
+const getBundlePrice = (bundle) => parseFloat(Math.max(bundle.highestBid, bundle.price));
+
+// Order of bundles for a sort option, bundle IDs follow the listing order
+const compareBundles = (sortBy) => (a, b) => {
+  switch (sortBy) {
+    // Like comparePrices, bundles priced in a token go last
+    case 'priceAsc':
+      return (isEth(b.currency) - isEth(a.currency)) || getBundlePrice(a) - getBundlePrice(b);
+    case 'priceDesc':
+      return (isEth(b.currency) - isEth(a.currency)) || getBundlePrice(b) - getBundlePrice(a);
+    case 'idDown':
+    case 'newest':
+      return b.bundleId - a.bundleId;
+    case 'endingSoon':
+      return (a.endTime || Number.MAX_SAFE_INTEGER) - (b.endTime || Number.MAX_SAFE_INTEGER);
+    default:
+      return a.bundleId - b.bundleId;
+  }
+};
 
 /**
- * MarketplacePage component - Shows all cards listed on the marketplace
+ * MarketplacePage component - Shows all cards and bundles listed on the marketplace
  */
 const MarketplacePage = () => {
   const [listings, setListings] = useState([]);
+  const [bundles, setBundles] = useState([]);
   const [loading, setLoading] = useState(true);
 
   const { 
     getAllListings,
+    getBundles,
     connectWallet,
     getCardData,
-    account
+    contracts,
+    listingUpdates,
+    getCurrentTime
   } = useApp();
 
   
@@ -34,57 +77,105 @@ const MarketplacePage = () => {
   const fetchListings = async () => {
     setLoading(true);
     try {
-      const data = await getAllListings();
+      const [data, listedBundles] = await Promise.all([getAllListings(), getBundles()]);
 
       // Get card data for each token ID
       const cards = await Promise.all(
         data.map(tokenId => getCardData(tokenId))
       );
 
+      // Bundles carry the data of their cards, for the tile and the type and rarity filters
+      const bundlesWithCards = await Promise.all(listedBundles.map(async bundle => ({
+        ...bundle,
+        cards: (await Promise.all(bundle.tokenIds.map(tokenId => getCardData(tokenId)))).filter(Boolean)
+      })));
+
       setListings(cards);
+      setBundles(bundlesWithCards);
     } catch (err) {
       console.error('Error fetching marketplace listings:', err);
       setListings([]); // Clear listings on error
+      setBundles([]);
     } finally {
       setLoading(false);
     }
   };
 
   useEffect(() => {
-    // Only fetch if account is connected
-    if (account) {
+    // Listings are readable without a wallet, only wait for the contracts
+    if (contracts?.tradingContract) {
       fetchListings();
     } else {
       setListings([]);
+      setBundles([]);
       setLoading(false);
     }
-  }, [account, getAllListings]);
+  }, [contracts?.tradingContract, getAllListings, getBundles]);
+
+  // Add cards listed after the page was loaded, only those are fetched
+  useEffect(() => {
+    if (loading) return;
+
+    const knownIds = new Set(listings.map(card => Number(card?.tokenId)));
+    const newIds = Object.entries(listingUpdates)
+      .filter(([tokenId, update]) => update.listing.isActive && !knownIds.has(Number(tokenId)))
+      .map(([tokenId]) => Number(tokenId));
+
+    if (!newIds.length) return;
+
+    Promise.all(newIds.map(tokenId => getCardData(tokenId)))
+      .then(cards => setListings(prev => {
+        const currentIds = new Set(prev.map(card => Number(card?.tokenId)));
+        return [...prev, ...cards.filter(card => card && !currentIds.has(Number(card.tokenId)))];
+      }))
+      .catch(err => console.error('Error fetching new listings:', err));
+  }, [listingUpdates, loading]);
+
+  // Listings with the live updates applied, sold and cancelled listings drop out below
+  const liveListings = useMemo(() => {
+    return listings.map(card => applyListingUpdate(card, listingUpdates[card?.tokenId]));
+  }, [listings, listingUpdates]);
 
   // Memoize the filtered listings to prevent unnecessary re-renders
   const filteredListings = useMemo(() => {
-    return listings.filter(card => {
+    const now = getCurrentTime();
+    return liveListings.filter(card => {
       // Skip cards without valid listing data
-      if (!card || !card.listing) {
+      if (!card || !card.listing || card.listing.isActive === false) {
+        return false;
+      }
+
+      // Hide scheduled listings until they open and expired ones
+      if (!isListingOpen(card.listing, now)) {
         return false;
       }
       
+      // Apply type filter, types come from the bundled Pokédex so no card has to load first
+      if (filters.type && filters.type !== 'all' && !getPokedexEntry(card.pokemonId)?.types.includes(filters.type)) {
+        return false;
+      }
+
       // Apply rarity filter
       if (filters.rarity && filters.rarity !== 'all' && String(card.rarity) !== filters.rarity) {
         return false;
       }
       
-      // Apply auction filter
-      if (!filters.showAuction && card.listing.isAuction) {
+      // Apply auction filter, Dutch auctions count as auctions
+      const isAnyAuction = card.listing.isAuction || card.listing.isDutchAuction;
+      if (!filters.showAuction && isAnyAuction) {
         return false;
       }
       
       // Apply fixed price filter
-      if (!filters.showFixedPrice && !card.listing.isAuction) {
+      if (!filters.showFixedPrice && !isAnyAuction) {
         return false;
       }
       
-      // Apply price filter
-      const price = parseFloat(Math.max(card.listing.highestBid, card.listing.price));
+      // Apply price filter, the range is in Wei so it only matches listings priced in ETH
+      const price = getCurrentPrice(card.listing, now);
+      if ((filters.minPrice || filters.maxPrice) && !isEth(card.listing.currency)) {
+        return false;
+      }
       
       if (filters.minPrice && price < parseFloat(filters.minPrice)) {
         return false;
@@ -96,10 +187,11 @@ const MarketplacePage = () => {
       
       return true;
     });
-  }, [listings, filters]);
+  }, [liveListings, filters, getCurrentTime]);
 
   // Memoize the sorted listings
   const displayListings = useMemo(() => {
+    const now = getCurrentTime();
     return [...filteredListings].sort((a, b) => {
       // Sort by selected criteria
       switch (filters.sortBy) {
@@ -108,24 +200,61 @@ const MarketplacePage = () => {
         case 'idDown':
           return (b.tokenId) - (a.tokenId);
         case 'priceAsc':
-          return parseFloat(Math.max(a.listing.highestBid, a.listing.price)) - 
-                 parseFloat(Math.max(b.listing.highestBid, b.listing.price));
+          return comparePrices(a.listing, b.listing, now, 1);
         case 'priceDesc':
-          return parseFloat(Math.max(b.listing.highestBid, b.listing.price)) - 
-                 parseFloat(Math.max(a.listing.highestBid, a.listing.price));
+          return comparePrices(a.listing, b.listing, now, -1);
+        case 'newest':
+          return Number(b.listing.listingTime || 0) - Number(a.listing.listingTime || 0);
+        case 'endingSoon':
+          // Fixed price listings never end, so they go after all auctions
+          return (Number(a.listing.endTime) || Number.MAX_SAFE_INTEGER) -
+                 (Number(b.listing.endTime) || Number.MAX_SAFE_INTEGER);
         default:
           return 0;
       }
     });
-  }, [filteredListings, filters.sortBy]);
+  }, [filteredListings, filters.sortBy, getCurrentTime]);
+
+  // Bundles through the same filters, a bundle matches a type or rarity when any of its cards does
+  const displayBundles = useMemo(() => {
+    return bundles.filter(bundle => {
+      const { cards } = bundle;
+      if (filters.type && filters.type !== 'all' &&
+          !cards.some(card => getPokedexEntry(card.pokemonId)?.types.includes(filters.type))) {
+        return false;
+      }
+      if (filters.rarity && filters.rarity !== 'all' && !cards.some(card => String(card.rarity) === filters.rarity)) {
+        return false;
+      }
+      if (!filters.showAuction && bundle.isAuction) {
+        return false;
+      }
+      if (!filters.showFixedPrice && !bundle.isAuction) {
+        return false;
+      }
+
+      // The price range is in Wei, like for cards it only matches bundles priced in ETH
+      const price = getBundlePrice(bundle);
+      if ((filters.minPrice || filters.maxPrice) && !isEth(bundle.currency)) {
+        return false;
+      }
+      if (filters.minPrice && price < parseFloat(filters.minPrice)) {
+        return false;
+      }
+      if (filters.maxPrice && price > parseFloat(filters.maxPrice)) {
+        return false;
+      }
+      return true;
+    }).sort(compareBundles(filters.sortBy));
+  }, [bundles, filters]);
 
   // Update filters based on filter bar changes
   const handleFilterChange = useCallback((newFilters) => {
     setFilters(prev => ({ ...prev, ...newFilters }));
   }, []);
 
-  // Get all unique types from cards to populate filter options
-  const cardTypes = ["normal","fighting","flying","poison","ground","rock","bug","ghost","fire","water","grass","electric","psychic","ice","dragon"];
+  // Gen-1 types from the bundled Pokédex populate the filter options
+  const cardTypes = POKEMON_TYPES.map(type => type.name);
 
 
   // Handle clear filters action
@@ -141,13 +270,13 @@ const MarketplacePage = () => {
     });
   }, []);
 
-  // Content for not connected state
-  if (!account) {
+  // Content when neither the RPC endpoint nor a wallet provides contracts
+  if (!contracts?.tradingContract) {
     return (
       <div className="container mx-auto px-4 py-8 text-center">
         <EmptyState
-          title="Connect Wallet"
-          message="Connect your wallet to view marketplace listings"
+          title="Marketplace Unavailable"
+          message="The marketplace could not reach the blockchain. Connect your wallet to view listings"
           buttonText="Connect Wallet"
           buttonAction={connectWallet}
         />
@@ -165,7 +294,7 @@ const MarketplacePage = () => {
   }
 
   // Content foör empty listings
-  if (!displayListings.length) {
+  if (!displayListings.length && !displayBundles.length) {
     return (
       <div className="container mx-auto px-4 py-8">
         <FilterBar
@@ -194,6 +323,18 @@ const MarketplacePage = () => {
         cardTypes={cardTypes}
       />
       
+      {displayBundles.length > 0 && (
+        <>
+          <h2 className="text-xl font-semibold mt-6">Bundles</h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 mt-4">
+            {displayBundles.map(bundle => (
+              <BundleCard key={bundle.bundleId} bundle={bundle} />
+            ))}
+          </div>
+          {displayListings.length > 0 && <h2 className="text-xl font-semibold mt-8">Cards</h2>}
+        </>
+      )}
+
       <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 mt-6">
         {displayListings.map(card => (
           <PokemonCard tokenId={card.tokenId} fType={filters.type}/>
@@ -1,31 +1,54 @@
 import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
 import { useApp } from '../contexts/AppContext';
 import PokemonCard from '../components/specific/PokemonCard';
 import EmptyState from '../components/common/EmptyState';
-import { formatEth } from '../utils';
+import OfferInbox from '../components/specific/OfferInbox';
+import TradeInbox from '../components/specific/TradeInbox';
+import CreateBundle from '../components/specific/CreateBundle';
+import { formatEth, formatAddress } from '../utils';
+import { decodeTransactionError } from '../services/txErrors';
+import { formatAmount } from '../services/currencies';
 
 
 /**
- * MyCardsPage component – Displays owned cards and withdraw interface
+ * MyCardsPage component – Displays owned cards, withdraw interface, the offers and trades inboxes and bundle listing
+ * Also serves /collection/:address, a read-only view of any owner's cards
  */
 const MyCardsPage = () => {
+  const { address } = useParams();
   const { 
     account, 
     getOwnedCards, 
     getPendingWithdrawals,
     withdrawFunds,
-    contracts
+    getTokenBalances,
+    withdrawTokenFunds,
+    getMarketplaceApproval,
+    setMarketplaceApproval,
+    contracts,
+    onCardsInvalidated
   } = useApp();
   const [cards, setCards] = useState([]);
   const [loadingState, setLoadingState] = useState(true);
   const [pendingWithdrawalAmount, setPendingWithdrawalAmount] = useState('0');
   const [isWithdrawing, setIsWithdrawing] = useState(false);
   const [withdrawError, setWithdrawError] = useState(null);
+  // Wallet balance and withdrawable funds of every accepted token, and the token being withdrawn
+  const [tokenBalances, setTokenBalances] = useState([]);
+  const [withdrawingToken, setWithdrawingToken] = useState(null);
+  const [marketplaceApproved, setMarketplaceApproved] = useState(false);
+  const [isUpdatingApproval, setIsUpdatingApproval] = useState(false);
+  const [approvalError, setApprovalError] = useState(null);
+  const [bundleError, setBundleError] = useState(null);
+
+  const ownerAddress = address || account;
+  const isOwnCollection = !address || (account && address.toLowerCase() === account.toLowerCase());
 
   const fetchCards = async () => {
     setLoadingState(true);
     try {
-      const ownedCards = await getOwnedCards();
+      const ownedCards = await getOwnedCards(ownerAddress);
       setCards(ownedCards);
     } catch (err) {
       console.error('Error fetching owned cards:', err);
@@ -47,45 +70,119 @@ const MyCardsPage = () => {
     }
   };
 
+  const fetchTokenBalances = async () => {
+    setTokenBalances(await getTokenBalances(account));
+  };
+
+  // Refresh the ETH and token funds together
+  const fetchFunds = () => {
+    fetchPendingWithdrawals();
+    fetchTokenBalances();
+  };
+
+  const fetchMarketplaceApproval = async () => {
+    setMarketplaceApproved(await getMarketplaceApproval(account));
+  };
+
   useEffect(() => {
     if (account && contracts?.tradingContract) {
-      fetchPendingWithdrawals();
+      fetchFunds();
     }
   }, [account, contracts?.tradingContract]);
 
   useEffect(() => {
     if (account && contracts?.tokenContract) {
-      fetchCards();
+      fetchMarketplaceApproval();
     }
   }, [account, contracts?.tokenContract]);
 
+  useEffect(() => {
+    if (ownerAddress && contracts?.tokenContract) {
+      fetchCards();
+    }
+  }, [ownerAddress, contracts?.tokenContract]);
+
+  // Refetch when a transfer touches the cached token list of this owner
+  useEffect(() => {
+    if (!ownerAddress || !contracts?.tokenContract) return;
+
+    return onCardsInvalidated(({ owners }) => {
+      if (owners.has(ownerAddress.toLowerCase())) {
+        fetchCards();
+      }
+    });
+  }, [ownerAddress, contracts?.tokenContract, onCardsInvalidated]);
+
   const handleWithdraw = async () => {
     setIsWithdrawing(true);
     setWithdrawError(null);
     try {
-      const success = await withdrawFunds();
+      const { success, error } = await withdrawFunds();
       if (success) {
         await fetchPendingWithdrawals();
       } else {
-        setWithdrawError('Withdrawal transaction failed. Please try again.');
+        setWithdrawError(`${error.message} ${error.action}`);
       }
     } catch (err) {
       console.error('Error during withdrawal:', err);
-      setWithdrawError('An error occurred during withdrawal.');
+      const { message, action } = decodeTransactionError(err);
+      setWithdrawError(`${message} ${action}`);
     } finally {
       setIsWithdrawing(false);
     }
   };
 
+  const handleWithdrawToken = async (currency) => {
+    setWithdrawingToken(currency.address);
+    setWithdrawError(null);
+    try {
+      const { success, error } = await withdrawTokenFunds(currency);
+      if (success) {
+        await fetchTokenBalances();
+      } else {
+        setWithdrawError(`${error.message} ${error.action}`);
+      }
+    } catch (err) {
+      console.error('Error during token withdrawal:', err);
+      const { message, action } = decodeTransactionError(err);
+      setWithdrawError(`${message} ${action}`);
+    } finally {
+      setWithdrawingToken(null);
+    }
+  };
+
+  // Grant or revoke the marketplace's approval for all cards
+  const handleToggleApproval = async () => {
+    setIsUpdatingApproval(true);
+    setApprovalError(null);
+    try {
+      const { success, error } = await setMarketplaceApproval(!marketplaceApproved);
+      if (success) {
+        await fetchMarketplaceApproval();
+      } else {
+        setApprovalError(`${error.message} ${error.action}`);
+      }
+    } catch (err) {
+      console.error('Error updating marketplace approval:', err);
+      const { message, action } = decodeTransactionError(err);
+      setApprovalError(`${message} ${action}`);
+    } finally {
+      setIsUpdatingApproval(false);
+    }
+  };
 
   return (
     <div className="max-w-6xl mx-auto p-4">
       <div className="flex justify-between items-center mb-6">
         <div>
-          <h1 className="text-2xl font-bold mb-2">My Pokémon Cards</h1>
-          <p className="text-gray-600">View and manage your collection</p>
+          <h1 className="text-2xl font-bold mb-2">
+            {isOwnCollection ? 'My Pokémon Cards' : `Collection of ${formatAddress(address)}`}
+          </h1>
+          <p className="text-gray-600">
+            {isOwnCollection ? 'View and manage your collection' : 'Browse the cards this address owns'}
+          </p>
         </div>
-        {account && (
+        {account && isOwnCollection && (
           <div>
             <div className="flex flex-col md:flex-row md:items-center md:space-x-4 gap-2 md:gap-0">
               <div className="text-left md:text-right">
@@ -108,7 +205,90 @@ const MyCardsPage = () => {
         )}
       </div>
 
-      {!account ? (
+      {account && isOwnCollection && tokenBalances.length > 0 && (
+        <div className="mb-6 p-4 border border-gray-200 rounded-lg">
+          <p className="text-sm font-semibold mb-2">Token balances</p>
+          <div className="space-y-2">
+            {tokenBalances.map(({ currency, pending, balance }) => (
+              <div key={currency.address} className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                <p className="text-sm">
+                  <span className="font-medium">{currency.symbol}</span>
+                  <span className="text-gray-500"> · In wallet: {formatAmount(balance, currency)} · Available: </span>
+                  <span className="font-semibold">{formatAmount(pending, currency)}</span>
+                </p>
+                <button
+                  type="button"
+                  onClick={() => handleWithdrawToken(currency)}
+                  disabled={withdrawingToken !== null || pending === '0'}
+                  className={`inline-flex items-center justify-center rounded font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 bg-purple-600 hover:bg-purple-700 text-white focus:ring-purple-500 px-3 py-1.5 text-sm w-full md:w-auto ${
+                    (withdrawingToken !== null || pending === '0') ? 'opacity-50 cursor-not-allowed' : ''
+                  }`}
+                >
+                  {withdrawingToken === currency.address ? 'Withdrawing...' : `Withdraw ${currency.symbol}`}
+                </button>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Sales, refunds and outbid bids of listings priced in a token are credited here in that token.
+          </p>
+        </div>
+      )}
+
+      {account && isOwnCollection && (
+        <div className="mb-6 p-4 border border-gray-200 rounded-lg flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+          <div>
+            <p className="text-sm font-semibold">
+              {marketplaceApproved ? 'Marketplace approved for all cards' : 'Marketplace not approved for all cards'}
+            </p>
+            <p className="text-xs text-gray-500">
+              {marketplaceApproved
+                ? 'The marketplace can list any of your cards without a separate approval.'
+                : 'Each listing asks you to approve the card first.'}
+            </p>
+            {approvalError && <p className="text-xs text-red-500 mt-1">{approvalError}</p>}
+          </div>
+          <button
+            type="button"
+            onClick={handleToggleApproval}
+            disabled={isUpdatingApproval}
+            className={`inline-flex items-center justify-center rounded font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 px-3 py-1.5 text-sm w-full md:w-auto text-white ${
+              marketplaceApproved ? 'bg-red-600 hover:bg-red-700 focus:ring-red-500' : 'bg-purple-600 hover:bg-purple-700 focus:ring-purple-500'
+            } ${isUpdatingApproval ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {isUpdatingApproval ? 'Updating...' : marketplaceApproved ? 'Revoke approval' : 'Approve for all cards'}
+          </button>
+        </div>
+      )}
+
+      {account && isOwnCollection && (
+        <OfferInbox
+          onChange={() => {
+            fetchCards();
+            fetchPendingWithdrawals();
+          }}
+        />
+      )}
+
+      {account && isOwnCollection && (
+        <TradeInbox
+          onChange={() => {
+            fetchCards();
+            fetchPendingWithdrawals();
+          }}
+        />
+      )}
+
+      {account && isOwnCollection && <CreateBundle onError={setBundleError} />}
+
+      {bundleError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-6">
+          <p className="font-bold">{bundleError.message}</p>
+          <p className="text-sm">{bundleError.action}</p>
+        </div>
+      )}
+
+      {!ownerAddress ? (
         <EmptyState
           title = "Wallet Not Connected"
           message="Connect your wallet to view your cards"
@@ -120,7 +300,7 @@ const MyCardsPage = () => {
       ) : cards.length === 0 ? (
         <EmptyState
           title = "No Cards"
-          message="You don't have any cards yet"
+          message={isOwnCollection ? "You don't have any cards yet" : "This address doesn't own any cards"}
         />
       ) : (
         <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
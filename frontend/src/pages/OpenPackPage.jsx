@@ -0,0 +1,292 @@
+import React, { useState, useEffect } from 'react';
+import { useApp } from '../contexts/AppContext';
+import PokemonCard from '../components/specific/PokemonCard';
+import EmptyState from '../components/common/EmptyState';
+import { formatEth, getRarityClass, getRarityName } from '../utils';
+import { PACK_STATUS, REVEAL_WINDOW } from '../services/packs';
+
+const PACK_STATUS_LABELS = {
+  [PACK_STATUS.READY]: 'Ready to open',
+  [PACK_STATUS.EXPIRED]: `Expired, not opened within ${REVEAL_WINDOW} blocks`,
+  [PACK_STATUS.LAPSED]: `Lapsed, not settled within ${REVEAL_WINDOW} blocks of expiring`,
+  [PACK_STATUS.SECRET_MISSING]: 'Bought in another browser, can be settled once it expires'
+};
+
+const buttonClass = (enabled) =>
+  `inline-flex items-center justify-center rounded font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 bg-indigo-600 hover:bg-indigo-700 text-white focus:ring-indigo-500 px-4 py-2 text-sm ${
+    enabled ? '' : 'opacity-50 cursor-not-allowed'
+  }`;
+
+/**
+ * OpenPackPage component - Buy booster packs, open them with a card-by-card reveal, and see the odds.
+ * The owner of the pack sale can withdraw its proceeds here.
+ */
+const OpenPackPage = () => {
+  const {
+    account,
+    contracts,
+    getPackSale,
+    getMyPacks,
+    buyPack,
+    openPack,
+    settlePack,
+    getPackProceeds,
+    withdrawPackProceeds
+  } = useApp();
+  const [sale, setSale] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [packs, setPacks] = useState([]);
+  const [isBuying, setIsBuying] = useState(false);
+  const [openingPackId, setOpeningPackId] = useState(null);
+  const [error, setError] = useState(null);
+  // Cards of the pack just opened, flipped one by one
+  const [reveal, setReveal] = useState(null);
+  const [proceeds, setProceeds] = useState('0');
+  const [isWithdrawing, setIsWithdrawing] = useState(false);
+
+  const isSaleOwner = Boolean(account && sale && account.toLowerCase() === sale.owner.toLowerCase());
+
+  const fetchSale = async () => {
+    setLoading(true);
+    try {
+      setSale(await getPackSale());
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPacks = async () => {
+    setPacks(await getMyPacks());
+  };
+
+  const fetchProceeds = async () => {
+    setProceeds(await getPackProceeds());
+  };
+
+  useEffect(() => {
+    fetchSale();
+  }, [contracts?.packsContract]);
+
+  useEffect(() => {
+    fetchPacks();
+  }, [account, contracts?.packsContract]);
+
+  useEffect(() => {
+    if (isSaleOwner) {
+      fetchProceeds();
+    }
+  }, [isSaleOwner, contracts?.packsContract]);
+
+  const handleBuy = async () => {
+    setIsBuying(true);
+    setError(null);
+    try {
+      const { success, error } = await buyPack(sale.price);
+      if (success) {
+        await Promise.all([fetchPacks(), isSaleOwner && fetchProceeds()]);
+      } else {
+        setError(`${error.message} ${error.action}`);
+      }
+    } finally {
+      setIsBuying(false);
+    }
+  };
+
+  // Opens a pack with its secret, or settles it once it expired, then reveals its cards
+  const handleOpen = async (packId, settle = false) => {
+    setOpeningPackId(packId);
+    setError(null);
+    try {
+      const { success, error, tokenIds } = await (settle ? settlePack(packId) : openPack(packId));
+      if (success) {
+        setReveal({ packId, tokenIds, revealed: 0 });
+        await fetchPacks();
+      } else {
+        setError(`${error.message} ${error.action}`);
+      }
+    } finally {
+      setOpeningPackId(null);
+    }
+  };
+
+  const revealNext = () => setReveal(current => ({ ...current, revealed: current.revealed + 1 }));
+  const revealAll = () => setReveal(current => ({ ...current, revealed: current.tokenIds.length }));
+
+  const handleWithdraw = async () => {
+    setIsWithdrawing(true);
+    setError(null);
+    try {
+      const { success, error } = await withdrawPackProceeds();
+      if (success) {
+        await fetchProceeds();
+      } else {
+        setError(`${error.message} ${error.action}`);
+      }
+    } finally {
+      setIsWithdrawing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <p className="mt-4 text-lg">Loading booster packs...</p>
+      </div>
+    );
+  }
+
+  if (!sale) {
+    return (
+      <EmptyState
+        title="No Booster Packs"
+        message="Booster packs are not available on this network. Deploy the contracts again to add the pack sale."
+      />
+    );
+  }
+
+  const unopenedPacks = packs.filter(pack => pack.status !== PACK_STATUS.OPENED);
+
+  return (
+    <div className="max-w-6xl mx-auto p-4">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold mb-2">Open Pack</h1>
+          <p className="text-gray-600">
+            {sale.cardsPerPack} random cards for {formatEth(sale.price)}, minted to you when you open the pack
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleBuy}
+          disabled={isBuying || sale.paused}
+          className={buttonClass(!isBuying && !sale.paused)}
+        >
+          {sale.paused ? 'Sales paused' : isBuying ? 'Buying...' : `Buy pack for ${formatEth(sale.price)}`}
+        </button>
+      </div>
+
+      {error && <p className="mb-4 text-sm text-red-500">{error}</p>}
+
+      {reveal && (
+        <section className="mb-8 p-4 bg-white rounded-lg shadow">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold">Pack #{reveal.packId}</h2>
+            {reveal.revealed < reveal.tokenIds.length ? (
+              <div className="space-x-2">
+                <button type="button" onClick={revealNext} className={buttonClass(true)}>Reveal next card</button>
+                <button type="button" onClick={revealAll} className="text-sm text-indigo-600 hover:underline">Reveal all</button>
+              </div>
+            ) : (
+              <button type="button" onClick={() => setReveal(null)} className="text-sm text-indigo-600 hover:underline">Done</button>
+            )}
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+            {reveal.tokenIds.map((tokenId, i) => (
+              i < reveal.revealed ? (
+                <PokemonCard key={tokenId} tokenId={tokenId} />
+              ) : (
+                <button
+                  key={tokenId}
+                  type="button"
+                  onClick={i === reveal.revealed ? revealNext : undefined}
+                  className="h-64 rounded-lg shadow-md bg-gradient-to-br from-indigo-500 to-purple-600 flex items-center justify-center text-5xl font-bold text-white"
+                  aria-label="Hidden card"
+                >
+                  ?
+                </button>
+              )
+            ))}
+          </div>
+        </section>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <section className="md:col-span-2">
+          <h2 className="text-lg font-semibold mb-2">Your unopened packs</h2>
+          {!account ? (
+            <EmptyState title="Wallet Not Connected" message="Connect your wallet to buy and open packs" />
+          ) : unopenedPacks.length === 0 ? (
+            <EmptyState title="No Packs" message="Packs you buy wait here until you open them" />
+          ) : (
+            <ul className="divide-y divide-gray-200 bg-white rounded-lg shadow">
+              {unopenedPacks.map(pack => (
+                <li key={pack.packId} className="flex items-center justify-between p-4">
+                  <div>
+                    <p className="font-medium">Pack #{pack.packId}</p>
+                    <p className="text-xs text-gray-500">
+                      {pack.cardCount} cards, bought in block {pack.commitBlock} · {PACK_STATUS_LABELS[pack.status]}
+                    </p>
+                  </div>
+                  {pack.status === PACK_STATUS.READY && (
+                    <button
+                      type="button"
+                      onClick={() => handleOpen(pack.packId)}
+                      disabled={openingPackId !== null}
+                      className={buttonClass(openingPackId === null)}
+                    >
+                      {openingPackId === pack.packId ? 'Opening...' : 'Open'}
+                    </button>
+                  )}
+                  {pack.status === PACK_STATUS.EXPIRED && (
+                    <button
+                      type="button"
+                      onClick={() => handleOpen(pack.packId, true)}
+                      disabled={openingPackId !== null}
+                      className={buttonClass(openingPackId === null)}
+                    >
+                      {openingPackId === pack.packId ? 'Settling...' : 'Settle'}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <aside className="space-y-6">
+          <section className="p-4 bg-white rounded-lg shadow">
+            <h2 className="text-lg font-semibold mb-2">Odds per card</h2>
+            <table className="w-full text-sm">
+              <tbody>
+                {sale.rarityOdds.map((chance, rarity) => (
+                  <tr key={rarity}>
+                    <td className="py-1">
+                      <span className={`px-2 py-0.5 rounded text-xs font-semibold ${getRarityClass(rarity)}`}>
+                        {getRarityName(rarity)}
+                      </span>
+                    </td>
+                    <td className="py-1 text-right font-medium">{chance / 100}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-3 text-xs text-gray-500">
+              Each card is one of the 151 Gen-1 Pokémon with equal chance. The draw is seeded by a secret your browser
+              commits to when buying and the hash of the block the purchase is mined in, so nobody can predict or
+              steer it. Open your packs within {REVEAL_WINDOW} blocks of buying them. Packs not opened in time can be
+              settled by anyone within another {REVEAL_WINDOW} blocks, drawing their cards from the hash of the block
+              they expired in. Cards are drawn with the odds in effect when the pack was bought.
+            </p>
+          </section>
+
+          {isSaleOwner && (
+            <section className="p-4 bg-white rounded-lg shadow">
+              <h2 className="text-lg font-semibold mb-2">Pack sale proceeds</h2>
+              <p className="text-sm font-semibold mb-3">{formatEth(proceeds)}</p>
+              <button
+                type="button"
+                onClick={handleWithdraw}
+                disabled={isWithdrawing || proceeds === '0'}
+                className={buttonClass(!isWithdrawing && proceeds !== '0')}
+              >
+                {isWithdrawing ? 'Withdrawing...' : 'Withdraw proceeds'}
+              </button>
+            </section>
+          )}
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default OpenPackPage;
@@ -0,0 +1,49 @@
+// Auction bidding rules, as enforced by PokemonCardTrading.placeBid
+
+const BASIS_POINTS = 10000n;
+
+/**
+ * Lowest bid an auction accepts next, like PokemonCardTrading.getMinimumBid: the starting price until the first
+ * bid, then the highest bid plus the larger of both minimum increments, and at least one Wei more.
+ * @param {Object} listing - Auction listing with price, highestBid and highestBidder
+ * @param {Object} rules - { minBidIncrement (basis points), minBidIncrementAmount (Wei) } from getAuctionRules
+ * @returns {string} Minimum bid in Wei
+ */
+export const getMinimumBid = (listing, rules) => {
+  const highestBid = BigInt(listing.highestBid || 0);
+  if (!highestBid) return listing.price.toString();
+
+  const rateIncrement = (highestBid * BigInt(rules?.minBidIncrement ?? 0)) / BASIS_POINTS;
+  const amountIncrement = BigInt(rules?.minBidIncrementAmount ?? 0);
+  const increment = rateIncrement > amountIncrement ? rateIncrement : amountIncrement;
+  return (highestBid + (increment || 1n)).toString();
+};
+
+/**
+ * Current price of a Dutch auction, like PokemonCardTrading.getDutchAuctionPrice: falling linearly from the start
+ * price when listed to the floor price at the end time, then staying there.
+ * @param {Object} listing - Dutch auction listing with price, floorPrice, startTime and endTime
+ * @param {number} now - Current time in seconds
+ * @returns {string} Price in Wei
+ */
+export const getDutchAuctionPrice = (listing, now) => {
+  const startPrice = BigInt(listing.price);
+  const floorPrice = BigInt(listing.floorPrice || 0);
+  const startTime = BigInt(listing.startTime || 0);
+  const endTime = BigInt(listing.endTime || 0);
+  const time = BigInt(Math.floor(now));
+
+  if (time >= endTime) return floorPrice.toString();
+  if (time <= startTime) return startPrice.toString();
+  return (startPrice - ((startPrice - floorPrice) * (time - startTime)) / (endTime - startTime)).toString();
+};
+
+// Whether a bid placed now would extend the auction
+export const isInExtensionWindow = (listing, rules, now) => (
+  Boolean(rules?.auctionExtension) && Number(listing.endTime) - now <= rules.auctionExtensionWindow
+);
+
+// Seconds late bids added to the auction, 0 if it still ends when it was listed to
+export const getAuctionExtension = (listing) => (
+  listing.listedEndTime ? Math.max(Number(listing.endTime) - Number(listing.listedEndTime), 0) : 0
+);
@@ -0,0 +1,28 @@
+// Bundle listings, as stored by PokemonCardBundles
+
+// Fewest and most cards in a bundle, PokemonCardBundles.MIN_BUNDLE_CARDS and MAX_BUNDLE_CARDS
+export const MIN_BUNDLE_CARDS = 2;
+export const MAX_BUNDLE_CARDS = 10;
+
+/**
+ * Turn a bundle read from the bundles contract into plain values.
+ * @param {number|bigint} bundleId - ID of the bundle
+ * @param {Object} bundle - Bundle struct returned by PokemonCardBundles.getBundle
+ * @returns {Object} { bundleId, seller, tokenIds, price, endTime, highestBidder, highestBid, isAuction, isActive },
+ * amounts in Wei
+ */
+export const toBundle = (bundleId, bundle) => ({
+  bundleId: Number(bundleId),
+  seller: bundle.seller,
+  tokenIds: Array.from(bundle.tokenIds, Number),
+  price: bundle.price.toString(),
+  endTime: Number(bundle.endTime),
+  highestBidder: bundle.highestBidder,
+  highestBid: bundle.highestBid.toString(),
+  // PokemonCardTrading.ListingType, bundles are sold at a fixed price or auctioned
+  isAuction: Number(bundle.listingType) === 1,
+  isActive: bundle.active
+});
+
+// Whether a bundle auction still takes bids
+export const isBundleAuctionOpen = (bundle, now) => bundle.isActive && bundle.isAuction && now < bundle.endTime;
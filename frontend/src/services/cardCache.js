@@ -0,0 +1,293 @@
+// Persistent browser cache for card data, backed by IndexedDB
+//
+// Entries are scoped to a deployment (chain ID, manifest deploy block and token contract), see getCacheScope.
+// Immutable card metadata is kept for as long as the deployment lives. Owners, listings and owned token lists are
+// tagged with the block they were read at and dropped when a Transfer or trading event touches them.
+// A chain that no longer has the last reconciled block (e.g. a restarted Hardhat node) or a new deployment
+// on the same chain wipes every entry of that chain.
+
+const DB_NAME = 'pokemon-card-trading';
+const DB_VERSION = 1;
+
+// Object stores:
+// cards   - pokemonId and rarity per token, never change after minting
+// state   - owner and listing per token, with the block they were read at
+// owned   - token IDs per owner address, with the block they were read at
+// meta    - deployment scope and last block (number and hash) the cache was reconciled with, per chain
+const STORES = ['cards', 'state', 'owned', 'meta'];
+
+// Largest block range requested per getLogs call (public RPC providers reject wide ranges)
+const LOG_CHUNK_SIZE = 5000;
+
+// Beyond this many blocks since the last visit, dropping mutable entries is cheaper than replaying logs
+const MAX_RECONCILE_RANGE = 50000;
+
+// Minimum time between two reconciliations of the same contract
+const RECONCILE_INTERVAL_MS = 5000;
+
+let dbPromise = null;
+const invalidationListeners = new Set();
+const reconcileState = {};
+
+// Open the database once, resolving to null where IndexedDB is unavailable (e.g. private browsing)
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        STORES.forEach(name => {
+          if (!request.result.objectStoreNames.contains(name)) {
+            request.result.createObjectStore(name);
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, card cache disabled:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+// Run a single request against a store; failures are logged and resolve to null so the cache never breaks reads
+const runRequest = async (storeName, mode, createRequest) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    const request = createRequest(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result ?? null);
+    request.onerror = () => {
+      console.warn(`Card cache ${storeName} request failed:`, request.error);
+      resolve(null);
+    };
+  });
+};
+
+const getEntry = (storeName, key) => runRequest(storeName, 'readonly', store => store.get(key));
+const putEntry = (storeName, key, value) => runRequest(storeName, 'readwrite', store => store.put(value, key));
+const deleteEntry = (storeName, key) => runRequest(storeName, 'readwrite', store => store.delete(key));
+
+// Delete every entry of a store whose key starts with prefix
+const deletePrefixedEntries = (storeName, prefix) =>
+  runRequest(storeName, 'readwrite', store => store.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+
+/**
+ * Key prefix of the cache entries of a deployment.
+ * @param {Object} deployment - chainId, deployBlock from the manifest and tokenAddress
+ * @returns {string} Cache scope, passed to every other function of this module
+ */
+export const getCacheScope = ({ chainId, deployBlock, tokenAddress }) =>
+  `${Number(chainId)}:${Number(deployBlock)}:${tokenAddress.toLowerCase()}`;
+
+const chainOfScope = (scope) => scope.slice(0, scope.indexOf(':'));
+
+const tokenKey = (scope, tokenId) => `${scope}:${Number(tokenId)}`;
+const ownerKey = (scope, owner) => `${scope}:${owner.toLowerCase()}`;
+
+// Reconciliation record of the scope's chain, null if it was last reconciled for another deployment
+const getScopeMeta = async (scope) => {
+  const meta = await getEntry('meta', chainOfScope(scope));
+  return meta?.scope === scope ? meta : null;
+};
+
+// Resolves once the scope was reconciled in this session, so a reset chain never serves entries of its past
+const whenReconciled = (scope) => reconcileState[scope]?.firstRun;
+
+// Entries read before the last reconciliation may have missed an invalidation, so they are not stored
+const isFreshRead = async (scope, blockNumber) => {
+  const meta = await getScopeMeta(scope);
+  return meta !== null && blockNumber >= meta.reconciledBlock;
+};
+
+// Immutable data
+
+export const getCachedCard = async (scope, tokenId) => {
+  await whenReconciled(scope);
+  return getEntry('cards', tokenKey(scope, tokenId));
+};
+
+export const cacheCard = (scope, tokenId, card) => putEntry('cards', tokenKey(scope, tokenId), card);
+
+// Block-tagged data
+
+// Get the cached owner and listing of a token, or null
+export const getCachedTokenState = async (scope, tokenId) => {
+  await whenReconciled(scope);
+  return getEntry('state', tokenKey(scope, tokenId));
+};
+
+// Store the owner and listing of a token, read at blockNumber
+export const cacheTokenState = async (scope, tokenId, tokenState, blockNumber) => {
+  if (!(await isFreshRead(scope, blockNumber))) return;
+  await putEntry('state', tokenKey(scope, tokenId), { ...tokenState, blockNumber });
+};
+
+// Get the cached token IDs of an owner, or null
+export const getCachedOwnedTokens = async (scope, owner) => {
+  await whenReconciled(scope);
+  const entry = await getEntry('owned', ownerKey(scope, owner));
+  return entry ? entry.tokenIds : null;
+};
+
+// Store the token IDs of an owner, read at blockNumber
+export const cacheOwnedTokens = async (scope, owner, tokenIds, blockNumber) => {
+  if (!(await isFreshRead(scope, blockNumber))) return;
+  await putEntry('owned', ownerKey(scope, owner), { tokenIds, blockNumber });
+};
+
+// Invalidation
+
+/**
+ * Subscribe to cache invalidations.
+ * @param {Function} listener - Called with { tokenIds: Set<number>, owners: Set<string> } (owners lowercased)
+ * @returns {Function} Unsubscribe function
+ */
+export const onCacheInvalidated = (listener) => {
+  invalidationListeners.add(listener);
+  return () => invalidationListeners.delete(listener);
+};
+
+// Drop the block-tagged entries of the given tokens and owners and notify subscribers
+export const invalidateTokens = async (scope, tokenIds = [], owners = []) => {
+  const tokenIdSet = new Set([...tokenIds].map(Number));
+  const ownerSet = new Set([...owners].map(owner => owner.toLowerCase()));
+
+  await Promise.all([
+    ...[...tokenIdSet].map(tokenId => deleteEntry('state', tokenKey(scope, tokenId))),
+    ...[...ownerSet].map(owner => deleteEntry('owned', ownerKey(scope, owner)))
+  ]);
+
+  if (tokenIdSet.size || ownerSet.size) {
+    invalidationListeners.forEach(listener => listener({ tokenIds: tokenIdSet, owners: ownerSet }));
+  }
+};
+
+// Drop the cached owner and listing of tokens without notifying subscribers, for callers that already have the new state
+export const forgetTokenState = (scope, tokenIds = []) => Promise.all(
+  [...tokenIds].map(tokenId => deleteEntry('state', tokenKey(scope, tokenId)))
+);
+
+// Collect the tokens and owners touched by Transfer and trading event logs
+const collectTouchedTokens = async ({ tokenContract, tradingContract }, logs) => {
+  const tokenIds = new Set();
+  const owners = new Set();
+  const tokenAddress = (await tokenContract.getAddress()).toLowerCase();
+  const tradingAddress = (await tradingContract.getAddress()).toLowerCase();
+
+  logs.forEach(log => {
+    const address = log.address.toLowerCase();
+    if (address !== tokenAddress && address !== tradingAddress) return;
+
+    const contract = address === tokenAddress ? tokenContract : tradingContract;
+    const parsed = contract.interface.parseLog(log);
+    if (parsed?.args?.tokenId === undefined) return;
+
+    tokenIds.add(Number(parsed.args.tokenId));
+    if (parsed.name === 'Transfer') {
+      owners.add(parsed.args.from.toLowerCase());
+      owners.add(parsed.args.to.toLowerCase());
+    }
+  });
+
+  return { tokenIds, owners };
+};
+
+// Fetch the token and trading contract logs in [fromBlock, toBlock]
+const fetchContractLogs = async ({ tokenContract, tradingContract, provider }, fromBlock, toBlock) => {
+  const address = [await tokenContract.getAddress(), await tradingContract.getAddress()];
+  const logs = [];
+
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+    logs.push(...await provider.getLogs({ address, fromBlock: start, toBlock: end }));
+  }
+
+  return logs;
+};
+
+/**
+ * Drop the entries touched by the logs of a transaction receipt, so our own transactions show up immediately.
+ * @param {Object} contracts - tokenContract, tradingContract and the cacheScope of their deployment
+ * @param {Array} logs - Receipt logs
+ * @returns {Promise<void>}
+ */
+export const invalidateFromLogs = async ({ tokenContract, tradingContract, cacheScope }, logs = []) => {
+  try {
+    const { tokenIds, owners } = await collectTouchedTokens({ tokenContract, tradingContract }, logs);
+    await invalidateTokens(cacheScope, tokenIds, owners);
+  } catch (error) {
+    console.warn('Card cache invalidation failed:', error);
+  }
+};
+
+// Whether the chain still has the last reconciled block, a restarted or reorged chain has another one
+const isReconciledBlockOnChain = async (provider, meta) => {
+  const block = await provider.getBlock(meta.reconciledBlock);
+  return block?.hash === meta.reconciledBlockHash;
+};
+
+/**
+ * Reconcile the cache with the chain by dropping entries touched by events since the last reconciliation.
+ * Calls are deduped and throttled per scope, so it is cheap to call from every read.
+ * @param {Object} contracts - tokenContract, tradingContract, the provider they are read through
+ *   and the cacheScope of their deployment
+ * @returns {Promise<void>}
+ */
+export const reconcileCache = async ({ tokenContract, tradingContract, provider, cacheScope }) => {
+  const status = reconcileState[cacheScope] ||
+    (reconcileState[cacheScope] = { pending: null, firstRun: null, lastRun: 0 });
+
+  if (status.pending) return status.pending;
+  if (Date.now() - status.lastRun < RECONCILE_INTERVAL_MS) return;
+
+  status.pending = (async () => {
+    const latestBlock = await provider.getBlock('latest');
+    const meta = await getScopeMeta(cacheScope);
+
+    if (meta === null || latestBlock.number < meta.reconciledBlock || !(await isReconciledBlockOnChain(provider, meta))) {
+      // Another deployment or a reset chain, start over for everything cached on this chain
+      const prefix = `${chainOfScope(cacheScope)}:`;
+      await Promise.all(
+        STORES.filter(storeName => storeName !== 'meta').map(storeName => deletePrefixedEntries(storeName, prefix))
+      );
+    } else if (latestBlock.number - meta.reconciledBlock > MAX_RECONCILE_RANGE) {
+      // Too old, start over for the mutable data of this deployment
+      const prefix = `${cacheScope}:`;
+      await Promise.all([deletePrefixedEntries('state', prefix), deletePrefixedEntries('owned', prefix)]);
+    } else if (latestBlock.number > meta.reconciledBlock) {
+      const logs = await fetchContractLogs(
+        { tokenContract, tradingContract, provider },
+        meta.reconciledBlock + 1,
+        latestBlock.number
+      );
+      const { tokenIds, owners } = await collectTouchedTokens({ tokenContract, tradingContract }, logs);
+      await invalidateTokens(cacheScope, tokenIds, owners);
+    }
+
+    await putEntry('meta', chainOfScope(cacheScope), {
+      scope: cacheScope,
+      reconciledBlock: latestBlock.number,
+      reconciledBlockHash: latestBlock.hash
+    });
+  })()
+    .catch(error => console.warn('Card cache reconciliation failed:', error))
+    .finally(() => {
+      status.pending = null;
+      status.lastRun = Date.now();
+    });
+
+  if (!status.firstRun) {
+    status.firstRun = status.pending;
+  }
+
+  return status.pending;
+};
@@ -0,0 +1,60 @@
+import { ethers } from 'ethers';
+import { formatEth } from '../utils';
+
+// Listing currencies: ETH, or an ERC-20 token the owner allowed with PokemonCardTrading.setCurrencyAllowed
+
+// PokemonCardTrading.listingCurrency is the zero address for listings paid in ETH
+export const ETH = { address: ethers.ZeroAddress, symbol: 'ETH', decimals: 18 };
+
+// The part of the ERC-20 interface the marketplace uses
+export const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// Module-level cache of token symbols and decimals, which never change, keyed by token address
+const CURRENCY_CACHE = new Map();
+
+// Whether a currency (object or address) is ETH, listings read before currencies existed have none
+export const isEth = (currency) => {
+  const address = typeof currency === 'string' ? currency : currency?.address;
+  return !address || address === ethers.ZeroAddress;
+};
+
+/**
+ * Resolve a currency address to { address, symbol, decimals }, reading the token once.
+ * @param {string} address - Token address, the zero address for ETH
+ * @param {Function} readToken - Called with the address, resolves to the token's { symbol, decimals }
+ * @returns {Promise<Object>} The currency, with decimals as a number
+ */
+export const loadCurrency = async (address, readToken) => {
+  if (isEth(address)) return ETH;
+
+  const key = address.toLowerCase();
+  if (!CURRENCY_CACHE.has(key)) {
+    // Shared by concurrent callers, forgotten if the read fails so it is tried again
+    const pending = readToken(address).then(({ symbol, decimals }) => ({ address, symbol, decimals: Number(decimals) }));
+    pending.catch(() => CURRENCY_CACHE.delete(key));
+    CURRENCY_CACHE.set(key, pending);
+  }
+  return CURRENCY_CACHE.get(key);
+};
+
+/**
+ * Format an amount in the smallest unit of its currency: ETH like formatEth, tokens with their decimals and symbol.
+ * @param {string|bigint} amount - Amount in Wei, or in the smallest unit of the token
+ * @param {Object} currency - Currency from loadCurrency, ETH if missing
+ * @returns {string} e.g. "0.0500 ETH" or "12.5 PRIZE"
+ */
+export const formatAmount = (amount, currency) => (
+  isEth(currency) ? formatEth(amount) : `${ethers.formatUnits(BigInt(amount || 0), currency.decimals)} ${currency.symbol}`
+);
+
+// Name of the unit amounts are entered in, "Wei" for ETH
+export const getUnitName = (currency) => (isEth(currency) ? 'Wei' : `${currency.symbol} base units`);
+
+// Overrides of a transaction paying an amount: sent along in ETH, tokens are taken through their allowance
+export const paymentOverrides = (currency, amount) => (isEth(currency) ? { value: amount } : {});
@@ -0,0 +1,45 @@
+// Deployment manifests written by scripts/deploy.js, one per chain, loaded at runtime so a single build serves every network
+
+// Manifest lookups per chain, each manifest is only fetched once
+const manifests = new Map();
+
+const isValidManifest = (manifest, chainId) =>
+  Number(manifest?.chainId) === chainId &&
+  Boolean(manifest.contracts?.PokemonCardToken?.address) &&
+  Boolean(manifest.contracts?.PokemonCardTrading?.address);
+
+const fetchDeployment = async (chainId) => {
+  const response = await fetch(`${import.meta.env.BASE_URL}deployments/${chainId}.json`);
+  if (!response.ok) {
+    if (response.status === 404) return null;
+    throw new Error(`Failed to load the deployment manifest of chain ${chainId}: ${response.status}`);
+  }
+
+  // Dev servers answer unknown paths with index.html
+  const manifest = await response.json().catch(() => null);
+  if (!manifest) return null;
+  if (!isValidManifest(manifest, chainId)) {
+    console.warn(`Ignoring invalid deployment manifest for chain ${chainId}`);
+    return null;
+  }
+  return manifest;
+};
+
+/**
+ * Load the deployment manifest of a chain.
+ * @param {number|bigint} chainId - Chain to load the manifest of
+ * @returns {Promise<Object|null>} Manifest with chainId, deployBlock and contracts ({ address, deployBlock, abi } per
+ * contract name), null if the contracts are not deployed on the chain
+ */
+export const loadDeployment = async (chainId) => {
+  const id = Number(chainId);
+
+  if (!manifests.has(id)) {
+    const lookup = fetchDeployment(id);
+    // A failed request says nothing about the deployment, so it is retried next time
+    lookup.catch(() => manifests.delete(id));
+    manifests.set(id, lookup);
+  }
+
+  return manifests.get(id);
+};
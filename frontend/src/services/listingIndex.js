@@ -0,0 +1,152 @@
+// Client-side index of active marketplace listings, rebuilt from trading contract events
+
+// Events that open, schedule, extend or close a listing
+const LISTING_EVENTS = [
+  'CardListed', 'ListingScheduled', 'ListingUpdated', 'AuctionExtended', 'CardSold', 'AuctionEnded',
+  'CardListingCancelled'
+];
+
+// Largest block range requested per getLogs call (public RPC providers reject wide ranges)
+const LOG_CHUNK_SIZE = 5000;
+
+// Most getBlock requests in flight at once while resolving listing times (public RPC providers rate-limit bursts)
+const BLOCK_FETCH_CONCURRENCY = 10;
+
+// Module-level cache so the index survives re-renders and page changes, keyed by trading contract address
+const LISTING_INDEX_CACHE = {};
+
+// Get (or create) the index for a trading contract
+const getIndex = (tradingAddress, deployBlock) => {
+  const key = tradingAddress.toLowerCase();
+
+  if (!LISTING_INDEX_CACHE[key]) {
+    LISTING_INDEX_CACHE[key] = {
+      listings: new Map(),        // tokenId -> active listing entry
+      lastSyncedBlock: deployBlock - 1,
+      blockTimestamps: {},        // blockNumber -> unix timestamp
+      pendingSync: null
+    };
+  }
+
+  return LISTING_INDEX_CACHE[key];
+};
+
+// Resolve block timestamps for the given block numbers in batches, caching them on the index
+const fetchBlockTimestamps = async (index, provider, blockNumbers) => {
+  const missing = [...new Set(blockNumbers)].filter(n => index.blockTimestamps[n] === undefined);
+
+  for (let start = 0; start < missing.length; start += BLOCK_FETCH_CONCURRENCY) {
+    const batch = missing.slice(start, start + BLOCK_FETCH_CONCURRENCY);
+    const blocks = await Promise.all(batch.map(n => provider.getBlock(n)));
+    blocks.forEach((block, i) => {
+      index.blockTimestamps[batch[i]] = block ? Number(block.timestamp) : 0;
+    });
+  }
+};
+
+// Apply a single listing event to the index
+const applyEvent = (index, event) => {
+  const tokenId = Number(event.args.tokenId);
+
+  if (event.eventName === 'CardListed') {
+    index.listings.set(tokenId, {
+      tokenId,
+      seller: event.args.seller,
+      price: event.args.price.toString(),
+      isAuction: Number(event.args.listingType) === 1,
+      isDutchAuction: Number(event.args.listingType) === 2,
+      endTime: Number(event.args.endTime),
+      listedEndTime: Number(event.args.endTime),
+      listingTime: index.blockTimestamps[event.blockNumber],
+      // Dutch auctions start lowering their price when listed, fixed-price listings open then unless scheduled
+      startTime: Number(event.args.listingType) === 2 ? index.blockTimestamps[event.blockNumber] : 0,
+      blockNumber: event.blockNumber
+    });
+  } else if (event.eventName === 'ListingScheduled') {
+    // Emitted right after CardListed when a fixed-price listing opens later
+    const listing = index.listings.get(tokenId);
+    if (listing) listing.startTime = Number(event.args.startTime);
+  } else if (event.eventName === 'ListingUpdated') {
+    // The seller changed the price, or the starting price and end time of an auction without bids
+    const listing = index.listings.get(tokenId);
+    if (listing) {
+      listing.price = event.args.price.toString();
+      listing.endTime = Number(event.args.endTime);
+      listing.listedEndTime = Number(event.args.endTime);
+    }
+  } else if (event.eventName === 'AuctionExtended') {
+    // A late bid moved the end of the auction
+    const listing = index.listings.get(tokenId);
+    if (listing) listing.endTime = Number(event.args.endTime);
+  } else {
+    // Sold, auction settled or cancelled (including auctions ended without bids)
+    index.listings.delete(tokenId);
+  }
+};
+
+// Fetch all listing events in [fromBlock, toBlock], in chain order
+const fetchListingEvents = async (tradingContract, fromBlock, toBlock) => {
+  const events = [];
+
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+    const chunks = await Promise.all(
+      LISTING_EVENTS.map(name => tradingContract.queryFilter(name, start, end))
+    );
+    events.push(...chunks.flat());
+  }
+
+  return events.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+};
+
+/**
+ * Bring the listing index up to date with the chain.
+ * The first call replays every listing event since the deployment block, later calls only fetch new blocks.
+ * @param {ethers.Contract} tradingContract - Trading contract instance
+ * @param {ethers.Provider} provider - Provider used for block lookups
+ * @param {number} deployBlock - Block the trading contract was deployed in
+ * @returns {Promise<Array>} Active listing entries
+ */
+export const syncListingIndex = async (tradingContract, provider, deployBlock = 0) => {
+  const tradingAddress = await tradingContract.getAddress();
+  const index = getIndex(tradingAddress, deployBlock);
+
+  // Concurrent callers share one sync instead of replaying the same logs twice
+  if (!index.pendingSync) {
+    index.pendingSync = (async () => {
+      const latestBlock = await provider.getBlockNumber();
+      const fromBlock = index.lastSyncedBlock + 1;
+
+      if (fromBlock <= latestBlock) {
+        const events = await fetchListingEvents(tradingContract, fromBlock, latestBlock);
+
+        await fetchBlockTimestamps(
+          index,
+          provider,
+          events.filter(e => e.eventName === 'CardListed').map(e => e.blockNumber)
+        );
+
+        events.forEach(event => applyEvent(index, event));
+        index.lastSyncedBlock = latestBlock;
+      }
+
+      return getIndexedListings(tradingAddress);
+    })().finally(() => {
+      index.pendingSync = null;
+    });
+  }
+
+  return index.pendingSync;
+};
+
+// Get the active listing entries known to the index (without syncing)
+export const getIndexedListings = (tradingAddress) => {
+  const index = LISTING_INDEX_CACHE[String(tradingAddress).toLowerCase()];
+  return index ? Array.from(index.listings.values()) : [];
+};
+
+// Get the index entry for a single token, or null if it has no known active listing
+export const getIndexedListing = (tradingAddress, tokenId) => {
+  const index = LISTING_INDEX_CACHE[String(tradingAddress).toLowerCase()];
+  return index?.listings.get(Number(tokenId)) || null;
+};
@@ -0,0 +1,14 @@
+// Sale window of fixed-price listings, as enforced by PokemonCardTrading.buyCard
+
+// Whether a fixed-price listing was scheduled to open later and has not opened yet
+export const isListingPending = (listing, now) => (
+  !listing.isAuction && !listing.isDutchAuction && Number(listing.startTime || 0) > now
+);
+
+// Whether a fixed-price listing passed its expiry, after which anyone can return the card to the seller
+export const isListingExpired = (listing, now) => (
+  !listing.isAuction && !listing.isDutchAuction && Number(listing.endTime || 0) !== 0 && now >= Number(listing.endTime)
+);
+
+// Whether a listing can be bought or bid on now as far as its sale window goes
+export const isListingOpen = (listing, now) => !isListingPending(listing, now) && !isListingExpired(listing, now);
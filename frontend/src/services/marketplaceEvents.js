@@ -0,0 +1,130 @@
+import { ethers } from 'ethers';
+
+// Live listing updates, derived from trading contract events as they are mined
+
+// Events that change a listing, see PokemonCardTrading.sol
+export const MARKETPLACE_EVENTS = [
+  'CardListed', 'ListingScheduled', 'ListingUpdated', 'AuctionBid', 'AuctionExtended', 'CardSold', 'AuctionEnded',
+  'CardListingCancelled'
+];
+
+// Turn a trading event into a listing update: the changed listing fields and, once the listing closes, the new owner
+const toListingUpdate = async (eventName, args, payload, tradingContract, getCurrency) => {
+  const tokenId = Number(args.tokenId);
+  const tradingAddress = tradingContract.target;
+
+  switch (eventName) {
+    case 'CardListed': {
+      const block = await payload.getBlock().catch(() => null);
+      const isDutchAuction = Number(args.listingType) === 2;
+      // The event leaves out the floor price of a Dutch auction and the currency of the listing
+      const [floorPrice, currency] = await Promise.all([
+        isDutchAuction ? tradingContract.listings(tokenId).then(listing => listing.floorPrice.toString()) : '0',
+        tradingContract.listingCurrency(tokenId).then(getCurrency)
+      ]);
+      const listingTime = block ? Number(block.timestamp) : Math.floor(Date.now() / 1000);
+      return {
+        tokenId,
+        // The card is held in escrow by the trading contract while listed
+        owner: tradingAddress,
+        owners: [args.seller, tradingAddress],
+        listing: {
+          tokenId,
+          seller: args.seller,
+          price: args.price.toString(),
+          isAuction: Number(args.listingType) === 1,
+          isDutchAuction,
+          isActive: true,
+          highestBidder: ethers.ZeroAddress,
+          highestBid: '0',
+          endTime: args.endTime,
+          listedEndTime: args.endTime,
+          listingTime,
+          floorPrice,
+          // Dutch auctions start lowering their price when listed
+          startTime: isDutchAuction ? listingTime : 0,
+          currency
+        }
+      };
+    }
+    case 'ListingScheduled':
+      // Follows CardListed when a fixed-price listing opens later
+      return { tokenId, owners: [], listing: { startTime: Number(args.startTime) } };
+    case 'ListingUpdated':
+      // The seller changed the price, or the starting price and end time of an auction without bids
+      return {
+        tokenId,
+        owners: [],
+        listing: { price: args.price.toString(), endTime: args.endTime, listedEndTime: args.endTime }
+      };
+    case 'AuctionBid':
+      return {
+        tokenId,
+        owners: [],
+        listing: {
+          highestBidder: args.bidder,
+          highestBid: args.bid.toString()
+        }
+      };
+    case 'AuctionExtended':
+      // A late bid moved the end of the auction
+      return { tokenId, owners: [], listing: { endTime: args.endTime } };
+    case 'CardSold':
+      return { tokenId, owner: args.buyer, owners: [args.buyer, tradingAddress], listing: { isActive: false } };
+    case 'AuctionEnded':
+      return { tokenId, owner: args.winner, owners: [args.winner, tradingAddress], listing: { isActive: false } };
+    case 'CardListingCancelled':
+      // Also emitted when an auction ends without bids
+      return { tokenId, owner: args.seller, owners: [args.seller, tradingAddress], listing: { isActive: false } };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Subscribe to the listing events of a trading contract.
+ * @param {ethers.Contract} tradingContract - Trading contract instance, bound to a provider that supports subscriptions
+ * @param {Function} onUpdate - Called with { tokenId, owner, owners, listing } for every event
+ * @param {Object} options - getCurrency, resolving the currency address of a new listing to { address, symbol, decimals }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToListingEvents = (tradingContract, onUpdate, { getCurrency }) => {
+  // Events are processed one after another, so a slow block lookup cannot reorder them
+  let processing = Promise.resolve();
+
+  // A single wildcard subscription receives all trading logs in chain order
+  const listener = (payload) => {
+    const eventName = payload.eventName;
+    if (!MARKETPLACE_EVENTS.includes(eventName)) return;
+
+    processing = processing.then(async () => {
+      try {
+        const update = await toListingUpdate(eventName, payload.args, payload, tradingContract, getCurrency);
+        if (update) onUpdate(update);
+      } catch (error) {
+        console.error(`Failed to process ${eventName} event:`, error);
+      }
+    });
+  };
+  tradingContract.on('*', listener);
+
+  return () => {
+    tradingContract.off('*', listener);
+  };
+};
+
+/**
+ * Apply the live update of a token to card data loaded earlier.
+ * @param {Object} card - Card data as returned by getCardData (or null)
+ * @param {Object} update - Accumulated live update for the token (or undefined)
+ * @returns {Object} Card data with the live owner and listing fields
+ */
+export const applyListingUpdate = (card, update) => {
+  if (!card || !update) return card;
+
+  return {
+    ...card,
+    owner: update.owner ?? card.owner,
+    listing: { ...card.listing, ...update.listing }
+  };
+};
@@ -0,0 +1,154 @@
+import { ethers } from 'ethers';
+import Multicall3ABI from '../contracts/Multicall3.json';
+
+// Batches contract reads issued in the same tick into a single Multicall3 aggregate3 call
+
+// Canonical Multicall3 deployment, available on mainnet, Sepolia and most public networks
+export const CANONICAL_MULTICALL_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Maximum number of calls per aggregate3 request, keeps eth_call payloads and gas usage reasonable
+const MAX_CALLS_PER_BATCH = 100;
+
+// Decode the return data of a call the same way ethers.Contract does (single outputs are unwrapped)
+const decodeResult = (contractInterface, fragment, returnData) => {
+  const result = contractInterface.decodeFunctionResult(fragment, returnData);
+  return result.length === 1 ? result[0] : result;
+};
+
+/**
+ * Create a read batcher bound to a provider.
+ * Calls queued during the same tick are sent as one aggregate3 call, identical calls share one request.
+ * If an aggregate call fails, its calls fall back to individual eth_calls; batching is only turned off
+ * for good once no multicall contract code exists at the address.
+ * @param {ethers.Provider} provider - Provider used for the aggregated calls
+ * @param {string} multicallAddress - Address of a Multicall3 compatible contract
+ * @returns {{ call: Function, getBlockNumber: Function }} Batcher exposing call(contract, method, args)
+ */
+export const createMulticallBatcher = (provider, multicallAddress = CANONICAL_MULTICALL_ADDRESS) => {
+  const multicall = new ethers.Contract(multicallAddress, Multicall3ABI.abi, provider);
+
+  // Pending calls for the current tick, keyed by target + calldata for dedupe
+  let queue = new Map();
+  let multicallAvailable = true;
+  // Pending bytecode lookup of the multicall contract, so concurrent failures check it once
+  let codeCheck = null;
+
+  // Run a single call directly, used when multicall is unavailable
+  const callDirect = async ({ target, callData, contractInterface, fragment }) => {
+    try {
+      const returnData = await provider.call({ to: target, data: callData });
+      return decodeResult(contractInterface, fragment, returnData);
+    } catch (error) {
+      // Surface the same decoded revert as a multicall failure would
+      if (error?.data) {
+        throw contractInterface.makeError(error.data, { to: target, data: callData });
+      }
+      throw error;
+    }
+  };
+
+  // Turn batching off if the multicall contract does not exist, any other failure may be transient
+  const checkMulticallDeployed = () => {
+    if (!codeCheck) {
+      codeCheck = provider.getCode(multicallAddress)
+        .then(code => {
+          if (code === '0x') {
+            console.warn(`No multicall contract at ${multicallAddress}, using individual calls`);
+            multicallAvailable = false;
+          }
+        })
+        .catch(error => console.warn('Failed to check the multicall contract:', error))
+        .finally(() => {
+          codeCheck = null;
+        });
+    }
+    return codeCheck;
+  };
+
+  // Send one chunk of queued calls and settle their promises
+  const executeBatch = async (entries) => {
+    if (multicallAvailable) {
+      try {
+        const results = await multicall.aggregate3.staticCall(
+          entries.map(({ target, callData }) => ({ target, allowFailure: true, callData }))
+        );
+
+        entries.forEach((entry, i) => {
+          const { success, returnData } = results[i];
+          try {
+            if (success) {
+              entry.resolve(decodeResult(entry.contractInterface, entry.fragment, returnData));
+            } else {
+              entry.reject(entry.contractInterface.makeError(returnData, { to: entry.target, data: entry.callData }));
+            }
+          } catch (error) {
+            entry.reject(error);
+          }
+        });
+        return;
+      } catch (error) {
+        console.warn('Multicall failed, falling back to individual calls for this batch:', error);
+        checkMulticallDeployed();
+      }
+    }
+
+    await Promise.all(entries.map(entry =>
+      callDirect(entry).then(entry.resolve, entry.reject)
+    ));
+  };
+
+  // Flush everything queued during the tick
+  const flush = () => {
+    const entries = Array.from(queue.values());
+    queue = new Map();
+
+    for (let i = 0; i < entries.length; i += MAX_CALLS_PER_BATCH) {
+      executeBatch(entries.slice(i, i + MAX_CALLS_PER_BATCH));
+    }
+  };
+
+  /**
+   * Queue a read call on a contract.
+   * @param {ethers.Contract} contract - Contract to call
+   * @param {string} method - Name of the view function
+   * @param {Array} args - Function arguments
+   * @returns {Promise<any>} Decoded result, as ethers.Contract would return it
+   */
+  const call = (contract, method, args = []) => {
+    const contractInterface = contract.interface;
+    const fragment = contractInterface.getFunction(method, args);
+    const target = contract.target;
+    const callData = contractInterface.encodeFunctionData(fragment, args);
+    const key = `${String(target).toLowerCase()}:${callData}`;
+
+    // Same call already queued in this tick, share its result
+    if (queue.has(key)) {
+      return queue.get(key).promise;
+    }
+
+    if (queue.size === 0) {
+      setTimeout(flush, 0);
+    }
+
+    const entry = { target, callData, contractInterface, fragment };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    queue.set(key, entry);
+
+    return entry.promise;
+  };
+
+  // Block number the reads queued in this tick are executed at, read in the same aggregate call
+  const getBlockNumber = () => {
+    if (!multicallAvailable) {
+      return provider.getBlockNumber();
+    }
+    return call(multicall, 'getBlockNumber')
+      .then(Number)
+      .catch(() => provider.getBlockNumber());
+  };
+
+  return { call, getBlockNumber };
+};
@@ -0,0 +1,97 @@
+import { getNetworkName } from '../utils';
+
+// Network guard: the chain the contracts are deployed on, switching the wallet to it and checking the deployment
+
+// Local Hardhat chain, the only one wallets are asked to add since they already know public networks
+export const HARDHAT_CHAIN_ID = 31337;
+
+// EIP-3085 code for a chain the wallet does not know
+const UNRECOGNIZED_CHAIN = 4902;
+
+// Bytecode checks per chain and addresses, reused for CODE_CHECK_TTL_MS so a restarted node is noticed
+const codeChecks = new Map();
+const CODE_CHECK_TTL_MS = 10000;
+
+// Chain the contracts are deployed on (VITE_NETWORK_ID, written by the deploy scripts), null if not configured
+export const getConfiguredChainId = () => {
+  const chainId = Number(import.meta.env.VITE_NETWORK_ID);
+  return Number.isInteger(chainId) && chainId > 0 ? chainId : null;
+};
+
+const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+// wallet_addEthereumChain parameters of the local Hardhat chain
+const getHardhatChainParams = () => ({
+  chainId: toHexChainId(HARDHAT_CHAIN_ID),
+  chainName: 'Hardhat Localhost',
+  nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+  rpcUrls: [import.meta.env.VITE_RPC_URL || 'http://127.0.0.1:8545']
+});
+
+// Mobile MetaMask wraps the 4902 code in data.originalError
+const isUnrecognizedChain = (error) =>
+  error?.code === UNRECOGNIZED_CHAIN || error?.data?.originalError?.code === UNRECOGNIZED_CHAIN;
+
+/**
+ * Error thrown when a write is attempted while the wallet is on another chain than the contracts.
+ * @param {number} chainId - Chain the wallet is connected to
+ * @param {number} expectedChainId - Chain the contracts are deployed on
+ * @returns {Error} Error with code WRONG_NETWORK
+ */
+export const wrongNetworkError = (chainId, expectedChainId) => Object.assign(
+  new Error(`Wallet is connected to ${getNetworkName(chainId)}, the contracts are deployed on ${getNetworkName(expectedChainId)}`),
+  { code: 'WRONG_NETWORK', chainId, expectedChainId }
+);
+
+/**
+ * Error thrown when a write is attempted while no contract code exists at a configured address.
+ * @param {Array<string>} addresses - Configured addresses without bytecode
+ * @returns {Error} Error with code CONTRACTS_NOT_DEPLOYED
+ */
+export const contractsNotDeployedError = (addresses) => Object.assign(
+  new Error(`No contract code at ${addresses.join(', ')}`),
+  { code: 'CONTRACTS_NOT_DEPLOYED', addresses }
+);
+
+/**
+ * Ask the wallet to switch to a chain, adding the local Hardhat chain first if the wallet does not know it.
+ * @param {Object} ethereum - EIP-1193 provider of the wallet
+ * @param {number} chainId - Chain to switch to
+ * @returns {Promise<void>}
+ */
+export const switchWalletChain = async (ethereum, chainId) => {
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: toHexChainId(chainId) }] });
+  } catch (error) {
+    if (!isUnrecognizedChain(error) || Number(chainId) !== HARDHAT_CHAIN_ID) {
+      throw error;
+    }
+
+    // Adding a chain also switches to it
+    await ethereum.request({ method: 'wallet_addEthereumChain', params: [getHardhatChainParams()] });
+  }
+};
+
+/**
+ * Find the configured contract addresses without bytecode on the provider's chain, e.g. after a Hardhat restart.
+ * @param {ethers.Provider} provider - Provider connected to the chain to check
+ * @param {Array<string>} addresses - Contract addresses
+ * @returns {Promise<Array<string>>} Addresses without code, empty if every contract is deployed
+ */
+export const findMissingContracts = async (provider, addresses) => {
+  const { chainId } = await provider.getNetwork();
+  const key = `${chainId}:${addresses.map(address => address.toLowerCase()).join(',')}`;
+
+  const cached = codeChecks.get(key);
+  if (cached && Date.now() - cached.checkedAt < CODE_CHECK_TTL_MS) {
+    return cached.check;
+  }
+
+  const check = Promise.all(addresses.map(address => provider.getCode(address)))
+    .then(codes => addresses.filter((address, i) => !codes[i] || codes[i] === '0x'));
+  // A failed lookup says nothing about the deployment, so it is retried next time
+  check.catch(() => codeChecks.delete(key));
+  codeChecks.set(key, { check, checkedAt: Date.now() });
+
+  return check;
+};
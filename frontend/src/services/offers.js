@@ -0,0 +1,39 @@
+import { ethers } from 'ethers';
+
+// Offers on unlisted cards, as stored by PokemonCardTrading
+
+// PokemonCardTrading.OfferStatus
+export const OFFER_STATUS = {
+  NONE: 0,
+  ACTIVE: 1,
+  ACCEPTED: 2,
+  REJECTED: 3,
+  WITHDRAWN: 4
+};
+
+// Longest an offer can stand, PokemonCardTrading.MAX_OFFER_DURATION
+export const MAX_OFFER_DURATION = 30 * 86400;
+
+/**
+ * Turn an offer read from the trading contract into plain values.
+ * @param {number|bigint} offerId - ID of the offer
+ * @param {Object} offer - Offer struct returned by PokemonCardTrading.offers
+ * @returns {Object} { offerId, tokenId, bidder, amount, expiresAt, counterAmount, counteredBy, status },
+ * amounts in Wei, counteredBy null if the offer was not countered
+ */
+export const toOffer = (offerId, offer) => ({
+  offerId: Number(offerId),
+  tokenId: Number(offer.tokenId),
+  bidder: offer.bidder,
+  amount: offer.amount.toString(),
+  expiresAt: Number(offer.expiresAt),
+  counterAmount: offer.counterAmount.toString(),
+  counteredBy: offer.counteredBy === ethers.ZeroAddress ? null : offer.counteredBy,
+  status: Number(offer.status)
+});
+
+// Whether the owner can still accept, counter or reject the offer, and the bidder accept its counter offer
+export const isOfferOpen = (offer, now) => offer.status === OFFER_STATUS.ACTIVE && now < offer.expiresAt;
+
+// Whether the bidder can withdraw the offer's escrow
+export const isOfferWithdrawable = (offer, now) => offer.status === OFFER_STATUS.ACTIVE && now >= offer.expiresAt;
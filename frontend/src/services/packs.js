@@ -0,0 +1,78 @@
+import { ethers } from 'ethers';
+
+// Booster packs: commit-reveal secrets kept in the browser between buying and opening a pack
+
+const SECRETS_STORAGE_KEY = 'pokemon-card-trading:pack-secrets';
+
+// Blocks after the purchase a pack can be opened in, and after its expiry it can be settled in,
+// PokemonCardPacks.REVEAL_WINDOW
+export const REVEAL_WINDOW = 256;
+
+export const PACK_STATUS = {
+  READY: 'ready',
+  OPENED: 'opened',
+  // Not opened in time, anyone can settle it to mint its cards
+  EXPIRED: 'expired',
+  // Not settled in time either, it keeps neither cards nor payment
+  LAPSED: 'lapsed',
+  // Bought in another browser, or its secret was cleared with the site data
+  SECRET_MISSING: 'secret-missing'
+};
+
+const loadSecrets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SECRETS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const saveSecrets = (secrets) => {
+  try {
+    localStorage.setItem(SECRETS_STORAGE_KEY, JSON.stringify(secrets));
+  } catch (error) {
+    console.warn('Failed to persist the pack secrets:', error);
+  }
+};
+
+// Secrets are stored per packs contract and commitment, the commitment is known before the pack ID is
+const secretKey = (packsAddress, commitment) => `${packsAddress.toLowerCase()}:${commitment.toLowerCase()}`;
+
+/**
+ * Create the secret of a new pack and remember it, before the purchase is even signed so it survives a reload.
+ * @param {string} packsAddress - Address of the packs contract
+ * @returns {Object} { secret, commitment }, the commitment being the keccak256 hash the pack is bought with
+ */
+export const createPackSecret = (packsAddress) => {
+  const secret = ethers.hexlify(ethers.randomBytes(32));
+  const commitment = ethers.keccak256(secret);
+
+  saveSecrets({ ...loadSecrets(), [secretKey(packsAddress, commitment)]: secret });
+  return { secret, commitment };
+};
+
+// Secret committed to by a pack, null if this browser does not know it
+export const getPackSecret = (packsAddress, commitment) => loadSecrets()[secretKey(packsAddress, commitment)] || null;
+
+// Drop the secret of an opened pack, or of a purchase that failed
+export const forgetPackSecret = (packsAddress, commitment) => {
+  const secrets = loadSecrets();
+  delete secrets[secretKey(packsAddress, commitment)];
+  saveSecrets(secrets);
+};
+
+/**
+ * Whether a pack can be opened or settled by the next transaction.
+ * @param {Object} pack - { commitBlock, opened, hasSecret }
+ * @param {number} blockNumber - Latest block, the opening transaction is mined after it
+ * @returns {string} One of PACK_STATUS
+ */
+export const getPackStatus = ({ commitBlock, opened, hasSecret }, blockNumber) => {
+  if (opened) return PACK_STATUS.OPENED;
+  // Settling is possible once the first block the pack cannot be opened in is mined
+  const expiryBlock = commitBlock + REVEAL_WINDOW + 1;
+  if (blockNumber + 1 - expiryBlock > REVEAL_WINDOW) return PACK_STATUS.LAPSED;
+  if (blockNumber + 1 - commitBlock > REVEAL_WINDOW) return PACK_STATUS.EXPIRED;
+  if (!hasSecret) return PACK_STATUS.SECRET_MISSING;
+  return PACK_STATUS.READY;
+};
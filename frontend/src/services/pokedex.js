@@ -0,0 +1,16 @@
+import pokedex from '../data/pokedex.json';
+
+// Bundled Gen-1 Pokédex, generated from a PokeAPI dump by scripts/build-pokedex.js
+
+// Version of the dataset shape, bumped by the build script
+export const POKEDEX_VERSION = pokedex.version;
+
+// Gen-1 types as { id, name, label, color }, in PokeAPI type ID order
+export const POKEMON_TYPES = pokedex.types;
+
+/**
+ * Get the Pokédex entry of a Pokémon.
+ * @param {number|string} pokemonId - National Pokédex number (1-151)
+ * @returns {Object|null} Entry with name, types, typeIds, stats, height (m), weight (kg) and flavorText
+ */
+export const getPokedexEntry = (pokemonId) => pokedex.pokemon[Number(pokemonId)] || null;
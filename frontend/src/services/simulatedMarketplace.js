@@ -0,0 +1,1434 @@
+import { ethers } from 'ethers';
+import { buildTokenURI } from './tokenMetadata';
+
+// In-memory marketplace backend, selected with VITE_MARKETPLACE_BACKEND=simulated
+//
+// The token, trading, packs and bundles stand-ins follow the rules of PokemonCardToken, PokemonCardTrading,
+// PokemonCardPacks and PokemonCardBundles, the prize token those of MockERC20, and implement the part of
+// the ethers Contract and Provider API the app uses: reads, writes returning transactions, event queries and
+// subscriptions. Reverts are thrown like a node reports them, so errors decode the same way as on a real chain.
+// Like the contracts, every write runs its checks before changing state, so a revert leaves no trace.
+// Every write mines a block; time follows the wall clock plus whatever advanceTime added.
+
+export const SIMULATED_CHAIN_ID = 1337;
+
+// Every simulated account starts with this balance
+const INITIAL_BALANCE = ethers.parseEther('100');
+
+// Gen-1 Pokédex range of the minted cards
+const POKEMON_COUNT = 151;
+
+const BASIS_POINTS = 10000n;
+
+const LISTING_TYPE = { FIXED_PRICE: 0n, AUCTION: 1n, DUTCH_AUCTION: 2n };
+const OFFER_STATUS = { NONE: 0n, ACTIVE: 1n, ACCEPTED: 2n, REJECTED: 3n, WITHDRAWN: 4n };
+const MAX_OFFER_DURATION = 30n * 86400n;
+const SWAP_STATUS = { NONE: 0n, PENDING: 1n, ACCEPTED: 2n, CANCELLED: 3n };
+const MAX_SWAP_CARDS = 10;
+
+// Sale fees in basis points, as deployed by scripts/deploy.js (2.5% platform fee, 5% creator royalty)
+const PLATFORM_FEE = 250n;
+const ROYALTY = 500n;
+
+// Auction rules, as deployed by scripts/deploy.js (5% minimum increment, bids in the last 5 minutes add 5 minutes)
+const MIN_BID_INCREMENT = 500n;
+const MIN_BID_INCREMENT_AMOUNT = 0n;
+const AUCTION_EXTENSION_WINDOW = 300n;
+const AUCTION_EXTENSION = 300n;
+
+// Pack sale, as deployed by scripts/deploy.js with the default odds (COMMON 80%, RARE 17%, EPIC 3%)
+const PACK_PRICE = ethers.parseEther('0.01');
+const CARDS_PER_PACK = 5n;
+const RARITY_ODDS = [8000n, 1700n, 300n];
+const REVEAL_WINDOW = 256;
+
+// Bundle size, like PokemonCardBundles
+const MIN_BUNDLE_CARDS = 2;
+const MAX_BUNDLE_CARDS = 10;
+
+// Prize token allowed as a listing currency, like the MockERC20 scripts/deploy.js deploys on local chains
+const PRIZE_SYMBOL = 'PRIZE';
+const PRIZE_DECIMALS = 6n;
+const PRIZE_GRANT = ethers.parseUnits('1000', PRIZE_DECIMALS);
+
+// Stable, obviously fake addresses
+const simulatedAddress = (name) => ethers.getAddress(ethers.dataSlice(ethers.id(`simulated:${name}`), 12));
+
+export const SIMULATED_ACCOUNTS = [
+  { name: 'Collector', address: simulatedAddress('collector') },
+  { name: 'Seller', address: simulatedAddress('seller') },
+  { name: 'Bidder', address: simulatedAddress('bidder') }
+];
+
+const TOKEN_ADDRESS = simulatedAddress('token');
+const TRADING_ADDRESS = simulatedAddress('trading');
+const PACKS_ADDRESS = simulatedAddress('packs');
+const BUNDLES_ADDRESS = simulatedAddress('bundles');
+const PRIZE_ADDRESS = simulatedAddress('prize');
+
+const sameAddress = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Revert with a require string, shaped like the CALL_EXCEPTION ethers throws during gas estimation
+const revert = (reason) => ethers.makeError(`execution reverted: "${reason}"`, 'CALL_EXCEPTION', {
+  action: 'estimateGas',
+  data: null,
+  reason,
+  transaction: {},
+  invocation: null,
+  revert: { signature: 'Error(string)', name: 'Error', args: [reason] }
+});
+
+// Revert with a custom error (OpenZeppelin ERC721 errors)
+const revertWith = (name, args = []) => ethers.makeError(`execution reverted: ${name}`, 'CALL_EXCEPTION', {
+  action: 'estimateGas',
+  data: null,
+  reason: null,
+  transaction: {},
+  invocation: null,
+  revert: { signature: `${name}()`, name, args }
+});
+
+const ensure = (condition, reason) => {
+  if (!condition) throw revert(reason);
+};
+
+/**
+ * Create a simulated chain with the token, trading, packs and bundles contracts deployed and a few cards minted and listed.
+ * @returns {Object} Contract, provider and batcher stand-ins, plus the accounts, sender and clock controls
+ */
+export const createSimulatedMarketplace = () => {
+  // Chain
+  let sender = SIMULATED_ACCOUNTS[0].address;
+  let timeOffset = 0;
+  let nonce = 0;
+  const blocks = [];
+  const events = [];
+  const listeners = new Set();
+  const balances = new Map(SIMULATED_ACCOUNTS.map(account => [account.address.toLowerCase(), INITIAL_BALANCE]));
+
+  // Token state
+  const cards = [];
+  const owners = new Map();
+  const tokenApprovals = new Map();
+  const operatorApprovals = new Set();
+
+  // Trading state
+  const listings = new Map();
+  // Hidden auction reserves, only readable through getReserveStatus
+  const reservePrices = new Map();
+  const pendingWithdrawals = new Map();
+  const offers = [];
+  const swaps = [];
+  // Like the deployer, the first account receives the platform fee and the royalties
+  const feeRecipient = SIMULATED_ACCOUNTS[0].address;
+
+  // Packs state, the first account owns the pack sale
+  const packs = [];
+  const packsOwner = SIMULATED_ACCOUNTS[0].address;
+
+  // Bundles state, sale proceeds and refunds are held apart from the trading contract's, token balances per token
+  const bundles = [];
+  const bundleWithdrawals = new Map();
+  const bundleTokenWithdrawals = new Map();
+
+  // Listing currencies: the allowed tokens, the token of each listing (none for ETH) and the token balances credited
+  // per token
+  const allowedCurrencies = new Set();
+  const listingCurrencies = new Map();
+  const tokenWithdrawals = new Map();
+
+  // Prize token state
+  const prizeBalances = new Map();
+  const prizeAllowances = new Map();
+
+  const now = () => Math.floor(Date.now() / 1000) + timeOffset;
+  const latestBlock = () => blocks[blocks.length - 1];
+
+  const mineBlock = () => {
+    const block = { number: blocks.length, timestamp: Math.max(now(), latestBlock()?.timestamp ?? 0) };
+    blocks.push(block);
+    return block;
+  };
+
+  const balanceOf = (address) => balances.get(address.toLowerCase()) ?? 0n;
+  const credit = (map, address, amount) => map.set(address.toLowerCase(), (map.get(address.toLowerCase()) ?? 0n) + amount);
+
+  // Run a write as the current sender in a new block
+  const send = (run, { value = 0n } = {}) => {
+    const from = sender;
+    if (value > balanceOf(from)) {
+      throw ethers.makeError('insufficient funds for intrinsic transaction cost', 'INSUFFICIENT_FUNDS', {
+        transaction: { from, value }
+      });
+    }
+
+    const emitted = [];
+    const block = { number: blocks.length, timestamp: Math.max(now(), latestBlock()?.timestamp ?? 0) };
+    const emit = (eventName, args, address = TRADING_ADDRESS) => emitted.push({ eventName, args, address });
+    run({ from, value, timestamp: block.timestamp, blockNumber: block.number, emit });
+
+    blocks.push(block);
+    balances.set(from.toLowerCase(), balanceOf(from) - value);
+    const hash = ethers.id(`simulated-tx:${nonce}`);
+    const txNonce = nonce++;
+
+    const logged = emitted.map(({ eventName, args, address }) => {
+      const event = {
+        address,
+        eventName,
+        args,
+        blockNumber: block.number,
+        index: events.length,
+        transactionHash: hash,
+        getBlock: async () => block
+      };
+      events.push(event);
+      return event;
+    });
+
+    // Current subscribers hear about the events after the call returns, like logs arriving from a node
+    const subscribers = [...listeners];
+    setTimeout(() => logged
+      .filter(event => event.address === TRADING_ADDRESS)
+      .forEach(event => subscribers.forEach(listener => listener(event))), 0);
+
+    const receipt = { hash, blockNumber: block.number, gasUsed: 0n, status: 1, logs: [] };
+    const tx = {
+      hash,
+      from,
+      nonce: txNonce,
+      wait: async () => receipt,
+      replaceableTransaction: () => tx
+    };
+    return tx;
+  };
+
+  // Token
+
+  const requireMinted = (tokenId) => {
+    if (!owners.has(Number(tokenId))) throw revertWith('ERC721NonexistentToken', [BigInt(tokenId)]);
+  };
+
+  const ownerOf = (tokenId) => {
+    requireMinted(tokenId);
+    return owners.get(Number(tokenId));
+  };
+
+  const isApprovedForAll = (owner, operator) => operatorApprovals.has(`${owner.toLowerCase()}:${operator.toLowerCase()}`);
+
+  const getApproved = (tokenId) => {
+    requireMinted(tokenId);
+    return tokenApprovals.get(Number(tokenId)) ?? ethers.ZeroAddress;
+  };
+
+  const ownedTokens = (owner) => [...owners.entries()]
+    .filter(([, tokenOwner]) => sameAddress(tokenOwner, owner))
+    .map(([tokenId]) => tokenId);
+
+  // transferFrom as called by `spender`, with ERC721 authorization
+  const transfer = (spender, from, to, tokenId, emit) => {
+    const owner = ownerOf(tokenId);
+    if (!sameAddress(owner, from)) throw revertWith('ERC721IncorrectOwner', [from, BigInt(tokenId), owner]);
+
+    const authorized = sameAddress(spender, owner) ||
+      isApprovedForAll(owner, spender) ||
+      sameAddress(getApproved(tokenId), spender);
+    if (!authorized) throw revertWith('ERC721InsufficientApproval', [spender, BigInt(tokenId)]);
+
+    tokenApprovals.delete(Number(tokenId));
+    owners.set(Number(tokenId), to);
+    emit('Transfer', { from, to, tokenId: BigInt(tokenId) }, TOKEN_ADDRESS);
+  };
+
+  const mint = (to, pokemonId, rarity) => {
+    const tokenId = cards.length;
+    cards.push({ pokemonId: BigInt(pokemonId), rarity: BigInt(rarity) });
+    owners.set(tokenId, to);
+    return tokenId;
+  };
+
+  const tokenContract = {
+    target: TOKEN_ADDRESS,
+    simulated: true,
+    getAddress: async () => TOKEN_ADDRESS,
+
+    getPokemonCard: async (tokenId) => {
+      ensure(Number(tokenId) < cards.length, 'Query for nonexistent token');
+      return cards[Number(tokenId)];
+    },
+    tokenURI: async (tokenId) => {
+      requireMinted(tokenId);
+      const { pokemonId, rarity } = cards[Number(tokenId)];
+      return buildTokenURI(Number(tokenId), Number(pokemonId), Number(rarity));
+    },
+    ownerOf: async (tokenId) => ownerOf(tokenId),
+    balanceOf: async (owner) => BigInt(ownedTokens(owner).length),
+    tokenOfOwnerByIndex: async (owner, index) => {
+      const tokenIds = ownedTokens(owner);
+      if (Number(index) >= tokenIds.length) throw revertWith('ERC721OutOfBoundsIndex', [owner, BigInt(index)]);
+      return BigInt(tokenIds[Number(index)]);
+    },
+    getApproved: async (tokenId) => getApproved(tokenId),
+    isApprovedForAll: async (owner, operator) => isApprovedForAll(owner, operator),
+    royaltyInfo: async (tokenId, salePrice) => [feeRecipient, (BigInt(salePrice) * ROYALTY) / BASIS_POINTS],
+
+    approve: async (to, tokenId) => send(({ from, emit }) => {
+      const owner = ownerOf(tokenId);
+      if (!sameAddress(owner, from) && !isApprovedForAll(owner, from)) {
+        throw revertWith('ERC721InvalidApprover', [from]);
+      }
+      tokenApprovals.set(Number(tokenId), to);
+      emit('Approval', { owner, approved: to, tokenId: BigInt(tokenId) }, TOKEN_ADDRESS);
+    }),
+    setApprovalForAll: async (operator, approved) => send(({ from, emit }) => {
+      const key = `${from.toLowerCase()}:${operator.toLowerCase()}`;
+      if (approved) operatorApprovals.add(key);
+      else operatorApprovals.delete(key);
+      emit('ApprovalForAll', { owner: from, operator, approved }, TOKEN_ADDRESS);
+    })
+  };
+
+  // Prize token
+
+  const prizeBalanceOf = (address) => prizeBalances.get(address.toLowerCase()) ?? 0n;
+  const prizeAllowance = (owner, spender) => prizeAllowances.get(`${owner.toLowerCase()}:${spender.toLowerCase()}`) ?? 0n;
+
+  // Move prize tokens, spending the allowance of the spender unless it is the holder, like ERC20.transferFrom
+  const transferPrize = (spender, from, to, amount, emit) => {
+    const allowance = prizeAllowance(from, spender);
+    const spendsAllowance = !sameAddress(spender, from);
+    if (spendsAllowance && allowance < amount) throw revertWith('ERC20InsufficientAllowance', [spender, allowance, amount]);
+    if (prizeBalanceOf(from) < amount) throw revertWith('ERC20InsufficientBalance', [from, prizeBalanceOf(from), amount]);
+
+    if (spendsAllowance) prizeAllowances.set(`${from.toLowerCase()}:${spender.toLowerCase()}`, allowance - amount);
+    prizeBalances.set(from.toLowerCase(), prizeBalanceOf(from) - amount);
+    credit(prizeBalances, to, amount);
+    emit('Transfer', { from, to, value: amount }, PRIZE_ADDRESS);
+  };
+
+  const prizeContract = {
+    target: PRIZE_ADDRESS,
+    simulated: true,
+    getAddress: async () => PRIZE_ADDRESS,
+
+    symbol: async () => PRIZE_SYMBOL,
+    decimals: async () => PRIZE_DECIMALS,
+    balanceOf: async (account) => prizeBalanceOf(account),
+    allowance: async (owner, spender) => prizeAllowance(owner, spender),
+
+    approve: async (spender, amount) => send(({ from, emit }) => {
+      prizeAllowances.set(`${from.toLowerCase()}:${spender.toLowerCase()}`, BigInt(amount));
+      emit('Approval', { owner: from, spender, value: BigInt(amount) }, PRIZE_ADDRESS);
+    })
+  };
+
+  // Only the prize token is deployed on the simulated chain
+  const getCurrencyContract = (address) => {
+    if (!sameAddress(address, PRIZE_ADDRESS)) throw new Error(`No simulated token at ${address}`);
+    return prizeContract;
+  };
+
+  // Trading
+
+  const getListingCurrency = (tokenId) => listingCurrencies.get(Number(tokenId)) ?? ethers.ZeroAddress;
+  const isEthCurrency = (currency) => sameAddress(currency, ethers.ZeroAddress);
+
+  const tokenWithdrawalsOf = (currency) => {
+    const key = currency.toLowerCase();
+    if (!tokenWithdrawals.has(key)) tokenWithdrawals.set(key, new Map());
+    return tokenWithdrawals.get(key);
+  };
+
+  // Add to a withdrawable balance in ETH or a token, like PokemonCardTrading._credit
+  const creditIn = (currency, address, amount) => (
+    credit(isEthCurrency(currency) ? pendingWithdrawals : tokenWithdrawalsOf(currency), address, amount)
+  );
+
+  // Take the price of a sale from the buyer, like PokemonCardTrading._collectPayment
+  const collectPayment = ({ from, value, emit }, currency, price, maxPrice) => {
+    ensure(price <= BigInt(maxPrice), 'Price is above the maximum');
+    if (isEthCurrency(currency)) {
+      ensure(value >= price, 'Insufficient payment');
+      if (value > price) credit(pendingWithdrawals, from, value - price);
+    } else {
+      ensure(value === 0n, 'Listing is paid in a token');
+      transferPrize(TRADING_ADDRESS, from, TRADING_ADDRESS, price, emit);
+    }
+  };
+
+  const emptyListing = {
+    seller: ethers.ZeroAddress,
+    tokenId: 0n,
+    price: 0n,
+    endTime: 0n,
+    highestBidder: ethers.ZeroAddress,
+    highestBid: 0n,
+    listingType: LISTING_TYPE.FIXED_PRICE,
+    active: false,
+    buyNowPrice: 0n,
+    floorPrice: 0n,
+    startTime: 0n
+  };
+
+  const getListing = (tokenId) => listings.get(Number(tokenId)) ?? { ...emptyListing };
+
+  const requireApproved = (tokenId, from) => ensure(
+    sameAddress(getApproved(tokenId), TRADING_ADDRESS) || isApprovedForAll(from, TRADING_ADDRESS),
+    'Trading contract is not approved to transfer this token'
+  );
+
+  // Extra holds the fields only some listing types use: buyNowPrice, floorPrice and startTime
+  const list = ({ from, emit }, tokenId, price, listingType, endTime, extra = {}, currency = ethers.ZeroAddress) => {
+    ensure(sameAddress(ownerOf(tokenId), from), 'You must own the card to list it');
+    ensure(!getListing(tokenId).active, 'Card already has an active listing');
+    requireApproved(tokenId, from);
+    ensure(isEthCurrency(currency) || allowedCurrencies.has(currency.toLowerCase()), 'Currency is not allowed');
+
+    listingCurrencies.set(Number(tokenId), currency);
+
+    listings.set(Number(tokenId), {
+      seller: from,
+      tokenId: BigInt(tokenId),
+      price,
+      endTime,
+      highestBidder: ethers.ZeroAddress,
+      highestBid: 0n,
+      listingType,
+      active: true,
+      buyNowPrice: 0n,
+      floorPrice: 0n,
+      startTime: 0n,
+      ...extra
+    });
+    transfer(TRADING_ADDRESS, from, TRADING_ADDRESS, tokenId, emit);
+    emit('CardListed', { tokenId: BigInt(tokenId), price, listingType, endTime, seller: from });
+  };
+
+  // Split of a sale between the seller, the royalty receiver and the fee recipient, like PokemonCardTrading.getSaleBreakdown
+  const getSaleBreakdown = (price) => {
+    const platformFeeAmount = (price * PLATFORM_FEE) / BASIS_POINTS;
+    const royaltyAmount = (price * ROYALTY) / BASIS_POINTS;
+    return {
+      sellerProceeds: price - platformFeeAmount - royaltyAmount,
+      royaltyReceiver: feeRecipient,
+      royaltyAmount,
+      platformFeeAmount
+    };
+  };
+
+  const distributeSaleProceeds = (emit, tokenId, seller, price, currency = ethers.ZeroAddress) => {
+    const { sellerProceeds, royaltyReceiver, royaltyAmount, platformFeeAmount } = getSaleBreakdown(price);
+    creditIn(currency, seller, sellerProceeds);
+    if (royaltyAmount !== 0n) creditIn(currency, royaltyReceiver, royaltyAmount);
+    if (platformFeeAmount !== 0n) creditIn(currency, feeRecipient, platformFeeAmount);
+    emit('SaleProceedsDistributed', {
+      tokenId: BigInt(tokenId),
+      seller,
+      sellerProceeds,
+      royaltyReceiver,
+      royaltyAmount,
+      feeRecipient,
+      platformFeeAmount,
+      currency
+    });
+  };
+
+  // Current price of a Dutch auction, like PokemonCardTrading.getDutchAuctionPrice
+  const getDutchAuctionPrice = (listing, timestamp) => {
+    if (BigInt(timestamp) >= listing.endTime) return listing.floorPrice;
+    const elapsed = BigInt(timestamp) - listing.startTime;
+    return listing.price - ((listing.price - listing.floorPrice) * elapsed) / (listing.endTime - listing.startTime);
+  };
+
+  // Lowest bid an auction accepts next, like PokemonCardTrading.getMinimumBid
+  const getMinimumBid = (listing) => {
+    if (listing.highestBidder === ethers.ZeroAddress) return listing.price;
+
+    let increment = (listing.highestBid * MIN_BID_INCREMENT) / BASIS_POINTS;
+    if (MIN_BID_INCREMENT_AMOUNT > increment) increment = MIN_BID_INCREMENT_AMOUNT;
+    return listing.highestBid + (increment === 0n ? 1n : increment);
+  };
+
+  // Place a bid in the auction's currency, like PokemonCardTrading._placeBid. Pay runs after the checks and takes the bid.
+  const placeBidWith = ({ from, timestamp, emit }, tokenId, amount, pay) => {
+    const listing = getListing(tokenId);
+    ensure(listing.active, 'Listing is not active');
+    ensure(listing.listingType === LISTING_TYPE.AUCTION, 'Card is not listed for auction');
+    ensure(BigInt(timestamp) < listing.endTime, 'Auction has ended');
+    ensure(amount >= getMinimumBid(listing), 'Bid too low');
+    pay();
+
+    if (listing.highestBidder !== ethers.ZeroAddress) {
+      creditIn(getListingCurrency(tokenId), listing.highestBidder, listing.highestBid);
+    }
+    listing.highestBidder = from;
+    listing.highestBid = amount;
+    emit('AuctionBid', { tokenId: BigInt(tokenId), bid: amount, bidder: from });
+
+    if (AUCTION_EXTENSION !== 0n && listing.endTime - BigInt(timestamp) <= AUCTION_EXTENSION_WINDOW) {
+      listing.endTime += AUCTION_EXTENSION;
+      emit('AuctionExtended', { tokenId: BigInt(tokenId), endTime: listing.endTime });
+    }
+  };
+
+  const emptyOffer = {
+    tokenId: 0n,
+    bidder: ethers.ZeroAddress,
+    amount: 0n,
+    expiresAt: 0n,
+    counterAmount: 0n,
+    counteredBy: ethers.ZeroAddress,
+    status: OFFER_STATUS.NONE
+  };
+
+  const getOffer = (offerId) => offers[Number(offerId)] ?? { ...emptyOffer };
+
+  const requireOpenOffer = (offer, timestamp) => {
+    ensure(offer.status === OFFER_STATUS.ACTIVE, 'Offer is not active');
+    ensure(BigInt(timestamp) < offer.expiresAt, 'Offer has expired');
+  };
+
+  // Sell the card of an offer to its bidder, like PokemonCardTrading._settleOffer
+  const settleOffer = (emit, offerId, offer, seller) => {
+    requireApproved(offer.tokenId, seller);
+
+    offer.status = OFFER_STATUS.ACCEPTED;
+    distributeSaleProceeds(emit, offer.tokenId, seller, offer.amount);
+    transfer(TRADING_ADDRESS, seller, offer.bidder, offer.tokenId, emit);
+    emit('OfferAccepted', { offerId: BigInt(offerId), tokenId: offer.tokenId, seller, bidder: offer.bidder, amount: offer.amount });
+  };
+
+  const emptySwap = {
+    proposer: ethers.ZeroAddress,
+    counterparty: ethers.ZeroAddress,
+    offeredTokenIds: [],
+    requestedTokenIds: [],
+    sweetener: 0n,
+    expiresAt: 0n,
+    status: SWAP_STATUS.NONE
+  };
+
+  const getSwap = (swapId) => swaps[Number(swapId)] ?? { ...emptySwap };
+
+  const swapIdsWhere = (matches) => swaps
+    .map((swap, swapId) => BigInt(swapId))
+    .filter(swapId => matches(swaps[Number(swapId)]));
+
+  const tradingContract = {
+    target: TRADING_ADDRESS,
+    simulated: true,
+    getAddress: async () => TRADING_ADDRESS,
+
+    listings: async (tokenId) => ({ ...getListing(tokenId) }),
+    pendingWithdrawals: async (address) => pendingWithdrawals.get(address.toLowerCase()) ?? 0n,
+    allowedCurrencies: async (currency) => allowedCurrencies.has(currency.toLowerCase()),
+    listingCurrency: async (tokenId) => getListingCurrency(tokenId),
+    pendingTokenWithdrawals: async (currency, address) => tokenWithdrawalsOf(currency).get(address.toLowerCase()) ?? 0n,
+    platformFee: async () => PLATFORM_FEE,
+    feeRecipient: async () => feeRecipient,
+    getSaleBreakdown: async (tokenId, price) => getSaleBreakdown(BigInt(price)),
+    minBidIncrement: async () => MIN_BID_INCREMENT,
+    minBidIncrementAmount: async () => MIN_BID_INCREMENT_AMOUNT,
+    auctionExtensionWindow: async () => AUCTION_EXTENSION_WINDOW,
+    auctionExtension: async () => AUCTION_EXTENSION,
+    bundlesContract: async () => BUNDLES_ADDRESS,
+    getMinimumBid: async (tokenId) => getMinimumBid(getListing(tokenId)),
+    getDutchAuctionPrice: async (tokenId) => getDutchAuctionPrice(getListing(tokenId), now()),
+    getReserveStatus: async (tokenId) => {
+      const reservePrice = reservePrices.get(Number(tokenId)) ?? 0n;
+      return { hasReserve: reservePrice !== 0n, reserveMet: getListing(tokenId).highestBid >= reservePrice };
+    },
+    offers: async (offerId) => ({ ...getOffer(offerId) }),
+    getOffersForToken: async (tokenId) => offers
+      .map((offer, offerId) => BigInt(offerId))
+      .filter(offerId => offers[Number(offerId)].tokenId === BigInt(tokenId)),
+    getOffersByBidder: async (bidder) => offers
+      .map((offer, offerId) => BigInt(offerId))
+      .filter(offerId => sameAddress(offers[Number(offerId)].bidder, bidder)),
+    getSwap: async (swapId) => {
+      const swap = getSwap(swapId);
+      return { ...swap, offeredTokenIds: [...swap.offeredTokenIds], requestedTokenIds: [...swap.requestedTokenIds] };
+    },
+    getSwapsByProposer: async (proposer) => swapIdsWhere(swap => sameAddress(swap.proposer, proposer)),
+    getSwapsByCounterparty: async (counterparty) => swapIdsWhere(swap => sameAddress(swap.counterparty, counterparty)),
+
+    listCardForSale: async (tokenId, price) => tradingContract.listCardForSaleWithSchedule(tokenId, price, 0n, 0n),
+
+    listCardForSaleWithSchedule: async (tokenId, price, startTime, endTime) => (
+      tradingContract.listCardForSaleInCurrency(tokenId, price, startTime, endTime, ethers.ZeroAddress)
+    ),
+
+    listCardForSaleInCurrency: async (tokenId, price, startTime, endTime, currency) => send((tx) => {
+      const [start, end] = [BigInt(startTime), BigInt(endTime)];
+      ensure(BigInt(price) !== 0n, 'Price must be greater than zero');
+      if (end !== 0n) {
+        ensure(end > BigInt(tx.timestamp), 'End time must be in the future');
+        ensure(end > start, 'End time must be after the start time');
+      }
+      list(tx, tokenId, BigInt(price), LISTING_TYPE.FIXED_PRICE, end, { startTime: start }, currency);
+      if (start !== 0n) {
+        tx.emit('ListingScheduled', { tokenId: BigInt(tokenId), startTime: start });
+      }
+    }),
+
+    returnExpiredListing: async (tokenId) => send(({ timestamp, emit }) => {
+      const listing = getListing(tokenId);
+      ensure(listing.active, 'Listing is not active');
+      ensure(listing.listingType === LISTING_TYPE.FIXED_PRICE, 'Card is not listed for fixed price');
+      ensure(listing.endTime !== 0n && BigInt(timestamp) >= listing.endTime, 'Listing has not expired');
+
+      listing.active = false;
+      transfer(TRADING_ADDRESS, TRADING_ADDRESS, listing.seller, tokenId, emit);
+      emit('CardListingCancelled', { tokenId: BigInt(tokenId), seller: listing.seller });
+    }),
+
+    listCardForAuction: async (tokenId, startingPrice, duration) => (
+      tradingContract.listCardForAuctionWithReserve(tokenId, startingPrice, duration, 0n, 0n)
+    ),
+
+    listCardForAuctionWithReserve: async (tokenId, startingPrice, duration, reservePrice, buyNowPrice) => (
+      tradingContract.listCardForAuctionInCurrency(tokenId, startingPrice, duration, reservePrice, buyNowPrice, ethers.ZeroAddress)
+    ),
+
+    listCardForAuctionInCurrency: async (tokenId, startingPrice, duration, reservePrice, buyNowPrice, currency) => send((tx) => {
+      const [start, reserve, buyNow] = [BigInt(startingPrice), BigInt(reservePrice), BigInt(buyNowPrice)];
+      ensure(start !== 0n, 'Starting price must be greater than zero');
+      ensure(BigInt(duration) !== 0n, 'Duration must be greater than zero');
+      ensure(reserve === 0n || reserve > start, 'Reserve price must be above the starting price');
+      ensure(
+        buyNow === 0n || (buyNow > start && buyNow >= reserve),
+        'Buy now price must be above the starting and reserve prices'
+      );
+      list(tx, tokenId, start, LISTING_TYPE.AUCTION, BigInt(tx.timestamp) + BigInt(duration), { buyNowPrice: buyNow }, currency);
+      reservePrices.set(Number(tokenId), reserve);
+    }),
+
+    listCardForDutchAuction: async (tokenId, startPrice, floorPrice, duration) => (
+      tradingContract.listCardForDutchAuctionInCurrency(tokenId, startPrice, floorPrice, duration, ethers.ZeroAddress)
+    ),
+
+    listCardForDutchAuctionInCurrency: async (tokenId, startPrice, floorPrice, duration, currency) => send((tx) => {
+      const [start, floor] = [BigInt(startPrice), BigInt(floorPrice)];
+      ensure(floor !== 0n, 'Floor price must be greater than zero');
+      ensure(start > floor, 'Start price must be above the floor price');
+      ensure(BigInt(duration) !== 0n, 'Duration must be greater than zero');
+      const startTime = BigInt(tx.timestamp);
+      list(tx, tokenId, start, LISTING_TYPE.DUTCH_AUCTION, startTime + BigInt(duration), { floorPrice: floor, startTime }, currency);
+    }),
+
+    endAuction: async (tokenId) => send(({ timestamp, emit }) => {
+      const listing = getListing(tokenId);
+      ensure(listing.active, 'Listing is not active');
+      ensure(listing.listingType === LISTING_TYPE.AUCTION, 'Card is not listed for auction');
+      ensure(BigInt(timestamp) >= listing.endTime, 'Auction has not ended yet');
+
+      listing.active = false;
+      const reservePrice = reservePrices.get(Number(tokenId)) ?? 0n;
+      const currency = getListingCurrency(tokenId);
+      reservePrices.delete(Number(tokenId));
+      if (listing.highestBidder !== ethers.ZeroAddress && listing.highestBid < reservePrice) {
+        creditIn(currency, listing.highestBidder, listing.highestBid);
+        transfer(TRADING_ADDRESS, TRADING_ADDRESS, listing.seller, tokenId, emit);
+        emit('AuctionReserveNotMet', {
+          tokenId: BigInt(tokenId),
+          highestBid: listing.highestBid,
+          seller: listing.seller,
+          bidder: listing.highestBidder
+        });
+        emit('CardListingCancelled', { tokenId: BigInt(tokenId), seller: listing.seller });
+      } else if (listing.highestBidder !== ethers.ZeroAddress) {
+        distributeSaleProceeds(emit, tokenId, listing.seller, listing.highestBid, currency);
+        transfer(TRADING_ADDRESS, TRADING_ADDRESS, listing.highestBidder, tokenId, emit);
+        emit('AuctionEnded', { tokenId: BigInt(tokenId), price: listing.highestBid, seller: listing.seller, winner: listing.highestBidder });
+      } else {
+        transfer(TRADING_ADDRESS, TRADING_ADDRESS, listing.seller, tokenId, emit);
+        emit('CardListingCancelled', { tokenId: BigInt(tokenId), seller: listing.seller });
+      }
+    }),
+
+    cancelListing: async (tokenId) => send(({ from, emit }) => {
+      const listing = getListing(tokenId);
+      ensure(listing.active, 'Listing is not active');
+      ensure(sameAddress(listing.seller, from), 'Only the seller can cancel a listing');
+      if (listing.listingType === LISTING_TYPE.AUCTION) {
+        ensure(listing.highestBidder === ethers.ZeroAddress, 'Cannot cancel auction with bids');
+      }
+
+      listing.active = false;
+      reservePrices.delete(Number(tokenId));
+      transfer(TRADING_ADDRESS, TRADING_ADDRESS, from, tokenId, emit);
+      emit('CardListingCancelled', { tokenId: BigInt(tokenId), seller: from });
+    }),
+
+    updateListingPrice: async (tokenId, newPrice, newEndTime) => send(({ from, timestamp, emit }) => {
+      const listing = getListing(tokenId);
+      ensure(listing.active, 'Listing is not active');
+      ensure(listing.endTime === 0n || BigInt(timestamp) < listing.endTime, 'Listing has ended');
+      ensure(sameAddress(listing.seller, from), 'Only the seller can update a listing');
+      ensure(listing.listingType !== LISTING_TYPE.DUTCH_AUCTION, 'Dutch auctions cannot be updated');
+      ensure(BigInt(newPrice) !== 0n, 'Price must be greater than zero');
+
+      if (listing.listingType === LISTING_TYPE.AUCTION) {
+        ensure(listing.highestBidder === ethers.ZeroAddress, 'Cannot update auction with bids');
+        const reservePrice = reservePrices.get(Number(tokenId)) ?? 0n;
+        ensure(reservePrice === 0n || reservePrice > BigInt(newPrice), 'Reserve price must be above the starting price');
+        ensure(
+          listing.buyNowPrice === 0n || listing.buyNowPrice > BigInt(newPrice),
+          'Buy now price must be above the starting and reserve prices'
+        );
+      }
+
+      if (BigInt(newEndTime) !== 0n) {
+        ensure(BigInt(newEndTime) > BigInt(timestamp), 'End time must be in the future');
+        ensure(BigInt(newEndTime) > listing.startTime, 'End time must be after the start time');
+        listing.endTime = BigInt(newEndTime);
+      }
+
+      listing.price = BigInt(newPrice);
+      emit('ListingUpdated', { tokenId: BigInt(tokenId), price: listing.price, endTime: listing.endTime, seller: from });
+    }),
+
+    buyCard: async (tokenId, maxPrice, { value = 0n } = {}) => send((tx) => {
+      const { from, timestamp, emit } = tx;
+      const listing = getListing(tokenId);
+      ensure(listing.active, 'Listing is not active');
+      ensure(listing.listingType === LISTING_TYPE.FIXED_PRICE, 'Card is not listed for fixed price');
+      ensure(BigInt(timestamp) >= listing.startTime, 'Listing has not started yet');
+      ensure(listing.endTime === 0n || BigInt(timestamp) < listing.endTime, 'Listing has expired');
+      const currency = getListingCurrency(tokenId);
+      collectPayment(tx, currency, listing.price, maxPrice);
+
+      listing.active = false;
+      distributeSaleProceeds(emit, tokenId, listing.seller, listing.price, currency);
+      transfer(TRADING_ADDRESS, TRADING_ADDRESS, from, tokenId, emit);
+      emit('CardSold', { tokenId: BigInt(tokenId), price: listing.price, seller: listing.seller, buyer: from });
+    }, { value: BigInt(value) }),
+
+    buyDutchAuction: async (tokenId, maxPrice, { value = 0n } = {}) => send((tx) => {
+      const { from, timestamp, emit } = tx;
+      const listing = getListing(tokenId);
+      ensure(listing.active, 'Listing is not active');
+      ensure(listing.listingType === LISTING_TYPE.DUTCH_AUCTION, 'Card is not listed for Dutch auction');
+      const price = getDutchAuctionPrice(listing, timestamp);
+      const currency = getListingCurrency(tokenId);
+      collectPayment(tx, currency, price, maxPrice);
+
+      listing.active = false;
+      distributeSaleProceeds(emit, tokenId, listing.seller, price, currency);
+      transfer(TRADING_ADDRESS, TRADING_ADDRESS, from, tokenId, emit);
+      emit('CardSold', { tokenId: BigInt(tokenId), price, seller: listing.seller, buyer: from });
+    }, { value: BigInt(value) }),
+
+    buyNow: async (tokenId, maxPrice, { value = 0n } = {}) => send((tx) => {
+      const { from, timestamp, emit } = tx;
+      const listing = getListing(tokenId);
+      ensure(listing.active, 'Listing is not active');
+      ensure(listing.listingType === LISTING_TYPE.AUCTION, 'Card is not listed for auction');
+      ensure(BigInt(timestamp) < listing.endTime, 'Auction has ended');
+      ensure(listing.buyNowPrice !== 0n, 'Auction has no buy now price');
+      ensure(listing.highestBid < listing.buyNowPrice, 'Bids already exceed the buy now price');
+      const currency = getListingCurrency(tokenId);
+      collectPayment(tx, currency, listing.buyNowPrice, maxPrice);
+
+      listing.active = false;
+      reservePrices.delete(Number(tokenId));
+      if (listing.highestBidder !== ethers.ZeroAddress) {
+        creditIn(currency, listing.highestBidder, listing.highestBid);
+      }
+      distributeSaleProceeds(emit, tokenId, listing.seller, listing.buyNowPrice, currency);
+      transfer(TRADING_ADDRESS, TRADING_ADDRESS, from, tokenId, emit);
+      emit('CardSold', { tokenId: BigInt(tokenId), price: listing.buyNowPrice, seller: listing.seller, buyer: from });
+    }, { value: BigInt(value) }),
+
+    placeBid: async (tokenId, { value = 0n } = {}) => send((tx) => {
+      ensure(isEthCurrency(getListingCurrency(tokenId)), 'Auction is paid in a token');
+      placeBidWith(tx, tokenId, BigInt(value), () => {});
+    }, { value: BigInt(value) }),
+
+    placeTokenBid: async (tokenId, amount) => send((tx) => {
+      const currency = getListingCurrency(tokenId);
+      ensure(!isEthCurrency(currency), 'Auction is paid in ETH');
+      placeBidWith(tx, tokenId, BigInt(amount), () => transferPrize(TRADING_ADDRESS, tx.from, TRADING_ADDRESS, BigInt(amount), tx.emit));
+    }),
+
+    makeOffer: async (tokenId, duration, { value = 0n } = {}) => send(({ from, value: paid, timestamp, emit }) => {
+      ensure(paid !== 0n, 'Offer must be greater than zero');
+      ensure(BigInt(duration) !== 0n, 'Duration must be greater than zero');
+      ensure(BigInt(duration) <= MAX_OFFER_DURATION, 'Offer duration exceeds the maximum');
+      const owner = ownerOf(tokenId);
+      ensure(!sameAddress(owner, TRADING_ADDRESS), 'Card is listed, buy or bid on the listing instead');
+      ensure(!sameAddress(owner, BUNDLES_ADDRESS), 'Card is in a bundle, buy or bid on the bundle instead');
+      ensure(!sameAddress(owner, from), 'Cannot make an offer on your own card');
+
+      const offerId = BigInt(offers.length);
+      const expiresAt = BigInt(timestamp) + BigInt(duration);
+      offers.push({ ...emptyOffer, tokenId: BigInt(tokenId), bidder: from, amount: paid, expiresAt, status: OFFER_STATUS.ACTIVE });
+      emit('OfferMade', { offerId, tokenId: BigInt(tokenId), bidder: from, amount: paid, expiresAt });
+    }, { value: BigInt(value) }),
+
+    acceptOffer: async (offerId) => send(({ from, timestamp, emit }) => {
+      const offer = getOffer(offerId);
+      requireOpenOffer(offer, timestamp);
+      ensure(sameAddress(ownerOf(offer.tokenId), from), 'Only the card owner can respond to an offer');
+
+      settleOffer(emit, offerId, offer, from);
+    }),
+
+    counterOffer: async (offerId, counterAmount) => send(({ from, timestamp, emit }) => {
+      const offer = getOffer(offerId);
+      requireOpenOffer(offer, timestamp);
+      ensure(sameAddress(ownerOf(offer.tokenId), from), 'Only the card owner can respond to an offer');
+      ensure(BigInt(counterAmount) > offer.amount, 'Counter offer must be higher than the offer');
+      requireApproved(offer.tokenId, from);
+
+      offer.counterAmount = BigInt(counterAmount);
+      offer.counteredBy = from;
+      emit('OfferCountered', { offerId: BigInt(offerId), tokenId: offer.tokenId, owner: from, counterAmount: offer.counterAmount });
+    }),
+
+    acceptCounterOffer: async (offerId, { value = 0n } = {}) => send(({ from, value: paid, timestamp, emit }) => {
+      const offer = getOffer(offerId);
+      requireOpenOffer(offer, timestamp);
+      ensure(sameAddress(offer.bidder, from), 'Only the bidder can accept a counter offer');
+      ensure(offer.counterAmount !== 0n, 'Offer has no counter offer');
+      ensure(sameAddress(ownerOf(offer.tokenId), offer.counteredBy), 'Counter offer is no longer valid');
+      ensure(paid === offer.counterAmount - offer.amount, 'Payment must cover the counter offer');
+      requireApproved(offer.tokenId, offer.counteredBy);
+
+      offer.amount = offer.counterAmount;
+      settleOffer(emit, offerId, offer, offer.counteredBy);
+    }, { value: BigInt(value) }),
+
+    rejectOffer: async (offerId) => send(({ from, emit }) => {
+      const offer = getOffer(offerId);
+      ensure(offer.status === OFFER_STATUS.ACTIVE, 'Offer is not active');
+      ensure(sameAddress(ownerOf(offer.tokenId), from), 'Only the card owner can respond to an offer');
+
+      offer.status = OFFER_STATUS.REJECTED;
+      credit(balances, offer.bidder, offer.amount);
+      emit('OfferRejected', { offerId: BigInt(offerId), tokenId: offer.tokenId, owner: from });
+    }),
+
+    withdrawOffer: async (offerId) => send(({ from, timestamp, emit }) => {
+      const offer = getOffer(offerId);
+      ensure(offer.status === OFFER_STATUS.ACTIVE, 'Offer is not active');
+      ensure(sameAddress(offer.bidder, from), 'Only the bidder can withdraw an offer');
+      ensure(BigInt(timestamp) >= offer.expiresAt, 'Offer has not expired yet');
+
+      offer.status = OFFER_STATUS.WITHDRAWN;
+      credit(balances, from, offer.amount);
+      emit('OfferWithdrawn', { offerId: BigInt(offerId), tokenId: offer.tokenId, bidder: from, amount: offer.amount });
+    }),
+
+    proposeSwap: async (counterparty, offeredTokenIds, requestedTokenIds, duration, { value = 0n } = {}) => send(
+      ({ from, value: paid, timestamp, emit }) => {
+        ensure(!sameAddress(counterparty, ethers.ZeroAddress) && !sameAddress(counterparty, from), 'Invalid counterparty');
+        ensure(requestedTokenIds.length !== 0, 'Swap must request at least one card');
+        ensure(offeredTokenIds.length !== 0 || paid !== 0n, 'Swap must offer cards or ETH');
+        ensure(
+          offeredTokenIds.length <= MAX_SWAP_CARDS && requestedTokenIds.length <= MAX_SWAP_CARDS,
+          'Too many cards in a swap'
+        );
+        ensure(BigInt(duration) !== 0n, 'Duration must be greater than zero');
+        ensure(BigInt(duration) <= MAX_OFFER_DURATION, 'Swap duration exceeds the maximum');
+        offeredTokenIds.forEach(tokenId => {
+          ensure(sameAddress(ownerOf(tokenId), from), 'You must own the cards you offer');
+          requireApproved(tokenId, from);
+        });
+        requestedTokenIds.forEach(tokenId => {
+          ensure(sameAddress(ownerOf(tokenId), counterparty), 'Counterparty must own the requested cards');
+        });
+
+        const swapId = BigInt(swaps.length);
+        const swap = {
+          proposer: from,
+          counterparty,
+          offeredTokenIds: offeredTokenIds.map(BigInt),
+          requestedTokenIds: requestedTokenIds.map(BigInt),
+          sweetener: paid,
+          expiresAt: BigInt(timestamp) + BigInt(duration),
+          status: SWAP_STATUS.PENDING
+        };
+        swaps.push(swap);
+        emit('SwapProposed', {
+          swapId,
+          proposer: from,
+          counterparty,
+          offeredTokenIds: swap.offeredTokenIds,
+          requestedTokenIds: swap.requestedTokenIds,
+          sweetener: paid,
+          expiresAt: swap.expiresAt
+        });
+      },
+      { value: BigInt(value) }
+    ),
+
+    acceptSwap: async (swapId) => send(({ from, timestamp, emit }) => {
+      const swap = getSwap(swapId);
+      ensure(swap.status === SWAP_STATUS.PENDING, 'Swap is not pending');
+      ensure(BigInt(timestamp) < swap.expiresAt, 'Swap has expired');
+      ensure(sameAddress(swap.counterparty, from), 'Only the counterparty can accept a swap');
+      swap.offeredTokenIds.forEach(tokenId => {
+        ensure(sameAddress(ownerOf(tokenId), swap.proposer), 'Proposer no longer owns the offered cards');
+        requireApproved(tokenId, swap.proposer);
+      });
+      swap.requestedTokenIds.forEach(tokenId => {
+        ensure(sameAddress(ownerOf(tokenId), from), 'You no longer own the requested cards');
+        requireApproved(tokenId, from);
+      });
+
+      swap.status = SWAP_STATUS.ACCEPTED;
+      swap.offeredTokenIds.forEach(tokenId => transfer(TRADING_ADDRESS, swap.proposer, from, tokenId, emit));
+      swap.requestedTokenIds.forEach(tokenId => transfer(TRADING_ADDRESS, from, swap.proposer, tokenId, emit));
+      if (swap.sweetener !== 0n) credit(pendingWithdrawals, from, swap.sweetener);
+      emit('SwapAccepted', { swapId: BigInt(swapId), proposer: swap.proposer, counterparty: from });
+    }),
+
+    cancelSwap: async (swapId) => send(({ from, emit }) => {
+      const swap = getSwap(swapId);
+      ensure(swap.status === SWAP_STATUS.PENDING, 'Swap is not pending');
+      ensure(
+        sameAddress(swap.proposer, from) || sameAddress(swap.counterparty, from),
+        'Only the proposer or counterparty can cancel a swap'
+      );
+
+      swap.status = SWAP_STATUS.CANCELLED;
+      if (swap.sweetener !== 0n) credit(balances, swap.proposer, swap.sweetener);
+      emit('SwapCancelled', { swapId: BigInt(swapId), cancelledBy: from });
+    }),
+
+    withdraw: async () => send(({ from, emit }) => {
+      const amount = pendingWithdrawals.get(from.toLowerCase()) ?? 0n;
+      ensure(amount !== 0n, 'No funds to withdraw');
+
+      pendingWithdrawals.delete(from.toLowerCase());
+      credit(balances, from, amount);
+      emit('WithdrawalMade', { recipient: from, amount });
+    }),
+
+    withdrawToken: async (currency) => send(({ from, emit }) => {
+      const credited = tokenWithdrawalsOf(currency);
+      const amount = credited.get(from.toLowerCase()) ?? 0n;
+      ensure(amount !== 0n, 'No funds to withdraw');
+
+      credited.delete(from.toLowerCase());
+      transferPrize(TRADING_ADDRESS, TRADING_ADDRESS, from, amount, emit);
+      emit('TokenWithdrawalMade', { recipient: from, currency, amount });
+    }),
+
+    // Trading events of one kind in [fromBlock, toBlock], in chain order
+    queryFilter: async (eventName, fromBlock = 0, toBlock = latestBlock().number) => events.filter(event =>
+      event.address === TRADING_ADDRESS && event.eventName === eventName &&
+      event.blockNumber >= fromBlock && event.blockNumber <= toBlock
+    ),
+
+    // Only the wildcard subscription is supported, like ethers it receives every event payload
+    on: async (eventName, listener) => {
+      if (eventName !== '*') throw new Error(`Unsupported simulated subscription: ${eventName}`);
+      listeners.add(listener);
+    },
+    off: async (eventName, listener) => {
+      listeners.delete(listener);
+    }
+  };
+
+  // Packs
+
+  // Stand-in for blockhash, unknown before the block is mined like a real one
+  const blockHash = (blockNumber) => ethers.id(`simulated-block:${blockNumber}:${blocks[blockNumber]?.timestamp}`);
+
+  const emptyPack = {
+    buyer: ethers.ZeroAddress,
+    commitment: ethers.ZeroHash,
+    commitBlock: 0n,
+    firstTokenId: 0n,
+    cardCount: 0n,
+    opened: false,
+    rarityOdds: [0n, 0n, 0n]
+  };
+
+  const getPack = (packId) => packs[Number(packId)] ?? { ...emptyPack };
+
+  // Pokemon and rarity of the card at an index of a pack, like PokemonCardPacks._drawCard
+  const drawCard = (seed, index, odds) => {
+    const word = BigInt(ethers.solidityPackedKeccak256(['bytes32', 'uint256'], [seed, index]));
+    const roll = (word >> 128n) % BASIS_POINTS;
+    let cumulative = 0n;
+    return {
+      pokemonId: Number(word % BigInt(POKEMON_COUNT)) + 1,
+      rarity: odds.findIndex(chance => roll < (cumulative += chance))
+    };
+  };
+
+  // Mint the cards of a pack to its buyer, like PokemonCardPacks._openPack
+  const openWithSeed = (packId, pack, seed, emit) => {
+    pack.opened = true;
+    pack.firstTokenId = BigInt(cards.length);
+
+    for (let i = 0; i < Number(pack.cardCount); i++) {
+      const { pokemonId, rarity } = drawCard(seed, i, pack.rarityOdds);
+      const tokenId = mint(pack.buyer, pokemonId, rarity);
+      emit('Transfer', { from: ethers.ZeroAddress, to: pack.buyer, tokenId: BigInt(tokenId) }, TOKEN_ADDRESS);
+    }
+    emit('PackOpened', { packId: BigInt(packId), buyer: pack.buyer, firstTokenId: pack.firstTokenId, cardCount: pack.cardCount }, PACKS_ADDRESS);
+  };
+
+  const packsContract = {
+    target: PACKS_ADDRESS,
+    simulated: true,
+    getAddress: async () => PACKS_ADDRESS,
+
+    packPrice: async () => PACK_PRICE,
+    cardsPerPack: async () => CARDS_PER_PACK,
+    getRarityOdds: async () => [...RARITY_ODDS],
+    owner: async () => packsOwner,
+    paused: async () => false,
+    packs: async (packId) => {
+      // Like the public getter, which leaves out the odds array
+      const { rarityOdds, ...pack } = getPack(packId);
+      return pack;
+    },
+    getPackOdds: async (packId) => [...getPack(packId).rarityOdds],
+    getPacksOf: async (buyer) => packs.flatMap((pack, packId) => sameAddress(pack.buyer, buyer) ? [BigInt(packId)] : []),
+
+    buyPack: async (commitment, { value = 0n } = {}) => send(({ from, value: paid, blockNumber, emit }) => {
+      ensure(paid === PACK_PRICE, 'Payment must equal the pack price');
+      ensure(commitment !== ethers.ZeroHash, 'Commitment must not be empty');
+
+      const packId = BigInt(packs.length);
+      packs.push({
+        ...emptyPack,
+        buyer: from,
+        commitment,
+        commitBlock: BigInt(blockNumber),
+        cardCount: CARDS_PER_PACK,
+        rarityOdds: [...RARITY_ODDS]
+      });
+      credit(balances, PACKS_ADDRESS, paid);
+      emit('PackPurchased', { packId, buyer: from, price: paid, cardCount: CARDS_PER_PACK }, PACKS_ADDRESS);
+    }, { value: BigInt(value) }),
+
+    openPack: async (packId, secret) => send(({ from, blockNumber, emit }) => {
+      const pack = getPack(packId);
+      ensure(sameAddress(pack.buyer, from), 'Only the buyer can open a pack');
+      ensure(!pack.opened, 'Pack already opened');
+      ensure(BigInt(blockNumber) > pack.commitBlock, 'Pack cannot be opened in the block it was bought');
+      ensure(BigInt(blockNumber) - pack.commitBlock <= BigInt(REVEAL_WINDOW), 'Pack can no longer be opened');
+      ensure(ethers.keccak256(secret) === pack.commitment, 'Secret does not match the commitment');
+
+      const seed = ethers.solidityPackedKeccak256(
+        ['bytes32', 'bytes32', 'uint256'],
+        [secret, blockHash(Number(pack.commitBlock)), packId]
+      );
+      openWithSeed(packId, pack, seed, emit);
+    }),
+
+    settleExpiredPack: async (packId) => send(({ from, blockNumber, emit }) => {
+      const pack = getPack(packId);
+      ensure(!sameAddress(pack.buyer, ethers.ZeroAddress), 'Pack does not exist');
+      ensure(!pack.opened, 'Pack already opened');
+      const expiryBlock = pack.commitBlock + BigInt(REVEAL_WINDOW) + 1n;
+      ensure(BigInt(blockNumber) > expiryBlock, 'Pack cannot be settled yet');
+      ensure(BigInt(blockNumber) - expiryBlock <= BigInt(REVEAL_WINDOW), 'Pack can no longer be settled');
+
+      const seed = ethers.solidityPackedKeccak256(
+        ['bytes32', 'bytes32', 'uint256'],
+        [pack.commitment, blockHash(Number(expiryBlock)), packId]
+      );
+      openWithSeed(packId, pack, seed, emit);
+      emit('PackSettled', { packId: BigInt(packId), settledBy: from }, PACKS_ADDRESS);
+    }),
+
+    withdrawProceeds: async () => send(({ from, emit }) => {
+      if (!sameAddress(from, packsOwner)) throw revertWith('OwnableUnauthorizedAccount', [from]);
+      const amount = balanceOf(PACKS_ADDRESS);
+      ensure(amount !== 0n, 'No proceeds to withdraw');
+
+      balances.delete(PACKS_ADDRESS.toLowerCase());
+      credit(balances, from, amount);
+      emit('ProceedsWithdrawn', { recipient: from, amount }, PACKS_ADDRESS);
+    })
+  };
+
+  // Bundles
+
+  const emptyBundle = {
+    seller: ethers.ZeroAddress,
+    tokenIds: [],
+    price: 0n,
+    currency: ethers.ZeroAddress,
+    endTime: 0n,
+    highestBidder: ethers.ZeroAddress,
+    highestBid: 0n,
+    listingType: LISTING_TYPE.FIXED_PRICE,
+    active: false
+  };
+
+  const getBundle = (bundleId) => bundles[Number(bundleId)] ?? { ...emptyBundle };
+
+  const requireActiveBundle = (bundle, listingType) => {
+    ensure(bundle.active, 'Bundle is not active');
+    ensure(
+      bundle.listingType === listingType,
+      listingType === LISTING_TYPE.AUCTION ? 'Bundle is not listed for auction' : 'Bundle is not listed for fixed price'
+    );
+  };
+
+  const bundleTokenWithdrawalsOf = (currency) => {
+    const key = currency.toLowerCase();
+    if (!bundleTokenWithdrawals.has(key)) bundleTokenWithdrawals.set(key, new Map());
+    return bundleTokenWithdrawals.get(key);
+  };
+
+  // Add to a withdrawable balance in ETH or a token, like PokemonCardBundles._credit
+  const creditBundle = (currency, address, amount) => (
+    credit(isEthCurrency(currency) ? bundleWithdrawals : bundleTokenWithdrawalsOf(currency), address, amount)
+  );
+
+  // Share of the bundle price a card's royalty is taken from, like PokemonCardBundles._cardShare
+  const cardShare = (price, cardCount, index) => {
+    const share = price / BigInt(cardCount);
+    return index === cardCount - 1 ? price - share * BigInt(cardCount - 1) : share;
+  };
+
+  // Split of a bundle sale, like PokemonCardBundles.getSaleBreakdown
+  const getBundleSaleBreakdown = (bundle, price) => {
+    const platformFeeAmount = (price * PLATFORM_FEE) / BASIS_POINTS;
+    const royaltyAmount = bundle.tokenIds.reduce(
+      (total, tokenId, i) => total + (cardShare(price, bundle.tokenIds.length, i) * ROYALTY) / BASIS_POINTS,
+      0n
+    );
+    return { sellerProceeds: price - platformFeeAmount - royaltyAmount, royaltyAmount, platformFeeAmount };
+  };
+
+  // Settle a sale, crediting the seller, the royalty receiver and the fee recipient and handing over every card
+  const sellBundle = (emit, bundleId, bundle, buyer, price) => {
+    const { sellerProceeds, royaltyAmount, platformFeeAmount } = getBundleSaleBreakdown(bundle, price);
+    creditBundle(bundle.currency, bundle.seller, sellerProceeds);
+    if (royaltyAmount !== 0n) creditBundle(bundle.currency, feeRecipient, royaltyAmount);
+    if (platformFeeAmount !== 0n) creditBundle(bundle.currency, feeRecipient, platformFeeAmount);
+    emit('BundleProceedsDistributed', {
+      bundleId: BigInt(bundleId),
+      seller: bundle.seller,
+      sellerProceeds,
+      royaltyAmount,
+      platformFeeAmount,
+      currency: bundle.currency
+    }, BUNDLES_ADDRESS);
+    bundle.tokenIds.forEach(tokenId => transfer(BUNDLES_ADDRESS, BUNDLES_ADDRESS, buyer, tokenId, emit));
+    emit('BundleSold', { bundleId: BigInt(bundleId), price, seller: bundle.seller, buyer }, BUNDLES_ADDRESS);
+  };
+
+  const listBundle = ({ from, timestamp, emit }, tokenIds, price, listingType, duration, currency = ethers.ZeroAddress) => {
+    ensure(tokenIds.length >= MIN_BUNDLE_CARDS, 'A bundle needs at least two cards');
+    ensure(tokenIds.length <= MAX_BUNDLE_CARDS, 'Too many cards in the bundle');
+    ensure(isEthCurrency(currency) || allowedCurrencies.has(currency.toLowerCase()), 'Currency is not allowed');
+    tokenIds.forEach(tokenId => {
+      ensure(sameAddress(ownerOf(tokenId), from), 'You must own the card to list it');
+      ensure(
+        sameAddress(getApproved(tokenId), BUNDLES_ADDRESS) || isApprovedForAll(from, BUNDLES_ADDRESS),
+        'Bundle contract is not approved to transfer this token'
+      );
+    });
+
+    const bundleId = BigInt(bundles.length);
+    const endTime = listingType === LISTING_TYPE.AUCTION ? BigInt(timestamp) + BigInt(duration) : 0n;
+    bundles.push({
+      ...emptyBundle,
+      seller: from,
+      tokenIds: tokenIds.map(BigInt),
+      price,
+      currency,
+      endTime,
+      listingType,
+      active: true
+    });
+    tokenIds.forEach(tokenId => transfer(BUNDLES_ADDRESS, from, BUNDLES_ADDRESS, tokenId, emit));
+    emit('BundleListed', {
+      bundleId,
+      seller: from,
+      tokenIds: tokenIds.map(BigInt),
+      price,
+      listingType,
+      endTime,
+      currency
+    }, BUNDLES_ADDRESS);
+  };
+
+  // Place a bid in the bundle's currency, like PokemonCardBundles._placeBid. Pay runs after the checks and takes the bid.
+  const placeBundleBidWith = ({ from, timestamp, emit }, bundleId, amount, pay) => {
+    const bundle = getBundle(bundleId);
+    requireActiveBundle(bundle, LISTING_TYPE.AUCTION);
+    ensure(BigInt(timestamp) < bundle.endTime, 'Auction has ended');
+    ensure(amount >= getMinimumBid(bundle), 'Bid too low');
+    pay();
+
+    if (bundle.highestBidder !== ethers.ZeroAddress) creditBundle(bundle.currency, bundle.highestBidder, bundle.highestBid);
+    bundle.highestBidder = from;
+    bundle.highestBid = amount;
+    emit('BundleBid', { bundleId: BigInt(bundleId), bid: amount, bidder: from }, BUNDLES_ADDRESS);
+
+    if (AUCTION_EXTENSION !== 0n && bundle.endTime - BigInt(timestamp) <= AUCTION_EXTENSION_WINDOW) {
+      bundle.endTime += AUCTION_EXTENSION;
+      emit('BundleAuctionExtended', { bundleId: BigInt(bundleId), endTime: bundle.endTime }, BUNDLES_ADDRESS);
+    }
+  };
+
+  const bundlesContract = {
+    target: BUNDLES_ADDRESS,
+    simulated: true,
+    getAddress: async () => BUNDLES_ADDRESS,
+
+    getBundle: async (bundleId) => {
+      const bundle = getBundle(bundleId);
+      return { ...bundle, tokenIds: [...bundle.tokenIds] };
+    },
+    getActiveBundles: async () => bundles.flatMap((bundle, bundleId) => bundle.active ? [BigInt(bundleId)] : []),
+    pendingWithdrawals: async (address) => bundleWithdrawals.get(address.toLowerCase()) ?? 0n,
+    pendingTokenWithdrawals: async (currency, address) => bundleTokenWithdrawalsOf(currency).get(address.toLowerCase()) ?? 0n,
+    getSaleBreakdown: async (bundleId, price) => getBundleSaleBreakdown(getBundle(bundleId), BigInt(price)),
+    getMinimumBid: async (bundleId) => getMinimumBid(getBundle(bundleId)),
+
+    listBundleForSale: async (tokenIds, price) => send((tx) => {
+      ensure(BigInt(price) !== 0n, 'Price must be greater than zero');
+      listBundle(tx, tokenIds, BigInt(price), LISTING_TYPE.FIXED_PRICE, 0n);
+    }),
+
+    listBundleForSaleInCurrency: async (tokenIds, price, currency) => send((tx) => {
+      ensure(BigInt(price) !== 0n, 'Price must be greater than zero');
+      listBundle(tx, tokenIds, BigInt(price), LISTING_TYPE.FIXED_PRICE, 0n, currency);
+    }),
+
+    listBundleForAuction: async (tokenIds, startingPrice, duration) => send((tx) => {
+      ensure(BigInt(startingPrice) !== 0n, 'Starting price must be greater than zero');
+      ensure(BigInt(duration) !== 0n, 'Duration must be greater than zero');
+      listBundle(tx, tokenIds, BigInt(startingPrice), LISTING_TYPE.AUCTION, duration);
+    }),
+
+    listBundleForAuctionInCurrency: async (tokenIds, startingPrice, duration, currency) => send((tx) => {
+      ensure(BigInt(startingPrice) !== 0n, 'Starting price must be greater than zero');
+      ensure(BigInt(duration) !== 0n, 'Duration must be greater than zero');
+      listBundle(tx, tokenIds, BigInt(startingPrice), LISTING_TYPE.AUCTION, duration, currency);
+    }),
+
+    buyBundle: async (bundleId, maxPrice, { value = 0n } = {}) => send(({ from, value: paid, emit }) => {
+      const bundle = getBundle(bundleId);
+      requireActiveBundle(bundle, LISTING_TYPE.FIXED_PRICE);
+      ensure(bundle.price <= BigInt(maxPrice), 'Price is above the maximum');
+      if (isEthCurrency(bundle.currency)) {
+        ensure(paid >= bundle.price, 'Insufficient payment');
+      } else {
+        ensure(paid === 0n, 'Bundle is paid in a token');
+        transferPrize(BUNDLES_ADDRESS, from, BUNDLES_ADDRESS, bundle.price, emit);
+      }
+
+      bundle.active = false;
+      sellBundle(emit, bundleId, bundle, from, bundle.price);
+      if (paid > bundle.price) credit(bundleWithdrawals, from, paid - bundle.price);
+    }, { value: BigInt(value) }),
+
+    placeBid: async (bundleId, { value = 0n } = {}) => send((tx) => {
+      ensure(isEthCurrency(getBundle(bundleId).currency), 'Auction is paid in a token');
+      placeBundleBidWith(tx, bundleId, tx.value, () => {});
+    }, { value: BigInt(value) }),
+
+    placeTokenBid: async (bundleId, amount) => send((tx) => {
+      const { currency } = getBundle(bundleId);
+      ensure(!isEthCurrency(currency), 'Auction is paid in ETH');
+      placeBundleBidWith(tx, bundleId, BigInt(amount), () => transferPrize(BUNDLES_ADDRESS, tx.from, BUNDLES_ADDRESS, BigInt(amount), tx.emit));
+    }),
+
+    endAuction: async (bundleId) => send(({ timestamp, emit }) => {
+      const bundle = getBundle(bundleId);
+      requireActiveBundle(bundle, LISTING_TYPE.AUCTION);
+      ensure(BigInt(timestamp) >= bundle.endTime, 'Auction has not ended yet');
+
+      bundle.active = false;
+      if (bundle.highestBidder !== ethers.ZeroAddress) {
+        sellBundle(emit, bundleId, bundle, bundle.highestBidder, bundle.highestBid);
+      } else {
+        bundle.tokenIds.forEach(tokenId => transfer(BUNDLES_ADDRESS, BUNDLES_ADDRESS, bundle.seller, tokenId, emit));
+        emit('BundleCancelled', { bundleId: BigInt(bundleId), seller: bundle.seller }, BUNDLES_ADDRESS);
+      }
+    }),
+
+    cancelBundle: async (bundleId) => send(({ from, emit }) => {
+      const bundle = getBundle(bundleId);
+      ensure(bundle.active, 'Bundle is not active');
+      ensure(sameAddress(bundle.seller, from), 'Only the seller can cancel a bundle');
+      ensure(bundle.highestBidder === ethers.ZeroAddress, 'Cannot cancel auction with bids');
+
+      bundle.active = false;
+      bundle.tokenIds.forEach(tokenId => transfer(BUNDLES_ADDRESS, BUNDLES_ADDRESS, from, tokenId, emit));
+      emit('BundleCancelled', { bundleId: BigInt(bundleId), seller: from }, BUNDLES_ADDRESS);
+    }),
+
+    withdraw: async () => send(({ from, emit }) => {
+      const amount = bundleWithdrawals.get(from.toLowerCase()) ?? 0n;
+      ensure(amount !== 0n, 'No funds to withdraw');
+
+      bundleWithdrawals.delete(from.toLowerCase());
+      credit(balances, from, amount);
+      emit('WithdrawalMade', { recipient: from, amount }, BUNDLES_ADDRESS);
+    }),
+
+    withdrawToken: async (currency) => send(({ from, emit }) => {
+      const credited = bundleTokenWithdrawalsOf(currency);
+      const amount = credited.get(from.toLowerCase()) ?? 0n;
+      ensure(amount !== 0n, 'No funds to withdraw');
+
+      credited.delete(from.toLowerCase());
+      transferPrize(BUNDLES_ADDRESS, BUNDLES_ADDRESS, from, amount, emit);
+      emit('TokenWithdrawalMade', { recipient: from, currency, amount }, BUNDLES_ADDRESS);
+    })
+  };
+
+  const provider = {
+    simulated: true,
+    getBalance: async (address) => balanceOf(address),
+    getBlockNumber: async () => latestBlock().number,
+    getBlock: async (blockNumber) => blocks[Number(blockNumber)] ?? null,
+    getNetwork: async () => ({ chainId: BigInt(SIMULATED_CHAIN_ID), name: 'simulated' })
+  };
+
+  // Same interface as the multicall batcher, reads are answered directly
+  const batcher = {
+    call: (contract, method, args = []) => contract[method](...args),
+    getBlockNumber: provider.getBlockNumber
+  };
+
+  // Seed the chain: every account owns cards, the others list some of theirs, one auction is already over, offers,
+  // trades and bundles are open
+  const seed = () => {
+    const [collector, seller, bidder] = SIMULATED_ACCOUNTS.map(account => account.address);
+    const asSender = async (address, write) => {
+      sender = address;
+      await write();
+    };
+    const approveAndList = (tokenId, write) => async () => {
+      await tokenContract.approve(TRADING_ADDRESS, tokenId);
+      await write();
+    };
+
+    // Start in the past, so the first auction can already be over
+    timeOffset = -3600;
+    mineBlock();
+
+    const mintSeedCards = (owner, count) => {
+      for (let i = 0; i < count; i++) {
+        const tokenId = cards.length;
+        mint(owner, ((tokenId * 37) % POKEMON_COUNT) + 1, tokenId % 7 === 0 ? 2 : tokenId % 3 === 0 ? 1 : 0);
+      }
+    };
+    [collector, seller, bidder].forEach(owner => mintSeedCards(owner, 6));
+    // Cards the seller bundles
+    mintSeedCards(seller, 5);
+    // Cards the bidder sells for the prize token
+    mintSeedCards(bidder, 2);
+    SIMULATED_ACCOUNTS.forEach(account => credit(prizeBalances, account.address, PRIZE_GRANT));
+    mineBlock();
+
+    const eth = ethers.parseEther;
+    return (async () => {
+      // Ended auction the collector won, waiting to be settled
+      await asSender(seller, approveAndList(6, () => tradingContract.listCardForAuction(6, eth('0.01'), 1800)));
+      await asSender(collector, () => tradingContract.placeBid(6, { value: eth('0.02') }));
+      timeOffset = 0;
+
+      await asSender(seller, approveAndList(7, () => tradingContract.listCardForSale(7, eth('0.05'))));
+      await asSender(seller, approveAndList(8, () => tradingContract.listCardForSale(8, eth('0.25'))));
+      // Auctions with a buy-now price, and with a reserve the current bid does not meet
+      await asSender(seller, approveAndList(9, () => (
+        tradingContract.listCardForAuctionWithReserve(9, eth('0.02'), 86400, 0n, eth('0.1'))
+      )));
+      await asSender(seller, approveAndList(10, () => (
+        tradingContract.listCardForAuctionWithReserve(10, eth('0.1'), 7200, eth('0.2'), 0n)
+      )));
+      await asSender(bidder, () => tradingContract.placeBid(10, { value: eth('0.12') }));
+      await asSender(bidder, approveAndList(12, () => tradingContract.listCardForSale(12, eth('0.08'))));
+      await asSender(bidder, approveAndList(13, () => tradingContract.listCardForAuction(13, eth('0.03'), 600)));
+      await asSender(bidder, approveAndList(15, () => (
+        tradingContract.listCardForDutchAuction(15, eth('0.2'), eth('0.05'), 86400)
+      )));
+      await asSender(collector, approveAndList(0, () => tradingContract.listCardForSale(0, eth('0.15'))));
+      // A drop opening in an hour, and a sale expiring in two
+      const listedAt = BigInt(now());
+      await asSender(bidder, approveAndList(16, () => (
+        tradingContract.listCardForSaleWithSchedule(16, eth('0.3'), listedAt + 3600n, listedAt + 86400n)
+      )));
+      await asSender(bidder, approveAndList(17, () => (
+        tradingContract.listCardForSaleWithSchedule(17, eth('0.06'), 0n, listedAt + 7200n)
+      )));
+
+      // Bundles, one at a fixed price and one auctioned
+      const approveAndBundle = (tokenIds, write) => async () => {
+        for (const tokenId of tokenIds) {
+          await tokenContract.approve(BUNDLES_ADDRESS, tokenId);
+        }
+        await write();
+      };
+      await asSender(seller, approveAndBundle([18, 19, 20], () => bundlesContract.listBundleForSale([18, 19, 20], eth('0.2'))));
+      await asSender(seller, approveAndBundle([21, 22], () => bundlesContract.listBundleForAuction([21, 22], eth('0.05'), 2 * 86400)));
+
+      // The owner allows the prize token, the bidder sells a card for it and auctions another the seller bid on
+      await asSender(collector, () => send(({ emit }) => {
+        allowedCurrencies.add(PRIZE_ADDRESS.toLowerCase());
+        emit('CurrencyAllowed', { currency: PRIZE_ADDRESS, allowed: true });
+      }));
+      const prize = (amount) => ethers.parseUnits(amount, PRIZE_DECIMALS);
+      await asSender(bidder, approveAndList(23, () => (
+        tradingContract.listCardForSaleInCurrency(23, prize('25'), 0n, 0n, PRIZE_ADDRESS)
+      )));
+      await asSender(bidder, approveAndList(24, () => (
+        tradingContract.listCardForAuctionInCurrency(24, prize('10'), 86400, 0n, prize('60'), PRIZE_ADDRESS)
+      )));
+      await asSender(seller, async () => {
+        await prizeContract.approve(TRADING_ADDRESS, prize('12'));
+        await tradingContract.placeTokenBid(24, prize('12'));
+      });
+
+      // Offers on unlisted cards, one received by the collector and one it made that the seller countered
+      await asSender(bidder, () => tradingContract.makeOffer(1, 3 * 86400, { value: eth('0.04') }));
+      await asSender(collector, () => tradingContract.makeOffer(11, 86400, { value: eth('0.03') }));
+      await asSender(seller, async () => {
+        await tokenContract.approve(TRADING_ADDRESS, 11);
+        await tradingContract.counterOffer(1, eth('0.05'));
+      });
+
+      // Trades, one proposed to the collector with ETH on top and one it proposed to the seller
+      await asSender(bidder, approveAndList(14, () => (
+        tradingContract.proposeSwap(collector, [14], [2], 3 * 86400, { value: eth('0.01') })
+      )));
+      await asSender(collector, approveAndList(3, () => tradingContract.proposeSwap(seller, [3], [11], 86400)));
+
+      sender = collector;
+    })();
+  };
+
+  const ready = seed();
+
+  return {
+    tokenContract,
+    tradingContract,
+    packsContract,
+    bundlesContract,
+    provider,
+    batcher,
+    ready,
+    getCurrencyContract,
+    accounts: SIMULATED_ACCOUNTS,
+    getSender: () => sender,
+    setSender: (address) => {
+      sender = SIMULATED_ACCOUNTS.find(account => sameAddress(account.address, address))?.address ?? sender;
+    },
+    getBalance: (address) => balanceOf(address),
+    now,
+    getTimeOffset: () => timeOffset,
+
+    // Move the clock forward and mine an empty block, like evm_increaseTime followed by evm_mine
+    advanceTime: (seconds) => {
+      timeOffset += Number(seconds);
+      mineBlock();
+    }
+  };
+};
@@ -0,0 +1,36 @@
+// Card swap proposals, as stored by PokemonCardTrading
+
+// PokemonCardTrading.SwapStatus
+export const SWAP_STATUS = {
+  NONE: 0,
+  PENDING: 1,
+  ACCEPTED: 2,
+  CANCELLED: 3
+};
+
+// Most cards on each side of a swap, PokemonCardTrading.MAX_SWAP_CARDS
+export const MAX_SWAP_CARDS = 10;
+
+// Longest a swap proposal can stand, PokemonCardTrading.MAX_OFFER_DURATION
+export const MAX_SWAP_DURATION = 30 * 86400;
+
+/**
+ * Turn a swap read from the trading contract into plain values.
+ * @param {number|bigint} swapId - ID of the swap
+ * @param {Object} swap - Swap struct returned by PokemonCardTrading.getSwap
+ * @returns {Object} { swapId, proposer, counterparty, offeredTokenIds, requestedTokenIds, sweetener, expiresAt, status },
+ * the sweetener in Wei
+ */
+export const toSwap = (swapId, swap) => ({
+  swapId: Number(swapId),
+  proposer: swap.proposer,
+  counterparty: swap.counterparty,
+  offeredTokenIds: Array.from(swap.offeredTokenIds, Number),
+  requestedTokenIds: Array.from(swap.requestedTokenIds, Number),
+  sweetener: swap.sweetener.toString(),
+  expiresAt: Number(swap.expiresAt),
+  status: Number(swap.status)
+});
+
+// Whether the counterparty can still accept the swap
+export const isSwapOpen = (swap, now) => swap.status === SWAP_STATUS.PENDING && now < swap.expiresAt;
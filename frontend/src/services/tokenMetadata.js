@@ -0,0 +1,90 @@
+import { RARITIES } from '../utils';
+import { getPokedexEntry } from './pokedex';
+
+// Token metadata served on-chain by PokemonCardToken.tokenURI: a base64 JSON data URI with an SVG image
+
+const JSON_BASE64_PREFIX = 'data:application/json;base64,';
+const JSON_UTF8_PREFIX = 'data:application/json;utf8,';
+
+const decodeBase64 = (base64) =>
+  new TextDecoder().decode(Uint8Array.from(atob(base64), char => char.charCodeAt(0)));
+
+const encodeBase64 = (text) =>
+  btoa(Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join(''));
+
+const getAttribute = (metadata, traitType) =>
+  metadata.attributes?.find(attribute => attribute.trait_type === traitType)?.value;
+
+/**
+ * Decode a tokenURI into the card it describes.
+ * @param {string} uri - Data URI returned by tokenURI
+ * @returns {Object} { name, description, image, pokemonId, pokemonName, rarity }, rarity as its index
+ */
+export const decodeTokenURI = (uri) => {
+  let metadata;
+  if (uri.startsWith(JSON_BASE64_PREFIX)) {
+    metadata = JSON.parse(decodeBase64(uri.slice(JSON_BASE64_PREFIX.length)));
+  } else if (uri.startsWith(JSON_UTF8_PREFIX)) {
+    metadata = JSON.parse(decodeURIComponent(uri.slice(JSON_UTF8_PREFIX.length)));
+  } else {
+    throw new Error('Unsupported token URI, expected a JSON data URI');
+  }
+
+  const rarity = RARITIES.indexOf(getAttribute(metadata, 'Rarity'));
+  return {
+    name: metadata.name,
+    description: metadata.description,
+    image: metadata.image,
+    pokemonId: Number(getAttribute(metadata, 'Pokedex Number')) || null,
+    pokemonName: getAttribute(metadata, 'Pokemon') || null,
+    rarity: rarity === -1 ? null : rarity
+  };
+};
+
+// Frame and background colors per rarity index, as in PokemonCardMetadata.sol
+const RARITY_COLORS = [
+  ['#4b5563', '#f3f4f6'],
+  ['#1d4ed8', '#dbeafe'],
+  ['#7e22ce', '#f3e8ff']
+];
+
+/**
+ * Build the tokenURI of a card the way PokemonCardToken does, for the simulated marketplace.
+ * @param {number} tokenId - Token ID
+ * @param {number} pokemonId - Pokédex number
+ * @param {number} rarity - Rarity index
+ * @returns {string} Base64 JSON data URI
+ */
+export const buildTokenURI = (tokenId, pokemonId, rarity) => {
+  const name = getPokedexEntry(pokemonId)?.name || 'Unknown Pokemon';
+  const rarityName = RARITIES[rarity];
+  const dexNumber = String(pokemonId).padStart(3, '0');
+  const [frame, background] = RARITY_COLORS[rarity] || RARITY_COLORS[0];
+  const frameFill = `text-anchor="middle" font-weight="bold" fill="${frame}"`;
+
+  const svg = [
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 490" font-family="sans-serif">',
+    `<rect width="350" height="490" rx="18" fill="${frame}"/>`,
+    '<rect x="14" y="14" width="322" height="462" rx="12" fill="#fffbeb"/>',
+    `<rect x="30" y="72" width="290" height="250" rx="8" fill="${background}" stroke="${frame}" stroke-width="4"/>`,
+    `<text x="30" y="52" font-size="24" font-weight="bold" fill="#111827">${name}</text>`,
+    `<text x="320" y="52" font-size="16" text-anchor="end" fill="#6b7280">#${dexNumber}</text>`,
+    `<text x="175" y="222" font-size="64" ${frameFill}>#${dexNumber}</text>`,
+    `<text x="175" y="380" font-size="28" ${frameFill}>${rarityName}</text>`,
+    `<text x="175" y="450" font-size="14" text-anchor="middle" fill="#6b7280">Card #${tokenId}</text>`,
+    '</svg>'
+  ].join('');
+
+  const metadata = {
+    name: `${name} #${tokenId}`,
+    description: `${rarityName} Pokemon card of ${name} (Pokedex #${dexNumber})`,
+    image: `data:image/svg+xml;base64,${encodeBase64(svg)}`,
+    attributes: [
+      { trait_type: 'Pokemon', value: name },
+      { trait_type: 'Pokedex Number', display_type: 'number', value: Number(pokemonId) },
+      { trait_type: 'Rarity', value: rarityName }
+    ]
+  };
+
+  return `${JSON_BASE64_PREFIX}${encodeBase64(JSON.stringify(metadata))}`;
+};
@@ -0,0 +1,127 @@
+import { ethers } from 'ethers';
+import { decodeTransactionError } from './txErrors';
+
+// Transaction lifecycle helpers: stages, wait and replacement handling, and persistence of pending transactions
+
+// Stages a tracked transaction goes through
+export const TX_STAGES = {
+  AWAITING_SIGNATURE: 'awaiting-signature',
+  SUBMITTED: 'submitted',
+  MINED: 'mined',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+  REPLACED: 'replaced',
+  DROPPED: 'dropped'
+};
+
+// Stages after which a transaction no longer changes
+export const FINAL_TX_STAGES = [
+  TX_STAGES.MINED,
+  TX_STAGES.FAILED,
+  TX_STAGES.REJECTED,
+  TX_STAGES.REPLACED,
+  TX_STAGES.DROPPED
+];
+
+const PENDING_STORAGE_KEY = 'pokemon-card-trading:pending-transactions';
+
+// Errors of transactions that never got mined themselves, as { message, action } like decoded errors
+const CANCELLED = { message: 'The transaction was cancelled in your wallet.', action: 'Send it again if you still want to go ahead.' };
+const REPLACED = { message: 'The transaction was replaced by another one with the same nonce.', action: 'Check your wallet activity, then send it again if needed.' };
+const DROPPED = { message: 'The transaction was dropped before it was mined.', action: 'Send it again, possibly with a higher gas fee.' };
+
+// Keep the serializable parts of a receipt
+export const summarizeReceipt = (receipt) => receipt && {
+  blockNumber: receipt.blockNumber,
+  gasUsed: receipt.gasUsed?.toString(),
+  status: receipt.status
+};
+
+/**
+ * Wait for a submitted transaction and translate the result into a stage update.
+ * A speed-up (same call, higher fee) counts as mined under the new hash; a cancellation or any other
+ * transaction with the same nonce counts as replaced.
+ * @param {ethers.TransactionResponse} txResponse - Submitted transaction, ideally with replacement detection enabled
+ * @returns {Promise<Object>} Changes to apply to the tracked transaction
+ */
+export const waitForOutcome = async (txResponse) => {
+  try {
+    const receipt = await txResponse.wait();
+    return { stage: TX_STAGES.MINED, receipt: summarizeReceipt(receipt), logs: receipt?.logs || [] };
+  } catch (error) {
+    if (ethers.isError(error, 'TRANSACTION_REPLACED')) {
+      if (error.reason === 'repriced') {
+        return {
+          stage: TX_STAGES.MINED,
+          hash: error.replacement.hash,
+          replacedHash: txResponse.hash,
+          receipt: summarizeReceipt(error.receipt),
+          logs: error.receipt?.logs || []
+        };
+      }
+      return {
+        stage: TX_STAGES.REPLACED,
+        replacedBy: error.replacement.hash,
+        error: error.reason === 'cancelled' ? CANCELLED : REPLACED
+      };
+    }
+    return {
+      stage: TX_STAGES.FAILED,
+      receipt: summarizeReceipt(error.receipt),
+      error: decodeTransactionError(error)
+    };
+  }
+};
+
+/**
+ * Resume tracking a transaction submitted before the page was reloaded.
+ * @param {ethers.Provider} provider - Provider to look the transaction up with
+ * @param {Object} transaction - Persisted transaction (hash, from, nonce, startBlock)
+ * @returns {Promise<Object>} Changes to apply to the tracked transaction
+ */
+export const resumeTransaction = async (provider, transaction) => {
+  try {
+    const txResponse = await provider.getTransaction(transaction.hash);
+    if (txResponse) {
+      return waitForOutcome(txResponse.replaceableTransaction(transaction.startBlock));
+    }
+
+    // The node no longer knows the transaction; if its nonce was used, another transaction took its place
+    const nonce = await provider.getTransactionCount(transaction.from);
+    if (nonce > transaction.nonce) {
+      return { stage: TX_STAGES.REPLACED, error: REPLACED };
+    }
+    return { stage: TX_STAGES.DROPPED, error: DROPPED };
+  } catch (error) {
+    return { stage: TX_STAGES.FAILED, error: decodeTransactionError(error) };
+  }
+};
+
+// Stage update for an error thrown before or while sending
+export const sendFailure = (error) => ({
+  stage: ethers.isError(error, 'ACTION_REJECTED') ? TX_STAGES.REJECTED : TX_STAGES.FAILED,
+  error: decodeTransactionError(error)
+});
+
+// Read the transactions that were still pending when the page was left
+export const loadPendingTransactions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Persist the submitted, not yet final transactions so tracking survives a reload
+export const savePendingTransactions = (transactions) => {
+  try {
+    const pending = transactions
+      .filter(tx => tx.stage === TX_STAGES.SUBMITTED)
+      .map(({ id, label, tokenId, hash, from, nonce, chainId, startBlock, createdAt }) => (
+        { id, label, tokenId, hash, from, nonce, chainId, startBlock, createdAt }
+      ));
+    localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+  } catch (error) {
+    console.warn('Failed to persist pending transactions:', error);
+  }
+};
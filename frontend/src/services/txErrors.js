@@ -0,0 +1,260 @@
+import { ethers } from 'ethers';
+import PokemonCardTokenABI from '../contracts/PokemonCardToken.json';
+import PokemonCardTradingABI from '../contracts/PokemonCardTrading.json';
+import PokemonCardPacksABI from '../contracts/PokemonCardPacks.json';
+import PokemonCardBundlesABI from '../contracts/PokemonCardBundles.json';
+import MockERC20ABI from '../contracts/MockERC20.json';
+import { getNetworkName } from '../utils';
+
+// Turns errors thrown by wallets, providers and our contracts into a message and a suggested action for the user
+
+// Custom errors of our contracts and payment tokens (OpenZeppelin Pausable, Ownable, ERC721, ERC20, ...), deduplicated by name
+const ERROR_INTERFACE = new ethers.Interface(
+  [...PokemonCardTradingABI.abi, ...PokemonCardTokenABI.abi, ...PokemonCardPacksABI.abi, ...PokemonCardBundlesABI.abi, ...MockERC20ABI.abi]
+    .filter(fragment => fragment.type === 'error')
+    .filter((fragment, i, fragments) => fragments.findIndex(other => other.name === fragment.name) === i)
+);
+
+const REFRESH = 'Refresh the page to see the current state of the card.';
+
+// Revert reasons (require strings and custom error names) mapped to user-facing messages
+const REVERT_MESSAGES = {
+  // PokemonCardTrading
+  'Price must be greater than zero': { message: 'The price must be greater than zero.', action: 'Enter a price above 0 Wei.' },
+  'Starting price must be greater than zero': { message: 'The starting price must be greater than zero.', action: 'Enter a starting price above 0 Wei.' },
+  'Duration must be greater than zero': { message: 'The duration must be greater than zero.', action: 'Choose a duration of at least one second.' },
+  'You must own the card to list it': { message: 'You do not own this card.', action: 'Switch to the account that owns the card.' },
+  'Trading contract is not approved to transfer this token': { message: 'The marketplace is not approved to transfer this card.', action: 'Approve the marketplace for this card and try again.' },
+  'Card already has an active listing': { message: 'This card is already listed.', action: 'Cancel the existing listing before creating a new one.' },
+  'Listing is not active': { message: 'This card is no longer listed.', action: REFRESH },
+  'Card is not listed for auction': { message: 'This card is not listed as an auction.', action: REFRESH },
+  'Card is not listed for Dutch auction': { message: 'This card is not listed as a Dutch auction.', action: REFRESH },
+  'Floor price must be greater than zero': { message: 'The floor price must be greater than zero.', action: 'Enter a floor price above 0 Wei.' },
+  'Start price must be above the floor price': { message: 'The start price must be above the floor price.', action: 'Raise the start price or lower the floor.' },
+  'Card is not listed for fixed price': { message: 'This card is not listed for a fixed price.', action: REFRESH },
+  'Auction has not ended yet': { message: 'The auction is still running.', action: 'Wait until the auction end time, then end it.' },
+  'Auction has ended': { message: 'This auction has already ended.', action: 'End the auction to settle it, bids are no longer accepted.' },
+  'Bid too low': { message: 'Your bid is too low.', action: 'Bid at least the starting price, or the minimum next bid shown once there are bids.' },
+  'Reserve price must be above the starting price': { message: 'The reserve price must be above the starting price.', action: 'Raise the reserve, or leave it empty for no reserve.' },
+  'Buy now price must be above the starting and reserve prices': { message: 'The buy-now price must be above the starting price and at least the reserve.', action: 'Raise the buy-now price, or leave it empty for none.' },
+  'Auction has no buy now price': { message: 'This auction cannot be bought now.', action: 'Place a bid instead.' },
+  'Bids already exceed the buy now price': { message: 'Bids have reached the buy-now price.', action: `${REFRESH} Place a bid to keep competing.` },
+  'Only the seller can cancel a listing': { message: 'Only the seller can cancel this listing.', action: 'Switch to the account that listed the card.' },
+  'Only the seller can update a listing': { message: 'Only the seller can update this listing.', action: 'Switch to the account that listed the card.' },
+  'Cannot update auction with bids': { message: 'Auctions that already have bids cannot be updated.', action: 'Wait for the auction to end and settle it instead.' },
+  'Dutch auctions cannot be updated': { message: 'The price of a Dutch auction cannot be changed.', action: 'Cancel the listing and list the card again.' },
+  'End time must be in the future': { message: 'The end time must be in the future.', action: 'Choose a later end time.' },
+  'End time must be after the start time': { message: 'The listing must expire after it opens.', action: 'Choose a later expiry or an earlier opening.' },
+  'Listing has not started yet': { message: 'This listing has not opened yet.', action: 'Wait until the opening time shown, then buy.' },
+  'Listing has expired': { message: 'This listing has expired.', action: 'The card can only be returned to the seller now.' },
+  'Listing has ended': { message: 'This listing has already ended, so it can no longer be updated.', action: 'End the auction or return the expired card instead.' },
+  'Listing has not expired': { message: 'This listing has not expired yet.', action: `${REFRESH} Only expired listings can be returned.` },
+  'Cannot cancel auction with bids': { message: 'Auctions that already have bids cannot be cancelled.', action: 'Wait for the auction to end and settle it instead.' },
+  'Insufficient payment': { message: 'The payment is lower than the listing price.', action: `${REFRESH} The price may have changed.` },
+  'Price is above the maximum': { message: 'The price was raised after you confirmed the purchase.', action: `${REFRESH} Nothing was paid, buy again at the new price if you still want it.` },
+  'No funds to withdraw': { message: 'There are no funds to withdraw.', action: 'Proceeds from sales and won auctions appear here once they settle.' },
+  'Transfer failed': { message: 'Sending the funds to your address failed.', action: 'Make sure your address can receive ETH, then try again.' },
+  'Offer must be greater than zero': { message: 'The offer must be greater than zero.', action: 'Enter an offer above 0 Wei.' },
+  'Offer duration exceeds the maximum': { message: 'Offers can stand for at most 30 days.', action: 'Choose a shorter duration.' },
+  'Card is listed, buy or bid on the listing instead': { message: 'This card is listed, so it does not take offers.', action: 'Buy it or bid on the listing instead.' },
+  'Card is in a bundle, buy or bid on the bundle instead': { message: 'This card is part of a bundle, so it does not take offers.', action: 'Buy or bid on the bundle instead.' },
+  'Cannot make an offer on your own card': { message: 'You cannot make an offer on your own card.', action: 'Switch to another account to make an offer.' },
+  'Offer is not active': { message: 'This offer is no longer open.', action: 'Refresh the page to see the current offers.' },
+  'Offer has expired': { message: 'This offer has expired.', action: 'The bidder can withdraw it, make a new offer to continue.' },
+  'Offer has not expired yet': { message: 'This offer has not expired yet.', action: 'Offers can be withdrawn once they expire.' },
+  'Only the card owner can respond to an offer': { message: 'Only the owner of this card can respond to its offers.', action: 'Switch to the account that owns the card.' },
+  'Only the bidder can accept a counter offer': { message: 'Only the bidder can accept this counter offer.', action: 'Switch to the account that made the offer.' },
+  'Only the bidder can withdraw an offer': { message: 'Only the bidder can withdraw this offer.', action: 'Switch to the account that made the offer.' },
+  'Counter offer must be higher than the offer': { message: 'A counter offer must be higher than the offer.', action: 'Enter a higher amount, or accept the offer as it is.' },
+  'Offer has no counter offer': { message: 'The owner has not countered this offer.', action: 'Refresh the page to see the current offers.' },
+  'Counter offer is no longer valid': { message: 'The card changed hands since the counter offer was made.', action: 'Make a new offer to the current owner.' },
+  'Payment must cover the counter offer': { message: 'The payment does not cover the counter offer.', action: 'Refresh the page to see the current counter offer.' },
+  'Invalid counterparty': { message: 'A trade needs another account to trade with.', action: 'Propose the trade to the owner of the cards you want.' },
+  'Swap must request at least one card': { message: 'A trade must ask for at least one card.', action: 'Select the cards you want in return.' },
+  'Swap must offer cards or ETH': { message: 'A trade must offer cards, ETH or both.', action: 'Select cards to give or add ETH to the trade.' },
+  'Too many cards in a swap': { message: 'A trade can hold at most 10 cards on each side.', action: 'Select fewer cards.' },
+  'Swap duration exceeds the maximum': { message: 'Trade proposals can stand for at most 30 days.', action: 'Choose a shorter duration.' },
+  'You must own the cards you offer': { message: 'You no longer own one of the cards you offered.', action: 'Refresh the page and select the cards again.' },
+  'Counterparty must own the requested cards': { message: 'One of the requested cards changed hands.', action: 'Refresh the page and select the cards again.' },
+  'Swap is not pending': { message: 'This trade is no longer open.', action: 'Refresh the page to see your current trades.' },
+  'Swap has expired': { message: 'This trade proposal has expired.', action: 'Decline it, the proposer can propose a new trade.' },
+  'Only the counterparty can accept a swap': { message: 'Only the account the trade was proposed to can accept it.', action: 'Switch to the account that owns the requested cards.' },
+  'Proposer no longer owns the offered cards': { message: 'The proposer no longer owns all the cards they offered.', action: 'Decline the trade.' },
+  'You no longer own the requested cards': { message: 'You no longer own all the cards this trade asks for.', action: 'Decline the trade.' },
+  'Only the proposer or counterparty can cancel a swap': { message: 'Only the two accounts of a trade can cancel it.', action: 'Switch to the account that proposed or received the trade.' },
+  'Currency is not allowed': { message: 'This currency is not accepted by the marketplace.', action: 'Choose ETH or another currency from the list.' },
+  'Currency cannot be the zero address': { message: 'ETH is always accepted and cannot be allowed or disallowed.', action: 'Enter the address of an ERC-20 token.' },
+  'Listing is paid in a token': { message: 'This card is priced in a token, not ETH.', action: 'Approve the token for the marketplace and pay without sending ETH.' },
+  'Auction is paid in a token': { message: 'Bids on this auction are paid in a token, not ETH.', action: 'Approve the token for the marketplace and bid in it.' },
+  'Auction is paid in ETH': { message: 'Bids on this auction are paid in ETH.', action: 'Bid in ETH instead.' },
+  'Bundle is paid in a token': { message: 'This bundle is priced in a token, not ETH.', action: 'Approve the token for the bundles contract and pay without sending ETH.' },
+
+  // PokemonCardPacks
+  'Payment must equal the pack price': { message: 'The payment does not match the pack price.', action: 'Refresh the page to see the current pack price.' },
+  'Only the buyer can open a pack': { message: 'Only the buyer can open this pack.', action: 'Switch to the account that bought the pack.' },
+  'Pack already opened': { message: 'This pack has already been opened.', action: 'Its cards are in your collection.' },
+  'Pack cannot be opened in the block it was bought': { message: 'The pack was bought in the latest block.', action: 'Wait for the next block and try again.' },
+  'Pack can no longer be opened': { message: 'This pack has expired, it was not opened within 256 blocks of buying it.', action: 'Settle the pack to get its cards.' },
+  'Pack does not exist': { message: 'This pack does not exist.', action: 'Refresh the page to see your current packs.' },
+  'Pack cannot be settled yet': { message: 'This pack cannot be settled yet.', action: 'Packs are settled from the second block after they expire, wait for the next block and try again.' },
+  'Pack can no longer be settled': { message: 'This pack was neither opened nor settled in time.', action: 'Packs must be settled within 256 blocks of expiring, its cards can no longer be drawn.' },
+  'Secret does not match the commitment': { message: 'The secret stored for this pack does not match it.', action: 'Open the pack in the browser it was bought in.' },
+  'No proceeds to withdraw': { message: 'There are no pack sale proceeds to withdraw.', action: 'Proceeds appear here once packs are sold.' },
+
+  // PokemonCardBundles
+  'A bundle needs at least two cards': { message: 'A bundle needs at least two cards.', action: 'Select more cards, or list a single card on its own.' },
+  'Too many cards in the bundle': { message: 'A bundle can hold at most 10 cards.', action: 'Select fewer cards.' },
+  'Bundle contract is not approved to transfer this token': { message: 'The marketplace is not approved to bundle this card.', action: 'Approve the card for bundling and try again.' },
+  'Bundle is not active': { message: 'This bundle is no longer listed.', action: 'Refresh the page to see the current state of the bundle.' },
+  'Bundle is not listed for fixed price': { message: 'This bundle is not listed for a fixed price.', action: 'Refresh the page to see the current state of the bundle.' },
+  'Bundle is not listed for auction': { message: 'This bundle is not listed as an auction.', action: 'Refresh the page to see the current state of the bundle.' },
+  'Only the seller can cancel a bundle': { message: 'Only the seller can cancel this bundle.', action: 'Switch to the account that listed the bundle.' },
+
+  // PokemonCardToken
+  'Query for nonexistent token': { message: 'This card does not exist.', action: 'Check the token ID.' },
+
+  // OpenZeppelin
+  'Pausable: paused': { message: 'The marketplace is currently paused.', action: 'Try again once the marketplace owner unpauses it.' },
+  EnforcedPause: { message: 'The marketplace is currently paused.', action: 'Try again once the marketplace owner unpauses it.' },
+  OwnableUnauthorizedAccount: { message: 'Only the contract owner can do this.', action: 'Switch to the owner account.' },
+  ReentrancyGuardReentrantCall: { message: 'The transaction was blocked by the reentrancy guard.', action: 'Try again with a regular wallet transaction.' },
+  ERC721NonexistentToken: { message: 'This card does not exist.', action: 'Check the token ID.' },
+  ERC721IncorrectOwner: { message: 'You do not own this card.', action: 'Switch to the account that owns the card.' },
+  ERC721InsufficientApproval: { message: 'The marketplace is not approved to transfer this card.', action: 'Approve the marketplace for this card and try again.' },
+  ERC20InsufficientAllowance: { message: 'The marketplace is not approved to spend enough of this token.', action: 'Approve the full amount in your wallet and try again.' },
+  ERC20InsufficientBalance: { message: 'Your token balance is too low for this payment.', action: 'Add tokens to your wallet or lower the amount.' }
+};
+
+const USER_REJECTED = { message: 'You rejected the transaction in your wallet.', action: 'Confirm the transaction in your wallet to continue.' };
+const INSUFFICIENT_FUNDS = { message: 'Your wallet does not have enough ETH for this transaction and its gas fee.', action: 'Add ETH to your wallet or lower the amount.' };
+const REVERTED_ON_CHAIN = { message: 'The transaction was reverted on-chain.', action: `${REFRESH} It may have changed before your transaction was mined.` };
+
+// How wallets and nodes word a balance too low for value plus gas (MetaMask, geth, Hardhat)
+const INSUFFICIENT_FUNDS_PATTERN = /insufficient funds|doesn't have enough funds/i;
+
+// Nested errors wallets and providers wrap the original error in
+const nestedErrors = (error) => {
+  const errors = [];
+  const queue = [error];
+
+  while (queue.length && errors.length < 20) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || errors.includes(current)) continue;
+
+    errors.push(current);
+    queue.push(current.error, current.info?.error, current.data, current.cause);
+  }
+
+  return errors;
+};
+
+// Find ABI-encoded revert data (a 4 byte selector at least) in an error
+const findRevertData = (errors) => {
+  for (const error of errors) {
+    for (const candidate of [error.data, error.data?.data]) {
+      if (typeof candidate === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+};
+
+// Revert reason from the error message, for nodes that only report it as text
+const findReasonInMessage = (errors) => {
+  for (const error of errors) {
+    const message = typeof error.message === 'string' ? error.message : '';
+    const match = message.match(/reverted with reason string '([^']*)'/) ||
+      message.match(/reverted with custom error '(\w+)\(/) ||
+      message.match(/execution reverted: ([^"\n]+)/);
+    if (match) return match[1].trim();
+  }
+  return null;
+};
+
+// Decode revert data into the require string or the custom error name
+const decodeRevertData = (data) => {
+  try {
+    const decoded = ethers.AbiCoder.defaultAbiCoder().getBuiltinCallException('call', { data }, data);
+    if (decoded.reason) return decoded.reason;
+  } catch (error) {
+    // Not a builtin Error(string) or Panic(uint256)
+  }
+
+  try {
+    return ERROR_INTERFACE.parseError(data)?.name || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Extract the revert reason from an ethers, wallet or node error.
+ * @param {Error} error - Error thrown while estimating, sending or waiting for a transaction
+ * @returns {string|null} require string or custom error name, null if there is none
+ */
+export const getRevertReason = (error) => {
+  // ethers already decoded it when the ABI was known
+  if (ethers.isError(error, 'CALL_EXCEPTION')) {
+    if (error.revert?.name === 'Error') return error.revert.args[0];
+    if (error.revert?.name) return error.revert.name;
+    if (error.reason) return error.reason;
+  }
+
+  const errors = nestedErrors(error);
+  const data = findRevertData(errors);
+  return (data && decodeRevertData(data)) || findReasonInMessage(errors);
+};
+
+/**
+ * Turn an error into a message and a suggested action for the user.
+ * @param {Error} error - Error thrown while estimating, sending or waiting for a transaction
+ * @returns {{ message: string, action: string, reason: string|null }} User-facing error
+ */
+export const decodeTransactionError = (error) => {
+  const errors = nestedErrors(error);
+
+  if (ethers.isError(error, 'ACTION_REJECTED') || errors.some(e => e.code === 4001)) {
+    return { ...USER_REJECTED, reason: null };
+  }
+
+  if (ethers.isError(error, 'INSUFFICIENT_FUNDS') ||
+      errors.some(e => typeof e.message === 'string' && INSUFFICIENT_FUNDS_PATTERN.test(e.message))) {
+    return { ...INSUFFICIENT_FUNDS, reason: null };
+  }
+
+  // Refused by the network guard before reaching the wallet
+  if (error?.code === 'WRONG_NETWORK') {
+    return {
+      message: `Your wallet is connected to ${getNetworkName(error.chainId)}.`,
+      action: `Switch your wallet to ${getNetworkName(error.expectedChainId)} and try again.`,
+      reason: null
+    };
+  }
+  if (error?.code === 'CONTRACTS_NOT_DEPLOYED') {
+    return {
+      message: 'The marketplace contracts are not deployed on this network.',
+      action: 'Redeploy the contracts to refresh the deployment manifest.',
+      reason: null
+    };
+  }
+
+  const reason = getRevertReason(error);
+  if (reason && REVERT_MESSAGES[reason]) {
+    return { ...REVERT_MESSAGES[reason], reason };
+  }
+  if (reason) {
+    return { message: `The transaction was reverted: ${reason}.`, action: 'Check the details and try again.', reason };
+  }
+
+  // Mined but reverted, the receipt carries no reason
+  if (ethers.isError(error, 'CALL_EXCEPTION') && error.receipt) {
+    return { ...REVERTED_ON_CHAIN, reason: null };
+  }
+
+  return {
+    message: error?.shortMessage || error?.message || 'The transaction failed.',
+    action: 'Please try again.',
+    reason: null
+  };
+};
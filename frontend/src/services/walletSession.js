@@ -0,0 +1,145 @@
+// Wallet session: EIP-6963 discovery of injected wallets, the remembered wallet choice and wallet event listeners
+
+const SESSION_STORAGE_KEY = 'pokemon-card-trading:wallet-session';
+
+// Stand-in for wallets that only inject window.ethereum without announcing themselves
+const LEGACY_WALLET_RDNS = 'injected';
+
+// Time given to a remembered wallet to announce itself after the page loads
+const ANNOUNCE_TIMEOUT = 1000;
+
+// Announced wallets by rdns, the uuid changes with every page load while the rdns identifies the wallet
+const announced = new Map();
+const subscribers = new Set();
+let discovering = false;
+
+const getLegacyWallet = () => window.ethereum && {
+  info: { uuid: LEGACY_WALLET_RDNS, rdns: LEGACY_WALLET_RDNS, name: 'Browser Wallet', icon: null },
+  provider: window.ethereum
+};
+
+/**
+ * Wallets available in the browser, the injected window.ethereum only counts when no wallet announced itself.
+ * @returns {Array<Object>} EIP-6963 provider details ({ info: { uuid, rdns, name, icon }, provider })
+ */
+export const getWallets = () => {
+  if (announced.size) return [...announced.values()];
+  const legacy = getLegacyWallet();
+  return legacy ? [legacy] : [];
+};
+
+// Wallet by rdns, null if it is not (yet) available
+export const getWallet = (rdns) => getWallets().find(wallet => wallet.info.rdns === rdns) || null;
+
+const handleAnnouncement = (event) => {
+  const { info, provider } = event.detail || {};
+  if (!info?.rdns || !provider) return;
+
+  announced.set(info.rdns, { info, provider });
+  const wallets = getWallets();
+  subscribers.forEach(callback => callback(wallets));
+};
+
+// Listen for announcements and ask the wallets already loaded to announce themselves again
+const startDiscovery = () => {
+  if (!discovering) {
+    window.addEventListener('eip6963:announceProvider', handleAnnouncement);
+    discovering = true;
+  }
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+};
+
+/**
+ * Follow the wallets available in the browser.
+ * @param {Function} callback - Called with the available wallets now and whenever another wallet announces itself
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToWallets = (callback) => {
+  subscribers.add(callback);
+  startDiscovery();
+  callback(getWallets());
+  return () => subscribers.delete(callback);
+};
+
+/**
+ * Wait for a wallet to announce itself, extensions may inject after the page started.
+ * @param {string} rdns - Reverse domain name of the wallet
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Promise<Object|null>} Provider detail, null if the wallet did not show up
+ */
+export const findWallet = (rdns, timeout = ANNOUNCE_TIMEOUT) => new Promise((resolve) => {
+  startDiscovery();
+
+  const found = getWallet(rdns);
+  // The legacy wallet only counts once real wallets had their chance to announce
+  if (found && rdns !== LEGACY_WALLET_RDNS) {
+    resolve(found);
+    return;
+  }
+
+  const handleWallets = () => {
+    const wallet = getWallet(rdns);
+    if (wallet && rdns !== LEGACY_WALLET_RDNS) {
+      clearTimeout(timer);
+      subscribers.delete(handleWallets);
+      resolve(wallet);
+    }
+  };
+  const timer = setTimeout(() => {
+    subscribers.delete(handleWallets);
+    resolve(getWallet(rdns));
+  }, timeout);
+  subscribers.add(handleWallets);
+});
+
+/**
+ * Accounts the wallet already authorized for this site, without prompting.
+ * @param {Object} provider - EIP-1193 provider of the wallet
+ * @returns {Promise<Array<string>>} Authorized accounts, empty if none or on error
+ */
+export const getAuthorizedAccounts = async (provider) => {
+  try {
+    return await provider.request({ method: 'eth_accounts' });
+  } catch (error) {
+    console.warn('Failed to read the authorized accounts:', error);
+    return [];
+  }
+};
+
+/**
+ * Register account, chain and disconnect handlers on a wallet.
+ * @param {Object} provider - EIP-1193 provider of the wallet
+ * @param {Object} handlers - onAccountsChanged(accounts), onChainChanged(chainId), onDisconnect()
+ * @returns {Function} Cleanup function detaching the same handlers
+ */
+export const watchWallet = (provider, { onAccountsChanged, onChainChanged, onDisconnect }) => {
+  const handleChainChanged = (chainIdHex) => onChainChanged(Number(chainIdHex));
+
+  provider.on('accountsChanged', onAccountsChanged);
+  provider.on('chainChanged', handleChainChanged);
+  provider.on('disconnect', onDisconnect);
+
+  return () => {
+    provider.removeListener('accountsChanged', onAccountsChanged);
+    provider.removeListener('chainChanged', handleChainChanged);
+    provider.removeListener('disconnect', onDisconnect);
+  };
+};
+
+// Read the remembered wallet (rdns) and whether the user disconnected it on purpose
+export const loadWalletSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY)) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Remember the wallet choice, or the explicit disconnect, across reloads
+export const saveWalletSession = (session) => {
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  } catch (error) {
+    console.warn('Failed to persist the wallet session:', error);
+  }
+};
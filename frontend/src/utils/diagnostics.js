@@ -1,35 +1,16 @@
 // Utility functions for diagnosing contract connectivity issues
 
-// Checks for required environment variables
-const checkEnvironmentVariables = () => {
-  try {
-    console.log('Checking environment variables...');
-    
-    const tokenAddress = import.meta.env.VITE_TOKEN_CONTRACT_ADDRESS;
-    const tradingAddress = import.meta.env.VITE_TRADING_CONTRACT_ADDRESS;
-    const etherscanApiKey = import.meta.env.VITE_ETHERSCAN_API_KEY;
-    
-    return {
-      hasTokenAddress: !!tokenAddress,
-      hasTradingAddress: !!tradingAddress,
-      hasEtherscanApiKey: !!etherscanApiKey,
-      tokenAddress: tokenAddress || 'Not set',
-      tradingAddress: tradingAddress || 'Not set',
-      etherscanApiKey: etherscanApiKey ? 'Set (hidden)' : 'Not set'
-    };
-  } catch (error) {
-    console.error('Error checking environment variables:', error);
-    return {
-      hasTokenAddress: false,
-      hasTradingAddress: false,
-      hasEtherscanApiKey: false,
-      error: error.message
-    };
-  }
-};
+// Describes the deployment the contracts were loaded from
+const describeDeployment = (contracts = {}) => ({
+  chainId: contracts.simulated ? 'Simulated' : contracts.chainId || 'Unknown',
+  tokenAddress: contracts.tokenAddress || 'Not loaded',
+  tradingAddress: contracts.tradingAddress || 'Not loaded',
+  packsAddress: contracts.packsAddress || 'Not deployed',
+  deployBlock: contracts.deployBlock ?? 'Unknown'
+});
 
 // Run a series of diagnostics on contracts and wallet connection
-export const runContractDiagnostics = async (contracts = {}, wallet = {}, getEnvVars = () => ({})) => {
+export const runContractDiagnostics = async (contracts = {}, wallet = {}) => {
   const results = {
     timestamp: new Date().toISOString(),
     environment: import.meta.env.MODE || 'unknown',
@@ -50,7 +31,7 @@ export const runContractDiagnostics = async (contracts = {}, wallet = {}, getEnv
       canCall: false,
       errors: [],
     },
-    envVars: checkEnvironmentVariables()
+    deployment: describeDeployment(contracts)
   };
 
   // Check token contract
@@ -118,11 +99,11 @@ TRADING CONTRACT:
 - Can Call Functions: ${results.tradingContract.canCall ? 'Yes' : 'No'}
 ${results.tradingContract.errors && results.tradingContract.errors.length > 0 ? `- Errors: ${results.tradingContract.errors.join('; ')}` : ''}
 
-ENVIRONMENT VARIABLES:
-- Token Contract: ${results.envVars.tokenAddress}
-- Trading Contract: ${results.envVars.tradingAddress}
-- Etherscan API Key: ${results.envVars.etherscanApiKey}
-${results.envVars.error ? `- Error: ${results.envVars.error}` : ''}
+DEPLOYMENT MANIFEST:
+- Chain ID: ${results.deployment.chainId}
+- Token Contract: ${results.deployment.tokenAddress}
+- Trading Contract: ${results.deployment.tradingAddress}
+- Deploy Block: ${results.deployment.deployBlock}
 
 DEVELOPMENT MODE:
 ${import.meta.env.MODE === 'development' ? '- Mock data is available when contracts are not connected' : '- Production mode'}
@@ -0,0 +1,2 @@
+// Gets the badge image URL for a Pokémon type ID using local assets
+export const getTypeBadgeUrl = (typeId) => `/assets/types/${Number(typeId)}.svg`;
@@ -32,6 +32,17 @@ export const getNetworkName = (chainId) => {
   return networks[Number(chainId)] || `Chain ID ${chainId}`;
 };
 
+// Get the block explorer URL of a transaction, or null on networks without an explorer (e.g. Localhost)
+export const getExplorerTxUrl = (chainId, hash) => {
+  const explorers = {
+    1: 'https://etherscan.io',
+    11155111: 'https://sepolia.etherscan.io'
+  };
+
+  const explorer = explorers[Number(chainId)];
+  return explorer && hash ? `${explorer}/tx/${hash}` : null;
+};
+
 // Format date from UNIX timestamp
 export const formatDate = (timestamp) => {
   if (!timestamp) return 'N/A';
@@ -59,6 +70,15 @@ export const formatTimeRemaining = (endTime) => {
   return hours > 0 ? `${hours}h ${minutes}m left` : `${minutes}m left`;
 };
 
+// Format a duration in seconds, e.g. "45s", "5m" or "1h 30m"
+export const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  return minutes > 0 ? `${minutes}m` : `${seconds % 60}s`;
+};
+
 // Rarity Helpers
 
 const RARITY_CLASSES = {
@@ -85,6 +105,6 @@ export const RARITIES = Object.values(RARITY_NAMES);
 export const classNames = (...classes) => classes.filter(Boolean).join(' ');
 
 // Other Utilities
-export * from './mockData';
 export * from './diagnostics';
-export * from './getPokemonImageUrl'; 
\ No newline at end of file
+export * from './getPokemonImageUrl';
+export * from './getTypeBadgeUrl'; 
\ No newline at end of file
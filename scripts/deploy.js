@@ -1,31 +1,149 @@
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ethers, network, artifacts } = require("hardhat");
+
+// deployments/<chainId>.json is the source of truth for the deploy shell scripts (deploy-local.sh
+// copies the addresses into .env for the test scripts), the frontend loads its copy from public/deployments
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const FRONTEND_DEPLOYMENTS_DIR = path.join(__dirname, "..", "frontend", "public", "deployments");
+// ABIs bundled with the frontend, for decoding errors and the simulated marketplace
+const FRONTEND_ABI_DIR = path.join(__dirname, "..", "frontend", "src", "contracts");
+
+// Deploy a contract and wait for it to be mined, the constructor arguments are kept for verification
+async function deployContract(name, args = []) {
+  const factory = await ethers.getContractFactory(name);
+
+  console.log(`Deploying ${name}...`);
+  const contract = await factory.deploy(...args);
+  const receipt = await contract.deployTransaction.wait();
+
+  console.log(`${name} deployed to:`, contract.address);
+  return { address: contract.address, deployBlock: receipt.blockNumber, args: args.map(String) };
+}
+
+// Marketplace fee and default creator royalty in basis points, paid to the deployer unless other recipients are set
+const PLATFORM_FEE = Number(process.env.PLATFORM_FEE || 250);
+const ROYALTY = Number(process.env.ROYALTY || 500);
+
+// Auction rules: bids must add 5% to the highest bid, bids in the last 5 minutes extend the auction by 5 minutes
+const MIN_BID_INCREMENT = Number(process.env.MIN_BID_INCREMENT || 500);
+const MIN_BID_INCREMENT_WEI = process.env.MIN_BID_INCREMENT_WEI || "0";
+const AUCTION_EXTENSION_WINDOW = Number(process.env.AUCTION_EXTENSION_WINDOW || 300);
+const AUCTION_EXTENSION = Number(process.env.AUCTION_EXTENSION || 300);
+
+// Booster pack sale settings, the owner can change them later with setPackConfig
+const PACK_PRICE = ethers.utils.parseEther(process.env.PACK_PRICE || "0.01");
+const CARDS_PER_PACK = Number(process.env.CARDS_PER_PACK || 5);
+
+// Prize token deployed on local chains to test listings paid in an ERC-20 token, with fewer decimals than ETH
+const PRIZE_TOKEN_NAME = "Prize Token";
+const PRIZE_TOKEN_SYMBOL = "PRIZE";
+const PRIZE_TOKEN_DECIMALS = 6;
+const PRIZE_TOKEN_GRANT = "1000";
+
+// Write a JSON file, creating its directory if needed
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+// Write the deployment manifest for the network, along with the frontend copy and ABIs
+async function writeManifest(chainId, deployer, deployed) {
+  const contracts = {};
+  for (const [name, deployment] of Object.entries(deployed)) {
+    const { abi } = await artifacts.readArtifact(name);
+    contracts[name] = { ...deployment, abi };
+    writeJson(path.join(FRONTEND_ABI_DIR, `${name}.json`), { abi });
+  }
+
+  const manifest = {
+    chainId,
+    network: network.name,
+    deployer,
+    deployedAt: new Date().toISOString(),
+    // The frontend listing index replays trading events starting at this block
+    deployBlock: deployed.PokemonCardTrading.deployBlock,
+    contracts
+  };
+
+  const file = path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+  writeJson(file, manifest);
+  writeJson(path.join(FRONTEND_DEPLOYMENTS_DIR, `${chainId}.json`), manifest);
+
+  console.log("Deployment manifest written to:", path.relative(process.cwd(), file));
+  return manifest;
+}
 
 async function main() {
   console.log("Deploying Pokemon Card NFT contracts...");
 
-  // Get the contract factory
-  const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
-  
-  // Deploy PokemonCardToken
-  console.log("Deploying PokemonCardToken...");
-  const pokemonCardToken = await PokemonCardToken.deploy();
-  await pokemonCardToken.deployTransaction.wait();
-  
-  console.log("PokemonCardToken deployed to:", pokemonCardToken.address);
-
-  // Deploy PokemonCardTrading with the address of PokemonCardToken
-  const PokemonCardTrading = await ethers.getContractFactory("PokemonCardTrading");
-  
-  console.log("Deploying PokemonCardTrading...");
-  const pokemonCardTrading = await PokemonCardTrading.deploy(pokemonCardToken.address);
-  await pokemonCardTrading.deployTransaction.wait();
-  
-  console.log("PokemonCardTrading deployed to:", pokemonCardTrading.address);
-  
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  console.log(`Network: ${network.name} (chain ${chainId}), deployer: ${deployer.address}`);
+
+  const deployed = {};
+  deployed.PokemonCardToken = await deployContract("PokemonCardToken");
+  deployed.PokemonCardTrading = await deployContract("PokemonCardTrading", [
+    deployed.PokemonCardToken.address,
+    process.env.FEE_RECIPIENT || deployer.address,
+    PLATFORM_FEE
+  ]);
+  deployed.PokemonCardPacks = await deployContract("PokemonCardPacks", [
+    deployed.PokemonCardToken.address,
+    PACK_PRICE,
+    CARDS_PER_PACK
+  ]);
+  // Bundles charge the platform fee and follow the auction rules of the trading contract
+  deployed.PokemonCardBundles = await deployContract("PokemonCardBundles", [
+    deployed.PokemonCardToken.address,
+    deployed.PokemonCardTrading.address
+  ]);
+
+  const trading = await ethers.getContractAt("PokemonCardTrading", deployed.PokemonCardTrading.address);
+  await (await trading.setAuctionRules(
+    MIN_BID_INCREMENT,
+    MIN_BID_INCREMENT_WEI,
+    AUCTION_EXTENSION_WINDOW,
+    AUCTION_EXTENSION
+  )).wait();
+  console.log(`Auction rules set: ${MIN_BID_INCREMENT / 100}% minimum increment, ${AUCTION_EXTENSION}s extension for bids in the last ${AUCTION_EXTENSION_WINDOW}s`);
+
+  // Cards held in bundle escrow can only be bought through their bundle, so they take no offers
+  await (await trading.setBundlesContract(deployed.PokemonCardBundles.address)).wait();
+  console.log("PokemonCardBundles set as the bundles contract of the trading contract");
+
+  // Packs mint the cards they contain
+  const token = await ethers.getContractAt("PokemonCardToken", deployed.PokemonCardToken.address);
+  await (await token.setMinter(deployed.PokemonCardPacks.address, true)).wait();
+  console.log("PokemonCardPacks approved as minter");
+
+  const royaltyReceiver = process.env.ROYALTY_RECEIVER || deployer.address;
+  await (await token.setDefaultRoyalty(royaltyReceiver, ROYALTY)).wait();
+  console.log(`Default royalty set to ${ROYALTY / 100}% for ${royaltyReceiver}`);
+
+  // Public networks already have the canonical Multicall3, local chains need their own for batched frontend reads
+  if (chainId === 31337) {
+    deployed.Multicall3 = await deployContract("Multicall3");
+
+    // A mintable prize token stands in for event tokens, on public networks the owner allows real ones
+    deployed.MockERC20 = await deployContract("MockERC20", [PRIZE_TOKEN_NAME, PRIZE_TOKEN_SYMBOL, PRIZE_TOKEN_DECIMALS]);
+    await (await trading.setCurrencyAllowed(deployed.MockERC20.address, true)).wait();
+    console.log(`${PRIZE_TOKEN_SYMBOL} allowed as a listing currency`);
+
+    const prizeToken = await ethers.getContractAt("MockERC20", deployed.MockERC20.address);
+    const grant = ethers.utils.parseUnits(PRIZE_TOKEN_GRANT, PRIZE_TOKEN_DECIMALS);
+    const signers = (await ethers.getSigners()).slice(0, 5);
+    for (const signer of signers) {
+      await (await prizeToken.mint(signer.address, grant)).wait();
+    }
+    console.log(`Minted ${PRIZE_TOKEN_GRANT} ${PRIZE_TOKEN_SYMBOL} to each of the first ${signers.length} accounts`);
+  }
+
+  const manifest = await writeManifest(chainId, deployer.address, deployed);
+
   console.log("Deployment complete!");
-  
-  // Return the contract addresses for testing purposes
-  return { pokemonCardToken, pokemonCardTrading };
+
+  return manifest;
 }
 
 // Execute the deployment
@@ -34,4 +152,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  }); 
\ No newline at end of file
+  });
@@ -0,0 +1,176 @@
+// Test script for auction rules: minimum bid increments and the anti-sniping extension of late bids
+
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+async function main() {
+  try {
+    // Get the deployed contract addresses from environment variables
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    const tradingAddress = process.env.TRADING_ADDRESS;
+
+    if (!tokenAddress || !tradingAddress) {
+      console.error("Contract addresses not set. Make sure to set TOKEN_ADDRESS and TRADING_ADDRESS.");
+      process.exit(1);
+    }
+
+    console.log("AUCTION RULES TEST - Interacting with contracts:");
+    console.log("- PokemonCardToken:", tokenAddress);
+    console.log("- PokemonCardTrading:", tradingAddress);
+
+    const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
+    const PokemonCardTrading = await ethers.getContractFactory("PokemonCardTrading");
+
+    const token = await PokemonCardToken.attach(tokenAddress);
+    const trading = await PokemonCardTrading.attach(tradingAddress);
+
+    const [owner, seller, bidder1, bidder2] = await ethers.getSigners();
+    console.log(`\nAccounts available for auction rules test:`);
+    console.log(`- Owner: ${owner.address}`);
+    console.log(`- Seller: ${seller.address}`);
+    console.log(`- Bidder 1: ${bidder1.address}`);
+    console.log(`- Bidder 2: ${bidder2.address}`);
+
+    // Helper for expecting reverts
+    const expectRevert = async (call, expectedErrorMsg) => {
+      try {
+        await call;
+        console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but call succeeded.`);
+        return false;
+      } catch (error) {
+        if (error.message.includes(expectedErrorMsg)) {
+          console.log(`✅ PASSED: Correctly reverted with '${expectedErrorMsg}'.`);
+          return true;
+        } else {
+          console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but got: ${error.message}`);
+          return false;
+        }
+      }
+    };
+
+    const increaseTime = async (seconds) => {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+    const eth = ethers.utils.parseEther;
+
+    // The rules set by the deployment, restored at the end
+    const deployedRules = await Promise.all([
+      trading.minBidIncrement(),
+      trading.minBidIncrementAmount(),
+      trading.auctionExtensionWindow(),
+      trading.auctionExtension()
+    ]);
+
+    // ==================== SECTION 1: CONFIGURATION ====================
+    console.log("\n=== CONFIGURATION ===");
+
+    console.log("\nTEST: Only the owner can change the auction rules");
+    await expectRevert(trading.connect(seller).setAuctionRules(1000, 0, 600, 300), "OwnableUnauthorizedAccount");
+
+    console.log("\nTEST: Increments and extensions are capped");
+    await expectRevert(trading.setAuctionRules(10001, 0, 600, 300), "Bid increment exceeds the maximum");
+    await expectRevert(trading.setAuctionRules(1000, 0, 86401, 300), "Auction extension exceeds the maximum");
+    await expectRevert(trading.setAuctionRules(1000, 0, 600, 86401), "Auction extension exceeds the maximum");
+
+    // 10% or 0.02 ETH more than the highest bid, bids in the last 10 minutes add 5 minutes
+    const extensionWindow = 600;
+    const extension = 300;
+    await (await trading.setAuctionRules(1000, eth("0.02"), extensionWindow, extension)).wait();
+    expect(await trading.minBidIncrement()).to.equal(1000, "Increment rate not set");
+    expect(await trading.auctionExtension()).to.equal(extension, "Extension not set");
+    console.log("✅ PASSED: Auction rules updated");
+
+    // ==================== SECTION 2: MINIMUM BID INCREMENTS ====================
+    console.log("\n=== MINIMUM BID INCREMENTS ===");
+
+    const mintReceipt = await (await token.mintPokemonCard(seller.address, 65, 2)).wait();
+    const tokenId = mintReceipt.events.find(e => e.event === "Transfer").args.tokenId;
+    const auctionDuration = 3600;
+    await (await token.connect(seller).approve(tradingAddress, tokenId)).wait();
+    await (await trading.connect(seller).listCardForAuction(tokenId, eth("0.1"), auctionDuration)).wait();
+    const listedEndTime = (await trading.listings(tokenId)).endTime;
+    console.log(`Listed Alakazam #${tokenId} for auction, starting at 0.1 ETH`);
+
+    console.log("\nTEST: The first bid only needs the starting price");
+    expect(await trading.getMinimumBid(tokenId)).to.equal(eth("0.1"), "Minimum first bid mismatch");
+    await (await trading.connect(bidder1).placeBid(tokenId, { value: eth("0.1") })).wait();
+    console.log("✅ PASSED: Bid the starting price");
+
+    console.log("\nTEST: The absolute increment applies while it is larger");
+    expect(await trading.getMinimumBid(tokenId)).to.equal(eth("0.12"), "Minimum bid should add 0.02 ETH");
+    await expectRevert(trading.connect(bidder2).placeBid(tokenId, { value: eth("0.119") }), "Bid too low");
+    await (await trading.connect(bidder2).placeBid(tokenId, { value: eth("0.12") })).wait();
+    console.log("✅ PASSED: Outbid by the absolute increment");
+
+    console.log("\nTEST: The percentage increment applies once it is larger");
+    await (await trading.connect(bidder1).placeBid(tokenId, { value: eth("1") })).wait();
+    expect(await trading.getMinimumBid(tokenId)).to.equal(eth("1.1"), "Minimum bid should add 10%");
+    await expectRevert(trading.connect(bidder2).placeBid(tokenId, { value: eth("1.09") }), "Bid too low");
+    console.log("✅ PASSED: Outbidding requires 10% more");
+
+    console.log("\nTEST: Early bids do not extend the auction");
+    expect((await trading.listings(tokenId)).endTime).to.equal(listedEndTime, "End time moved");
+    console.log("✅ PASSED: End time unchanged");
+
+    // ==================== SECTION 3: ANTI-SNIPING EXTENSION ====================
+    console.log("\n=== ANTI-SNIPING EXTENSION ===");
+
+    console.log("\nTEST: A bid in the final window extends the auction");
+    await increaseTime(listedEndTime.toNumber() - (await latestTimestamp()) - 60);
+    const lateBid = await (await trading.connect(bidder2).placeBid(tokenId, { value: eth("1.1") })).wait();
+    const extended = lateBid.events.find(e => e.event === "AuctionExtended");
+    expect(extended, "AuctionExtended not emitted").to.not.be.undefined;
+    expect(extended.args.endTime).to.equal(listedEndTime.add(extension), "Extended end time mismatch");
+    expect((await trading.listings(tokenId)).endTime).to.equal(listedEndTime.add(extension), "End time not extended");
+    console.log(`✅ PASSED: Auction extended by ${extension} seconds`);
+
+    console.log("\nTEST: The auction stays open past its original end");
+    await increaseTime(120);
+    await expectRevert(trading.connect(seller).endAuction(tokenId), "Auction has not ended yet");
+    await (await trading.connect(bidder1).placeBid(tokenId, { value: eth("1.21") })).wait();
+    expect((await trading.listings(tokenId)).endTime).to.equal(
+      listedEndTime.add(2 * extension),
+      "Second late bid did not extend the auction"
+    );
+    console.log("✅ PASSED: Bidding continued after the original end");
+
+    console.log("\nTEST: The auction ends after the extended end time");
+    const endTime = (await trading.listings(tokenId)).endTime.toNumber();
+    await increaseTime(endTime - (await latestTimestamp()) + 1);
+    await expectRevert(trading.connect(bidder2).placeBid(tokenId, { value: eth("2") }), "Auction has ended");
+    await (await trading.connect(seller).endAuction(tokenId)).wait();
+    expect(await token.ownerOf(tokenId)).to.equal(bidder1.address, "Card not transferred to the winner");
+    console.log("✅ PASSED: Winner received the card");
+
+    // ==================== SECTION 4: CLEANUP ====================
+    console.log("\n=== CLEANUP ===");
+
+    await (await trading.setAuctionRules(...deployedRules)).wait();
+    console.log("Restored the deployed auction rules");
+
+    // Later tests check the balances of these accounts from zero
+    for (const signer of [owner, seller, bidder1, bidder2]) {
+      if ((await trading.pendingWithdrawals(signer.address)).gt(0)) {
+        await (await trading.connect(signer).withdraw()).wait();
+      }
+    }
+    console.log("✅ PASSED: Withdrew the sale proceeds and outbid bids");
+
+    console.log("\n✅ Auction rules test complete!");
+
+  } catch (error) {
+    console.error("Error during auction rules test:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,285 @@
+// Test script for bundle listings: several cards sold as one lot, for a fixed price or by auction
+
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+async function main() {
+  try {
+    // Get the deployed contract addresses from environment variables
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    const tradingAddress = process.env.TRADING_ADDRESS;
+    const bundlesAddress = process.env.BUNDLES_ADDRESS;
+    const prizeTokenAddress = process.env.PRIZE_TOKEN_ADDRESS;
+
+    if (!tokenAddress || !tradingAddress || !bundlesAddress || !prizeTokenAddress) {
+      console.error("Contract addresses not set. Make sure to set TOKEN_ADDRESS, TRADING_ADDRESS, BUNDLES_ADDRESS and PRIZE_TOKEN_ADDRESS.");
+      process.exit(1);
+    }
+
+    console.log("BUNDLE TEST - Interacting with contracts:");
+    console.log("- PokemonCardToken:", tokenAddress);
+    console.log("- PokemonCardTrading:", tradingAddress);
+    console.log("- PokemonCardBundles:", bundlesAddress);
+    console.log("- MockERC20:", prizeTokenAddress);
+
+    const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
+    const PokemonCardTrading = await ethers.getContractFactory("PokemonCardTrading");
+    const PokemonCardBundles = await ethers.getContractFactory("PokemonCardBundles");
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+
+    const token = await PokemonCardToken.attach(tokenAddress);
+    const trading = await PokemonCardTrading.attach(tradingAddress);
+    const bundles = await PokemonCardBundles.attach(bundlesAddress);
+    const prize = await MockERC20.attach(prizeTokenAddress);
+
+    const [owner, seller, bidder1, bidder2] = await ethers.getSigners();
+    console.log(`\nAccounts available for bundle test:`);
+    console.log(`- Owner: ${owner.address}`);
+    console.log(`- Seller: ${seller.address}`);
+    console.log(`- Bidder 1: ${bidder1.address}`);
+    console.log(`- Bidder 2: ${bidder2.address}`);
+
+    // Helper for expecting reverts
+    const expectRevert = async (call, expectedErrorMsg) => {
+      try {
+        await call;
+        console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but call succeeded.`);
+        return false;
+      } catch (error) {
+        if (error.message.includes(expectedErrorMsg)) {
+          console.log(`✅ PASSED: Correctly reverted with '${expectedErrorMsg}'.`);
+          return true;
+        } else {
+          console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but got: ${error.message}`);
+          return false;
+        }
+      }
+    };
+
+    const decimals = await prize.decimals();
+    const units = (amount) => ethers.utils.parseUnits(amount, decimals);
+    const eth = ethers.utils.parseEther;
+
+    const increaseTime = async (seconds) => {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    // Mint cards of the given Pokemon to the seller, returning their token IDs
+    const mintCards = async (pokemonIds) => {
+      const tokenIds = [];
+      for (const pokemonId of pokemonIds) {
+        const receipt = await (await token.mintPokemonCard(seller.address, pokemonId, 0)).wait();
+        tokenIds.push(receipt.events.find(e => e.event === "Transfer").args.tokenId);
+      }
+      return tokenIds;
+    };
+
+    const bundleIdOf = (receipt) => receipt.events.find(e => e.event === "BundleListed").args.bundleId;
+
+    // ==================== SECTION 1: LISTING ====================
+    console.log("\n=== LISTING ===");
+
+    // Charmander, Charmeleon, Charizard
+    const evolutionLine = await mintCards([4, 5, 6]);
+    console.log(`Minted the Charmander line: #${evolutionLine.join(", #")}`);
+
+    console.log("\nTEST: The bundle contract must be approved for every card");
+    await (await token.connect(seller).approve(bundlesAddress, evolutionLine[0])).wait();
+    await expectRevert(
+      bundles.connect(seller).listBundleForSale(evolutionLine, eth("1")),
+      "Bundle contract is not approved to transfer this token"
+    );
+    await (await token.connect(seller).setApprovalForAll(bundlesAddress, true)).wait();
+
+    console.log("\nTEST: Bundles need two to MAX_BUNDLE_CARDS cards, each only once");
+    await expectRevert(
+      bundles.connect(seller).listBundleForSale([evolutionLine[0]], eth("1")),
+      "A bundle needs at least two cards"
+    );
+    await expectRevert(
+      bundles.connect(seller).listBundleForSale(Array(11).fill(evolutionLine[0]), eth("1")),
+      "Too many cards in the bundle"
+    );
+    await expectRevert(
+      bundles.connect(seller).listBundleForSale([evolutionLine[0], evolutionLine[0]], eth("1")),
+      "You must own the card to list it"
+    );
+    await expectRevert(bundles.connect(seller).listBundleForSale(evolutionLine, 0), "Price must be greater than zero");
+
+    console.log("\nTEST: Listing escrows every card under one bundle ID");
+    const saleId = bundleIdOf(await (await bundles.connect(seller).listBundleForSale(evolutionLine, eth("1"))).wait());
+    const sale = await bundles.getBundle(saleId);
+    expect(sale.tokenIds.map(String)).to.deep.equal(evolutionLine.map(String), "Bundle cards mismatch");
+    expect(sale.active).to.equal(true, "Bundle not active");
+    for (const tokenId of evolutionLine) {
+      expect(await token.ownerOf(tokenId)).to.equal(bundlesAddress, `Card #${tokenId} not in escrow`);
+    }
+    expect((await bundles.getActiveBundles()).map(String)).to.include(saleId.toString(), "Bundle not listed");
+    console.log(`✅ PASSED: Bundle #${saleId} listed for 1 ETH`);
+
+    // ==================== SECTION 2: FIXED PRICE ====================
+    console.log("\n=== FIXED PRICE ===");
+
+    console.log("\nTEST: The full price is required");
+    await expectRevert(bundles.connect(bidder1).buyBundle(saleId, eth("1"), { value: eth("0.9") }), "Insufficient payment");
+
+    console.log("\nTEST: Buying transfers every card and splits the price");
+    const [sellerProceeds, royaltyAmount, platformFeeAmount] = await bundles.getSaleBreakdown(saleId, eth("1"));
+    expect(sellerProceeds.add(royaltyAmount).add(platformFeeAmount)).to.equal(eth("1"), "Breakdown does not add up");
+    const sellerBefore = await bundles.pendingWithdrawals(seller.address);
+    const buyReceipt = await (await bundles.connect(bidder1).buyBundle(saleId, eth("1.1"), { value: eth("1.1") })).wait();
+    expect(buyReceipt.events.some(e => e.event === "BundleSold")).to.equal(true, "BundleSold not emitted");
+    for (const tokenId of evolutionLine) {
+      expect(await token.ownerOf(tokenId)).to.equal(bidder1.address, `Card #${tokenId} not transferred`);
+    }
+    expect(await bundles.pendingWithdrawals(seller.address)).to.equal(sellerBefore.add(sellerProceeds), "Seller not credited");
+    expect(await bundles.pendingWithdrawals(bidder1.address)).to.equal(eth("0.1"), "Overpayment not credited back");
+    expect((await bundles.getActiveBundles()).map(String)).to.not.include(saleId.toString(), "Sold bundle still listed");
+    console.log("✅ PASSED: Bundle sold atomically");
+
+    console.log("\nTEST: A sold bundle cannot be bought again");
+    await expectRevert(bundles.connect(bidder2).buyBundle(saleId, eth("1"), { value: eth("1") }), "Bundle is not active");
+
+    // ==================== SECTION 3: AUCTION ====================
+    console.log("\n=== AUCTION ===");
+
+    const commons = await mintCards([10, 13, 16, 19]);
+    const auctionId = bundleIdOf(await (await bundles.connect(seller).listBundleForAuction(commons, eth("0.1"), 3600)).wait());
+    console.log(`Listed bundle #${auctionId} of ${commons.length} commons for auction`);
+
+    console.log("\nTEST: Bids follow the auction rules of the trading contract");
+    expect(await bundles.getMinimumBid(auctionId)).to.equal(eth("0.1"), "First bid should be the starting price");
+    await (await bundles.connect(bidder1).placeBid(auctionId, { value: eth("0.1") })).wait();
+    const increment = eth("0.1").mul(await trading.minBidIncrement()).div(10000);
+    const minimumBid = await bundles.getMinimumBid(auctionId);
+    expect(minimumBid).to.equal(eth("0.1").add(increment.gt(0) ? increment : 1), "Minimum bid mismatch");
+    await expectRevert(bundles.connect(bidder2).placeBid(auctionId, { value: minimumBid.sub(1) }), "Bid too low");
+    await (await bundles.connect(bidder2).placeBid(auctionId, { value: minimumBid })).wait();
+    expect(await bundles.pendingWithdrawals(bidder1.address)).to.equal(eth("0.2"), "Outbid bidder not refunded");
+    console.log("✅ PASSED: Outbid by the minimum increment");
+
+    console.log("\nTEST: Auctions with bids cannot be cancelled or bought");
+    await expectRevert(bundles.connect(seller).cancelBundle(auctionId), "Cannot cancel auction with bids");
+    await expectRevert(bundles.connect(bidder1).buyBundle(auctionId, eth("1"), { value: eth("1") }), "Bundle is not listed for fixed price");
+    await expectRevert(bundles.endAuction(auctionId), "Auction has not ended yet");
+
+    console.log("\nTEST: Ending the auction gives the winner every card");
+    const { endTime } = await bundles.getBundle(auctionId);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await increaseTime(endTime.toNumber() - timestamp + 1);
+    await expectRevert(bundles.connect(bidder1).placeBid(auctionId, { value: eth("1") }), "Auction has ended");
+    const endReceipt = await (await bundles.endAuction(auctionId)).wait();
+    const sold = endReceipt.events.find(e => e.event === "BundleSold");
+    expect(sold.args.buyer).to.equal(bidder2.address, "Wrong winner");
+    for (const tokenId of commons) {
+      expect(await token.ownerOf(tokenId)).to.equal(bidder2.address, `Card #${tokenId} not transferred`);
+    }
+    console.log("✅ PASSED: Winner received the bundle");
+
+    // ==================== SECTION 4: CANCELLING ====================
+    console.log("\n=== CANCELLING ===");
+
+    const pair = await mintCards([25, 26]);
+    const cancelId = bundleIdOf(await (await bundles.connect(seller).listBundleForSale(pair, eth("0.5"))).wait());
+
+    console.log("\nTEST: Only the seller can cancel a bundle");
+    await expectRevert(bundles.connect(bidder1).cancelBundle(cancelId), "Only the seller can cancel a bundle");
+    await (await bundles.connect(seller).cancelBundle(cancelId)).wait();
+    for (const tokenId of pair) {
+      expect(await token.ownerOf(tokenId)).to.equal(seller.address, `Card #${tokenId} not returned`);
+    }
+    console.log("✅ PASSED: Cards returned to the seller");
+
+    console.log("\nTEST: An auction without bids returns the cards when it ends");
+    const unsoldId = bundleIdOf(await (await bundles.connect(seller).listBundleForAuction(pair, eth("0.5"), 60)).wait());
+    await increaseTime(61);
+    const unsoldReceipt = await (await bundles.endAuction(unsoldId)).wait();
+    expect(unsoldReceipt.events.some(e => e.event === "BundleCancelled")).to.equal(true, "BundleCancelled not emitted");
+    expect(await token.ownerOf(pair[0])).to.equal(seller.address, "Card not returned");
+    console.log("✅ PASSED: Unsold bundle returned");
+
+    // ==================== SECTION 5: CURRENCIES ====================
+    console.log("\n=== CURRENCIES ===");
+
+    const pendingTokens = (account) => bundles.pendingTokenWithdrawals(prizeTokenAddress, account.address);
+    for (const buyer of [bidder1, bidder2]) {
+      await (await prize.mint(buyer.address, units("100"))).wait();
+      await (await prize.connect(buyer).approve(bundlesAddress, ethers.constants.MaxUint256)).wait();
+    }
+
+    console.log("\nTEST: Bundles take the currencies allowed by the trading contract");
+    await expectRevert(
+      bundles.connect(seller).listBundleForSaleInCurrency(pair, units("10"), tokenAddress),
+      "Currency is not allowed"
+    );
+    const tokenSaleId = bundleIdOf(await (await bundles.connect(seller).listBundleForSaleInCurrency(pair, units("10"), prizeTokenAddress)).wait());
+    expect((await bundles.getBundle(tokenSaleId)).currency).to.equal(prizeTokenAddress, "Bundle currency mismatch");
+    console.log(`✅ PASSED: Bundle #${tokenSaleId} listed for 10 ${await prize.symbol()}`);
+
+    console.log("\nTEST: A bundle paid in a token is bought with the token, not ETH");
+    await expectRevert(bundles.connect(bidder1).buyBundle(tokenSaleId, eth("1"), { value: eth("1") }), "Bundle is paid in a token");
+    const [tokenProceeds] = await bundles.getSaleBreakdown(tokenSaleId, units("10"));
+    const buyerTokensBefore = await prize.balanceOf(bidder1.address);
+    const tokenSellerBefore = await pendingTokens(seller);
+    await expectRevert(bundles.connect(bidder1).buyBundle(tokenSaleId, units("9")), "Price is above the maximum");
+    const tokenSaleReceipt = await (await bundles.connect(bidder1).buyBundle(tokenSaleId, units("10"))).wait();
+    expect(await prize.balanceOf(bidder1.address)).to.equal(buyerTokensBefore.sub(units("10")), "Buyer not charged the token price");
+    expect(await pendingTokens(seller)).to.equal(tokenSellerBefore.add(tokenProceeds), "Seller not credited in the token");
+    const distributed = tokenSaleReceipt.events.find(e => e.event === "BundleProceedsDistributed");
+    expect(distributed.args.currency).to.equal(prizeTokenAddress, "Proceeds event currency mismatch");
+    expect(await token.ownerOf(pair[0])).to.equal(bidder1.address, "Card not transferred");
+    console.log("✅ PASSED: Bundle sold for the token");
+
+    const tokenLot = await mintCards([29, 32]);
+    const tokenAuctionId = bundleIdOf(await (await bundles.connect(seller).listBundleForAuctionInCurrency(tokenLot, units("5"), 3600, prizeTokenAddress)).wait());
+
+    console.log("\nTEST: Bundle auctions paid in a token take token bids only");
+    await expectRevert(bundles.connect(bidder1).placeBid(tokenAuctionId, { value: eth("1") }), "Auction is paid in a token");
+    await expectRevert(bundles.connect(bidder1).placeTokenBid(auctionId, eth("1")), "Auction is paid in ETH");
+    await (await bundles.connect(bidder1).placeTokenBid(tokenAuctionId, units("5"))).wait();
+    const tokenMinimumBid = await bundles.getMinimumBid(tokenAuctionId);
+    await expectRevert(bundles.connect(bidder2).placeTokenBid(tokenAuctionId, tokenMinimumBid.sub(1)), "Bid too low");
+    await (await bundles.connect(bidder2).placeTokenBid(tokenAuctionId, tokenMinimumBid)).wait();
+    expect(await pendingTokens(bidder1)).to.equal(units("5"), "Outbid bidder not refunded in the token");
+    console.log("✅ PASSED: Outbid bidder credited in the token");
+
+    console.log("\nTEST: Ending a token auction pays the seller in the token");
+    const tokenSellerBeforeAuction = await pendingTokens(seller);
+    const [auctionProceeds] = await bundles.getSaleBreakdown(tokenAuctionId, tokenMinimumBid);
+    await increaseTime(3601);
+    await (await bundles.endAuction(tokenAuctionId)).wait();
+    expect(await token.ownerOf(tokenLot[0])).to.equal(bidder2.address, "Card not transferred to the winner");
+    expect(await pendingTokens(seller)).to.equal(tokenSellerBeforeAuction.add(auctionProceeds), "Seller not credited in the token");
+    console.log("✅ PASSED: Token auction settled");
+
+    // ==================== SECTION 6: CLEANUP ====================
+    console.log("\n=== CLEANUP ===");
+
+    await (await token.connect(seller).setApprovalForAll(bundlesAddress, false)).wait();
+
+    // Later tests check the balances of these accounts from zero
+    for (const signer of [owner, seller, bidder1, bidder2]) {
+      if ((await bundles.pendingWithdrawals(signer.address)).gt(0)) {
+        await (await bundles.connect(signer).withdraw()).wait();
+      }
+      if ((await pendingTokens(signer)).gt(0)) {
+        await (await bundles.connect(signer).withdrawToken(prizeTokenAddress)).wait();
+      }
+    }
+    console.log("✅ PASSED: Withdrew the sale proceeds and refunds");
+
+    console.log("\n✅ Bundle test complete!");
+
+  } catch (error) {
+    console.error("Error during bundle test:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
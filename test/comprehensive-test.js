@@ -81,6 +81,26 @@ async function main() {
       "OwnableUnauthorizedAccount"
     );
     
+    console.log("\nTEST: Non-owner cannot change the platform fee");
+    await expectRevert(
+      trading.connect(randomUser).setPlatformFee(randomUser.address, 0),
+      "OwnableUnauthorizedAccount"
+    );
+    
+    console.log("\nTEST: Non-owner cannot change royalties");
+    await expectRevert(
+      token.connect(randomUser).setDefaultRoyalty(randomUser.address, 0),
+      "OwnableUnauthorizedAccount"
+    );
+    
+    console.log("\nTEST: Platform fee and royalty are capped at 10%");
+    await expectRevert(trading.connect(owner).setPlatformFee(owner.address, 1001), "Platform fee exceeds the maximum");
+    await expectRevert(token.connect(owner).setDefaultRoyalty(owner.address, 1001), "Royalty exceeds the maximum");
+    
+    console.log("\nTEST: Token reports EIP-2981 support");
+    expect(await token.supportsInterface("0x2a55205a")).to.equal(true, "EIP-2981 interface not supported");
+    console.log("✅ PASSED: supportsInterface(IERC2981) is true");
+    
     // Mint cards for testing as the owner
     console.log("\nMinting cards for testing...");
     
@@ -106,6 +126,22 @@ async function main() {
       "Query for nonexistent token"
     );
     
+    // Test on-chain metadata
+    console.log("\nTEST: Token metadata of a Rare Pikachu");
+    const tokenURI = await token.tokenURI(pikachuTokenId);
+    const metadata = JSON.parse(Buffer.from(tokenURI.split(",")[1], "base64").toString("utf8"));
+    const traits = Object.fromEntries(metadata.attributes.map(({ trait_type, value }) => [trait_type, value]));
+    expect(metadata.name).to.equal(`Pikachu #${pikachuTokenId}`, "Metadata name mismatch");
+    expect(traits).to.deep.equal({ "Pokemon": "Pikachu", "Pokedex Number": 25, "Rarity": "Rare" }, "Metadata attributes mismatch");
+    expect(metadata.image).to.match(/^data:image\/svg\+xml;base64,/, "Metadata image is not an SVG data URI");
+    console.log("✅ PASSED: tokenURI returns the card's name, attributes and SVG image");
+    
+    console.log("\nTEST: Token metadata of a non-existent token");
+    await expectRevert(
+      token.tokenURI(999),
+      "ERC721NonexistentToken"
+    );
+    
     // Test listing with zero price
     console.log("\nTEST: List card with zero price");
     await token.connect(seller).approve(tradingAddress, bulbasaurTokenId);
@@ -159,15 +195,40 @@ async function main() {
     // Insufficient payment test
     console.log("\nTEST: Buying with insufficient payment");
     await expectRevert(
-      trading.connect(buyer1).buyCard(pikachuTokenId, { value: ethers.utils.parseEther("0.01") }),
+      trading.connect(buyer1).buyCard(pikachuTokenId, pikachuPrice, { value: ethers.utils.parseEther("0.01") }),
       "Insufficient payment"
     );
     
     // Correct payment test
     console.log("\nTEST: Buying with correct payment");
-    await logGasUsed(await trading.connect(buyer1).buyCard(pikachuTokenId, { value: pikachuPrice }), "buying Pikachu");
+    const pikachuBreakdown = await trading.getSaleBreakdown(pikachuTokenId, pikachuPrice);
+    const feeRecipient = await trading.feeRecipient();
+    const feeRecipientPendingBefore = await trading.pendingWithdrawals(feeRecipient);
+    const buyPikachuTx = await trading.connect(buyer1).buyCard(pikachuTokenId, pikachuPrice, { value: pikachuPrice });
+    await logGasUsed(buyPikachuTx, "buying Pikachu");
     console.log("Purchased Pikachu successfully");
     
+    // Verify the price is split between seller, royalty receiver and platform
+    console.log("\nTEST: Sale proceeds are split between seller, royalty receiver and platform");
+    const [royaltyReceiver, royaltyAmount] = await token.royaltyInfo(pikachuTokenId, pikachuPrice);
+    const platformFeeAmount = pikachuPrice.mul(await trading.platformFee()).div(10000);
+    expect(pikachuBreakdown.royaltyReceiver).to.equal(royaltyReceiver, "Royalty receiver mismatch");
+    expect(pikachuBreakdown.royaltyAmount).to.equal(royaltyAmount, "Royalty amount mismatch");
+    expect(pikachuBreakdown.platformFeeAmount).to.equal(platformFeeAmount, "Platform fee mismatch");
+    expect(pikachuBreakdown.sellerProceeds).to.equal(pikachuPrice.sub(royaltyAmount).sub(platformFeeAmount), "Seller proceeds mismatch");
+    const distributed = (await buyPikachuTx.wait()).events.find(e => e.event === "SaleProceedsDistributed");
+    expect(distributed.args.sellerProceeds).to.equal(pikachuBreakdown.sellerProceeds, "Event seller proceeds mismatch");
+    expect(distributed.args.royaltyAmount).to.equal(royaltyAmount, "Event royalty mismatch");
+    expect(distributed.args.platformFeeAmount).to.equal(platformFeeAmount, "Event platform fee mismatch");
+    expect(distributed.args.currency).to.equal(ethers.constants.AddressZero, "Event currency should be ETH");
+    // The deployer receives both the royalty and the fee unless deploy.js was configured otherwise
+    const feeRecipientShare = royaltyReceiver === feeRecipient ? royaltyAmount.add(platformFeeAmount) : platformFeeAmount;
+    expect(await trading.pendingWithdrawals(feeRecipient)).to.equal(
+      feeRecipientPendingBefore.add(feeRecipientShare),
+      "Fee recipient was not credited"
+    );
+    console.log(`✅ PASSED: ${ethers.utils.formatEther(pikachuPrice)} ETH split into ${ethers.utils.formatEther(pikachuBreakdown.sellerProceeds)} (seller), ${ethers.utils.formatEther(royaltyAmount)} (royalty), ${ethers.utils.formatEther(platformFeeAmount)} (fee)`);
+    
     // Verify the card ownership changed
     const newOwnerPikachu = await token.ownerOf(pikachuTokenId);
     expect(newOwnerPikachu).to.equal(buyer1.address, "Pikachu ownership mismatch");
@@ -210,9 +271,11 @@ async function main() {
       "Auction has not ended yet"
     );
     
-    // Fast forward time to auction end
+    // Fast forward time to auction end, the bids were late enough to extend it
     console.log("\nFast-forwarding time to end auction...");
-    await ethers.provider.send("evm_increaseTime", [auctionDuration + 1]);
+    const charizardEndTime = (await trading.listings(charizardTokenId)).endTime.toNumber();
+    const { timestamp: charizardBidTime } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_increaseTime", [charizardEndTime - charizardBidTime + 1]);
     await ethers.provider.send("evm_mine");
     
     // End the auction now that time has passed
@@ -244,8 +307,9 @@ async function main() {
     const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
     const sellerGasCost = sellerWithdrawReceipt.gasUsed.mul(sellerWithdrawTx.gasPrice);
     const sellerWithdrawn = sellerBalanceAfter.sub(sellerBalanceBefore).add(sellerGasCost);
-    // Expected: pikachuPrice + bid2Amount
-    const sellerExpected = pikachuPrice.add(bid2Amount);
+    // Expected: the seller's share of pikachuPrice + bid2Amount
+    const charizardBreakdown = await trading.getSaleBreakdown(charizardTokenId, bid2Amount);
+    const sellerExpected = pikachuBreakdown.sellerProceeds.add(charizardBreakdown.sellerProceeds);
     expect(sellerWithdrawn).to.equal(sellerExpected, "Seller withdrawal amount mismatch");
     console.log(`✅ PASSED: Seller withdrew ${ethers.utils.formatEther(sellerWithdrawn)} ETH`);
     
@@ -457,6 +521,7 @@ async function main() {
     console.log("- Fixed price: Listing, buying, ownership transfer correct.");
     console.log("- Auctions: Bidding, time-based ending, winner determination correct.");
     console.log("- Withdrawals: Funds correctly transferred to sellers/outbid buyers.");
+    console.log("- Fees: Sales split between seller, royalty receiver and platform fee recipient.");
     console.log("- Cancellations: Seller-only cancel, auction bid restriction correct.");
     console.log("- Pausable: Pause blocks actions, unpause allows them, owner-only control.");
     console.log("- Enumerable: Internal consistency check (balanceOf vs tokenOfOwnerByIndex loop) passed for tested accounts.");
@@ -0,0 +1,291 @@
+// Test script for listings paid in an ERC-20 token: the currency allowlist, token escrow and per-currency withdrawals
+
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+async function main() {
+  try {
+    // Get the deployed contract addresses from environment variables
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    const tradingAddress = process.env.TRADING_ADDRESS;
+    const prizeTokenAddress = process.env.PRIZE_TOKEN_ADDRESS;
+
+    if (!tokenAddress || !tradingAddress || !prizeTokenAddress) {
+      console.error("Contract addresses not set. Make sure to set TOKEN_ADDRESS, TRADING_ADDRESS and PRIZE_TOKEN_ADDRESS.");
+      process.exit(1);
+    }
+
+    console.log("CURRENCY TEST - Interacting with contracts:");
+    console.log("- PokemonCardToken:", tokenAddress);
+    console.log("- PokemonCardTrading:", tradingAddress);
+    console.log("- MockERC20:", prizeTokenAddress);
+
+    const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
+    const PokemonCardTrading = await ethers.getContractFactory("PokemonCardTrading");
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+
+    const token = await PokemonCardToken.attach(tokenAddress);
+    const trading = await PokemonCardTrading.attach(tradingAddress);
+    const prize = await MockERC20.attach(prizeTokenAddress);
+
+    const [owner, seller, bidder1, bidder2] = await ethers.getSigners();
+    console.log(`\nAccounts available for currency test:`);
+    console.log(`- Owner: ${owner.address}`);
+    console.log(`- Seller: ${seller.address}`);
+    console.log(`- Bidder 1: ${bidder1.address}`);
+    console.log(`- Bidder 2: ${bidder2.address}`);
+
+    // Helper for expecting reverts
+    const expectRevert = async (call, expectedErrorMsg) => {
+      try {
+        await call;
+        console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but call succeeded.`);
+        return false;
+      } catch (error) {
+        if (error.message.includes(expectedErrorMsg)) {
+          console.log(`✅ PASSED: Correctly reverted with '${expectedErrorMsg}'.`);
+          return true;
+        } else {
+          console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but got: ${error.message}`);
+          return false;
+        }
+      }
+    };
+
+    const decimals = await prize.decimals();
+    const units = (amount) => ethers.utils.parseUnits(amount, decimals);
+    const eth = ethers.utils.parseEther;
+    const zeroAddress = ethers.constants.AddressZero;
+
+    const increaseTime = async (seconds) => {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    const mintCard = async (pokemonId) => {
+      const receipt = await (await token.mintPokemonCard(seller.address, pokemonId, 0)).wait();
+      return receipt.events.find(e => e.event === "Transfer").args.tokenId;
+    };
+
+    const pendingTokens = (account) => trading.pendingTokenWithdrawals(prizeTokenAddress, account.address);
+
+    await (await token.connect(seller).setApprovalForAll(tradingAddress, true)).wait();
+    for (const buyer of [bidder1, bidder2]) {
+      await (await prize.mint(buyer.address, units("1000"))).wait();
+    }
+    console.log(`\nMinted 1000 ${await prize.symbol()} (${decimals} decimals) to each bidder`);
+
+    // ==================== SECTION 1: ALLOWLIST ====================
+    console.log("\n=== ALLOWLIST ===");
+
+    console.log("\nTEST: The deployment allows the prize token");
+    expect(await trading.allowedCurrencies(prizeTokenAddress)).to.equal(true, "Prize token not allowed");
+    console.log("✅ PASSED: Prize token allowed");
+
+    console.log("\nTEST: Only the owner manages the allowlist, ETH needs no entry");
+    await expectRevert(trading.connect(seller).setCurrencyAllowed(prizeTokenAddress, false), "OwnableUnauthorizedAccount");
+    await expectRevert(trading.setCurrencyAllowed(zeroAddress, true), "Currency cannot be the zero address");
+
+    console.log("\nTEST: Cards cannot be listed in a token that is not allowed");
+    const otherToken = await MockERC20.deploy("Other Token", "OTHER", 18);
+    await otherToken.deployed();
+    const rejectedId = await mintCard(25);
+    await expectRevert(
+      trading.connect(seller).listCardForSaleInCurrency(rejectedId, units("10"), 0, 0, otherToken.address),
+      "Currency is not allowed"
+    );
+    const allowReceipt = await (await trading.setCurrencyAllowed(otherToken.address, true)).wait();
+    expect(allowReceipt.events.some(e => e.event === "CurrencyAllowed")).to.equal(true, "CurrencyAllowed not emitted");
+    await (await trading.setCurrencyAllowed(otherToken.address, false)).wait();
+    expect(await trading.allowedCurrencies(otherToken.address)).to.equal(false, "Token still allowed");
+    console.log("✅ PASSED: Allowlist updated by the owner");
+
+    // ==================== SECTION 2: FIXED PRICE ====================
+    console.log("\n=== FIXED PRICE ===");
+
+    const saleId = await mintCard(1);
+    await (await trading.connect(seller).listCardForSaleInCurrency(saleId, units("50"), 0, 0, prizeTokenAddress)).wait();
+    expect(await trading.listingCurrency(saleId)).to.equal(prizeTokenAddress, "Listing currency mismatch");
+    console.log(`Listed card #${saleId} for 50 PRIZE`);
+
+    console.log("\nTEST: A token listing cannot be paid in ETH");
+    await expectRevert(trading.connect(bidder1).buyCard(saleId, eth("1"), { value: eth("1") }), "Listing is paid in a token");
+
+    console.log("\nTEST: A price raised while the purchase is pending is not taken from the allowance");
+    await (await prize.connect(bidder1).approve(tradingAddress, units("1000"))).wait();
+    await (await trading.connect(seller).updateListingPrice(saleId, units("900"), 0)).wait();
+    await expectRevert(trading.connect(bidder1).buyCard(saleId, units("50")), "Price is above the maximum");
+    await (await trading.connect(seller).updateListingPrice(saleId, units("50"), 0)).wait();
+    await (await prize.connect(bidder1).approve(tradingAddress, 0)).wait();
+
+    console.log("\nTEST: The buyer must approve the price first");
+    await expectRevert(trading.connect(bidder1).buyCard(saleId, units("50")), "ERC20InsufficientAllowance");
+
+    console.log("\nTEST: Buying takes the price in tokens and splits it per currency");
+    const [sellerProceeds, royaltyReceiver, royaltyAmount, platformFeeAmount] = await trading.getSaleBreakdown(saleId, units("50"));
+    const sellerEthBefore = await trading.pendingWithdrawals(seller.address);
+    const sellerTokensBefore = await pendingTokens(seller);
+    const buyerBalanceBefore = await prize.balanceOf(bidder1.address);
+    await (await prize.connect(bidder1).approve(tradingAddress, units("50"))).wait();
+    const saleReceipt = await (await trading.connect(bidder1).buyCard(saleId, units("50"))).wait();
+    expect(await token.ownerOf(saleId)).to.equal(bidder1.address, "Card not transferred");
+    const distributed = saleReceipt.events.find(e => e.event === "SaleProceedsDistributed");
+    expect(distributed.args.currency).to.equal(prizeTokenAddress, "Proceeds event missing the currency");
+    expect(await prize.balanceOf(bidder1.address)).to.equal(buyerBalanceBefore.sub(units("50")), "Price not taken");
+    expect(await pendingTokens(seller)).to.equal(sellerTokensBefore.add(sellerProceeds), "Seller not credited in tokens");
+    expect(await trading.pendingWithdrawals(seller.address)).to.equal(sellerEthBefore, "Seller credited in ETH");
+    // The deployer receives both the royalty and the platform fee
+    expect(royaltyReceiver).to.equal(owner.address, "Unexpected royalty receiver");
+    expect(await pendingTokens(owner)).to.equal(royaltyAmount.add(platformFeeAmount), "Royalty and fee not credited in tokens");
+    console.log("✅ PASSED: Sale paid and split in PRIZE");
+
+    // ==================== SECTION 3: AUCTION ====================
+    console.log("\n=== AUCTION ===");
+
+    const auctionId = await mintCard(4);
+    await (await trading.connect(seller).listCardForAuctionInCurrency(
+      auctionId, units("10"), 3600, units("20"), units("100"), prizeTokenAddress
+    )).wait();
+    console.log(`Listed card #${auctionId} for auction from 10 PRIZE, reserve 20 PRIZE, buy now 100 PRIZE`);
+
+    console.log("\nTEST: Token auctions only take token bids, ETH auctions only ETH bids");
+    await expectRevert(trading.connect(bidder1).placeBid(auctionId, { value: eth("1") }), "Auction is paid in a token");
+    const ethAuctionId = await mintCard(7);
+    await (await trading.connect(seller).listCardForAuction(ethAuctionId, eth("0.1"), 3600)).wait();
+    await expectRevert(trading.connect(bidder1).placeTokenBid(ethAuctionId, units("10")), "Auction is paid in ETH");
+    await (await trading.connect(seller).cancelListing(ethAuctionId)).wait();
+
+    console.log("\nTEST: Bids are escrowed in tokens, outbid bidders refunded in tokens");
+    await (await prize.connect(bidder1).approve(tradingAddress, units("1000"))).wait();
+    await (await prize.connect(bidder2).approve(tradingAddress, units("1000"))).wait();
+    await (await trading.connect(bidder1).placeTokenBid(auctionId, units("10"))).wait();
+    await expectRevert(trading.connect(bidder2).placeTokenBid(auctionId, units("10")), "Bid too low");
+    const bidder1Refunds = await pendingTokens(bidder1);
+    await (await trading.connect(bidder2).placeTokenBid(auctionId, units("15"))).wait();
+    expect(await pendingTokens(bidder1)).to.equal(bidder1Refunds.add(units("10")), "Outbid bidder not refunded");
+    expect(await prize.balanceOf(tradingAddress)).to.be.gte(units("15"), "Bid not escrowed");
+    console.log("✅ PASSED: Bids escrowed and refunded in PRIZE");
+
+    console.log("\nTEST: An auction below its reserve refunds the bidder in tokens");
+    await increaseTime(3601);
+    const bidder2Refunds = await pendingTokens(bidder2);
+    await (await trading.endAuction(auctionId)).wait();
+    expect(await token.ownerOf(auctionId)).to.equal(seller.address, "Card not returned");
+    expect(await pendingTokens(bidder2)).to.equal(bidder2Refunds.add(units("15")), "Bidder not refunded");
+    console.log("✅ PASSED: Reserve not met, bid refunded");
+
+    console.log("\nTEST: Buy now settles a token auction, refunding the highest bidder");
+    await (await trading.connect(seller).listCardForAuctionInCurrency(
+      auctionId, units("10"), 3600, 0, units("100"), prizeTokenAddress
+    )).wait();
+    await (await trading.connect(bidder1).placeTokenBid(auctionId, units("10"))).wait();
+    await expectRevert(trading.connect(bidder2).buyNow(auctionId, eth("1"), { value: eth("1") }), "Listing is paid in a token");
+    const refundsBefore = await pendingTokens(bidder1);
+    const sellerBeforeBuyNow = await pendingTokens(seller);
+    const [buyNowProceeds] = await trading.getSaleBreakdown(auctionId, units("100"));
+    await expectRevert(trading.connect(bidder2).buyNow(auctionId, units("99")), "Price is above the maximum");
+    await (await trading.connect(bidder2).buyNow(auctionId, units("100"))).wait();
+    expect(await token.ownerOf(auctionId)).to.equal(bidder2.address, "Card not transferred");
+    expect(await pendingTokens(bidder1)).to.equal(refundsBefore.add(units("10")), "Highest bidder not refunded");
+    expect(await pendingTokens(seller)).to.equal(sellerBeforeBuyNow.add(buyNowProceeds), "Seller not credited");
+    console.log("✅ PASSED: Auction settled at its buy-now price in PRIZE");
+
+    console.log("\nTEST: A token auction won above its reserve pays the seller in tokens");
+    const wonId = await mintCard(150);
+    await (await trading.connect(seller).listCardForAuctionInCurrency(wonId, units("10"), 3600, 0, 0, prizeTokenAddress)).wait();
+    await (await trading.connect(bidder1).placeTokenBid(wonId, units("12"))).wait();
+    await increaseTime(3601);
+    const sellerBeforeEnd = await pendingTokens(seller);
+    const [wonProceeds] = await trading.getSaleBreakdown(wonId, units("12"));
+    await (await trading.endAuction(wonId)).wait();
+    expect(await token.ownerOf(wonId)).to.equal(bidder1.address, "Card not transferred to the winner");
+    expect(await pendingTokens(seller)).to.equal(sellerBeforeEnd.add(wonProceeds), "Seller not credited");
+    console.log("✅ PASSED: Auction won in PRIZE");
+
+    // ==================== SECTION 4: DUTCH AUCTION ====================
+    console.log("\n=== DUTCH AUCTION ===");
+
+    console.log("\nTEST: A token Dutch auction takes exactly its current price");
+    const dutchId = await mintCard(9);
+    await (await trading.connect(seller).listCardForDutchAuctionInCurrency(
+      dutchId, units("100"), units("40"), 3600, prizeTokenAddress
+    )).wait();
+    await increaseTime(1800);
+    const balanceBefore = await prize.balanceOf(bidder2.address);
+    await expectRevert(trading.connect(bidder2).buyDutchAuction(dutchId, units("40")), "Price is above the maximum");
+    const dutchReceipt = await (await trading.connect(bidder2).buyDutchAuction(dutchId, units("100"))).wait();
+    const paid = dutchReceipt.events.find(e => e.event === "CardSold").args.price;
+    expect(paid.lt(units("100")) && paid.gt(units("40"))).to.equal(true, "Price not between start and floor");
+    expect(await prize.balanceOf(bidder2.address)).to.equal(balanceBefore.sub(paid), "Payment does not match the price");
+    console.log(`✅ PASSED: Bought for ${ethers.utils.formatUnits(paid, decimals)} PRIZE`);
+
+    // ==================== SECTION 5: ALLOWLIST CHANGES AND ETH ====================
+    console.log("\n=== ALLOWLIST CHANGES AND ETH ===");
+
+    console.log("\nTEST: Relisting a card in ETH clears its token currency");
+    await (await token.connect(bidder1).setApprovalForAll(tradingAddress, true)).wait();
+    await (await trading.connect(bidder1).listCardForSale(saleId, eth("0.05"))).wait();
+    expect(await trading.listingCurrency(saleId)).to.equal(zeroAddress, "Currency not reset to ETH");
+    const ethSellerBefore = await trading.pendingWithdrawals(bidder1.address);
+    await (await trading.connect(bidder2).buyCard(saleId, eth("0.05"), { value: eth("0.05") })).wait();
+    const [ethProceeds] = await trading.getSaleBreakdown(saleId, eth("0.05"));
+    expect(await trading.pendingWithdrawals(bidder1.address)).to.equal(ethSellerBefore.add(ethProceeds), "Seller not credited in ETH");
+    console.log("✅ PASSED: ETH listing paid in ETH");
+
+    console.log("\nTEST: Listings in a token that is no longer allowed still settle");
+    const lateId = await mintCard(133);
+    await (await trading.connect(seller).listCardForSaleInCurrency(lateId, units("5"), 0, 0, prizeTokenAddress)).wait();
+    await (await trading.setCurrencyAllowed(prizeTokenAddress, false)).wait();
+    await expectRevert(
+      trading.connect(seller).listCardForSaleInCurrency(rejectedId, units("5"), 0, 0, prizeTokenAddress),
+      "Currency is not allowed"
+    );
+    await (await trading.connect(bidder1).buyCard(lateId, units("5"))).wait();
+    expect(await token.ownerOf(lateId)).to.equal(bidder1.address, "Card not transferred");
+    await (await trading.setCurrencyAllowed(prizeTokenAddress, true)).wait();
+    console.log("✅ PASSED: Existing listing bought after the token was disallowed");
+
+    // ==================== SECTION 6: WITHDRAWALS ====================
+    console.log("\n=== WITHDRAWALS ===");
+
+    console.log("\nTEST: Token balances are withdrawn per currency");
+    const sellerPending = await pendingTokens(seller);
+    const sellerBalance = await prize.balanceOf(seller.address);
+    const withdrawReceipt = await (await trading.connect(seller).withdrawToken(prizeTokenAddress)).wait();
+    expect(withdrawReceipt.events.some(e => e.event === "TokenWithdrawalMade")).to.equal(true, "TokenWithdrawalMade not emitted");
+    expect(await prize.balanceOf(seller.address)).to.equal(sellerBalance.add(sellerPending), "Tokens not paid out");
+    expect(await pendingTokens(seller)).to.equal(0, "Pending tokens not reset");
+    await expectRevert(trading.connect(seller).withdrawToken(prizeTokenAddress), "No funds to withdraw");
+    await expectRevert(trading.connect(seller).withdrawToken(otherToken.address), "No funds to withdraw");
+
+    // ==================== SECTION 7: CLEANUP ====================
+    console.log("\n=== CLEANUP ===");
+
+    await (await token.connect(seller).setApprovalForAll(tradingAddress, false)).wait();
+    await (await token.connect(bidder1).setApprovalForAll(tradingAddress, false)).wait();
+
+    // Later tests check the balances of these accounts from zero
+    for (const signer of [owner, seller, bidder1, bidder2]) {
+      if ((await pendingTokens(signer)).gt(0)) {
+        await (await trading.connect(signer).withdrawToken(prizeTokenAddress)).wait();
+      }
+      if ((await trading.pendingWithdrawals(signer.address)).gt(0)) {
+        await (await trading.connect(signer).withdraw()).wait();
+      }
+    }
+    console.log("✅ PASSED: Withdrew the sale proceeds and refunds");
+
+    console.log("\n✅ Currency test complete!");
+
+  } catch (error) {
+    console.error("Error during currency test:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,176 @@
+// Test script for Dutch auctions: prices falling from a start price to a floor, bought at the current price
+
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+async function main() {
+  try {
+    // Get the deployed contract addresses from environment variables
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    const tradingAddress = process.env.TRADING_ADDRESS;
+
+    if (!tokenAddress || !tradingAddress) {
+      console.error("Contract addresses not set. Make sure to set TOKEN_ADDRESS and TRADING_ADDRESS.");
+      process.exit(1);
+    }
+
+    console.log("DUTCH AUCTION TEST - Interacting with contracts:");
+    console.log("- PokemonCardToken:", tokenAddress);
+    console.log("- PokemonCardTrading:", tradingAddress);
+
+    const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
+    const PokemonCardTrading = await ethers.getContractFactory("PokemonCardTrading");
+
+    const token = await PokemonCardToken.attach(tokenAddress);
+    const trading = await PokemonCardTrading.attach(tradingAddress);
+
+    const [owner, seller, buyer1, buyer2] = await ethers.getSigners();
+    console.log(`\nAccounts available for Dutch auction test:`);
+    console.log(`- Owner: ${owner.address}`);
+    console.log(`- Seller: ${seller.address}`);
+    console.log(`- Buyer 1: ${buyer1.address}`);
+    console.log(`- Buyer 2: ${buyer2.address}`);
+
+    // Helper for expecting reverts
+    const expectRevert = async (call, expectedErrorMsg) => {
+      try {
+        await call;
+        console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but call succeeded.`);
+        return false;
+      } catch (error) {
+        if (error.message.includes(expectedErrorMsg)) {
+          console.log(`✅ PASSED: Correctly reverted with '${expectedErrorMsg}'.`);
+          return true;
+        } else {
+          console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but got: ${error.message}`);
+          return false;
+        }
+      }
+    };
+
+    const eth = ethers.utils.parseEther;
+    const duration = 3600;
+
+    // Mint a card to the seller and approve the marketplace for it, returning its token ID
+    const mintApproved = async (pokemonId) => {
+      const receipt = await (await token.mintPokemonCard(seller.address, pokemonId, 2)).wait();
+      const tokenId = receipt.events.find(e => e.event === "Transfer").args.tokenId;
+      await (await token.connect(seller).approve(tradingAddress, tokenId)).wait();
+      return tokenId;
+    };
+
+    // ==================== SECTION 1: LISTING ====================
+    console.log("\n=== LISTING ===");
+
+    const mewtwo = await mintApproved(150);
+
+    console.log("\nTEST: Dutch auctions need a floor below the start price and a duration");
+    await expectRevert(
+      trading.connect(seller).listCardForDutchAuction(mewtwo, eth("1"), 0, duration),
+      "Floor price must be greater than zero"
+    );
+    await expectRevert(
+      trading.connect(seller).listCardForDutchAuction(mewtwo, eth("0.2"), eth("0.2"), duration),
+      "Start price must be above the floor price"
+    );
+    await expectRevert(
+      trading.connect(seller).listCardForDutchAuction(mewtwo, eth("1"), eth("0.2"), 0),
+      "Duration must be greater than zero"
+    );
+
+    console.log("\nTEST: Listing a card for Dutch auction");
+    const listReceipt = await (await trading.connect(seller).listCardForDutchAuction(
+      mewtwo, eth("1"), eth("0.2"), duration
+    )).wait();
+    const listed = listReceipt.events.find(e => e.event === "CardListed");
+    expect(listed.args.listingType).to.equal(2, "Listing type should be DUTCH_AUCTION");
+    const listing = await trading.listings(mewtwo);
+    expect(listing.floorPrice).to.equal(eth("0.2"), "Floor price not stored");
+    expect(listing.endTime.sub(listing.startTime)).to.equal(duration, "Duration mismatch");
+    expect(await token.ownerOf(mewtwo)).to.equal(tradingAddress, "Card not held in escrow");
+    console.log(`✅ PASSED: Mewtwo #${mewtwo} listed from 1 ETH down to 0.2 ETH`);
+
+    console.log("\nTEST: The price starts at the start price");
+    expect(await trading.getDutchAuctionPrice(mewtwo)).to.equal(eth("1"), "Price should start at the start price");
+    console.log("✅ PASSED: Price is 1 ETH when listed");
+
+    console.log("\nTEST: Dutch auctions are not bought or bid on like other listings");
+    await expectRevert(trading.connect(buyer1).buyCard(mewtwo, eth("1"), { value: eth("1") }), "Card is not listed for fixed price");
+    await expectRevert(trading.connect(buyer1).placeBid(mewtwo, { value: eth("1") }), "Card is not listed for auction");
+    await expectRevert(trading.connect(seller).endAuction(mewtwo), "Card is not listed for auction");
+
+    // ==================== SECTION 2: BUYING ====================
+    console.log("\n=== BUYING ===");
+
+    console.log("\nTEST: The price falls linearly over the duration");
+    const halfway = listing.startTime.add(duration / 2).toNumber();
+    await ethers.provider.send("evm_setNextBlockTimestamp", [halfway]);
+    await ethers.provider.send("evm_mine", []);
+    expect(await trading.getDutchAuctionPrice(mewtwo)).to.equal(eth("0.6"), "Price should be halfway to the floor");
+    console.log("✅ PASSED: Price is 0.6 ETH halfway through");
+
+    console.log("\nTEST: Paying less than the current price is rejected");
+    await expectRevert(trading.connect(buyer1).buyDutchAuction(mewtwo, eth("1"), { value: eth("0.5") }), "Insufficient payment");
+
+    console.log("\nTEST: The first buyer paying the current price wins, the overpayment is credited back");
+    const pendingBefore = await trading.pendingWithdrawals(buyer1.address);
+    const buyReceipt = await (await trading.connect(buyer1).buyDutchAuction(mewtwo, eth("0.7"), { value: eth("0.7") })).wait();
+    const sold = buyReceipt.events.find(e => e.event === "CardSold");
+    expect(sold.args.price.lt(eth("0.6"))).to.equal(true, "Price should have kept falling");
+    expect(await token.ownerOf(mewtwo)).to.equal(buyer1.address, "Card not transferred to the buyer");
+    expect(await trading.pendingWithdrawals(buyer1.address)).to.equal(
+      pendingBefore.add(eth("0.7")).sub(sold.args.price),
+      "Overpayment not credited"
+    );
+    expect((await trading.listings(mewtwo)).active).to.equal(false, "Listing still active");
+    console.log(`✅ PASSED: Bought for ${ethers.utils.formatEther(sold.args.price)} ETH`);
+
+    console.log("\nTEST: A sold Dutch auction cannot be bought again");
+    await expectRevert(trading.connect(buyer2).buyDutchAuction(mewtwo, eth("1"), { value: eth("1") }), "Listing is not active");
+
+    console.log("\nTEST: The price stays at the floor after the duration");
+    const mew = await mintApproved(151);
+    await (await trading.connect(seller).listCardForDutchAuction(mew, eth("0.5"), eth("0.1"), duration)).wait();
+    await ethers.provider.send("evm_increaseTime", [duration + 60]);
+    await ethers.provider.send("evm_mine", []);
+    expect(await trading.getDutchAuctionPrice(mew)).to.equal(eth("0.1"), "Price should stop at the floor");
+    await (await trading.connect(buyer2).buyDutchAuction(mew, eth("0.1"), { value: eth("0.1") })).wait();
+    expect(await token.ownerOf(mew)).to.equal(buyer2.address, "Card not transferred to the buyer");
+    console.log("✅ PASSED: Bought at the floor price");
+
+    // ==================== SECTION 3: CANCELLING ====================
+    console.log("\n=== CANCELLING ===");
+
+    console.log("\nTEST: The seller can cancel a Dutch auction");
+    const ditto = await mintApproved(132);
+    await (await trading.connect(seller).listCardForDutchAuction(ditto, eth("0.3"), eth("0.1"), duration)).wait();
+    await expectRevert(trading.connect(buyer1).cancelListing(ditto), "Only the seller can cancel a listing");
+    await (await trading.connect(seller).cancelListing(ditto)).wait();
+    expect(await token.ownerOf(ditto)).to.equal(seller.address, "Card not returned to the seller");
+    console.log("✅ PASSED: Dutch auction cancelled");
+
+    // ==================== SECTION 4: CLEANUP ====================
+    console.log("\n=== CLEANUP ===");
+
+    // Later tests check the balances of these accounts from zero
+    for (const signer of [owner, seller, buyer1, buyer2]) {
+      if ((await trading.pendingWithdrawals(signer.address)).gt(0)) {
+        await (await trading.connect(signer).withdraw()).wait();
+      }
+    }
+    console.log("✅ PASSED: Withdrew the sale proceeds and overpayments");
+
+    console.log("\n✅ Dutch auction test complete!");
+
+  } catch (error) {
+    console.error("Error during Dutch auction test:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -147,7 +147,7 @@ async function main() {
     
     // User2 buys the card
     console.log("\nUser2 is buying the Pokemon card...");
-    await trading.connect(user2).buyCard(tokenIdToSell, { value: priceInWei });
+    await trading.connect(user2).buyCard(tokenIdToSell, priceInWei, { value: priceInWei });
     console.log(`  ✅ User2 successfully bought the card!`);
     
     // Check new ownership
@@ -186,8 +186,9 @@ async function main() {
     const user1BalanceAfterWithdrawal = await ethers.provider.getBalance(user1.address);
     console.log(`\nUser1's balance after withdrawal: ${ethers.utils.formatEther(user1BalanceAfterWithdrawal)} ETH`);
     
-    // Expected increase should be the price minus gas costs
-    const expectedIncrease = priceInWei.sub(gasCost);
+    // Expected increase should be the seller's share of the price (after royalty and platform fee) minus gas costs
+    const { sellerProceeds } = await trading.getSaleBreakdown(tokenIdToSell, priceInWei);
+    const expectedIncrease = sellerProceeds.sub(gasCost);
     console.log(`Expected increase (minus gas): ${ethers.utils.formatEther(expectedIncrease)} ETH`);
     const actualIncrease = user1BalanceAfterWithdrawal.sub(user1BalanceBeforeWithdrawal);
     console.log(`Actual increase: ${ethers.utils.formatEther(actualIncrease)} ETH`);
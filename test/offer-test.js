@@ -0,0 +1,292 @@
+// Test script for offers on unlisted cards: escrow, accepting, countering, rejecting and withdrawing expired offers
+
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const OFFER_STATUS = { ACTIVE: 1, ACCEPTED: 2, REJECTED: 3, WITHDRAWN: 4 };
+const ONE_DAY = 86400;
+
+async function main() {
+  try {
+    // Get the deployed contract addresses from environment variables
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    const tradingAddress = process.env.TRADING_ADDRESS;
+    const bundlesAddress = process.env.BUNDLES_ADDRESS;
+
+    if (!tokenAddress || !tradingAddress || !bundlesAddress) {
+      console.error("Contract addresses not set. Make sure to set TOKEN_ADDRESS, TRADING_ADDRESS and BUNDLES_ADDRESS.");
+      process.exit(1);
+    }
+
+    console.log("OFFER TEST - Interacting with contracts:");
+    console.log("- PokemonCardToken:", tokenAddress);
+    console.log("- PokemonCardTrading:", tradingAddress);
+    console.log("- PokemonCardBundles:", bundlesAddress);
+
+    const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
+    const PokemonCardTrading = await ethers.getContractFactory("PokemonCardTrading");
+    const PokemonCardBundles = await ethers.getContractFactory("PokemonCardBundles");
+
+    const token = await PokemonCardToken.attach(tokenAddress);
+    const trading = await PokemonCardTrading.attach(tradingAddress);
+    const bundles = await PokemonCardBundles.attach(bundlesAddress);
+
+    const [owner, cardOwner, bidder, randomUser] = await ethers.getSigners();
+    console.log(`\nAccounts available for offer test:`);
+    console.log(`- Owner: ${owner.address}`);
+    console.log(`- Card Owner: ${cardOwner.address}`);
+    console.log(`- Bidder: ${bidder.address}`);
+    console.log(`- Random User: ${randomUser.address}`);
+
+    // Helper for expecting reverts
+    const expectRevert = async (call, expectedErrorMsg) => {
+      try {
+        await call;
+        console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but call succeeded.`);
+        return false;
+      } catch (error) {
+        if (error.message.includes(expectedErrorMsg)) {
+          console.log(`✅ PASSED: Correctly reverted with '${expectedErrorMsg}'.`);
+          return true;
+        } else {
+          console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but got: ${error.message}`);
+          return false;
+        }
+      }
+    };
+
+    // Mint a fresh card to the card owner, returning its token ID
+    const mintCard = async (pokemonId) => {
+      const receipt = await (await token.connect(owner).mintPokemonCard(cardOwner.address, pokemonId, 0)).wait();
+      return receipt.events.find(e => e.event === "Transfer").args.tokenId;
+    };
+
+    // Make an offer, returning its ID
+    const makeOffer = async (tokenId, amount, duration = ONE_DAY) => {
+      const receipt = await (await trading.connect(bidder).makeOffer(tokenId, duration, { value: amount })).wait();
+      return receipt.events.find(e => e.event === "OfferMade").args.offerId;
+    };
+
+    const increaseTime = async (seconds) => {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    const offerAmount = ethers.utils.parseEther("0.1");
+    const tokenId = await mintCard(150);
+    console.log(`\nMinted card #${tokenId} to the card owner`);
+
+    // ==================== SECTION 1: MAKING OFFERS ====================
+    console.log("\n=== MAKING OFFERS ===");
+
+    console.log("\nTEST: Offer must be greater than zero");
+    await expectRevert(trading.connect(bidder).makeOffer(tokenId, ONE_DAY, { value: 0 }), "Offer must be greater than zero");
+
+    console.log("\nTEST: Offer duration is limited");
+    await expectRevert(
+      trading.connect(bidder).makeOffer(tokenId, 31 * ONE_DAY, { value: offerAmount }),
+      "Offer duration exceeds the maximum"
+    );
+
+    console.log("\nTEST: Cannot make an offer on your own card");
+    await expectRevert(
+      trading.connect(cardOwner).makeOffer(tokenId, ONE_DAY, { value: offerAmount }),
+      "Cannot make an offer on your own card"
+    );
+
+    console.log("\nTEST: Listed cards take bids on the listing instead of offers");
+    const listedTokenId = await mintCard(151);
+    await (await token.connect(cardOwner).approve(tradingAddress, listedTokenId)).wait();
+    await (await trading.connect(cardOwner).listCardForSale(listedTokenId, offerAmount)).wait();
+    await expectRevert(
+      trading.connect(bidder).makeOffer(listedTokenId, ONE_DAY, { value: offerAmount }),
+      "Card is listed, buy or bid on the listing instead"
+    );
+    await (await trading.connect(cardOwner).cancelListing(listedTokenId)).wait();
+
+    console.log("\nTEST: Bundled cards take bids on the bundle instead of offers");
+    const bundledTokenIds = [await mintCard(152), await mintCard(153)];
+    await (await token.connect(cardOwner).setApprovalForAll(bundlesAddress, true)).wait();
+    const bundleReceipt = await (await bundles.connect(cardOwner).listBundleForSale(bundledTokenIds, offerAmount)).wait();
+    const bundleId = bundleReceipt.events.find(e => e.event === "BundleListed").args.bundleId;
+    await expectRevert(
+      trading.connect(bidder).makeOffer(bundledTokenIds[0], ONE_DAY, { value: offerAmount }),
+      "Card is in a bundle, buy or bid on the bundle instead"
+    );
+    await (await bundles.connect(cardOwner).cancelBundle(bundleId)).wait();
+    await (await token.connect(cardOwner).setApprovalForAll(bundlesAddress, false)).wait();
+
+    const escrowBefore = await ethers.provider.getBalance(tradingAddress);
+    const offerId = await makeOffer(tokenId, offerAmount);
+    const offer = await trading.offers(offerId);
+    expect(offer.bidder).to.equal(bidder.address, "Offer bidder mismatch");
+    expect(offer.amount).to.equal(offerAmount, "Offer amount mismatch");
+    expect(offer.status).to.equal(OFFER_STATUS.ACTIVE, "Offer is not active");
+    expect((await trading.getOffersForToken(tokenId)).map(String)).to.include(offerId.toString(), "Offer not listed for card");
+    expect((await trading.getOffersByBidder(bidder.address)).map(String)).to.include(offerId.toString(), "Offer not listed for bidder");
+    expect(await ethers.provider.getBalance(tradingAddress)).to.equal(escrowBefore.add(offerAmount), "Offer not escrowed");
+    console.log(`✅ PASSED: Made offer #${offerId} of ${ethers.utils.formatEther(offerAmount)} ETH on card #${tokenId}`);
+
+    // ==================== SECTION 2: COUNTERING ====================
+    console.log("\n=== COUNTERING ===");
+
+    console.log("\nTEST: Only the card owner can counter");
+    await expectRevert(
+      trading.connect(randomUser).counterOffer(offerId, offerAmount.mul(2)),
+      "Only the card owner can respond to an offer"
+    );
+
+    console.log("\nTEST: Counter offer must be higher than the offer");
+    await expectRevert(trading.connect(cardOwner).counterOffer(offerId, offerAmount), "Counter offer must be higher than the offer");
+
+    console.log("\nTEST: Accepting requires a counter offer");
+    await expectRevert(trading.connect(bidder).acceptCounterOffer(offerId, { value: 0 }), "Offer has no counter offer");
+
+    const counterAmount = ethers.utils.parseEther("0.15");
+
+    console.log("\nTEST: Countering needs the trading contract to be approved");
+    await expectRevert(
+      trading.connect(cardOwner).counterOffer(offerId, counterAmount),
+      "Trading contract is not approved to transfer this token"
+    );
+
+    await (await token.connect(cardOwner).approve(tradingAddress, tokenId)).wait();
+    await (await trading.connect(cardOwner).counterOffer(offerId, counterAmount)).wait();
+    expect((await trading.offers(offerId)).counterAmount).to.equal(counterAmount, "Counter amount mismatch");
+    console.log(`✅ PASSED: Countered with ${ethers.utils.formatEther(counterAmount)} ETH`);
+
+    console.log("\nTEST: Only the bidder can accept a counter offer");
+    await expectRevert(
+      trading.connect(randomUser).acceptCounterOffer(offerId, { value: counterAmount.sub(offerAmount) }),
+      "Only the bidder can accept a counter offer"
+    );
+
+    console.log("\nTEST: Payment must cover the counter offer");
+    await expectRevert(
+      trading.connect(bidder).acceptCounterOffer(offerId, { value: counterAmount.sub(offerAmount).sub(1) }),
+      "Payment must cover the counter offer"
+    );
+
+    console.log("\nTEST: Accepting the counter offer sells the card for the countered price");
+    const [sellerProceeds] = await trading.getSaleBreakdown(tokenId, counterAmount);
+    const sellerPendingBefore = await trading.pendingWithdrawals(cardOwner.address);
+    await (await trading.connect(bidder).acceptCounterOffer(offerId, { value: counterAmount.sub(offerAmount) })).wait();
+
+    const accepted = await trading.offers(offerId);
+    expect(await token.ownerOf(tokenId)).to.equal(bidder.address, "Card not transferred to the bidder");
+    expect(accepted.status).to.equal(OFFER_STATUS.ACCEPTED, "Offer not accepted");
+    expect(accepted.amount).to.equal(counterAmount, "Accepted amount mismatch");
+    expect(await trading.pendingWithdrawals(cardOwner.address)).to.equal(
+      sellerPendingBefore.add(sellerProceeds),
+      "Seller not credited with the proceeds"
+    );
+    console.log("✅ PASSED: Card sold to the bidder, seller credited");
+
+    console.log("\nTEST: An accepted offer cannot be responded to again");
+    await expectRevert(trading.connect(bidder).rejectOffer(offerId), "Offer is not active");
+
+    // ==================== SECTION 3: ACCEPTING AND REJECTING ====================
+    console.log("\n=== ACCEPTING AND REJECTING ===");
+
+    const secondTokenId = await mintCard(149);
+    const acceptedOfferId = await makeOffer(secondTokenId, offerAmount);
+
+    console.log("\nTEST: Only the card owner can accept an offer");
+    await expectRevert(trading.connect(randomUser).acceptOffer(acceptedOfferId), "Only the card owner can respond to an offer");
+
+    console.log("\nTEST: Accepting needs the trading contract to be approved");
+    await expectRevert(
+      trading.connect(cardOwner).acceptOffer(acceptedOfferId),
+      "Trading contract is not approved to transfer this token"
+    );
+
+    console.log("\nTEST: Accepting an offer sells the card for the offered price");
+    await (await token.connect(cardOwner).approve(tradingAddress, secondTokenId)).wait();
+    const acceptReceipt = await (await trading.connect(cardOwner).acceptOffer(acceptedOfferId)).wait();
+    expect(await token.ownerOf(secondTokenId)).to.equal(bidder.address, "Card not transferred to the bidder");
+    const distributed = acceptReceipt.events.find(e => e.event === "SaleProceedsDistributed");
+    expect(distributed.args.seller).to.equal(cardOwner.address, "Sale proceeds not distributed to the owner");
+    console.log("✅ PASSED: Offer accepted and proceeds distributed");
+
+    console.log("\nTEST: Counter offers lapse when the card changes hands");
+    const thirdTokenId = await mintCard(148);
+    const lapsedOfferId = await makeOffer(thirdTokenId, offerAmount);
+    await (await token.connect(cardOwner).approve(tradingAddress, thirdTokenId)).wait();
+    await (await trading.connect(cardOwner).counterOffer(lapsedOfferId, counterAmount)).wait();
+    await (await token.connect(cardOwner).transferFrom(cardOwner.address, randomUser.address, thirdTokenId)).wait();
+    await expectRevert(
+      trading.connect(bidder).acceptCounterOffer(lapsedOfferId, { value: counterAmount.sub(offerAmount) }),
+      "Counter offer is no longer valid"
+    );
+
+    console.log("\nTEST: Rejecting an offer refunds the bidder at once, even while trading is paused");
+    await (await trading.connect(owner).pause()).wait();
+    const bidderPendingBefore = await trading.pendingWithdrawals(bidder.address);
+    const bidderRefundBefore = await ethers.provider.getBalance(bidder.address);
+    await (await trading.connect(randomUser).rejectOffer(lapsedOfferId)).wait();
+    expect((await trading.offers(lapsedOfferId)).status).to.equal(OFFER_STATUS.REJECTED, "Offer not rejected");
+    expect(await ethers.provider.getBalance(bidder.address)).to.equal(
+      bidderRefundBefore.add(offerAmount),
+      "Bidder not refunded"
+    );
+    expect(await trading.pendingWithdrawals(bidder.address)).to.equal(bidderPendingBefore, "Refund credited for withdrawal");
+    console.log("✅ PASSED: Rejected offer sent back to the bidder");
+    await (await trading.connect(owner).unpause()).wait();
+
+    // ==================== SECTION 4: EXPIRY ====================
+    console.log("\n=== EXPIRY ===");
+
+    const fourthTokenId = await mintCard(147);
+    const expiringOfferId = await makeOffer(fourthTokenId, offerAmount, 3600);
+
+    console.log("\nTEST: Offers cannot be withdrawn before they expire");
+    await expectRevert(trading.connect(bidder).withdrawOffer(expiringOfferId), "Offer has not expired yet");
+
+    await increaseTime(3600);
+
+    console.log("\nTEST: Expired offers cannot be accepted");
+    await (await token.connect(cardOwner).approve(tradingAddress, fourthTokenId)).wait();
+    await expectRevert(trading.connect(cardOwner).acceptOffer(expiringOfferId), "Offer has expired");
+
+    console.log("\nTEST: Only the bidder can withdraw an offer");
+    await expectRevert(trading.connect(randomUser).withdrawOffer(expiringOfferId), "Only the bidder can withdraw an offer");
+
+    console.log("\nTEST: Expired offers are withdrawn even while trading is paused");
+    await (await trading.connect(owner).pause()).wait();
+    const bidderBalanceBefore = await ethers.provider.getBalance(bidder.address);
+    const withdrawReceipt = await (await trading.connect(bidder).withdrawOffer(expiringOfferId)).wait();
+    const gasCost = withdrawReceipt.gasUsed.mul(withdrawReceipt.effectiveGasPrice);
+    expect(await ethers.provider.getBalance(bidder.address)).to.equal(
+      bidderBalanceBefore.add(offerAmount).sub(gasCost),
+      "Bidder did not get the escrow back"
+    );
+    expect((await trading.offers(expiringOfferId)).status).to.equal(OFFER_STATUS.WITHDRAWN, "Offer not withdrawn");
+    console.log("✅ PASSED: Expired offer withdrawn");
+    await (await trading.connect(owner).unpause()).wait();
+
+    console.log("\nTEST: A withdrawn offer cannot be withdrawn again");
+    await expectRevert(trading.connect(bidder).withdrawOffer(expiringOfferId), "Offer is not active");
+
+    // ==================== SECTION 5: PROCEEDS ====================
+    console.log("\n=== PROCEEDS ===");
+
+    console.log("\nTEST: Offer sales are withdrawn like any sale proceeds");
+    const pending = await trading.pendingWithdrawals(cardOwner.address);
+    await (await trading.connect(cardOwner).withdraw()).wait();
+    expect(await trading.pendingWithdrawals(cardOwner.address)).to.equal(0, "Pending withdrawal left");
+    console.log(`✅ PASSED: Withdrew ${ethers.utils.formatEther(pending)} ETH`);
+
+    console.log("\n✅ Offer test complete!");
+
+  } catch (error) {
+    console.error("Error during offer test:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
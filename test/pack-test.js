@@ -0,0 +1,285 @@
+// Test script for booster packs: buying, commit-reveal opening, settling expired packs, odds configuration and proceeds withdrawal
+
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const RARITIES = ["COMMON", "RARE", "EPIC"];
+
+// Recompute the cards of a pack from its secret and purchase block hash (or its commitment and expiry block hash
+// for a settled pack), like PokemonCardPacks._drawCard
+const expectedCards = (secret, blockHash, packId, cardCount, odds) => {
+  const seed = ethers.utils.solidityKeccak256(["bytes32", "bytes32", "uint256"], [secret, blockHash, packId]);
+  const cards = [];
+  for (let i = 0; i < cardCount; i++) {
+    const word = ethers.BigNumber.from(ethers.utils.solidityKeccak256(["bytes32", "uint256"], [seed, i]));
+    const pokemonId = word.mod(151).toNumber() + 1;
+    const roll = word.shr(128).mod(10000).toNumber();
+    let cumulative = 0;
+    const rarity = odds.findIndex(chance => roll < (cumulative += chance));
+    cards.push({ pokemonId, rarity });
+  }
+  return cards;
+};
+
+async function main() {
+  try {
+    // Get the deployed contract addresses from environment variables
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    const packsAddress = process.env.PACKS_ADDRESS;
+
+    if (!tokenAddress || !packsAddress) {
+      console.error("Contract addresses not set. Make sure to set TOKEN_ADDRESS and PACKS_ADDRESS.");
+      process.exit(1);
+    }
+
+    console.log("PACK TEST - Interacting with contracts:");
+    console.log("- PokemonCardToken:", tokenAddress);
+    console.log("- PokemonCardPacks:", packsAddress);
+
+    const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
+    const PokemonCardPacks = await ethers.getContractFactory("PokemonCardPacks");
+
+    const token = await PokemonCardToken.attach(tokenAddress);
+    const packs = await PokemonCardPacks.attach(packsAddress);
+
+    const [owner, buyer, randomUser] = await ethers.getSigners();
+    console.log(`\nAccounts available for pack test:`);
+    console.log(`- Owner: ${owner.address}`);
+    console.log(`- Buyer: ${buyer.address}`);
+    console.log(`- Random User: ${randomUser.address}`);
+
+    // Helper for expecting reverts
+    const expectRevert = async (call, expectedErrorMsg) => {
+      try {
+        await call;
+        console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but call succeeded.`);
+        return false;
+      } catch (error) {
+        if (error.message.includes(expectedErrorMsg)) {
+          console.log(`✅ PASSED: Correctly reverted with '${expectedErrorMsg}'.`);
+          return true;
+        } else {
+          console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but got: ${error.message}`);
+          return false;
+        }
+      }
+    };
+
+    // Buy a pack with a fresh secret, returning its ID and secret
+    const buyPack = async (signer) => {
+      const secret = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      const commitment = ethers.utils.keccak256(secret);
+      const tx = await packs.connect(signer).buyPack(commitment, { value: await packs.packPrice() });
+      const receipt = await tx.wait();
+      const event = receipt.events.find(e => e.event === "PackPurchased");
+      return { packId: event.args.packId, secret };
+    };
+
+    // ==================== SECTION 1: CONFIGURATION ====================
+    console.log("\n=== CONFIGURATION ===");
+
+    const packPrice = await packs.packPrice();
+    const cardsPerPack = await packs.cardsPerPack();
+    const defaultOdds = (await packs.getRarityOdds()).map(Number);
+    console.log(`Pack price: ${ethers.utils.formatEther(packPrice)} ETH, ${cardsPerPack} cards per pack`);
+    console.log(`Odds: ${defaultOdds.map((chance, i) => `${RARITIES[i]} ${chance / 100}%`).join(" / ")}`);
+
+    expect(await token.minters(packsAddress)).to.equal(true, "Packs contract is not a minter");
+    console.log("✅ PASSED: Packs contract is an approved minter");
+
+    console.log("\nTEST: Non-minter cannot mint tokens");
+    await expectRevert(
+      token.connect(randomUser).mintPokemonCard(randomUser.address, 25, 1),
+      "OwnableUnauthorizedAccount"
+    );
+
+    console.log("\nTEST: Non-owner cannot approve minters");
+    await expectRevert(
+      token.connect(randomUser).setMinter(randomUser.address, true),
+      "OwnableUnauthorizedAccount"
+    );
+
+    console.log("\nTEST: Odds must add up to 100%");
+    await expectRevert(packs.connect(owner).setRarityOdds([8000, 1700, 299]), "Odds must add up to 100%");
+
+    console.log("\nTEST: Non-owner cannot change the odds");
+    await expectRevert(packs.connect(randomUser).setRarityOdds([0, 0, 10000]), "OwnableUnauthorizedAccount");
+
+    console.log("\nTEST: Pack size is limited");
+    await expectRevert(packs.connect(owner).setPackConfig(packPrice, 11), "Invalid number of cards per pack");
+
+    // ==================== SECTION 2: BUYING ====================
+    console.log("\n=== BUYING ===");
+
+    console.log("\nTEST: Payment must equal the pack price");
+    await expectRevert(
+      packs.connect(buyer).buyPack(ethers.utils.keccak256(ethers.utils.randomBytes(32)), { value: packPrice.sub(1) }),
+      "Payment must equal the pack price"
+    );
+
+    console.log("\nTEST: Commitment must not be empty");
+    await expectRevert(
+      packs.connect(buyer).buyPack(ethers.constants.HashZero, { value: packPrice }),
+      "Commitment must not be empty"
+    );
+
+    const proceedsBefore = await ethers.provider.getBalance(packsAddress);
+    const { packId, secret } = await buyPack(buyer);
+    const pack = await packs.packs(packId);
+    expect(pack.buyer).to.equal(buyer.address, "Pack buyer mismatch");
+    expect(pack.cardCount).to.equal(cardsPerPack, "Pack size mismatch");
+    expect(pack.opened).to.equal(false, "Pack opened on purchase");
+    expect((await packs.getPacksOf(buyer.address)).map(String)).to.include(packId.toString(), "Pack not listed for buyer");
+    expect(await ethers.provider.getBalance(packsAddress)).to.equal(proceedsBefore.add(packPrice), "Proceeds mismatch");
+    console.log(`✅ PASSED: Bought pack #${packId}`);
+
+    // ==================== SECTION 3: OPENING ====================
+    console.log("\n=== OPENING ===");
+
+    console.log("\nTEST: Only the buyer can open a pack");
+    await expectRevert(packs.connect(randomUser).openPack(packId, secret), "Only the buyer can open a pack");
+
+    console.log("\nTEST: Opening requires the committed secret");
+    await expectRevert(
+      packs.connect(buyer).openPack(packId, ethers.utils.hexlify(ethers.utils.randomBytes(32))),
+      "Secret does not match the commitment"
+    );
+
+    console.log("\nTEST: Opening mints the cards drawn from the secret and the purchase block hash");
+    const purchaseBlock = await ethers.provider.getBlock(pack.commitBlock.toNumber());
+    const expected = expectedCards(secret, purchaseBlock.hash, packId, pack.cardCount, defaultOdds);
+    const balanceBefore = await token.balanceOf(buyer.address);
+
+    const openReceipt = await (await packs.connect(buyer).openPack(packId, secret)).wait();
+    const opened = openReceipt.events.find(e => e.event === "PackOpened");
+    console.log(`Gas used for opening a ${pack.cardCount} card pack: ${openReceipt.gasUsed.toString()}`);
+
+    expect(await token.balanceOf(buyer.address)).to.equal(balanceBefore.add(pack.cardCount), "Minted card count mismatch");
+    for (let i = 0; i < pack.cardCount; i++) {
+      const tokenId = opened.args.firstTokenId.add(i);
+      const [pokemonId, rarity] = await token.getPokemonCard(tokenId);
+      expect(await token.ownerOf(tokenId)).to.equal(buyer.address, "Card not minted to the buyer");
+      expect({ pokemonId, rarity }).to.deep.equal(expected[i], `Card ${i} does not match the expected draw`);
+      console.log(`  Card #${tokenId}: Pokemon ${pokemonId}, ${RARITIES[rarity]}`);
+    }
+    console.log("✅ PASSED: Pack contents match the off-chain recomputation");
+
+    console.log("\nTEST: A pack can only be opened once");
+    await expectRevert(packs.connect(buyer).openPack(packId, secret), "Pack already opened");
+
+    console.log("\nTEST: Packs expire once the purchase block hash is gone");
+    const expiring = await buyPack(buyer);
+    await ethers.provider.send("hardhat_mine", [ethers.utils.hexValue(256)]);
+    await expectRevert(packs.connect(buyer).openPack(expiring.packId, expiring.secret), "Pack can no longer be opened");
+
+    // ==================== SECTION 4: SETTLING ====================
+    console.log("\n=== SETTLING ===");
+
+    console.log("\nTEST: A pack is settled once the block it expired in is mined");
+    // The next block is the first one the expiring pack cannot be opened in, its hash is not known before it is mined
+    await expectRevert(packs.connect(randomUser).settleExpiredPack(expiring.packId), "Pack cannot be settled yet");
+    const fresh = await buyPack(buyer);
+    await expectRevert(packs.connect(randomUser).settleExpiredPack(fresh.packId), "Pack cannot be settled yet");
+    await (await packs.connect(buyer).openPack(fresh.packId, fresh.secret)).wait();
+
+    console.log("\nTEST: Only packs that exist and were not opened can be settled");
+    await expectRevert(packs.connect(randomUser).settleExpiredPack(1000000), "Pack does not exist");
+    await expectRevert(packs.connect(randomUser).settleExpiredPack(packId), "Pack already opened");
+
+    console.log("\nTEST: Anyone settles an expired pack, also while sales are paused, minting its cards to the buyer");
+    const expiringPack = await packs.packs(expiring.packId);
+    const expiryBlock = await ethers.provider.getBlock(expiringPack.commitBlock.toNumber() + 257);
+    const settled = expectedCards(expiringPack.commitment, expiryBlock.hash, expiring.packId, expiringPack.cardCount, defaultOdds);
+    await (await packs.connect(owner).pause()).wait();
+    const settleReceipt = await (await packs.connect(randomUser).settleExpiredPack(expiring.packId)).wait();
+    await (await packs.connect(owner).unpause()).wait();
+    expect(settleReceipt.events.find(e => e.event === "PackSettled").args.settledBy).to.equal(randomUser.address, "Settler mismatch");
+    const settledOpened = settleReceipt.events.find(e => e.event === "PackOpened");
+    for (let i = 0; i < expiringPack.cardCount; i++) {
+      const tokenId = settledOpened.args.firstTokenId.add(i);
+      const [pokemonId, rarity] = await token.getPokemonCard(tokenId);
+      expect(await token.ownerOf(tokenId)).to.equal(buyer.address, "Card not minted to the buyer");
+      expect({ pokemonId, rarity }).to.deep.equal(settled[i], `Card ${i} does not match the expected draw`);
+    }
+    console.log("✅ PASSED: Settled cards match the draw from the expiry block hash");
+    await expectRevert(packs.connect(randomUser).settleExpiredPack(expiring.packId), "Pack already opened");
+
+    console.log("\nTEST: Packs not settled while the expiry block hash is available keep neither cards nor payment");
+    const lapsed = await buyPack(buyer);
+    await ethers.provider.send("hardhat_mine", [ethers.utils.hexValue(2 * 256 + 1)]);
+    await expectRevert(packs.connect(randomUser).settleExpiredPack(lapsed.packId), "Pack can no longer be settled");
+
+    console.log("\nTEST: Rarity odds apply to packs bought afterwards");
+    const boughtBefore = await buyPack(buyer);
+    await (await packs.connect(owner).setRarityOdds([0, 0, 10000])).wait();
+    const epicPack = await buyPack(buyer);
+    expect((await packs.getPackOdds(boughtBefore.packId)).map(Number)).to.deep.equal(defaultOdds, "Bought pack odds changed");
+    expect((await packs.getPackOdds(epicPack.packId)).map(Number)).to.deep.equal([0, 0, 10000], "New pack odds mismatch");
+    await (await packs.connect(owner).setRarityOdds(defaultOdds)).wait();
+    const epicReceipt = await (await packs.connect(buyer).openPack(epicPack.packId, epicPack.secret)).wait();
+    const epicOpened = epicReceipt.events.find(e => e.event === "PackOpened");
+    for (let i = 0; i < epicOpened.args.cardCount; i++) {
+      const [, rarity] = await token.getPokemonCard(epicOpened.args.firstTokenId.add(i));
+      expect(rarity).to.equal(2, "Card is not EPIC with 100% EPIC odds");
+    }
+    console.log("✅ PASSED: Every card is EPIC with the 100% EPIC odds the pack was bought with");
+
+    console.log("\nTEST: Packs bought before an odds change are drawn with the odds they were bought with");
+    await (await packs.connect(owner).setRarityOdds([10000, 0, 0])).wait();
+    const beforePack = await packs.packs(boughtBefore.packId);
+    const beforeBlock = await ethers.provider.getBlock(beforePack.commitBlock.toNumber());
+    const beforeExpected = expectedCards(boughtBefore.secret, beforeBlock.hash, boughtBefore.packId, beforePack.cardCount, defaultOdds);
+    const beforeReceipt = await (await packs.connect(buyer).openPack(boughtBefore.packId, boughtBefore.secret)).wait();
+    const beforeOpened = beforeReceipt.events.find(e => e.event === "PackOpened");
+    for (let i = 0; i < beforePack.cardCount; i++) {
+      const [pokemonId, rarity] = await token.getPokemonCard(beforeOpened.args.firstTokenId.add(i));
+      expect({ pokemonId, rarity }).to.deep.equal(beforeExpected[i], `Card ${i} not drawn with the purchase odds`);
+    }
+    console.log("✅ PASSED: Later odds changes do not affect bought packs");
+    await (await packs.connect(owner).setRarityOdds(defaultOdds)).wait();
+
+    console.log("\nTEST: Bought packs can still be opened while sales are paused");
+    const pausedPack = await buyPack(buyer);
+    await (await packs.connect(owner).pause()).wait();
+    await expectRevert(
+      packs.connect(buyer).buyPack(ethers.utils.keccak256(ethers.utils.randomBytes(32)), { value: packPrice }),
+      "EnforcedPause"
+    );
+    await (await packs.connect(buyer).openPack(pausedPack.packId, pausedPack.secret)).wait();
+    console.log("✅ PASSED: Opened a pack while paused");
+    await (await packs.connect(owner).unpause()).wait();
+
+    // ==================== SECTION 5: PROCEEDS ====================
+    console.log("\n=== PROCEEDS ===");
+
+    console.log("\nTEST: Non-owner cannot withdraw the proceeds");
+    await expectRevert(packs.connect(randomUser).withdrawProceeds(), "OwnableUnauthorizedAccount");
+
+    const proceeds = await ethers.provider.getBalance(packsAddress);
+    const ownerBalanceBefore = await ethers.provider.getBalance(owner.address);
+    const withdrawReceipt = await (await packs.connect(owner).withdrawProceeds()).wait();
+    const gasCost = withdrawReceipt.gasUsed.mul(withdrawReceipt.effectiveGasPrice);
+    expect(await ethers.provider.getBalance(owner.address)).to.equal(
+      ownerBalanceBefore.add(proceeds).sub(gasCost),
+      "Owner did not receive the proceeds"
+    );
+    expect(await ethers.provider.getBalance(packsAddress)).to.equal(0, "Proceeds left in the contract");
+    console.log(`✅ PASSED: Owner withdrew ${ethers.utils.formatEther(proceeds)} ETH`);
+
+    console.log("\nTEST: Nothing left to withdraw");
+    await expectRevert(packs.connect(owner).withdrawProceeds(), "No proceeds to withdraw");
+
+    console.log("\n✅ Pack test complete!");
+
+  } catch (error) {
+    console.error("Error during pack test:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,195 @@
+// Test script for auction reserve prices and buy-now prices
+
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+async function main() {
+  try {
+    // Get the deployed contract addresses from environment variables
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    const tradingAddress = process.env.TRADING_ADDRESS;
+
+    if (!tokenAddress || !tradingAddress) {
+      console.error("Contract addresses not set. Make sure to set TOKEN_ADDRESS and TRADING_ADDRESS.");
+      process.exit(1);
+    }
+
+    console.log("RESERVE TEST - Interacting with contracts:");
+    console.log("- PokemonCardToken:", tokenAddress);
+    console.log("- PokemonCardTrading:", tradingAddress);
+
+    const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
+    const PokemonCardTrading = await ethers.getContractFactory("PokemonCardTrading");
+
+    const token = await PokemonCardToken.attach(tokenAddress);
+    const trading = await PokemonCardTrading.attach(tradingAddress);
+
+    const [owner, seller, bidder1, bidder2] = await ethers.getSigners();
+    console.log(`\nAccounts available for reserve test:`);
+    console.log(`- Owner: ${owner.address}`);
+    console.log(`- Seller: ${seller.address}`);
+    console.log(`- Bidder 1: ${bidder1.address}`);
+    console.log(`- Bidder 2: ${bidder2.address}`);
+
+    // Helper for expecting reverts
+    const expectRevert = async (call, expectedErrorMsg) => {
+      try {
+        await call;
+        console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but call succeeded.`);
+        return false;
+      } catch (error) {
+        if (error.message.includes(expectedErrorMsg)) {
+          console.log(`✅ PASSED: Correctly reverted with '${expectedErrorMsg}'.`);
+          return true;
+        } else {
+          console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but got: ${error.message}`);
+          return false;
+        }
+      }
+    };
+
+    const eth = ethers.utils.parseEther;
+    const auctionDuration = 3600;
+
+    // Mint a card to the seller and auction it, returning its token ID
+    const auctionCard = async (pokemonId, startingPrice, reservePrice, buyNowPrice) => {
+      const receipt = await (await token.mintPokemonCard(seller.address, pokemonId, 1)).wait();
+      const tokenId = receipt.events.find(e => e.event === "Transfer").args.tokenId;
+      await (await token.connect(seller).approve(tradingAddress, tokenId)).wait();
+      await (await trading.connect(seller).listCardForAuctionWithReserve(
+        tokenId, startingPrice, auctionDuration, reservePrice, buyNowPrice
+      )).wait();
+      return tokenId;
+    };
+
+    // Fast forward past the end of an auction
+    const endAuctionTime = async (tokenId) => {
+      const { endTime } = await trading.listings(tokenId);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await ethers.provider.send("evm_increaseTime", [endTime.toNumber() - timestamp + 1]);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    // ==================== SECTION 1: LISTING ====================
+    console.log("\n=== LISTING ===");
+
+    const mintReceipt = await (await token.mintPokemonCard(seller.address, 94, 2)).wait();
+    const gengar = mintReceipt.events.find(e => e.event === "Transfer").args.tokenId;
+    await (await token.connect(seller).approve(tradingAddress, gengar)).wait();
+
+    console.log("\nTEST: The reserve must be above the starting price");
+    await expectRevert(
+      trading.connect(seller).listCardForAuctionWithReserve(gengar, eth("0.1"), auctionDuration, eth("0.1"), 0),
+      "Reserve price must be above the starting price"
+    );
+
+    console.log("\nTEST: The buy-now price must be above the starting and reserve prices");
+    await expectRevert(
+      trading.connect(seller).listCardForAuctionWithReserve(gengar, eth("0.1"), auctionDuration, eth("0.5"), eth("0.4")),
+      "Buy now price must be above the starting and reserve prices"
+    );
+    await expectRevert(
+      trading.connect(seller).listCardForAuctionWithReserve(gengar, eth("0.1"), auctionDuration, 0, eth("0.1")),
+      "Buy now price must be above the starting and reserve prices"
+    );
+
+    // ==================== SECTION 2: RESERVE NOT MET ====================
+    console.log("\n=== RESERVE NOT MET ===");
+
+    const unmetId = await auctionCard(94, eth("0.1"), eth("0.5"), 0);
+    console.log(`Listed Gengar #${unmetId} with a 0.5 ETH reserve`);
+
+    console.log("\nTEST: The reserve is hidden, only whether it is met shows");
+    let [hasReserve, reserveMet] = await trading.getReserveStatus(unmetId);
+    expect(hasReserve).to.equal(true, "Reserve not reported");
+    expect(reserveMet).to.equal(false, "Reserve met without bids");
+    await (await trading.connect(bidder1).placeBid(unmetId, { value: eth("0.2") })).wait();
+    [, reserveMet] = await trading.getReserveStatus(unmetId);
+    expect(reserveMet).to.equal(false, "Reserve met below the reserve price");
+    console.log("✅ PASSED: Reserve reported as not met");
+
+    console.log("\nTEST: Ending below the reserve returns the card and refunds the bidder");
+    const pendingBefore = await trading.pendingWithdrawals(bidder1.address);
+    await endAuctionTime(unmetId);
+    const endReceipt = await (await trading.endAuction(unmetId)).wait();
+    expect(endReceipt.events.some(e => e.event === "AuctionReserveNotMet")).to.equal(true, "AuctionReserveNotMet not emitted");
+    expect(await token.ownerOf(unmetId)).to.equal(seller.address, "Card not returned to seller");
+    expect(await trading.pendingWithdrawals(bidder1.address)).to.equal(pendingBefore.add(eth("0.2")), "Bidder not refunded");
+    console.log("✅ PASSED: Card returned and bid refunded");
+
+    // ==================== SECTION 3: RESERVE MET ====================
+    console.log("\n=== RESERVE MET ===");
+
+    const metId = await auctionCard(94, eth("0.1"), eth("0.3"), 0);
+    await (await trading.connect(bidder1).placeBid(metId, { value: eth("0.35") })).wait();
+
+    console.log("\nTEST: A bid at or above the reserve meets it");
+    [, reserveMet] = await trading.getReserveStatus(metId);
+    expect(reserveMet).to.equal(true, "Reserve not met");
+    await endAuctionTime(metId);
+    await (await trading.endAuction(metId)).wait();
+    expect(await token.ownerOf(metId)).to.equal(bidder1.address, "Card not sold to the bidder");
+    console.log("✅ PASSED: Card sold once the reserve was met");
+
+    // ==================== SECTION 4: BUY NOW ====================
+    console.log("\n=== BUY NOW ===");
+
+    const buyNowId = await auctionCard(94, eth("0.1"), eth("0.3"), eth("0.5"));
+    expect((await trading.listings(buyNowId)).buyNowPrice).to.equal(eth("0.5"), "Buy-now price not stored");
+    await (await trading.connect(bidder1).placeBid(buyNowId, { value: eth("0.2") })).wait();
+
+    console.log("\nTEST: Buying now requires the full buy-now price");
+    await expectRevert(trading.connect(bidder2).buyNow(buyNowId, eth("0.5"), { value: eth("0.4") }), "Insufficient payment");
+
+    console.log("\nTEST: Buying now settles the auction at once");
+    const bidder1Pending = await trading.pendingWithdrawals(bidder1.address);
+    const buyReceipt = await (await trading.connect(bidder2).buyNow(buyNowId, eth("0.5"), { value: eth("0.5") })).wait();
+    expect(buyReceipt.events.some(e => e.event === "CardSold")).to.equal(true, "CardSold not emitted");
+    expect(await token.ownerOf(buyNowId)).to.equal(bidder2.address, "Card not transferred to the buyer");
+    expect((await trading.listings(buyNowId)).active).to.equal(false, "Auction still active");
+    expect(await trading.pendingWithdrawals(bidder1.address)).to.equal(bidder1Pending.add(eth("0.2")), "Highest bidder not refunded");
+    console.log("✅ PASSED: Card bought now, highest bidder refunded");
+
+    console.log("\nTEST: Auctions without a buy-now price cannot be bought now");
+    const plainId = await auctionCard(94, eth("0.1"), 0, 0);
+    await expectRevert(trading.connect(bidder2).buyNow(plainId, eth("1"), { value: eth("1") }), "Auction has no buy now price");
+
+    console.log("\nTEST: Buy now closes once bids reach the buy-now price");
+    const outbidId = await auctionCard(94, eth("0.1"), 0, eth("0.5"));
+    await (await trading.connect(bidder1).placeBid(outbidId, { value: eth("0.6") })).wait();
+    await expectRevert(
+      trading.connect(bidder2).buyNow(outbidId, eth("0.6"), { value: eth("0.6") }),
+      "Bids already exceed the buy now price"
+    );
+
+    // ==================== SECTION 5: CLEANUP ====================
+    console.log("\n=== CLEANUP ===");
+
+    for (const tokenId of [plainId, outbidId]) {
+      await endAuctionTime(tokenId);
+      await (await trading.endAuction(tokenId)).wait();
+    }
+    console.log("Ended the remaining auctions");
+
+    // Later tests check the balances of these accounts from zero
+    for (const signer of [owner, seller, bidder1, bidder2]) {
+      if ((await trading.pendingWithdrawals(signer.address)).gt(0)) {
+        await (await trading.connect(signer).withdraw()).wait();
+      }
+    }
+    console.log("✅ PASSED: Withdrew the sale proceeds and refunds");
+
+    console.log("\n✅ Reserve test complete!");
+
+  } catch (error) {
+    console.error("Error during reserve test:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,177 @@
+// Test script for fixed-price listings with a scheduled start time and an expiry
+
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+async function main() {
+  try {
+    // Get the deployed contract addresses from environment variables
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    const tradingAddress = process.env.TRADING_ADDRESS;
+
+    if (!tokenAddress || !tradingAddress) {
+      console.error("Contract addresses not set. Make sure to set TOKEN_ADDRESS and TRADING_ADDRESS.");
+      process.exit(1);
+    }
+
+    console.log("SCHEDULE TEST - Interacting with contracts:");
+    console.log("- PokemonCardToken:", tokenAddress);
+    console.log("- PokemonCardTrading:", tradingAddress);
+
+    const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
+    const PokemonCardTrading = await ethers.getContractFactory("PokemonCardTrading");
+
+    const token = await PokemonCardToken.attach(tokenAddress);
+    const trading = await PokemonCardTrading.attach(tradingAddress);
+
+    const [owner, seller, buyer, passerby] = await ethers.getSigners();
+    console.log(`\nAccounts available for schedule test:`);
+    console.log(`- Owner: ${owner.address}`);
+    console.log(`- Seller: ${seller.address}`);
+    console.log(`- Buyer: ${buyer.address}`);
+    console.log(`- Passerby: ${passerby.address}`);
+
+    // Helper for expecting reverts
+    const expectRevert = async (call, expectedErrorMsg) => {
+      try {
+        await call;
+        console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but call succeeded.`);
+        return false;
+      } catch (error) {
+        if (error.message.includes(expectedErrorMsg)) {
+          console.log(`✅ PASSED: Correctly reverted with '${expectedErrorMsg}'.`);
+          return true;
+        } else {
+          console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but got: ${error.message}`);
+          return false;
+        }
+      }
+    };
+
+    const eth = ethers.utils.parseEther;
+
+    const increaseTime = async (seconds) => {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+    // Mint a card to the seller and approve the marketplace for it, returning its token ID
+    const mintApproved = async (pokemonId) => {
+      const receipt = await (await token.mintPokemonCard(seller.address, pokemonId, 1)).wait();
+      const tokenId = receipt.events.find(e => e.event === "Transfer").args.tokenId;
+      await (await token.connect(seller).approve(tradingAddress, tokenId)).wait();
+      return tokenId;
+    };
+
+    // ==================== SECTION 1: LISTING ====================
+    console.log("\n=== LISTING ===");
+
+    const lapras = await mintApproved(131);
+    let now = await latestTimestamp();
+
+    console.log("\nTEST: The expiry must be in the future and after the start time");
+    await expectRevert(
+      trading.connect(seller).listCardForSaleWithSchedule(lapras, eth("0.3"), 0, now - 1),
+      "End time must be in the future"
+    );
+    await expectRevert(
+      trading.connect(seller).listCardForSaleWithSchedule(lapras, eth("0.3"), now + 7200, now + 3600),
+      "End time must be after the start time"
+    );
+
+    console.log("\nTEST: Scheduling a drop that opens in an hour and expires a day later");
+    const startTime = now + 3600;
+    const endTime = startTime + 86400;
+    const listReceipt = await (await trading.connect(seller).listCardForSaleWithSchedule(
+      lapras, eth("0.3"), startTime, endTime
+    )).wait();
+    const listed = listReceipt.events.find(e => e.event === "CardListed");
+    const scheduled = listReceipt.events.find(e => e.event === "ListingScheduled");
+    expect(listed.args.endTime).to.equal(endTime, "CardListed should carry the expiry");
+    expect(scheduled.args.startTime).to.equal(startTime, "ListingScheduled start time mismatch");
+    const listing = await trading.listings(lapras);
+    expect(listing.startTime).to.equal(startTime, "Start time not stored");
+    expect(listing.endTime).to.equal(endTime, "Expiry not stored");
+    console.log(`✅ PASSED: Lapras #${lapras} scheduled`);
+
+    console.log("\nTEST: Plain fixed-price listings still open at once and never expire");
+    const jigglypuff = await mintApproved(39);
+    const plainReceipt = await (await trading.connect(seller).listCardForSale(jigglypuff, eth("0.1"))).wait();
+    expect(plainReceipt.events.some(e => e.event === "ListingScheduled")).to.equal(false, "Unscheduled listing emitted ListingScheduled");
+    const plain = await trading.listings(jigglypuff);
+    expect(plain.startTime).to.equal(0, "Start time should be 0");
+    expect(plain.endTime).to.equal(0, "Expiry should be 0");
+    console.log("✅ PASSED: No start time or expiry");
+
+    // ==================== SECTION 2: BUYING ====================
+    console.log("\n=== BUYING ===");
+
+    console.log("\nTEST: The card cannot be bought before the start time");
+    await expectRevert(trading.connect(buyer).buyCard(lapras, eth("0.3"), { value: eth("0.3") }), "Listing has not started yet");
+
+    console.log("\nTEST: The card can be bought once the listing opened");
+    await increaseTime(3600);
+    await (await trading.connect(buyer).buyCard(lapras, eth("0.3"), { value: eth("0.3") })).wait();
+    expect(await token.ownerOf(lapras)).to.equal(buyer.address, "Card not transferred to the buyer");
+    console.log("✅ PASSED: Bought after the start time");
+
+    // ==================== SECTION 3: EXPIRY ====================
+    console.log("\n=== EXPIRY ===");
+
+    const vaporeon = await mintApproved(134);
+    now = await latestTimestamp();
+    await (await trading.connect(seller).listCardForSaleWithSchedule(vaporeon, eth("0.2"), 0, now + 600)).wait();
+    console.log(`Listed Vaporeon #${vaporeon}, expiring in 10 minutes`);
+
+    console.log("\nTEST: Listings cannot be returned before they expire");
+    await expectRevert(trading.connect(passerby).returnExpiredListing(vaporeon), "Listing has not expired");
+    await expectRevert(trading.connect(passerby).returnExpiredListing(jigglypuff), "Listing has not expired");
+
+    console.log("\nTEST: Expired listings cannot be bought");
+    await increaseTime(601);
+    await expectRevert(trading.connect(buyer).buyCard(vaporeon, eth("0.2"), { value: eth("0.2") }), "Listing has expired");
+
+    console.log("\nTEST: Anyone can return an expired listing to the seller");
+    const returnReceipt = await (await trading.connect(passerby).returnExpiredListing(vaporeon)).wait();
+    expect(returnReceipt.events.some(e => e.event === "CardListingCancelled")).to.equal(true, "CardListingCancelled not emitted");
+    expect(await token.ownerOf(vaporeon)).to.equal(seller.address, "Card not returned to the seller");
+    expect((await trading.listings(vaporeon)).active).to.equal(false, "Listing still active");
+    console.log("✅ PASSED: Card returned to the seller");
+
+    console.log("\nTEST: Only fixed-price listings expire");
+    const flareon = await mintApproved(136);
+    await (await trading.connect(seller).listCardForAuction(flareon, eth("0.1"), 60)).wait();
+    await increaseTime(61);
+    await expectRevert(trading.connect(passerby).returnExpiredListing(flareon), "Card is not listed for fixed price");
+
+    // ==================== SECTION 4: CLEANUP ====================
+    console.log("\n=== CLEANUP ===");
+
+    await (await trading.endAuction(flareon)).wait();
+    await (await trading.connect(seller).cancelListing(jigglypuff)).wait();
+    console.log("Closed the remaining listings");
+
+    // Later tests check the balances of these accounts from zero
+    for (const signer of [owner, seller, buyer, passerby]) {
+      if ((await trading.pendingWithdrawals(signer.address)).gt(0)) {
+        await (await trading.connect(signer).withdraw()).wait();
+      }
+    }
+    console.log("✅ PASSED: Withdrew the sale proceeds");
+
+    console.log("\n✅ Schedule test complete!");
+
+  } catch (error) {
+    console.error("Error during schedule test:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
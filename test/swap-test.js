@@ -0,0 +1,236 @@
+// Test script for card swaps: proposing, accepting, declining, cancelling and expiry of swap proposals
+
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const SWAP_STATUS = { PENDING: 1, ACCEPTED: 2, CANCELLED: 3 };
+const ONE_DAY = 86400;
+
+async function main() {
+  try {
+    // Get the deployed contract addresses from environment variables
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    const tradingAddress = process.env.TRADING_ADDRESS;
+
+    if (!tokenAddress || !tradingAddress) {
+      console.error("Contract addresses not set. Make sure to set TOKEN_ADDRESS and TRADING_ADDRESS.");
+      process.exit(1);
+    }
+
+    console.log("SWAP TEST - Interacting with contracts:");
+    console.log("- PokemonCardToken:", tokenAddress);
+    console.log("- PokemonCardTrading:", tradingAddress);
+
+    const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
+    const PokemonCardTrading = await ethers.getContractFactory("PokemonCardTrading");
+
+    const token = await PokemonCardToken.attach(tokenAddress);
+    const trading = await PokemonCardTrading.attach(tradingAddress);
+
+    const [owner, proposer, counterparty, randomUser] = await ethers.getSigners();
+    console.log(`\nAccounts available for swap test:`);
+    console.log(`- Owner: ${owner.address}`);
+    console.log(`- Proposer: ${proposer.address}`);
+    console.log(`- Counterparty: ${counterparty.address}`);
+    console.log(`- Random User: ${randomUser.address}`);
+
+    // Helper for expecting reverts
+    const expectRevert = async (call, expectedErrorMsg) => {
+      try {
+        await call;
+        console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but call succeeded.`);
+        return false;
+      } catch (error) {
+        if (error.message.includes(expectedErrorMsg)) {
+          console.log(`✅ PASSED: Correctly reverted with '${expectedErrorMsg}'.`);
+          return true;
+        } else {
+          console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but got: ${error.message}`);
+          return false;
+        }
+      }
+    };
+
+    // Mint a fresh card, returning its token ID
+    const mintCard = async (to, pokemonId) => {
+      const receipt = await (await token.connect(owner).mintPokemonCard(to.address, pokemonId, 0)).wait();
+      return receipt.events.find(e => e.event === "Transfer").args.tokenId;
+    };
+
+    // Propose a swap, returning its ID
+    const proposeSwap = async (offered, requested, sweetener = 0, duration = ONE_DAY) => {
+      const receipt = await (await trading.connect(proposer).proposeSwap(
+        counterparty.address, offered, requested, duration, { value: sweetener }
+      )).wait();
+      return receipt.events.find(e => e.event === "SwapProposed").args.swapId;
+    };
+
+    const increaseTime = async (seconds) => {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    // A Charizard for two Blastoise, plus a little ETH
+    const charizard = await mintCard(proposer, 6);
+    const blastoise1 = await mintCard(counterparty, 9);
+    const blastoise2 = await mintCard(counterparty, 9);
+    const sweetener = ethers.utils.parseEther("0.05");
+    console.log(`\nMinted Charizard #${charizard} to the proposer, Blastoise #${blastoise1} and #${blastoise2} to the counterparty`);
+
+    // ==================== SECTION 1: PROPOSING ====================
+    console.log("\n=== PROPOSING ===");
+
+    console.log("\nTEST: Cannot propose a swap to yourself");
+    await expectRevert(
+      trading.connect(proposer).proposeSwap(proposer.address, [charizard], [blastoise1], ONE_DAY),
+      "Invalid counterparty"
+    );
+
+    console.log("\nTEST: A swap must request cards");
+    await expectRevert(
+      trading.connect(proposer).proposeSwap(counterparty.address, [charizard], [], ONE_DAY),
+      "Swap must request at least one card"
+    );
+
+    console.log("\nTEST: A swap must offer cards or ETH");
+    await expectRevert(
+      trading.connect(proposer).proposeSwap(counterparty.address, [], [blastoise1], ONE_DAY),
+      "Swap must offer cards or ETH"
+    );
+
+    console.log("\nTEST: Only owned cards can be offered");
+    await expectRevert(
+      trading.connect(proposer).proposeSwap(counterparty.address, [blastoise2], [blastoise1], ONE_DAY),
+      "You must own the cards you offer"
+    );
+
+    console.log("\nTEST: Offered cards must be approved");
+    await expectRevert(
+      trading.connect(proposer).proposeSwap(counterparty.address, [charizard], [blastoise1], ONE_DAY),
+      "Trading contract is not approved to transfer this token"
+    );
+
+    await (await token.connect(proposer).approve(tradingAddress, charizard)).wait();
+
+    console.log("\nTEST: Requested cards must belong to the counterparty");
+    await expectRevert(
+      trading.connect(proposer).proposeSwap(randomUser.address, [charizard], [blastoise1], ONE_DAY),
+      "Counterparty must own the requested cards"
+    );
+
+    console.log("\nTEST: Proposing escrows the sweetener");
+    const escrowBefore = await ethers.provider.getBalance(tradingAddress);
+    const swapId = await proposeSwap([charizard], [blastoise1, blastoise2], sweetener);
+    const swap = await trading.getSwap(swapId);
+    expect(swap.proposer).to.equal(proposer.address, "Swap proposer mismatch");
+    expect(swap.offeredTokenIds.map(String)).to.deep.equal([charizard.toString()], "Offered cards mismatch");
+    expect(swap.requestedTokenIds.map(String)).to.deep.equal([blastoise1, blastoise2].map(String), "Requested cards mismatch");
+    expect(swap.status).to.equal(SWAP_STATUS.PENDING, "Swap is not pending");
+    expect((await trading.getSwapsByProposer(proposer.address)).map(String)).to.include(swapId.toString(), "Swap not listed for proposer");
+    expect((await trading.getSwapsByCounterparty(counterparty.address)).map(String)).to.include(swapId.toString(), "Swap not listed for counterparty");
+    expect(await ethers.provider.getBalance(tradingAddress)).to.equal(escrowBefore.add(sweetener), "Sweetener not escrowed");
+    console.log(`✅ PASSED: Proposed swap #${swapId}`);
+
+    // ==================== SECTION 2: ACCEPTING ====================
+    console.log("\n=== ACCEPTING ===");
+
+    console.log("\nTEST: Only the counterparty can accept a swap");
+    await expectRevert(trading.connect(randomUser).acceptSwap(swapId), "Only the counterparty can accept a swap");
+
+    console.log("\nTEST: Requested cards must be approved to accept");
+    await (await token.connect(counterparty).approve(tradingAddress, blastoise1)).wait();
+    await expectRevert(trading.connect(counterparty).acceptSwap(swapId), "Trading contract is not approved to transfer this token");
+
+    console.log("\nTEST: Accepting exchanges the cards atomically and credits the sweetener");
+    await (await token.connect(counterparty).approve(tradingAddress, blastoise2)).wait();
+    const pendingBefore = await trading.pendingWithdrawals(counterparty.address);
+    await (await trading.connect(counterparty).acceptSwap(swapId)).wait();
+
+    expect(await token.ownerOf(charizard)).to.equal(counterparty.address, "Charizard not transferred");
+    expect(await token.ownerOf(blastoise1)).to.equal(proposer.address, "First Blastoise not transferred");
+    expect(await token.ownerOf(blastoise2)).to.equal(proposer.address, "Second Blastoise not transferred");
+    expect(await trading.pendingWithdrawals(counterparty.address)).to.equal(pendingBefore.add(sweetener), "Sweetener not credited");
+    expect((await trading.getSwap(swapId)).status).to.equal(SWAP_STATUS.ACCEPTED, "Swap not accepted");
+    console.log("✅ PASSED: Swap executed");
+
+    console.log("\nTEST: An accepted swap cannot be accepted again");
+    await expectRevert(trading.connect(counterparty).acceptSwap(swapId), "Swap is not pending");
+
+    console.log("\nTEST: Swaps fail when the proposer gave away the offered cards");
+    const pikachu = await mintCard(proposer, 25);
+    const squirtle = await mintCard(counterparty, 7);
+    await (await token.connect(proposer).approve(tradingAddress, pikachu)).wait();
+    const staleSwapId = await proposeSwap([pikachu], [squirtle]);
+    await (await token.connect(proposer).transferFrom(proposer.address, randomUser.address, pikachu)).wait();
+    await (await token.connect(counterparty).approve(tradingAddress, squirtle)).wait();
+    await expectRevert(trading.connect(counterparty).acceptSwap(staleSwapId), "Proposer no longer owns the offered cards");
+
+    // ==================== SECTION 3: CANCELLING ====================
+    console.log("\n=== CANCELLING ===");
+
+    console.log("\nTEST: Only the parties can cancel a swap");
+    await expectRevert(trading.connect(randomUser).cancelSwap(staleSwapId), "Only the proposer or counterparty can cancel a swap");
+
+    console.log("\nTEST: The counterparty can decline a swap");
+    await (await trading.connect(counterparty).cancelSwap(staleSwapId)).wait();
+    expect((await trading.getSwap(staleSwapId)).status).to.equal(SWAP_STATUS.CANCELLED, "Swap not cancelled");
+    console.log("✅ PASSED: Swap declined");
+
+    console.log("\nTEST: Declining sends the sweetener back to the proposer");
+    const bulbasaur = await mintCard(counterparty, 1);
+    const ethOnlySwapId = await proposeSwap([], [bulbasaur], sweetener);
+    const proposerPendingBefore = await trading.pendingWithdrawals(proposer.address);
+    const proposerBalanceBefore = await ethers.provider.getBalance(proposer.address);
+    await (await trading.connect(counterparty).cancelSwap(ethOnlySwapId)).wait();
+    expect(await ethers.provider.getBalance(proposer.address)).to.equal(
+      proposerBalanceBefore.add(sweetener),
+      "Sweetener not refunded"
+    );
+    expect(await trading.pendingWithdrawals(proposer.address)).to.equal(proposerPendingBefore, "Sweetener credited instead");
+    console.log("✅ PASSED: Sweetener refunded");
+
+    // ==================== SECTION 4: EXPIRY ====================
+    console.log("\n=== EXPIRY ===");
+
+    const expiringSwapId = await proposeSwap([], [bulbasaur], sweetener, 3600);
+    await increaseTime(3600);
+
+    console.log("\nTEST: Expired swaps cannot be accepted");
+    await (await token.connect(counterparty).approve(tradingAddress, bulbasaur)).wait();
+    await expectRevert(trading.connect(counterparty).acceptSwap(expiringSwapId), "Swap has expired");
+
+    console.log("\nTEST: Expired swaps can still be cancelled, even while trading is paused, refunding the sweetener");
+    await (await trading.connect(owner).pause()).wait();
+    const pausedBalanceBefore = await ethers.provider.getBalance(proposer.address);
+    const cancelReceipt = await (await trading.connect(proposer).cancelSwap(expiringSwapId)).wait();
+    await (await trading.connect(owner).unpause()).wait();
+    expect((await trading.getSwap(expiringSwapId)).status).to.equal(SWAP_STATUS.CANCELLED, "Expired swap not cancelled");
+    expect(await ethers.provider.getBalance(proposer.address)).to.equal(
+      pausedBalanceBefore.add(sweetener).sub(cancelReceipt.gasUsed.mul(cancelReceipt.effectiveGasPrice)),
+      "Sweetener locked while paused"
+    );
+    console.log("✅ PASSED: Expired swap cancelled and its sweetener refunded");
+
+    // ==================== SECTION 5: PROCEEDS ====================
+    console.log("\n=== PROCEEDS ===");
+
+    console.log("\nTEST: Sweeteners of accepted swaps are withdrawn like sale proceeds");
+    const pending = await trading.pendingWithdrawals(counterparty.address);
+    await (await trading.connect(counterparty).withdraw()).wait();
+    expect(await trading.pendingWithdrawals(counterparty.address)).to.equal(0, "Pending withdrawal left");
+    console.log(`✅ PASSED: Withdrew ${ethers.utils.formatEther(pending)} ETH`);
+
+    console.log("\n✅ Swap test complete!");
+
+  } catch (error) {
+    console.error("Error during swap test:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,193 @@
+// Test script for updating the price of live listings without cancelling and relisting them
+
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+async function main() {
+  try {
+    // Get the deployed contract addresses from environment variables
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    const tradingAddress = process.env.TRADING_ADDRESS;
+
+    if (!tokenAddress || !tradingAddress) {
+      console.error("Contract addresses not set. Make sure to set TOKEN_ADDRESS and TRADING_ADDRESS.");
+      process.exit(1);
+    }
+
+    console.log("UPDATE LISTING TEST - Interacting with contracts:");
+    console.log("- PokemonCardToken:", tokenAddress);
+    console.log("- PokemonCardTrading:", tradingAddress);
+
+    const PokemonCardToken = await ethers.getContractFactory("PokemonCardToken");
+    const PokemonCardTrading = await ethers.getContractFactory("PokemonCardTrading");
+
+    const token = await PokemonCardToken.attach(tokenAddress);
+    const trading = await PokemonCardTrading.attach(tradingAddress);
+
+    const [owner, seller, buyer] = await ethers.getSigners();
+    console.log(`\nAccounts available for update listing test:`);
+    console.log(`- Owner: ${owner.address}`);
+    console.log(`- Seller: ${seller.address}`);
+    console.log(`- Buyer: ${buyer.address}`);
+
+    // Helper for expecting reverts
+    const expectRevert = async (call, expectedErrorMsg) => {
+      try {
+        await call;
+        console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but call succeeded.`);
+        return false;
+      } catch (error) {
+        if (error.message.includes(expectedErrorMsg)) {
+          console.log(`✅ PASSED: Correctly reverted with '${expectedErrorMsg}'.`);
+          return true;
+        } else {
+          console.error(`❌ FAILED: Expected revert with '${expectedErrorMsg}' but got: ${error.message}`);
+          return false;
+        }
+      }
+    };
+
+    const eth = ethers.utils.parseEther;
+
+    // Mint a card to the seller and approve the marketplace for it, returning its token ID
+    const mintApproved = async (pokemonId) => {
+      const receipt = await (await token.mintPokemonCard(seller.address, pokemonId, 0)).wait();
+      const tokenId = receipt.events.find(e => e.event === "Transfer").args.tokenId;
+      await (await token.connect(seller).approve(tradingAddress, tokenId)).wait();
+      return tokenId;
+    };
+
+    // ==================== SECTION 1: FIXED PRICE ====================
+    console.log("\n=== FIXED PRICE ===");
+
+    const pikachu = await mintApproved(25);
+    await (await trading.connect(seller).listCardForSale(pikachu, eth("0.5"))).wait();
+    console.log(`Listed Pikachu #${pikachu} for 0.5 ETH`);
+
+    console.log("\nTEST: Only the seller can update a listing");
+    await expectRevert(trading.connect(buyer).updateListingPrice(pikachu, eth("0.4"), 0), "Only the seller can update a listing");
+
+    console.log("\nTEST: The price must stay above zero");
+    await expectRevert(trading.connect(seller).updateListingPrice(pikachu, 0, 0), "Price must be greater than zero");
+
+    console.log("\nTEST: The seller lowers the price, the card stays in escrow");
+    const updateReceipt = await (await trading.connect(seller).updateListingPrice(pikachu, eth("0.4"), 0)).wait();
+    const updated = updateReceipt.events.find(e => e.event === "ListingUpdated");
+    expect(updated.args.price).to.equal(eth("0.4"), "ListingUpdated price mismatch");
+    expect(updated.args.seller).to.equal(seller.address, "ListingUpdated seller mismatch");
+    expect(updateReceipt.events.some(e => e.event === "Transfer")).to.equal(false, "The card left escrow");
+    expect((await trading.listings(pikachu)).price).to.equal(eth("0.4"), "Price not updated");
+    console.log("✅ PASSED: Price lowered to 0.4 ETH in one transaction");
+
+    console.log("\nTEST: The seller sets an expiry on a fixed-price listing");
+    const { timestamp: listedAt } = await ethers.provider.getBlock("latest");
+    await expectRevert(
+      trading.connect(seller).updateListingPrice(pikachu, eth("0.4"), listedAt - 1),
+      "End time must be in the future"
+    );
+    await (await trading.connect(seller).updateListingPrice(pikachu, eth("0.4"), listedAt + 3600)).wait();
+    expect((await trading.listings(pikachu)).endTime).to.equal(listedAt + 3600, "Expiry not set");
+    console.log("✅ PASSED: Listing expires in an hour");
+
+    console.log("\nTEST: Buyers pay the new price");
+    await (await trading.connect(buyer).buyCard(pikachu, eth("0.4"), { value: eth("0.4") })).wait();
+    expect(await token.ownerOf(pikachu)).to.equal(buyer.address, "Card not sold at the new price");
+    console.log("✅ PASSED: Sold at the updated price");
+
+    console.log("\nTEST: Inactive listings cannot be updated");
+    await expectRevert(trading.connect(seller).updateListingPrice(pikachu, eth("0.3"), 0), "Listing is not active");
+
+    // ==================== SECTION 2: AUCTIONS ====================
+    console.log("\n=== AUCTIONS ===");
+
+    const eevee = await mintApproved(133);
+    await (await trading.connect(seller).listCardForAuctionWithReserve(eevee, eth("0.1"), 3600, eth("0.3"), eth("0.5"))).wait();
+    console.log(`Listed Eevee #${eevee} for auction with a 0.3 ETH reserve and a 0.5 ETH buy-now price`);
+
+    console.log("\nTEST: The starting price must stay below the reserve and buy-now prices");
+    await expectRevert(
+      trading.connect(seller).updateListingPrice(eevee, eth("0.3"), 0),
+      "Reserve price must be above the starting price"
+    );
+
+    console.log("\nTEST: The end time must be in the future");
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await expectRevert(
+      trading.connect(seller).updateListingPrice(eevee, eth("0.2"), timestamp - 1),
+      "End time must be in the future"
+    );
+
+    console.log("\nTEST: The seller changes the starting price and end time of an auction without bids");
+    const newEndTime = timestamp + 7200;
+    await (await trading.connect(seller).updateListingPrice(eevee, eth("0.2"), newEndTime)).wait();
+    let auction = await trading.listings(eevee);
+    expect(auction.price).to.equal(eth("0.2"), "Starting price not updated");
+    expect(auction.endTime).to.equal(newEndTime, "End time not updated");
+    console.log("✅ PASSED: Auction updated");
+
+    console.log("\nTEST: An end time of 0 keeps the current end time");
+    await (await trading.connect(seller).updateListingPrice(eevee, eth("0.15"), 0)).wait();
+    auction = await trading.listings(eevee);
+    expect(auction.endTime).to.equal(newEndTime, "End time changed");
+    expect(await trading.getMinimumBid(eevee)).to.equal(eth("0.15"), "Minimum bid should follow the starting price");
+    console.log("✅ PASSED: Only the starting price changed");
+
+    console.log("\nTEST: Auctions with bids cannot be updated");
+    await (await trading.connect(buyer).placeBid(eevee, { value: eth("0.15") })).wait();
+    await expectRevert(trading.connect(seller).updateListingPrice(eevee, eth("0.1"), 0), "Cannot update auction with bids");
+
+    console.log("\nTEST: Dutch auctions cannot be updated");
+    const snorlax = await mintApproved(143);
+    await (await trading.connect(seller).listCardForDutchAuction(snorlax, eth("1"), eth("0.1"), 3600)).wait();
+    await expectRevert(trading.connect(seller).updateListingPrice(snorlax, eth("0.5"), 0), "Dutch auctions cannot be updated");
+
+    // ==================== SECTION 3: ENDED LISTINGS ====================
+    console.log("\n=== ENDED LISTINGS ===");
+
+    const mew = await mintApproved(151);
+    await (await trading.connect(seller).listCardForAuction(mew, eth("0.1"), 3600)).wait();
+    const ditto = await mintApproved(132);
+    const { timestamp: scheduledAt } = await ethers.provider.getBlock("latest");
+    await (await trading.connect(seller).listCardForSaleWithSchedule(ditto, eth("0.1"), 0, scheduledAt + 3600)).wait();
+
+    await ethers.provider.send("evm_increaseTime", [7200]);
+    await ethers.provider.send("evm_mine", []);
+    const { timestamp: endedAt } = await ethers.provider.getBlock("latest");
+
+    console.log("\nTEST: Ended auctions without bids cannot be revived");
+    await expectRevert(trading.connect(seller).updateListingPrice(mew, eth("0.2"), endedAt + 3600), "Listing has ended");
+
+    console.log("\nTEST: Expired fixed-price listings cannot be extended");
+    await expectRevert(trading.connect(seller).updateListingPrice(ditto, eth("0.2"), endedAt + 3600), "Listing has ended");
+
+    // ==================== SECTION 4: CLEANUP ====================
+    console.log("\n=== CLEANUP ===");
+
+    await (await trading.connect(seller).cancelListing(snorlax)).wait();
+    await (await trading.connect(seller).cancelListing(mew)).wait();
+    await (await trading.returnExpiredListing(ditto)).wait();
+    await (await trading.endAuction(eevee)).wait();
+    console.log("Closed the remaining listings");
+
+    // Later tests check the balances of these accounts from zero
+    for (const signer of [owner, seller, buyer]) {
+      if ((await trading.pendingWithdrawals(signer.address)).gt(0)) {
+        await (await trading.connect(signer).withdraw()).wait();
+      }
+    }
+    console.log("✅ PASSED: Withdrew the sale proceeds and refunds");
+
+    console.log("\n✅ Update listing test complete!");
+
+  } catch (error) {
+    console.error("Error during update listing test:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });